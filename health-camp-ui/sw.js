@@ -0,0 +1,52 @@
+// Service worker - keeps the app shell available offline and wakes the page to sync its outbox.
+// Patient data and queued changes live in IndexedDB (see the Offline Storage section of index.html).
+
+const CACHE_NAME = 'health-camp-shell-v1';
+const APP_SHELL = ['./', './index.html'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages: network first so updates arrive as soon as possible, cached copy when offline.
+// API calls go to another origin and are left to the page, which queues them itself.
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request).then(cached => cached || caches.match('./index.html')))
+    );
+});
+
+// Background Sync fires when connectivity returns - ask an open page to send its outbox,
+// since the session token only lives in the page
+self.addEventListener('sync', event => {
+    if (event.tag !== 'outbox') return;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            clients.forEach(client => client.postMessage({ type: 'sync-outbox' }));
+        })
+    );
+});
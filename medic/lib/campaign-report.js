@@ -0,0 +1,271 @@
+// Campaign report - the printable PDF sponsors and the district health office sign off, drawn with pdfkit
+// from the same figures as GET /api/stats (buildStatistics in server.js). Tables break across pages with
+// their header repeated, and every page carries the camp, the period and its page number.
+
+const PDFDocument = require('pdfkit');
+const { formatDay, formatTime } = require('./dates');
+
+const COLORS = {
+    primary: '#667eea',
+    text: '#1f2937',
+    muted: '#6b7280',
+    rule: '#e5e7eb',
+    stripe: '#f3f4f6',
+    bars: ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4']
+};
+
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Start a new page unless `height` more points fit on this one
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > pageBottom(doc)) doc.addPage();
+};
+
+const percentage = (count, total) => total > 0 ? `${Math.round((count / total) * 100)}%` : '-';
+
+const sectionTitle = (doc, title) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.primary).text(title, MARGIN, doc.y);
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + contentWidth(doc), doc.y + 2).strokeColor(COLORS.rule).stroke();
+    doc.moveDown(0.6);
+};
+
+// columns: [{ header, width (share of the page width), align }], rows: arrays of cell text
+const table = (doc, columns, rows) => {
+    const widths = columns.map(column => column.width * contentWidth(doc));
+
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+        ensureSpace(doc, ROW_HEIGHT);
+        const y = doc.y;
+        if (fill) doc.rect(MARGIN, y, contentWidth(doc), ROW_HEIGHT).fill(fill);
+
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text)
+                .text(String(cell ?? '-'), x + 4, y + 5, { width: widths[index] - 8, align: columns[index].align || 'left', lineBreak: false, ellipsis: true });
+            x += widths[index];
+        });
+        doc.x = MARGIN;
+        doc.y = y + ROW_HEIGHT;
+    };
+
+    const drawHeader = () => drawRow(columns.map(column => column.header), { bold: true, fill: COLORS.rule });
+
+    ensureSpace(doc, ROW_HEIGHT * 2);
+    drawHeader();
+    if (rows.length === 0) {
+        drawRow(['No records', ...columns.slice(1).map(() => '')]);
+    }
+    rows.forEach((row, index) => {
+        if (doc.y + ROW_HEIGHT > pageBottom(doc)) {
+            doc.addPage();
+            drawHeader();
+        }
+        drawRow(row, { fill: index % 2 === 1 ? COLORS.stripe : null });
+    });
+    doc.moveDown(0.5);
+};
+
+// Horizontal bars, one per item, scaled to the largest value
+const barChart = (doc, items) => {
+    if (items.length === 0) return;
+
+    const labelWidth = 130;
+    const barArea = contentWidth(doc) - labelWidth - 50;
+    const largest = Math.max(...items.map(item => item.value), 1);
+
+    ensureSpace(doc, Math.min(items.length, 6) * 16 + 10);
+    items.forEach((item, index) => {
+        ensureSpace(doc, 16);
+        const y = doc.y;
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.text)
+            .text(item.label, MARGIN, y + 2, { width: labelWidth - 6, lineBreak: false, ellipsis: true });
+        doc.rect(MARGIN + labelWidth, y, Math.max((item.value / largest) * barArea, 1), 11)
+            .fill(COLORS.bars[index % COLORS.bars.length]);
+        doc.fillColor(COLORS.text).text(String(item.value), MARGIN + labelWidth + barArea + 6, y + 2, { lineBreak: false });
+        doc.x = MARGIN;
+        doc.y = y + 16;
+    });
+    doc.moveDown(0.5);
+};
+
+// Vertical bars over time, e.g. registrations per day
+const columnChart = (doc, items) => {
+    if (items.length === 0) return;
+
+    const height = 110;
+    ensureSpace(doc, height + 30);
+
+    const top = doc.y;
+    const width = contentWidth(doc);
+    const slot = width / items.length;
+    const largest = Math.max(...items.map(item => item.value), 1);
+
+    doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height).strokeColor(COLORS.rule).stroke();
+    items.forEach((item, index) => {
+        const barHeight = (item.value / largest) * (height - 12);
+        const x = MARGIN + index * slot;
+        doc.rect(x + slot * 0.15, top + height - barHeight, slot * 0.7, barHeight).fill(COLORS.primary);
+        if (items.length <= 16 || index % Math.ceil(items.length / 16) === 0) {
+            doc.font('Helvetica').fontSize(6).fillColor(COLORS.muted)
+                .text(item.label, x - 4, top + height + 3, { width: slot + 8, align: 'center', lineBreak: false });
+        }
+    });
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted).text(`Highest: ${largest}`, MARGIN, top - 2, { width, align: 'right' });
+    doc.x = MARGIN;
+    doc.y = top + height + 18;
+};
+
+const distributionRows = (distribution, total) => Object.entries(distribution)
+    .map(([label, count]) => [label, count, percentage(count, total)]);
+
+const DISTRIBUTION_COLUMNS = (header) => [
+    { header, width: 0.6 },
+    { header: 'Count', width: 0.2, align: 'right' },
+    { header: 'Share', width: 0.2, align: 'right' }
+];
+
+// Signature lines for the people who prepare and approve the report
+const signOff = (doc) => {
+    ensureSpace(doc, 150);
+    doc.moveDown(2);
+    const width = (contentWidth(doc) - 40) / 2;
+    const top = doc.y;
+
+    [['Prepared by (camp coordinator)', MARGIN], ['Approved by (district health office)', MARGIN + width + 40]].forEach(([role, x]) => {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(role, x, top, { width });
+        ['Name', 'Signature', 'Date'].forEach((line, index) => {
+            const y = top + 30 + index * 32;
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(line, x, y, { width });
+            doc.moveTo(x + 60, y + 10).lineTo(x + width, y + 10).strokeColor(COLORS.muted).stroke();
+        });
+    });
+    doc.x = MARGIN;
+    doc.y = top + 130;
+};
+
+// Footer on every page, written once all pages exist so the total is known
+const pageFooters = (doc, text) => {
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+        doc.switchToPage(index);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0; // Writing inside the margin would otherwise start a new page
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text(text, MARGIN, doc.page.height - 35, { width: contentWidth(doc) * 0.75, lineBreak: false })
+            .text(`Page ${index + 1} of ${count}`, MARGIN, doc.page.height - 35, { width: contentWidth(doc), align: 'right' });
+        doc.page.margins.bottom = bottom;
+    }
+};
+
+// report: { stats (buildStatistics), camp (or null for every camp), dateFrom, dateTo, timezone, generatedAt, generatedBy }.
+// Returns the PDF document, already ended - pipe it to the response before it is read.
+const buildCampaignReport = ({ stats, camp, dateFrom, dateTo, timezone, generatedAt = new Date(), generatedBy }) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        bufferPages: true,
+        info: {
+            Title: `Health Campaign Report${camp ? ` - ${camp.name}` : ''}`,
+            Author: generatedBy || 'Health Campaign Management System',
+            CreationDate: generatedAt
+        }
+    });
+
+    const campName = camp ? camp.name : 'All camps';
+    const period = dateFrom || dateTo ? `${dateFrom || 'start'} to ${dateTo || 'today'}` : 'All registrations';
+    const { overview } = stats;
+
+    // Title block
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text('Health Campaign Report', { align: 'center' });
+    doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted).text(campName, { align: 'center' });
+    doc.moveDown(1);
+
+    table(doc, [{ header: 'Campaign', width: 0.3 }, { header: '', width: 0.7 }], [
+        ['Camp', campName],
+        ...(camp ? [
+            ['Location', camp.location || '-'],
+            ['Camp dates', `${formatDay(camp.startDate, 'UTC')} - ${formatDay(camp.endDate, 'UTC') || 'ongoing'}`],
+            ['Services offered', (camp.services || []).join(', ') || '-']
+        ] : []),
+        ['Reporting period', period],
+        ['Timezone', timezone],
+        ['Generated', `${formatDay(generatedAt, timezone)} ${formatTime(generatedAt, timezone)}${generatedBy ? ` by ${generatedBy}` : ''}`]
+    ]);
+
+    sectionTitle(doc, 'Totals');
+    table(doc, [{ header: 'Figure', width: 0.7 }, { header: 'Value', width: 0.3, align: 'right' }], [
+        ['Patients seen', overview.activePatients],
+        ['Visits', overview.activeVisits],
+        ['Visits completed', overview.completedRecords],
+        ['Visits pending tests', overview.pendingTests],
+        ['Completion rate', `${overview.completionRate}%`],
+        ['Visits referred on', overview.referredVisits],
+        ['Deleted patient records (not counted above)', overview.deletedPatients]
+    ]);
+
+    const serviceTotal = Object.values(stats.serviceDistribution).reduce((sum, count) => sum + count, 0);
+    sectionTitle(doc, 'Services');
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text('A visit for several services counts under each, so shares are of all service requests.');
+    doc.moveDown(0.4);
+    table(doc, DISTRIBUTION_COLUMNS('Service'), distributionRows(stats.serviceDistribution, serviceTotal));
+    barChart(doc, Object.entries(stats.serviceDistribution).map(([label, value]) => ({ label, value })));
+
+    sectionTitle(doc, 'Patients by sex');
+    table(doc, DISTRIBUTION_COLUMNS('Sex'), distributionRows(stats.sexDistribution, overview.activePatients));
+
+    sectionTitle(doc, 'Patients by age');
+    table(doc, DISTRIBUTION_COLUMNS('Age band (years)'), distributionRows(stats.ageDistribution, overview.activePatients));
+    barChart(doc, Object.entries(stats.ageDistribution).map(([label, value]) => ({ label: `${label} years`, value })));
+
+    sectionTitle(doc, 'Patients by family group');
+    table(doc, DISTRIBUTION_COLUMNS('Family group'), distributionRows(stats.familyGroupDistribution, overview.activePatients));
+
+    sectionTitle(doc, 'Laboratory');
+    table(doc, [
+        { header: 'Test', width: 0.28 },
+        { header: 'Ordered', width: 0.12, align: 'right' },
+        { header: 'Resulted', width: 0.12, align: 'right' },
+        { header: 'Positive', width: 0.12, align: 'right' },
+        { header: 'Negative', width: 0.12, align: 'right' },
+        { header: 'Abnormal', width: 0.12, align: 'right' },
+        { header: 'Positivity', width: 0.12, align: 'right' }
+    ], Object.entries(stats.labResults).map(([test, result]) => [
+        test,
+        result.ordered,
+        result.resulted,
+        result.positive,
+        result.negative,
+        result.abnormal,
+        result.positivityRate === null ? '-' : `${result.positivityRate}%`
+    ]));
+
+    sectionTitle(doc, 'Referrals');
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(`${overview.referredVisits} of ${overview.activeVisits} visits (${percentage(overview.referredVisits, overview.activeVisits)}) were referred on for further care.`);
+    doc.moveDown(0.4);
+    table(doc, DISTRIBUTION_COLUMNS('Referred to'), distributionRows(stats.referralDistribution, overview.referredVisits));
+
+    sectionTitle(doc, 'Registrations per day');
+    const daily = Object.entries(stats.trends.dailyRegistrations).map(([label, value]) => ({ label: label.slice(5), value }));
+    if (daily.length > 0) {
+        columnChart(doc, daily);
+    } else {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('No registrations in this period.');
+    }
+
+    signOff(doc);
+    pageFooters(doc, `Health Campaign Report - ${campName} - ${period}`);
+    doc.end();
+    return doc;
+};
+
+module.exports = {
+    buildCampaignReport
+};
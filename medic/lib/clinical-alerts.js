@@ -0,0 +1,188 @@
+// Clinical alert rules - derived vital signs and the rule engine that flags abnormal values.
+// Shared by the API server and the maintenance scripts so both flag visits the same way.
+
+const ALERT_SEVERITIES = ['critical', 'warning'];
+const ALERT_OPERATORS = ['<', '<=', '>', '>=', '=', '!='];
+
+// Higher priority visits are seen first on the pending list
+const SEVERITY_PRIORITY = { critical: 2, warning: 1 };
+
+// Metrics a rule condition can test. Lab results are addressed as 'lab:<test name>'
+// and compare the numeric value or the positive/negative result of the latest resulted order.
+const VITAL_METRICS = ['systolic', 'diastolic', 'pulse', 'temperature', 'height', 'weight', 'bmi'];
+
+// Rules created the first time the server starts. Staff can change thresholds,
+// deactivate rules or add their own through the API afterwards.
+const DEFAULT_ALERT_RULES = [
+    {
+        code: 'hypertensive_crisis',
+        label: 'Hypertensive crisis',
+        severity: 'critical',
+        match: 'any',
+        conditions: [
+            { metric: 'systolic', operator: '>=', value: 180 },
+            { metric: 'diastolic', operator: '>=', value: 120 }
+        ],
+        supersedes: ['hypertension']
+    },
+    {
+        code: 'hypertension',
+        label: 'High blood pressure',
+        severity: 'warning',
+        match: 'any',
+        conditions: [
+            { metric: 'systolic', operator: '>=', value: 140 },
+            { metric: 'diastolic', operator: '>=', value: 90 }
+        ]
+    },
+    {
+        code: 'fever',
+        label: 'Fever',
+        severity: 'warning',
+        match: 'any',
+        conditions: [{ metric: 'temperature', operator: '>=', value: 38 }]
+    },
+    {
+        code: 'tachycardia',
+        label: 'Tachycardia',
+        severity: 'warning',
+        match: 'any',
+        conditions: [{ metric: 'pulse', operator: '>', value: 100 }]
+    },
+    {
+        code: 'hypoglycaemia',
+        label: 'Hypoglycaemia',
+        severity: 'critical',
+        match: 'any',
+        conditions: [{ metric: 'lab:Blood glucose', operator: '<', value: 70 }]
+    },
+    {
+        code: 'hiv_positive',
+        label: 'HIV positive',
+        severity: 'critical',
+        match: 'any',
+        conditions: [{ metric: 'lab:HIV', operator: '=', value: 'positive' }]
+    },
+    {
+        code: 'syphilis_positive',
+        label: 'Syphilis positive',
+        severity: 'warning',
+        match: 'any',
+        conditions: [{ metric: 'lab:Syphilis', operator: '=', value: 'positive' }]
+    }
+];
+
+// '120/80', '120 / 80 mmHg' and '120-80' all give { systolic: 120, diastolic: 80 }
+const parseBloodPressure = (reading) => {
+    const match = String(reading || '').match(/(\d{2,3})\s*[\/\-]\s*(\d{2,3})/);
+    if (!match) return null;
+
+    const systolic = parseInt(match[1]);
+    const diastolic = parseInt(match[2]);
+    if (systolic < 50 || systolic > 300 || diastolic < 20 || diastolic > 200 || diastolic >= systolic) {
+        return null;
+    }
+
+    return { systolic, diastolic };
+};
+
+// Body mass index from height in cm and weight in kg, to one decimal place
+const computeBmi = (height, weight) => {
+    const heightM = parseFloat(height) / 100;
+    const weightKg = parseFloat(weight);
+    if (!heightM || !weightKg || heightM <= 0 || weightKg <= 0) return null;
+
+    return Math.round((weightKg / (heightM * heightM)) * 10) / 10;
+};
+
+// Vital signs with systolic, diastolic and BMI filled in from the recorded readings
+const deriveVitalSigns = (vitalSigns = {}) => {
+    const { systolic, diastolic, bmi: previousBmi, ...derived } = vitalSigns;
+    const bloodPressure = parseBloodPressure(vitalSigns.bloodPressure);
+    const bmi = computeBmi(vitalSigns.height, vitalSigns.weight);
+
+    if (bloodPressure) Object.assign(derived, bloodPressure);
+    if (bmi !== null) derived.bmi = bmi;
+
+    return derived;
+};
+
+// Flat map of every measurement a rule can test for one visit
+const collectMetrics = ({ vitalSigns = {}, labOrders = [] } = {}) => {
+    const vitals = deriveVitalSigns(vitalSigns || {});
+    const metrics = {};
+
+    VITAL_METRICS.forEach(metric => {
+        const value = parseFloat(vitals[metric]);
+        if (!isNaN(value)) metrics[metric] = value;
+    });
+
+    // Orders are kept in the order they were placed, so later results win
+    (labOrders || []).filter(order => order.status === 'resulted' && order.result).forEach(order => {
+        const value = order.resultType === 'numeric' ? order.result.value : order.result.qualitative;
+        if (value !== undefined && value !== null) metrics[`lab:${order.test}`] = value;
+    });
+
+    return metrics;
+};
+
+const compare = (actual, operator, expected) => {
+    switch (operator) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '=': return String(actual) === String(expected);
+        case '!=': return String(actual) !== String(expected);
+        default: return false;
+    }
+};
+
+// Alerts raised for a visit and the visit's priority (highest alert severity)
+const evaluateAlerts = (encounter, rules = DEFAULT_ALERT_RULES) => {
+    const metrics = collectMetrics(encounter);
+    const raised = [];
+
+    rules.filter(rule => rule.isActive !== false).forEach(rule => {
+        const results = rule.conditions.map(condition => {
+            const actual = metrics[condition.metric];
+            return actual !== undefined && compare(actual, condition.operator, condition.value)
+                ? `${condition.metric.replace(/^lab:/, '')} ${actual}`
+                : null;
+        });
+
+        const triggered = rule.match === 'all' ? results.every(Boolean) : results.some(Boolean);
+        if (triggered) {
+            raised.push({
+                code: rule.code,
+                label: rule.label,
+                severity: rule.severity,
+                detail: results.filter(Boolean).join(', '),
+                supersedes: rule.supersedes || []
+            });
+        }
+    });
+
+    const superseded = new Set(raised.flatMap(alert => alert.supersedes));
+    const alerts = raised
+        .filter(alert => !superseded.has(alert.code))
+        .map(({ supersedes, ...alert }) => alert)
+        .sort((a, b) => SEVERITY_PRIORITY[b.severity] - SEVERITY_PRIORITY[a.severity]);
+
+    const priority = alerts.reduce((highest, alert) => Math.max(highest, SEVERITY_PRIORITY[alert.severity] || 0), 0);
+
+    return { alerts, priority };
+};
+
+module.exports = {
+    ALERT_SEVERITIES,
+    ALERT_OPERATORS,
+    SEVERITY_PRIORITY,
+    VITAL_METRICS,
+    DEFAULT_ALERT_RULES,
+    parseBloodPressure,
+    computeBmi,
+    deriveVitalSigns,
+    collectMetrics,
+    evaluateAlerts
+};
@@ -0,0 +1,99 @@
+// Dates and camp timezones. Timestamps are stored as UTC Dates; anything that talks about a "day" -
+// date filters, daily trends, ticket numbering, export columns - uses the camp's timezone, so a
+// registration at 00:30 in Bamenda counts on the day staff saw it, not the server's day.
+
+// Timezone for camps that do not set one, and for reports across every camp
+const DEFAULT_TIMEZONE = process.env.CAMP_TIMEZONE || 'Africa/Douala';
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock parts of an instant in a timezone
+const zonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+};
+
+// How far the timezone's clock is ahead of UTC at that instant, in milliseconds
+const timeZoneOffset = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a calendar day ('2025-10-19') starts in a timezone. Checked twice because the
+// offset can differ on either side of a daylight saving change.
+const startOfDay = (day, timeZone = DEFAULT_TIMEZONE) => {
+    const match = String(day).match(DAY_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, date] = match.map(Number);
+    const wallClock = Date.UTC(year, month - 1, date);
+    let instant = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+    instant = wallClock - timeZoneOffset(new Date(instant), timeZone);
+    return new Date(instant);
+};
+
+// '2025-10-19' for an instant, as the day it was in the timezone
+const dayKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day } = zonedParts(new Date(date), timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Calendar day n days before (or after) another
+const addDays = (day, days) => {
+    const [, year, month, date] = String(day).match(DAY_PATTERN).map(Number);
+    return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+};
+
+// Query condition for whole days from dateFrom to dateTo inclusive, or null when neither is given
+const dayRange = (dateFrom, dateTo, timeZone = DEFAULT_TIMEZONE) => {
+    if (!dateFrom && !dateTo) return null;
+
+    const range = {};
+    if (dateFrom) range.$gte = startOfDay(dateFrom, timeZone);
+    if (dateTo) range.$lt = startOfDay(addDays(dateTo, 1), timeZone);
+    return range;
+};
+
+// Start of the day `days - 1` days before today, so the period covers `days` whole days including today
+const periodStart = (days, timeZone = DEFAULT_TIMEZONE, now = new Date()) => {
+    return startOfDay(addDays(dayKey(now, timeZone), 1 - days), timeZone);
+};
+
+// Spreadsheet cells have no timezone - a Date whose UTC fields are the wall-clock time in the timezone,
+// so Excel shows the time staff saw
+const wallClockDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+    if (!date) return null;
+    const { year, month, day, hour, minute, second } = zonedParts(new Date(date), timeZone);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// '19/10/2025' and '14:05:09' as shown to staff
+const formatDay = (date, timeZone = DEFAULT_TIMEZONE) => date ? new Date(date).toLocaleDateString('en-GB', { timeZone }) : '';
+const formatTime = (date, timeZone = DEFAULT_TIMEZONE) => date ? new Date(date).toLocaleTimeString('en-GB', { timeZone }) : '';
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    startOfDay,
+    dayKey,
+    addDays,
+    dayRange,
+    periodStart,
+    wallClockDate,
+    formatDay,
+    formatTime
+};
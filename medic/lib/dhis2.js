@@ -0,0 +1,220 @@
+// DHIS2 reporting - the district reports camp activity into DHIS2 as aggregate data values. A mapping
+// (kept in the database, edited by an admin) ties each of our counts - services delivered, lab tests
+// performed and positive, referrals, each optionally by sex and age band - to a data element and category option
+// combo. This module turns DHIS2 periods into days, counts the visits, fills in the mapping as a
+// dataValueSets payload (JSON or CSV) and posts it to DHIS2.
+//
+// The DHIS2 instance is configured from the environment: DHIS2_URL (the server's base URL, e.g.
+// https://dhis2.example.org) and either DHIS2_TOKEN (a personal access token) or DHIS2_USERNAME and
+// DHIS2_PASSWORD. Without DHIS2_URL payloads can still be downloaded and imported by hand.
+
+const { escapeCsvField } = require('./patient-columns');
+const { ageBandExpression } = require('./reports');
+
+const DHIS2_CONFIG = {
+    url: (process.env.DHIS2_URL || '').replace(/\/+$/, ''),
+    token: process.env.DHIS2_TOKEN,
+    username: process.env.DHIS2_USERNAME,
+    password: process.env.DHIS2_PASSWORD,
+    timeout: Number(process.env.DHIS2_TIMEOUT_MS) || 30000
+};
+
+// What a mapping row can count, and the row field (service or test) that narrows it to one item
+const AGGREGATES = {
+    services: { label: 'Services delivered', item: 'service', description: 'Visits for the service, cancelled visits left out' },
+    labTestsPerformed: { label: 'Lab tests performed', item: 'test', description: 'Lab orders with a result' },
+    labTestsPositive: { label: 'Lab tests positive', item: 'test', description: 'Lab orders with a positive result' },
+    referrals: { label: 'Referrals', item: null, description: 'Visits referred on to another facility, cancelled visits left out' }
+};
+
+const AGGREGATE_NAMES = Object.keys(AGGREGATES);
+
+// DHIS2 identifiers: 11 letters and digits, starting with a letter
+const UID_PATTERN = '^[A-Za-z][A-Za-z0-9]{10}$';
+
+// DHIS2 period formats this export understands - daily, ISO weekly, monthly, quarterly and yearly
+const PERIOD_PATTERN = '^\\d{4}(\\d{4}|W\\d{1,2}|\\d{2}|Q[1-4])?$';
+
+const DHIS2_CSV_HEADERS = ['dataelement', 'period', 'orgunit', 'catoptcombo', 'attroptcombo', 'value'];
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// A DHIS2 period ('20240315', '2024W11', '202403', '2024Q1', '2024') as its first and last calendar
+// days, or null when it is not a real period
+const periodDays = (period) => {
+    const text = String(period || '');
+    let match;
+
+    if ((match = text.match(/^(\d{4})$/))) {
+        return { type: 'Yearly', dateFrom: `${match[1]}-01-01`, dateTo: `${match[1]}-12-31` };
+    }
+    if ((match = text.match(/^(\d{4})Q([1-4])$/))) {
+        const [year, quarter] = [Number(match[1]), Number(match[2])];
+        return {
+            type: 'Quarterly',
+            dateFrom: day(new Date(Date.UTC(year, (quarter - 1) * 3, 1))),
+            dateTo: day(new Date(Date.UTC(year, quarter * 3, 0)))
+        };
+    }
+    if ((match = text.match(/^(\d{4})W(\d{1,2})$/))) {
+        // ISO weeks start on Monday and belong to the year their Thursday is in - week 1 holds 4 January
+        const [year, week] = [Number(match[1]), Number(match[2])];
+        const january4 = new Date(Date.UTC(year, 0, 4));
+        const monday = new Date(Date.UTC(year, 0, 4 - ((january4.getUTCDay() + 6) % 7) + (week - 1) * 7));
+        if (week < 1 || new Date(monday.getTime() + 3 * 86400000).getUTCFullYear() !== year) return null;
+        return { type: 'Weekly', dateFrom: day(monday), dateTo: day(new Date(monday.getTime() + 6 * 86400000)) };
+    }
+    if ((match = text.match(/^(\d{4})(\d{2})$/))) {
+        const [year, month] = [Number(match[1]), Number(match[2])];
+        if (month < 1 || month > 12) return null;
+        return { type: 'Monthly', dateFrom: `${match[1]}-${match[2]}-01`, dateTo: day(new Date(Date.UTC(year, month, 0))) };
+    }
+    if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        const parsed = new Date(`${date}T00:00:00Z`);
+        if (isNaN(parsed) || day(parsed) !== date) return null;
+        return { type: 'Daily', dateFrom: date, dateTo: date };
+    }
+    return null;
+};
+
+// Aggregation stages run after the patient view pipeline: services per visit, lab orders and referred
+// visits, each counted by item, sex and age band
+const countStages = (ageBands) => {
+    const groupKey = (item) => ({ item, sex: { $ifNull: ['$sex', null] }, ageBand: ageBandExpression(ageBands) });
+    return [{
+        $facet: {
+            services: [
+                { $match: { status: { $ne: 'cancelled' } } },
+                { $unwind: '$services' },
+                { $group: { _id: groupKey('$services'), services: { $sum: 1 } } }
+            ],
+            labTests: [
+                { $match: { status: { $ne: 'cancelled' } } },
+                { $unwind: '$labOrders' },
+                { $match: { 'labOrders.status': 'resulted' } },
+                {
+                    $group: {
+                        _id: groupKey('$labOrders.test'),
+                        labTestsPerformed: { $sum: 1 },
+                        labTestsPositive: { $sum: { $cond: [{ $eq: ['$labOrders.result.qualitative', 'positive'] }, 1, 0] } }
+                    }
+                }
+            ],
+            referrals: [
+                { $match: { status: { $ne: 'cancelled' }, referredTo: { $nin: ['', null] } } },
+                { $group: { _id: groupKey(null), referrals: { $sum: 1 } } }
+            ]
+        }
+    }];
+};
+
+// The facet result as flat cells: { aggregate, item, sex, ageBand, count }
+const countCells = (facet) => [
+    ...facet.services.map(group => ({ ...group._id, aggregate: 'services', count: group.services })),
+    ...facet.labTests.flatMap(group => ['labTestsPerformed', 'labTestsPositive']
+        .map(aggregate => ({ ...group._id, aggregate, count: group[aggregate] }))),
+    ...facet.referrals.map(group => ({ ...group._id, aggregate: 'referrals', count: group.referrals }))
+];
+
+// The value for one mapping row - the cells it covers added up. A row without a service, test, sex or
+// age band counts all of them.
+const mappedCount = (row, cells) => {
+    const { item: itemField } = AGGREGATES[row.aggregate];
+    const item = itemField && row[itemField];
+    return cells
+        .filter(cell => cell.aggregate === row.aggregate &&
+            (!item || cell.item === item) &&
+            (!row.sex || cell.sex === row.sex) &&
+            (!row.ageBand || cell.ageBand === row.ageBand))
+        .reduce((total, cell) => total + cell.count, 0);
+};
+
+// A dataValueSets payload for one period and org unit. Zero counts are sent too, so a corrected
+// export replaces a value pushed earlier instead of leaving it behind.
+const buildDataValueSet = (mapping, cells, { period, orgUnit }) => ({
+    ...(mapping.dataSet && { dataSet: mapping.dataSet }),
+    period,
+    orgUnit,
+    dataValues: (mapping.rows || []).map(row => ({
+        dataElement: row.dataElement,
+        period,
+        orgUnit,
+        ...(row.categoryOptionCombo && { categoryOptionCombo: row.categoryOptionCombo }),
+        ...((row.attributeOptionCombo || mapping.attributeOptionCombo) && { attributeOptionCombo: row.attributeOptionCombo || mapping.attributeOptionCombo }),
+        value: String(mappedCount(row, cells))
+    }))
+});
+
+// The payload in DHIS2's CSV import layout, blank category option combos meaning the default
+const dataValueSetCsv = (payload) => [
+    DHIS2_CSV_HEADERS.join(','),
+    ...payload.dataValues.map(value => [
+        value.dataElement,
+        value.period,
+        value.orgUnit,
+        value.categoryOptionCombo,
+        value.attributeOptionCombo,
+        value.value
+    ].map(escapeCsvField).join(','))
+].join('\n') + '\n';
+
+const isConfigured = () => Boolean(DHIS2_CONFIG.url);
+
+// Posts the payload to DHIS2 and returns its import summary: { status, importCount, conflicts }.
+// DHIS2 2.38+ wraps the summary in a web message and answers 409 when values conflict; both are read.
+const pushDataValueSet = async (payload, { dryRun = false } = {}) => {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (DHIS2_CONFIG.token) {
+        headers.Authorization = `ApiToken ${DHIS2_CONFIG.token}`;
+    } else if (DHIS2_CONFIG.username) {
+        headers.Authorization = `Basic ${Buffer.from(`${DHIS2_CONFIG.username}:${DHIS2_CONFIG.password || ''}`).toString('base64')}`;
+    }
+
+    const failed = (message) => {
+        const error = new Error(message);
+        error.statusCode = 502;
+        return error;
+    };
+
+    let response;
+    try {
+        response = await fetch(`${DHIS2_CONFIG.url}/api/dataValueSets?importStrategy=CREATE_AND_UPDATE&dryRun=${dryRun}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(DHIS2_CONFIG.timeout)
+        });
+    } catch (error) {
+        throw failed(`DHIS2 could not be reached: ${error.name === 'TimeoutError' ? 'no answer in time' : error.cause?.message || error.message}`);
+    }
+
+    const body = await response.json().catch(() => null);
+    const summary = body?.response?.importCount ? body.response : body;
+    if (!summary?.importCount) {
+        if (response.status === 401 || response.status === 403) throw failed('DHIS2 refused the credentials - check DHIS2_TOKEN or DHIS2_USERNAME and DHIS2_PASSWORD');
+        throw failed(`DHIS2 answered ${response.status}${body?.message ? `: ${body.message}` : ''}`);
+    }
+
+    return {
+        status: summary.status,
+        importCount: summary.importCount,
+        conflicts: (summary.conflicts || []).map(conflict => ({ object: conflict.object, value: conflict.value }))
+    };
+};
+
+module.exports = {
+    DHIS2_CONFIG,
+    AGGREGATES,
+    AGGREGATE_NAMES,
+    UID_PATTERN,
+    PERIOD_PATTERN,
+    periodDays,
+    countStages,
+    countCells,
+    mappedCount,
+    buildDataValueSet,
+    dataValueSetCsv,
+    isConfigured,
+    pushDataValueSet
+};
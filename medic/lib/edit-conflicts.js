@@ -0,0 +1,82 @@
+// Edit conflicts - optimistic concurrency for patient edits. An edit says which version of the record it
+// was made on (baseLastModified); when the record has been saved since, the history entries written after
+// that time tell which fields other staff changed, and only a submitted field that would overwrite one of
+// those changes with a different value is a conflict.
+
+// Fields an update writes whatever operator it uses - { $set: { name } } and { name } both write name
+const updatedFields = (update = {}) => Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') ? Object.keys(value || {}) : [key]);
+
+// Bookkeeping written alongside changes - not a change to the record itself
+const BOOKKEEPING_FIELDS = ['modificationHistory', 'lastModified', 'updatedAt', 'createdAt'];
+
+// Whether an update only records history. Such updates leave lastModified alone, so the version an
+// edit was just saved as stays the version the next edit can be made on.
+const writesOnlyHistory = (update) => updatedFields(update).every(field => BOOKKEEPING_FIELDS.includes(field.split('.')[0]));
+
+// Field-level from/to changes between a stored patient and an update payload
+const diffChanges = (current, updates) => {
+    const changes = {};
+    Object.keys(updates).forEach(key => {
+        if (key === 'lastModified') return;
+        if (JSON.stringify(current[key]) !== JSON.stringify(updates[key])) {
+            changes[key] = {
+                from: current[key],
+                to: updates[key]
+            };
+        }
+    });
+    return changes;
+};
+
+// Field-level picture of a stale edit: what other staff changed since the client loaded the record,
+// and which submitted fields would overwrite one of those changes with a different value
+const describeEditConflict = (patient, currentView, baseTime, submitted) => {
+    const serverChanges = [];
+    (patient.modificationHistory || []).forEach(entry => {
+        if (new Date(entry.timestamp).getTime() <= baseTime) return;
+        if (entry.encounter && currentView.encounterId && String(entry.encounter) !== String(currentView.encounterId)) return;
+
+        Object.entries(entry.changes || {}).forEach(([field, change]) => {
+            if (!change || typeof change !== 'object' || !('to' in change)) return;
+            serverChanges.push({
+                field,
+                from: change.from,
+                to: change.to,
+                action: entry.action,
+                changedBy: entry.user?.name || entry.user?.username,
+                changedAt: entry.timestamp
+            });
+        });
+    });
+
+    const changedFields = new Set(serverChanges.map(change => change.field));
+    const conflicts = Object.keys(submitted)
+        .filter(field => changedFields.has(field) && JSON.stringify(submitted[field]) !== JSON.stringify(currentView[field]))
+        .map(field => {
+            const latest = serverChanges.filter(change => change.field === field).pop();
+            return {
+                field,
+                yours: submitted[field],
+                current: currentView[field],
+                changedBy: latest.changedBy,
+                changedAt: latest.changedAt
+            };
+        });
+
+    return { serverChanges, conflicts };
+};
+
+// null when the record is unchanged since baseTime, else the conflict picture. A stale edit whose
+// conflicts are empty touches none of the fields changed since and can be applied on top of them.
+const staleEdit = (patient, currentView, baseTime, submitted) => {
+    if (!currentView.lastModified || new Date(currentView.lastModified).getTime() <= baseTime) return null;
+    return describeEditConflict(patient, currentView, baseTime, submitted);
+};
+
+module.exports = {
+    writesOnlyHistory,
+    diffChanges,
+    describeEditConflict,
+    staleEdit
+};
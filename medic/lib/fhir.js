@@ -0,0 +1,410 @@
+// FHIR R4 - patients and their visits as FHIR resources for partner clinics and the district hospital, and
+// bundles from them read back into registrations. A visit becomes an Encounter (its services as types), its
+// vital signs Observations with LOINC codes, its lab orders ServiceRequests with an Observation per result,
+// and its diagnosis a Condition. Age, family group and occupation have no Patient element and travel as
+// extensions. Reading checks each resource against lib/validation/fhir.js and the references between them.
+
+const { compile, fieldError } = require('./validation');
+const { RESOURCE_SCHEMAS, SUPPORTED_RESOURCES } = require('./validation/fhir');
+const { SEXES } = require('./validation/patients');
+const { getLabTestDefinition } = require('./lab-tests');
+
+const FHIR_VERSION = '4.0.1';
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const ACT_CODE = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+
+// Identifier systems and extension URLs of this system. Set FHIR_SYSTEM_URI to the URL partners know it by.
+const SYSTEM_URI = process.env.FHIR_SYSTEM_URI || 'urn:health-camp';
+const SYSTEMS = {
+    patient: `${SYSTEM_URI}:patient`,
+    encounter: `${SYSTEM_URI}:visit`,
+    camp: `${SYSTEM_URI}:camp`,
+    service: `${SYSTEM_URI}:service`,
+    labTest: `${SYSTEM_URI}:lab-test`
+};
+const EXTENSIONS = {
+    age: `${SYSTEM_URI}:extension:age`,
+    familyGroup: `${SYSTEM_URI}:extension:family-group`,
+    occupation: `${SYSTEM_URI}:extension:occupation`
+};
+
+// Vital signs with their LOINC codes and UCUM units. Blood pressure is a panel of two components.
+const VITAL_SIGN_CODES = {
+    height: { code: '8302-2', display: 'Body height', unit: 'cm' },
+    weight: { code: '29463-7', display: 'Body weight', unit: 'kg' },
+    pulse: { code: '8867-4', display: 'Heart rate', unit: '/min' },
+    temperature: { code: '8310-5', display: 'Body temperature', unit: 'Cel' },
+    bmi: { code: '39156-5', display: 'Body mass index (BMI) [Ratio]', unit: 'kg/m2' }
+};
+const BLOOD_PRESSURE_CODES = {
+    panel: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+    systolic: { code: '8480-6', display: 'Systolic blood pressure', unit: 'mm[Hg]' },
+    diastolic: { code: '8462-4', display: 'Diastolic blood pressure', unit: 'mm[Hg]' }
+};
+
+const ENCOUNTER_STATUS = { registered: 'arrived', completed: 'finished', cancelled: 'cancelled' };
+const SERVICE_REQUEST_STATUS = { ordered: 'active', sample_collected: 'active', resulted: 'completed', cancelled: 'revoked' };
+const QUALITATIVE_CODES = { positive: 'POS', negative: 'NEG', indeterminate: 'IND' };
+const FLAG_CODES = { low: 'L', normal: 'N', high: 'H' };
+
+// ===== EXPORT =====
+
+const concept = (system, code, display) => ({ coding: [{ system, code, ...(display && { display }) }], text: display || code });
+const quantity = (value, unit) => ({ value, unit, system: UCUM, code: unit });
+const isoDate = (date) => date ? new Date(date).toISOString() : undefined;
+const withoutEmpty = (resource) => Object.fromEntries(Object.entries(resource).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)));
+
+// The person, from a patient view record (lib/patient-columns.js documents the fields)
+const patientResource = (patient) => withoutEmpty({
+    resourceType: 'Patient',
+    id: String(patient.patientId || patient._id),
+    identifier: [{ system: SYSTEMS.patient, value: String(patient.patientId || patient._id) }],
+    active: !patient.isDeleted,
+    name: [{ text: patient.name }],
+    telecom: patient.tel ? [{ system: 'phone', value: patient.tel }] : [],
+    gender: patient.sex ? patient.sex.toLowerCase() : 'unknown',
+    extension: [
+        Number.isFinite(patient.age) && { url: EXTENSIONS.age, valueAge: { value: patient.age, unit: 'a', system: UCUM, code: 'a' } },
+        patient.familyGroup && { url: EXTENSIONS.familyGroup, valueString: patient.familyGroup },
+        patient.occupation && { url: EXTENSIONS.occupation, valueString: patient.occupation }
+    ].filter(Boolean)
+});
+
+// The visit and what was recorded at it. The camp is the visit's location.
+const visitResources = (visit) => {
+    const encounterId = String(visit.encounterId);
+    const subject = { reference: `Patient/${visit.patientId || visit._id}`, display: visit.name };
+    const encounterRef = { reference: `Encounter/${encounterId}` };
+    const effectiveDateTime = isoDate(visit.registrationDate);
+    const vitals = visit.vitalSigns || {};
+
+    const encounter = withoutEmpty({
+        resourceType: 'Encounter',
+        id: encounterId,
+        identifier: [{ system: SYSTEMS.encounter, value: encounterId }],
+        status: ENCOUNTER_STATUS[visit.status] || 'unknown',
+        class: { system: ACT_CODE, code: 'AMB', display: 'ambulatory' },
+        type: (visit.services || []).map(service => concept(SYSTEMS.service, service, service)),
+        subject,
+        period: withoutEmpty({ start: effectiveDateTime, end: isoDate(visit.completionDate) }),
+        location: visit.camp?._id ? [{
+            location: { identifier: { system: SYSTEMS.camp, value: String(visit.camp._id) }, display: visit.camp.name }
+        }] : []
+    });
+
+    const vitalSign = (id, code, properties) => ({
+        resourceType: 'Observation',
+        id: `${encounterId}-${id}`,
+        status: 'final',
+        category: [concept(OBSERVATION_CATEGORY, 'vital-signs', 'Vital Signs')],
+        code: concept(LOINC, code.code, code.display),
+        subject,
+        encounter: encounterRef,
+        effectiveDateTime,
+        ...properties
+    });
+
+    const observations = Object.entries(VITAL_SIGN_CODES)
+        .filter(([field]) => Number.isFinite(vitals[field]))
+        .map(([field, code]) => vitalSign(field, code, { valueQuantity: quantity(vitals[field], code.unit) }));
+
+    if (Number.isFinite(vitals.systolic) && Number.isFinite(vitals.diastolic)) {
+        observations.push(vitalSign('blood-pressure', BLOOD_PRESSURE_CODES.panel, {
+            component: ['systolic', 'diastolic'].map(part => ({
+                code: concept(LOINC, BLOOD_PRESSURE_CODES[part].code, BLOOD_PRESSURE_CODES[part].display),
+                valueQuantity: quantity(vitals[part], BLOOD_PRESSURE_CODES[part].unit)
+            }))
+        }));
+    }
+
+    // Orders as ServiceRequests, results as laboratory Observations based on them
+    const labResources = (visit.labOrders || []).flatMap(order => {
+        const orderId = String(order._id);
+        const code = concept(SYSTEMS.labTest, order.test, order.test);
+        const request = withoutEmpty({
+            resourceType: 'ServiceRequest',
+            id: orderId,
+            status: SERVICE_REQUEST_STATUS[order.status] || 'unknown',
+            intent: 'order',
+            category: [concept('http://snomed.info/sct', '108252007', 'Laboratory procedure')],
+            code,
+            subject,
+            encounter: encounterRef,
+            authoredOn: isoDate(order.orderedAt)
+        });
+        if (order.status !== 'resulted') return [request];
+
+        const result = order.result || {};
+        const value = order.resultType === 'qualitative' && result.qualitative
+            ? { valueCodeableConcept: concept(INTERPRETATION, QUALITATIVE_CODES[result.qualitative], result.qualitative) }
+            : order.resultType === 'numeric' && Number.isFinite(result.value)
+                ? { valueQuantity: withoutEmpty({ value: result.value, unit: result.unit }) }
+                : { valueString: result.text };
+
+        return [request, withoutEmpty({
+            resourceType: 'Observation',
+            id: `${orderId}-result`,
+            status: 'final',
+            category: [concept(OBSERVATION_CATEGORY, 'laboratory', 'Laboratory')],
+            code,
+            subject,
+            encounter: encounterRef,
+            basedOn: [{ reference: `ServiceRequest/${orderId}` }],
+            effectiveDateTime: isoDate(order.resultedAt),
+            ...value,
+            interpretation: result.flag ? [concept(INTERPRETATION, FLAG_CODES[result.flag], result.flag)] : []
+        })];
+    });
+
+    const condition = visit.diagnosis ? [withoutEmpty({
+        resourceType: 'Condition',
+        id: `${encounterId}-diagnosis`,
+        category: [concept(CONDITION_CATEGORY, 'encounter-diagnosis', 'Encounter Diagnosis')],
+        code: { text: visit.diagnosis },
+        subject,
+        encounter: encounterRef,
+        recordedDate: isoDate(visit.completionDate)
+    })] : [];
+
+    return [encounter, ...observations, ...labResources, ...condition];
+};
+
+// An entry for a collection bundle - baseUrl is where the resources would be read from
+const bundleEntry = (resource, baseUrl) => ({ fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`, resource });
+
+// ===== IMPORT =====
+
+const validators = Object.fromEntries(SUPPORTED_RESOURCES.map(type => [type, compile(RESOURCE_SCHEMAS[type])]));
+
+const codings = (codeableConcept) => (codeableConcept?.coding || []);
+const hasCode = (codeableConcept, system, code) => codings(codeableConcept).some(item => item.system === system && item.code === code);
+const conceptText = (codeableConcept, system) => {
+    const own = codings(codeableConcept).find(item => item.system === system);
+    return own?.code || codeableConcept?.text || codings(codeableConcept).find(item => item.display)?.display;
+};
+const extensionValue = (resource, url) => (resource.extension || []).find(item => item.url === url);
+const ownIdentifier = (resource, system) => (resource.identifier || []).find(item => item.system === system)?.value;
+
+// Whole years between a FHIR birth date and a day
+const ageOn = (birthDate, day) => {
+    const [year, month = 1, date = 1] = birthDate.split('-').map(Number);
+    const on = new Date(day);
+    let age = on.getUTCFullYear() - year;
+    if (on.getUTCMonth() + 1 < month || (on.getUTCMonth() + 1 === month && on.getUTCDate() < date)) age--;
+    return age;
+};
+
+// Finds the entry a reference points at: a fullUrl, Type/id, or an absolute URL ending in Type/id
+const referenceIndex = (entries) => {
+    const byKey = new Map();
+    entries.forEach((entry, index) => {
+        if (entry.fullUrl) byKey.set(entry.fullUrl, index);
+        if (entry.resource.id) byKey.set(`${entry.resource.resourceType}/${entry.resource.id}`, index);
+    });
+    return (reference, resourceType) => {
+        const text = reference?.reference;
+        if (!text) return undefined;
+        const index = byKey.has(text) ? byKey.get(text) : byKey.get(text.split('/').slice(-2).join('/'));
+        return index !== undefined && entries[index].resource.resourceType === resourceType ? index : undefined;
+    };
+};
+
+// The bundle's patients and visits as registration data, or the problems that stop it being read.
+// Field names point into the bundle (entry.3.resource.gender) so a partner can find each problem.
+//   patients - [{ index, fhirId, ownId, data: { name, age, sex, tel, occupation, familyGroup } }]
+//   visits   - [{ index, fhirId, ownId, patient (index), camp: { id, name }, data: { services, status, ... } }]
+const readBundle = (bundle) => {
+    const entries = bundle.entry || [];
+    const problems = [];
+    const problem = (index, field, code, message) => problems.push(fieldError(`entry.${index}.resource${field ? `.${field}` : ''}`, code, message));
+
+    // Structure first - references are only followed between resources that are well formed
+    const resources = entries.map((entry, index) => {
+        const validate = validators[entry.resource.resourceType];
+        if (!validate) {
+            problem(index, 'resourceType', 'invalid_choice', `${entry.resource.resourceType} resources are not imported. Supported: ${SUPPORTED_RESOURCES.join(', ')}`);
+            return null;
+        }
+        const { value, errors } = validate(entry.resource);
+        errors.forEach(error => problem(index, error.field, error.code, error.message));
+        return errors.length === 0 ? { ...entry, resource: value } : null;
+    });
+    if (problems.length > 0) return { problems, patients: [], visits: [] };
+
+    const find = referenceIndex(resources);
+    const ofType = (type) => resources.map((entry, index) => ({ ...entry, index })).filter(entry => entry.resource.resourceType === type);
+
+    const visits = ofType('Encounter').map(({ resource, index }) => {
+        const patient = find(resource.subject, 'Patient');
+        if (patient === undefined) problem(index, 'subject', 'required', 'The Encounter must name a Patient in the bundle as its subject');
+        if (resource.status === 'entered-in-error') problem(index, 'status', 'invalid_choice', 'Encounters entered in error are not imported');
+
+        const services = [...resource.type || [], ...(resource.serviceType ? [resource.serviceType] : [])]
+            .map(type => conceptText(type, SYSTEMS.service))
+            .filter(Boolean);
+        if (services.length === 0) problem(index, 'type', 'required', 'Name the services of the visit as Encounter types');
+
+        const location = resource.location?.[0]?.location;
+        return {
+            index,
+            fhirId: resource.id,
+            ownId: ownIdentifier(resource, SYSTEMS.encounter),
+            patient,
+            camp: location && { id: location.identifier?.system === SYSTEMS.camp ? location.identifier.value : undefined, name: location.display },
+            data: {
+                services: [...new Set(services)],
+                status: resource.status === 'finished' ? 'completed' : resource.status === 'cancelled' ? 'cancelled' : 'registered',
+                registrationDate: resource.period?.start,
+                completionDate: resource.period?.end,
+                vitalSigns: {},
+                labOrders: [],
+                diagnoses: []
+            }
+        };
+    });
+
+    const patients = ofType('Patient').map(({ resource, index }) => {
+        const name = resource.name?.[0];
+        const ageExtension = extensionValue(resource, EXTENSIONS.age)?.valueAge?.value;
+        const firstVisit = visits.find(visit => visit.patient === index);
+        const age = Number.isFinite(ageExtension)
+            ? ageExtension
+            : resource.birthDate ? ageOn(resource.birthDate, firstVisit?.data.registrationDate || new Date()) : undefined;
+        const sex = SEXES.find(item => item.toLowerCase() === resource.gender);
+
+        if (resource.gender && !sex) problem(index, 'gender', 'invalid_choice', `Only ${SEXES.join(' and ').toLowerCase()} patients can be recorded`);
+        if (!firstVisit) problem(index, '', 'required', 'The Patient has no Encounter in the bundle - patients are registered through a visit');
+
+        return {
+            index,
+            fhirId: resource.id,
+            ownId: ownIdentifier(resource, SYSTEMS.patient),
+            data: {
+                name: name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' '),
+                age,
+                sex,
+                tel: (resource.telecom || []).find(item => item.system === 'phone' || item.system === 'sms')?.value,
+                occupation: extensionValue(resource, EXTENSIONS.occupation)?.valueString,
+                familyGroup: extensionValue(resource, EXTENSIONS.familyGroup)?.valueString
+            }
+        };
+    });
+
+    // Everything else is recorded at a visit
+    const visitOf = (resource, index) => {
+        const encounter = find(resource.encounter, 'Encounter');
+        const visit = visits.find(item => item.index === encounter);
+        if (!visit) problem(index, 'encounter', 'required', `The ${resource.resourceType} must name an Encounter in the bundle`);
+        return visit;
+    };
+
+    const requests = new Map();
+    ofType('ServiceRequest').forEach(({ resource, index }) => {
+        const visit = visitOf(resource, index);
+        const test = conceptText(resource.code, SYSTEMS.labTest);
+        if (!test) problem(index, 'code', 'required', 'Name the lab test in the ServiceRequest code');
+        if (!visit || !test) return;
+
+        const order = {
+            test,
+            status: resource.status === 'revoked' ? 'cancelled' : 'ordered',
+            resultType: getLabTestDefinition(test).resultType,
+            orderedAt: resource.authoredOn
+        };
+        visit.data.labOrders.push(order);
+        requests.set(index, order);
+    });
+
+    ofType('Observation').forEach(({ resource, index }) => {
+        if (['cancelled', 'entered-in-error'].includes(resource.status)) return;
+        const visit = visitOf(resource, index);
+        if (!visit) return;
+
+        // Vital signs by their LOINC code, in the units recorded here
+        const vital = Object.entries(VITAL_SIGN_CODES).find(([, code]) => hasCode(resource.code, LOINC, code.code));
+        if (vital) {
+            const [field, code] = vital;
+            const unit = resource.valueQuantity?.code || resource.valueQuantity?.unit;
+            if (!resource.valueQuantity) {
+                problem(index, 'valueQuantity', 'required', `${code.display} needs a valueQuantity`);
+            } else if (unit && unit !== code.unit) {
+                problem(index, 'valueQuantity.code', 'invalid_choice', `${code.display} must be in ${code.unit}`);
+            } else if (field !== 'bmi') { // BMI is worked out from height and weight
+                visit.data.vitalSigns[field] = resource.valueQuantity.value;
+            }
+            return;
+        }
+        if (hasCode(resource.code, LOINC, BLOOD_PRESSURE_CODES.panel.code)) {
+            const part = (name) => (resource.component || []).find(item => hasCode(item.code, LOINC, BLOOD_PRESSURE_CODES[name].code))?.valueQuantity?.value;
+            if (!Number.isFinite(part('systolic')) || !Number.isFinite(part('diastolic'))) {
+                problem(index, 'component', 'required', 'Blood pressure needs systolic (8480-6) and diastolic (8462-4) components');
+            } else {
+                visit.data.vitalSigns.bloodPressure = `${Math.round(part('systolic'))}/${Math.round(part('diastolic'))}`;
+            }
+            return;
+        }
+
+        // Anything else is a lab result, for its ServiceRequest or for a test ordered with it
+        const basedOn = (resource.basedOn || []).map(item => find(item, 'ServiceRequest')).find(item => requests.has(item));
+        const test = conceptText(resource.code, SYSTEMS.labTest);
+        if (basedOn === undefined && !test) {
+            problem(index, 'code', 'required', 'Name the lab test in the Observation code, or link it to its ServiceRequest with basedOn');
+            return;
+        }
+        let order = requests.get(basedOn);
+        if (!order) {
+            order = { test, resultType: getLabTestDefinition(test).resultType, orderedAt: resource.effectiveDateTime };
+            visit.data.labOrders.push(order);
+        }
+
+        const qualitative = Object.keys(QUALITATIVE_CODES).find(result =>
+            hasCode(resource.valueCodeableConcept, INTERPRETATION, QUALITATIVE_CODES[result]) ||
+            String(resource.valueCodeableConcept?.text || resource.valueString || '').toLowerCase() === result);
+        const flag = Object.keys(FLAG_CODES).find(item => (resource.interpretation || []).some(interpretation => hasCode(interpretation, INTERPRETATION, FLAG_CODES[item])));
+
+        if (order.resultType === 'qualitative' && !qualitative) {
+            problem(index, 'valueCodeableConcept', 'required', `${order.test} results are ${Object.keys(QUALITATIVE_CODES).join(', ')}`);
+            return;
+        }
+        if (order.resultType === 'numeric' && !resource.valueQuantity) {
+            problem(index, 'valueQuantity', 'required', `${order.test} results are numbers - send a valueQuantity`);
+            return;
+        }
+
+        Object.assign(order, {
+            status: 'resulted',
+            resultedAt: resource.effectiveDateTime,
+            result: order.resultType === 'qualitative' ? { qualitative }
+                : order.resultType === 'numeric' ? { value: resource.valueQuantity.value, unit: resource.valueQuantity.unit || getLabTestDefinition(order.test).unit, ...(flag && { flag }) }
+                : { text: resource.valueString || resource.valueCodeableConcept?.text || (resource.valueQuantity && `${resource.valueQuantity.value} ${resource.valueQuantity.unit || ''}`.trim()) }
+        });
+    });
+
+    ofType('Condition').forEach(({ resource, index }) => {
+        const visit = visitOf(resource, index);
+        const diagnosis = resource.code?.text || codings(resource.code).find(item => item.display)?.display;
+        if (!diagnosis) problem(index, 'code', 'required', 'Describe the diagnosis in the Condition code');
+        if (visit && diagnosis) visit.data.diagnoses.push(diagnosis);
+    });
+
+    return { problems, patients, visits };
+};
+
+module.exports = {
+    FHIR_VERSION,
+    FHIR_CONTENT_TYPE,
+    SYSTEMS,
+    VITAL_SIGN_CODES,
+    BLOOD_PRESSURE_CODES,
+    patientResource,
+    visitResources,
+    bundleEntry,
+    readBundle
+};
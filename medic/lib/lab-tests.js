@@ -0,0 +1,69 @@
+// Lab test catalog - how each test reports its result.
+// Shared by the API server and the maintenance scripts so orders are created the same way.
+
+// Result type per known test. Tests not listed (custom "Others") take free text.
+//   qualitative - positive / negative / indeterminate
+//   numeric     - value in the given unit, flagged against the reference range
+//   text        - free-text report (imaging, ECG, blood group...)
+const LAB_TEST_DEFINITIONS = {
+    'Malaria': { resultType: 'qualitative' },
+    'HIV': { resultType: 'qualitative' },
+    'HBV': { resultType: 'qualitative' },
+    'HCV': { resultType: 'qualitative' },
+    'Syphilis': { resultType: 'qualitative' },
+    'Blood grouping': { resultType: 'text' },
+    'Blood glucose': { resultType: 'numeric', unit: 'mg/dL', referenceRange: { low: 70, high: 140 } },
+    'Lipid Profile': { resultType: 'numeric', unit: 'mg/dL', referenceRange: { high: 200 } },
+    'Urinalysis': { resultType: 'text' },
+    'Ultrasound': { resultType: 'text' },
+    'X-ray': { resultType: 'text' },
+    'ECG': { resultType: 'text' }
+};
+
+const LAB_ORDER_STATUSES = ['ordered', 'sample_collected', 'resulted', 'cancelled'];
+const QUALITATIVE_RESULTS = ['positive', 'negative', 'indeterminate'];
+
+const getLabTestDefinition = (test) => LAB_TEST_DEFINITIONS[test] || { resultType: 'text' };
+
+// A new order for a test, pre-filled with the catalog's unit and reference range
+const createLabOrder = (test, { orderedAt = new Date(), orderedBy } = {}) => {
+    const definition = getLabTestDefinition(test);
+    const order = {
+        test,
+        status: 'ordered',
+        resultType: definition.resultType,
+        orderedAt,
+        orderedBy
+    };
+
+    if (definition.unit || definition.referenceRange) {
+        order.result = { unit: definition.unit, referenceRange: definition.referenceRange };
+    }
+
+    return order;
+};
+
+// One-line summary of an order's result for lists and CSV exports
+const formatLabResult = (order) => {
+    const result = order.result || {};
+
+    if (order.status !== 'resulted') {
+        return `${order.test}: ${order.status.replace(/_/g, ' ')}`;
+    }
+    if (order.resultType === 'qualitative') {
+        return `${order.test}: ${result.qualitative}`;
+    }
+    if (order.resultType === 'numeric') {
+        return `${order.test}: ${result.value}${result.unit ? ' ' + result.unit : ''}${result.flag && result.flag !== 'normal' ? ` (${result.flag})` : ''}`;
+    }
+    return `${order.test}: ${result.text}`;
+};
+
+module.exports = {
+    LAB_TEST_DEFINITIONS,
+    LAB_ORDER_STATUSES,
+    QUALITATIVE_RESULTS,
+    getLabTestDefinition,
+    createLabOrder,
+    formatLabResult
+};
@@ -0,0 +1,119 @@
+// Patient matching helpers - phone normalization and fuzzy duplicate scoring.
+// Shared by the API server and the maintenance scripts so both compare records the same way.
+
+// Country calling code stripped before comparing phone numbers (Cameroon by default)
+const PHONE_COUNTRY_CODE = process.env.PHONE_COUNTRY_CODE || '237';
+
+// Minimum score for a record to be offered as a possible duplicate
+const DUPLICATE_THRESHOLD = 0.6;
+
+// Digits-only national form of a phone number, so '+237 677 12 34 56',
+// '00237677123456', '0677123456' and '677-123-456' all compare equal
+const normalizePhone = (tel) => {
+    let digits = String(tel || '').replace(/\D/g, '');
+
+    if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    }
+
+    if (digits.startsWith(PHONE_COUNTRY_CODE) && digits.length - PHONE_COUNTRY_CODE.length >= 8) {
+        digits = digits.slice(PHONE_COUNTRY_CODE.length);
+    }
+
+    // Drop the national trunk prefix
+    return digits.replace(/^0+/, '');
+};
+
+// Lowercase, accent-free, punctuation-free name with its words sorted,
+// so 'Ngwa Paul' and 'paul  NGWA' compare equal
+const normalizeName = (name) => {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+};
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// 0 (nothing alike) to 1 (same normalized name)
+const nameSimilarity = (a, b) => {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+
+    return 1 - levenshtein(first, second) / Math.max(first.length, second.length);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// How likely two patient records describe the same person (0 to 1), and why.
+// A shared phone alone is not enough - families often register on one number.
+const scoreDuplicate = (a, b) => {
+    const reasons = [];
+    const similarity = nameSimilarity(a.name, b.name);
+    const phoneA = a.telNormalized || normalizePhone(a.tel);
+    const phoneB = b.telNormalized || normalizePhone(b.tel);
+    const ageGap = Math.abs(Number(a.age) - Number(b.age));
+
+    let score = similarity * 0.6;
+    if (similarity >= 0.85) reasons.push('name');
+
+    if (phoneA && phoneA === phoneB) {
+        score += 0.25;
+        reasons.push('phone');
+    }
+
+    if (ageGap <= 1) {
+        score += 0.1;
+    } else if (ageGap <= 3) {
+        score += 0.05;
+    }
+    if (ageGap <= 3) reasons.push('age');
+
+    if (a.familyGroup && a.familyGroup === b.familyGroup) {
+        score += 0.05;
+        reasons.push('familyGroup');
+    }
+
+    if (a.sex && b.sex && a.sex !== b.sex) {
+        score -= 0.3;
+    }
+
+    return {
+        score: round(Math.max(score, 0)),
+        nameSimilarity: round(similarity),
+        reasons
+    };
+};
+
+module.exports = {
+    PHONE_COUNTRY_CODE,
+    DUPLICATE_THRESHOLD,
+    normalizePhone,
+    normalizeName,
+    nameSimilarity,
+    scoreDuplicate
+};
@@ -0,0 +1,197 @@
+// Versioned data migrations - the steps live in migrations/ (001-name.js, 002-name.js, ...) and
+// scripts/migrate.js runs them. Applied versions are recorded in the migrations collection.
+//
+// Every document a migration changes is copied to migration_backups first, so down puts back
+// exactly what was there. A migration module exports:
+//   description   - one line shown in status and progress output
+//   up(context)   - apply the change, returns counts such as { updated, skipped, failed }
+//   down(context) - undo it; most migrations use context.restoreBackups
+//
+// Versions say what a migration depends on: a step only reads data in the shape the steps before it leave.
+
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongoose').Types;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+const getAppliedVersions = async (db) => {
+    const applied = await db.collection('migrations').find().project({ _id: 1 }).toArray();
+    return new Set(applied.map(migration => migration._id));
+};
+
+// Migrations not yet applied, in the order they run
+const getPendingMigrations = async (db, migrations = loadMigrations()) => {
+    const applied = await getAppliedVersions(db);
+    return migrations.filter(migration => !applied.has(migration.version));
+};
+
+// Logs "⏳ 500/2000 visits (25%)" roughly every tenth of the way
+const createProgress = (log) => (total, label) => {
+    const step = Math.max(Math.ceil(total / 10), 100);
+    let done = 0;
+    return () => {
+        done++;
+        if (done % step === 0 || done === total) {
+            log(`⏳ ${done}/${total} ${label} (${total ? Math.round((done / total) * 100) : 100}%)`);
+        }
+    };
+};
+
+// What a migration gets to work with. In a dry run nothing is written, but counts are reported as if it were.
+const createContext = (db, migration, { dryRun, log }) => {
+    const backups = db.collection('migration_backups');
+
+    // Apply an update to one document, keeping the previous values of the fields it touches
+    const updateDocument = async (collectionName, document, update, fields) => {
+        if (dryRun) return;
+
+        const original = fields.reduce((acc, field) => {
+            if (document[field] !== undefined) acc[field] = document[field];
+            return acc;
+        }, {});
+        await backups.updateOne(
+            { migration: migration.version, collection: collectionName, documentId: document._id },
+            { $setOnInsert: { fields, original, createdAt: new Date() } },
+            { upsert: true }
+        );
+        await db.collection(collectionName).updateOne({ _id: document._id }, update);
+    };
+
+    // Add a document, remembering to delete it again on down. Returns its _id, also in a dry run.
+    const insertDocument = async (collectionName, document) => {
+        const _id = document._id || new ObjectId();
+        if (dryRun) return _id;
+
+        await backups.updateOne(
+            { migration: migration.version, collection: collectionName, documentId: _id },
+            { $setOnInsert: { inserted: true, createdAt: new Date() } },
+            { upsert: true }
+        );
+        await db.collection(collectionName).insertOne({ ...document, _id });
+        return _id;
+    };
+
+    // Put every document this migration changed back the way it was, and delete the ones it added
+    const restoreBackups = async () => {
+        const query = { migration: migration.version };
+        const total = await backups.countDocuments(query);
+        const tick = createProgress(log)(total, 'documents restored');
+        let restored = 0;
+
+        for await (const backup of backups.find(query)) {
+            if (!dryRun) {
+                if (backup.inserted) {
+                    await db.collection(backup.collection).deleteOne({ _id: backup.documentId });
+                } else {
+                    const unset = backup.fields.filter(field => !(field in backup.original));
+                    await db.collection(backup.collection).updateOne({ _id: backup.documentId }, {
+                        ...(Object.keys(backup.original).length > 0 ? { $set: backup.original } : {}),
+                        ...(unset.length > 0 ? { $unset: Object.fromEntries(unset.map(field => [field, ''])) } : {})
+                    });
+                }
+                await backups.deleteOne({ _id: backup._id });
+            }
+            restored++;
+            tick();
+        }
+
+        return { restored };
+    };
+
+    return { db, dryRun, log, updateDocument, insertDocument, restoreBackups, progress: createProgress(log) };
+};
+
+const formatResult = (result = {}) => Object.entries(result).map(([key, value]) => `${value} ${key}`).join(', ') || 'done';
+
+// Apply pending migrations in order, up to and including `to` when given. A dry run checks the next one
+// only: the ones after it read what it writes, and a dry run writes nothing, so their counts would be wrong.
+const migrateUp = async (db, { to, dryRun = false, log = console.log, migrations = loadMigrations() } = {}) => {
+    let pending = (await getPendingMigrations(db, migrations)).filter(migration => to === undefined || migration.version <= to);
+    if (pending.length === 0) {
+        log('✅ Database is up to date');
+        return [];
+    }
+    if (dryRun && pending.length > 1) {
+        log(`⏸️  Checking ${pending[0].version} ${pending[0].name} only - the ${pending.length - 1} after it depend on what it writes`);
+        pending = pending.slice(0, 1);
+    }
+
+    const results = [];
+    for (const migration of pending) {
+        log(`⬆️  ${migration.version} ${migration.name}: ${migration.description}`);
+        const startedAt = Date.now();
+        const result = await migration.up(createContext(db, migration, { dryRun, log }));
+        const durationMs = Date.now() - startedAt;
+
+        if (!dryRun) {
+            await db.collection('migrations').insertOne({
+                _id: migration.version,
+                name: migration.name,
+                description: migration.description,
+                appliedAt: new Date(),
+                durationMs,
+                result
+            });
+        }
+        log(`✅ ${migration.version} ${migration.name} ${dryRun ? 'would be applied' : 'applied'}: ${formatResult(result)} (${durationMs} ms)`);
+        results.push({ version: migration.version, name: migration.name, result });
+    }
+    return results;
+};
+
+// Undo applied migrations, newest first - the last one only, or every one after `to`
+const migrateDown = async (db, { to, dryRun = false, log = console.log, migrations = loadMigrations() } = {}) => {
+    const applied = await getAppliedVersions(db);
+    let toUndo = migrations.filter(migration => applied.has(migration.version)).reverse();
+    toUndo = to === undefined ? toUndo.slice(0, 1) : toUndo.filter(migration => migration.version > to);
+
+    if (toUndo.length === 0) {
+        log('✅ Nothing to undo');
+        return [];
+    }
+
+    const results = [];
+    for (const migration of toUndo) {
+        if (!migration.down) {
+            throw new Error(`Migration ${migration.version} ${migration.name} cannot be undone`);
+        }
+
+        log(`⬇️  ${migration.version} ${migration.name}: ${migration.description}`);
+        const result = await migration.down(createContext(db, migration, { dryRun, log }));
+
+        if (!dryRun) {
+            await db.collection('migrations').deleteOne({ _id: migration.version });
+        }
+        log(`✅ ${migration.version} ${migration.name} ${dryRun ? 'would be undone' : 'undone'}: ${formatResult(result)}`);
+        results.push({ version: migration.version, name: migration.name, result });
+    }
+    return results;
+};
+
+// Every known migration with when it was applied
+const migrationStatus = async (db, migrations = loadMigrations()) => {
+    const applied = await db.collection('migrations').find().toArray();
+    const appliedByVersion = new Map(applied.map(migration => [migration._id, migration]));
+    return migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        appliedAt: appliedByVersion.get(migration.version)?.appliedAt || null
+    }));
+};
+
+module.exports = {
+    loadMigrations,
+    getPendingMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
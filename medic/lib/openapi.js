@@ -0,0 +1,467 @@
+// OpenAPI 3.1 description of the API, generated from the routes registered on the Express routers.
+// Each route declares its parameters, body and response data with describe(); validate, placed after the route's
+// authentication, checks incoming requests against the same declaration (see lib/validation) and, outside
+// production, checks responses against the envelope.
+
+const Ajv2020 = require('ajv/dist/2020');
+const { objectId, compile, formatErrors } = require('./validation');
+const { SEXES, VISIT_STATUSES, VITAL_SIGNS, PAST_HISTORY } = require('./validation/patients');
+const { CAMP_FIELDS } = require('./validation/camps');
+const { ROLES } = require('./validation/users');
+const { ALERT_RULE_FIELDS } = require('./validation/alert-rules');
+const { REFERENCE_ITEM_FIELDS } = require('./validation/reference');
+const { SAVED_FILTER_FIELDS } = require('./validation/saved-filters');
+const { REFERENCE_LIST_NAMES } = require('./reference-data');
+const { LAB_ORDER_STATUSES, QUALITATIVE_RESULTS } = require('./lab-tests');
+const { ALERT_SEVERITIES } = require('./clinical-alerts');
+const { QUEUE_STATUSES, TRIAGE_LEVELS } = require('./service-queue');
+
+// Responses are checked against the specification everywhere except production
+const CHECK_RESPONSES = process.env.NODE_ENV !== 'production';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+// Shared data shapes. Records are open (additional fields allowed) so new fields do not break clients;
+// the envelope around them is closed.
+const SCHEMAS = {
+    ObjectId: objectId(),
+    Error: {
+        type: 'object',
+        description: 'Every failed request. Some errors add context, e.g. conflicts and current on 409 Conflict',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string', description: 'Short error title' },
+            message: { type: 'string', description: 'What went wrong and how to fix it' },
+            details: {
+                type: 'array',
+                description: 'Problems with individual fields',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', description: 'Dotted path of the field, e.g. vitalSigns.height' },
+                        code: { type: 'string', description: 'required, invalid_type, invalid_choice, invalid_format, too_short, too_long, too_small, too_large...' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        description: 'Numbered pages carry page, total, totalPages and hasPrev; cursor pages carry nextCursor instead',
+        required: ['limit', 'hasNext'],
+        additionalProperties: false,
+        properties: {
+            page: { type: 'integer', minimum: 1 },
+            limit: { type: 'integer', minimum: 1 },
+            total: { type: 'integer', minimum: 0, description: 'Matching records across all pages' },
+            totalPages: { type: 'integer', minimum: 0 },
+            hasNext: { type: 'boolean' },
+            hasPrev: { type: 'boolean' },
+            nextCursor: { type: ['string', 'null'], description: 'Send as cursor to get the next page; null on the last page' }
+        }
+    },
+    StaffStamp: {
+        type: 'object',
+        description: 'Staff member who performed a step',
+        properties: {
+            id: ref('ObjectId'),
+            username: { type: 'string' },
+            name: { type: 'string' }
+        }
+    },
+    VitalSigns: {
+        ...VITAL_SIGNS,
+        properties: {
+            ...VITAL_SIGNS.properties,
+            systolic: { type: 'number', readOnly: true },
+            diastolic: { type: 'number', readOnly: true },
+            bmi: { type: 'number', readOnly: true }
+        }
+    },
+    PastHistory: PAST_HISTORY,
+    Alert: {
+        type: 'object',
+        properties: {
+            code: { type: 'string' },
+            label: { type: 'string' },
+            severity: { enum: ALERT_SEVERITIES },
+            detail: { type: 'string' }
+        }
+    },
+    LabOrder: {
+        type: 'object',
+        properties: {
+            _id: ref('ObjectId'),
+            test: { type: 'string' },
+            status: { enum: LAB_ORDER_STATUSES },
+            resultType: { enum: ['qualitative', 'numeric', 'text'] },
+            result: {
+                type: 'object',
+                properties: {
+                    qualitative: { enum: QUALITATIVE_RESULTS },
+                    value: { type: 'number' },
+                    unit: { type: 'string' },
+                    text: { type: 'string' },
+                    referenceRange: { type: 'object', properties: { low: { type: 'number' }, high: { type: 'number' } } },
+                    flag: { enum: ['low', 'normal', 'high'] }
+                }
+            },
+            notes: { type: 'string' },
+            orderedAt: dateTime,
+            orderedBy: ref('StaffStamp'),
+            sampleCollectedAt: dateTime,
+            resultedAt: dateTime,
+            cancelledAt: dateTime,
+            cancelReason: { type: 'string' }
+        }
+    },
+    QueueEntry: {
+        type: 'object',
+        properties: {
+            _id: ref('ObjectId'),
+            service: { type: 'string' },
+            status: { enum: QUEUE_STATUSES },
+            queuedAt: dateTime,
+            station: { type: 'string' },
+            calledAt: dateTime,
+            startedAt: dateTime,
+            finishedAt: dateTime,
+            skipReason: { type: 'string' }
+        }
+    },
+    HistoryEntry: {
+        type: 'object',
+        properties: {
+            action: { enum: ['created', 'updated', 'completed', 'cancelled', 'deleted', 'restored', 'merged'] },
+            timestamp: dateTime,
+            changes: { type: 'object' },
+            encounter: ref('ObjectId'),
+            user: ref('StaffStamp'),
+            role: { type: 'string' },
+            reason: { type: 'string' }
+        }
+    },
+    PatientView: {
+        type: 'object',
+        description: 'A patient together with one visit (by default the most recent). _id is the patient, encounterId the visit',
+        required: ['_id', 'name'],
+        properties: {
+            _id: ref('ObjectId'),
+            patientId: ref('ObjectId'),
+            encounterId: ref('ObjectId'),
+            name: { type: 'string' },
+            age: { type: 'integer' },
+            sex: { enum: SEXES },
+            occupation: { type: 'string' },
+            tel: { type: 'string' },
+            familyGroup: { type: 'string' },
+            camp: ref('ObjectId'),
+            services: { type: 'array', items: { type: 'string' } },
+            status: { enum: [...VISIT_STATUSES, 'deleted'] },
+            vitalSigns: ref('VitalSigns'),
+            pastHistory: ref('PastHistory'),
+            diagnosis: { type: 'string' },
+            treatmentPlan: { type: 'string' },
+            referredTo: { type: 'string', description: 'Facility the patient was referred on to - empty when not referred' },
+            referralReason: { type: 'string' },
+            labTests: { type: 'array', items: { type: 'string' } },
+            labOrders: { type: 'array', items: ref('LabOrder') },
+            alerts: { type: 'array', items: ref('Alert') },
+            priority: { type: 'integer', description: 'Highest alert severity: 2 critical, 1 warning, 0 none' },
+            triagePriority: { type: 'integer', minimum: 0, maximum: TRIAGE_LEVELS.length - 1 },
+            ticketNumber: { type: 'integer' },
+            serviceQueue: { type: 'array', items: ref('QueueEntry') },
+            registrationDate: dateTime,
+            completionDate: dateTime,
+            isDeleted: { type: 'boolean' },
+            lastModified: { ...dateTime, description: 'Send back as baseLastModified when editing' },
+            createdAt: dateTime
+        }
+    },
+    Visit: {
+        type: 'object',
+        description: 'One visit by a patient to a camp',
+        properties: {
+            _id: ref('ObjectId'),
+            patient: ref('ObjectId'),
+            camp: { description: 'Camp ID, or the camp when listed with a patient' },
+            services: { type: 'array', items: { type: 'string' } },
+            status: { enum: VISIT_STATUSES },
+            vitalSigns: ref('VitalSigns'),
+            diagnosis: { type: 'string' },
+            treatmentPlan: { type: 'string' },
+            referredTo: { type: 'string' },
+            referralReason: { type: 'string' },
+            labOrders: { type: 'array', items: ref('LabOrder') },
+            alerts: { type: 'array', items: ref('Alert') },
+            serviceQueue: { type: 'array', items: ref('QueueEntry') },
+            registrationDate: dateTime,
+            completionDate: dateTime,
+            createdAt: dateTime
+        }
+    },
+    Camp: {
+        type: 'object',
+        properties: {
+            _id: ref('ObjectId'),
+            ...CAMP_FIELDS,
+            startDate: dateTime,
+            endDate: dateTime,
+            patientCount: { type: 'integer', readOnly: true, description: 'Visits registered at the camp' }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            _id: ref('ObjectId'),
+            username: { type: 'string' },
+            name: { type: 'string' },
+            role: { enum: ROLES },
+            isActive: { type: 'boolean' },
+            lastLogin: dateTime
+        }
+    },
+    AlertRule: {
+        type: 'object',
+        properties: {
+            _id: ref('ObjectId'),
+            ...ALERT_RULE_FIELDS
+        }
+    },
+    ReferenceItem: {
+        type: 'object',
+        description: 'One value of a managed list. Records store the value; forms show the label',
+        properties: {
+            _id: ref('ObjectId'),
+            list: { enum: REFERENCE_LIST_NAMES },
+            ...REFERENCE_ITEM_FIELDS
+        }
+    },
+    SavedFilter: {
+        type: 'object',
+        description: 'Patient list filters saved under a name by one staff member',
+        properties: {
+            _id: ref('ObjectId'),
+            ...SAVED_FILTER_FIELDS,
+            createdAt: dateTime,
+            updatedAt: dateTime
+        }
+    }
+};
+
+// The success envelope: data, an optional message, pagination for paged lists and meta for anything else
+const envelopeSchema = ({ data, meta, paginated }) => ({
+    type: 'object',
+    required: ['success', ...(data ? ['data'] : []), ...(paginated ? ['pagination'] : [])],
+    additionalProperties: false,
+    properties: {
+        success: { const: true },
+        message: { type: 'string' },
+        ...(data ? { data } : {}),
+        ...(paginated ? { pagination: ref('Pagination') } : {}),
+        meta: meta || { type: 'object', description: 'Counts, applied filters and other details about the result' }
+    }
+});
+
+const objectSchema = (properties = {}) => ({ type: 'object', properties });
+
+// ===== VALIDATION =====
+
+// Responses are only checked, never changed - requests go through lib/validation
+const ajv = new Ajv2020({ strict: false, allErrors: true, validateFormats: false });
+
+const withComponents = (schema) => ({ ...schema, components: { schemas: SCHEMAS } });
+
+const compileOperation = (operation) => ({
+    params: operation.params && compile(objectSchema(operation.params), { components: SCHEMAS, prefix: 'params' }),
+    query: operation.query && compile(objectSchema(operation.query), { components: SCHEMAS, prefix: 'query' }),
+    body: operation.body && compile(operation.body, { components: SCHEMAS }),
+    response: !operation.raw && ajv.compile(withComponents(envelopeSchema(operation))),
+    error: ajv.compile(withComponents(ref('Error')))
+});
+
+// Log responses that drift from the specification - the response itself is still sent
+const watchResponses = (req, res, validators) => {
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+        const validate = res.statusCode < 400 ? validators.response : validators.error;
+        if (validate && !validate(JSON.parse(JSON.stringify(body)))) {
+            const problems = formatErrors(validate.errors, 'response').map(problem => problem.message);
+            console.warn(`⚠️ ${req.method} ${req.originalUrl} responded outside the specification: ${problems.join('; ')}`);
+        }
+        return sendJson(body);
+    };
+};
+
+// Document a route. Its requests are checked against the description by validate, which goes after the
+// route's authentication and permission checks. Options:
+//   tags, summary, description           - documentation
+//   params, query                        - schema per path / query parameter
+//   body                                 - request body schema
+//   data, meta, paginated, status        - success response (data schema, meta schema, paged list, status code)
+//   errors                               - additional error statuses, { 404: 'Patient not found' }
+//   raw                                  - content types of responses sent without the envelope (files, streams)
+const describe = (operation) => {
+    const documented = (req, res, next) => next();
+    documented.operation = operation;
+    return documented;
+};
+
+const compiledOperations = new WeakMap();
+
+// Validate a request against its route's describe() - invalid requests are refused with 400 and the
+// field details, valid ones reach the handler coerced to the declared types. Placed after authenticate
+// and authorize, so callers who may not use a route learn nothing about what it accepts.
+const validate = (req, res, next) => {
+    const operation = req.route.stack.find(layer => layer.handle.operation)?.handle.operation;
+    if (!operation) return next();
+
+    if (!compiledOperations.has(operation)) compiledOperations.set(operation, compileOperation(operation));
+    const validators = compiledOperations.get(operation);
+
+    const results = {
+        params: validators.params && validators.params(req.params),
+        query: validators.query && validators.query(req.query),
+        body: validators.body && validators.body(req.body || {})
+    };
+    const details = Object.values(results).filter(Boolean).flatMap(result => result.errors);
+
+    if (details.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            message: details.map(detail => detail.message).join('; '),
+            details
+        });
+    }
+
+    Object.entries(results).filter(([, result]) => result).forEach(([location, result]) => {
+        req[location] = result.value;
+    });
+
+    if (CHECK_RESPONSES) watchResponses(req, res, validators);
+    next();
+};
+
+// ===== DOCUMENT GENERATION =====
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+// Route handlers advertise what they do through properties set in server.js:
+//   operation (describe), security (authentication), permissions (authorize),
+//   idempotencyKey (idempotent), successor (deprecated)
+const buildOperation = (path, route, servers) => {
+    const handles = route.stack.map(layer => layer.handle);
+    const operation = handles.find(handle => handle.operation)?.operation || {};
+    const security = handles.find(handle => handle.security)?.security;
+    const permissions = handles.flatMap(handle => handle.permissions || []);
+    const successor = handles.find(handle => handle.successor)?.successor;
+
+    const parameters = [
+        ...(path.match(/:\w+/g) || []).map(param => param.slice(1)).map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: operation.params?.[name] || { type: 'string' }
+        })),
+        ...Object.entries(operation.query || {}).map(([name, schema]) => ({
+            name,
+            in: 'query',
+            description: schema.description,
+            schema
+        }))
+    ];
+
+    if (handles.some(handle => handle.idempotencyKey)) {
+        parameters.push({
+            name: 'Idempotency-Key',
+            in: 'header',
+            description: 'Retries with the same key replay the first response instead of repeating the change. A retry while the first is still ' +
+                'running gets 409; one that was cut off is run again after two minutes',
+            schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{8,128}$' }
+        });
+    }
+
+    const description = [
+        operation.description,
+        permissions.length > 0 && `Requires permission: ${permissions.join(', ')}.`,
+        successor && `Deprecated - use ${successor}.`
+    ].filter(Boolean).join('\n\n');
+
+    const responses = {
+        [operation.status || 200]: operation.raw
+            ? { description: 'Success', content: Object.fromEntries(operation.raw.map(type => [type, {}])) }
+            : { description: 'Success', content: { 'application/json': { schema: envelopeSchema(operation) } } }
+    };
+    if (operation.params || operation.query || operation.body) responses[400] = errorResponse('Validation failed');
+    if (security) responses[401] = errorResponse('Authentication required');
+    if (permissions.length > 0) responses[403] = errorResponse('Forbidden');
+    Object.entries(operation.errors || {}).forEach(([status, text]) => {
+        responses[status] = errorResponse(text);
+    });
+
+    return {
+        tags: operation.tags || [path.split('/')[1] || 'API'],
+        summary: operation.summary,
+        ...(description ? { description } : {}),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(operation.body ? {
+            requestBody: {
+                required: Boolean(operation.body.required?.length),
+                content: { 'application/json': { schema: operation.body } }
+            }
+        } : {}),
+        responses,
+        ...(security ? { security: [{ [security]: [] }] } : {}),
+        ...(permissions.length > 0 ? { 'x-permissions': permissions } : {}),
+        ...(successor ? { deprecated: true } : {}),
+        ...(servers ? { servers } : {})
+    };
+};
+
+// The OpenAPI document for every route on the given routers.
+// routers: [{ router, servers }] - servers overrides the document servers for that router's routes
+const buildOpenApiDocument = ({ info, servers, routers }) => {
+    const paths = {};
+
+    routers.forEach(({ router, servers: routerServers }) => {
+        router.stack.filter(layer => layer.route).forEach(({ route }) => {
+            const path = route.path.replace(/:(\w+)/g, '{$1}');
+            paths[path] = paths[path] || {};
+
+            Object.keys(route.methods).forEach(method => {
+                paths[path][method] = buildOperation(route.path, route, routerServers);
+            });
+        });
+    });
+
+    return {
+        openapi: '3.1.0',
+        info,
+        servers,
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                accessToken: { type: 'apiKey', in: 'query', name: 'access_token', description: 'For EventSource, which cannot send headers' }
+            }
+        }
+    };
+};
+
+module.exports = {
+    SCHEMAS,
+    ref,
+    describe,
+    validate,
+    buildOpenApiDocument
+};
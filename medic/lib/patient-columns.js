@@ -0,0 +1,118 @@
+// Patient export columns - one catalog for the CSV file and the XLSX patients sheet, so both carry the
+// same headers and a column chosen by key means the same thing in either. Values are read from the
+// flattened patient + visit records of the patient view pipeline.
+
+const { formatDay, formatTime, wallClockDate, DEFAULT_TIMEZONE } = require('./dates');
+const { formatLabResult } = require('./lab-tests');
+
+// Types decide how a value is written:
+//   text, number  - as is (numbers stay numeric in spreadsheets)
+//   list          - joined with '; '
+//   day, time     - the day or the time of a date in the camp's timezone
+//   dateTime      - both
+const column = (key, header, type, value = (patient) => patient[key]) => ({ key, header, type, value });
+
+const vital = (key, header, type = 'number') => column(key, header, type, (patient) => (patient.vitalSigns || {})[key]);
+const history = (key, header) => column(key, header, 'text', (patient) => (patient.pastHistory || {})[key]);
+
+const PATIENT_COLUMNS = [
+    column('id', 'ID', 'text', (patient) => patient._id),
+    column('visitId', 'Visit ID', 'text', (patient) => patient.encounterId),
+    column('name', 'Name', 'text'),
+    column('age', 'Age', 'number'),
+    column('sex', 'Sex', 'text'),
+    column('occupation', 'Occupation', 'text'),
+    column('tel', 'Phone', 'text'),
+    column('familyGroup', 'Family Group', 'text'),
+    column('camp', 'Camp', 'text', (patient) => patient.camp?.name),
+    column('services', 'Services', 'list'),
+    column('status', 'Status', 'text'),
+    column('registrationDate', 'Registration Date', 'day', (patient) => patient.registrationDate),
+    column('registrationTime', 'Registration Time', 'time', (patient) => patient.registrationDate),
+    vital('height', 'Height (cm)'),
+    vital('weight', 'Weight (kg)'),
+    vital('bloodPressure', 'Blood Pressure', 'text'),
+    vital('pulse', 'Pulse (bpm)'),
+    vital('temperature', 'Temperature (°C)'),
+    vital('bmi', 'BMI'),
+    column('alerts', 'Alerts', 'list', (patient) => (patient.alerts || []).map(alert => alert.label)),
+    column('diagnosis', 'Diagnosis', 'text'),
+    column('labTests', 'Lab Tests', 'list'),
+    column('labResults', 'Lab Results', 'list', (patient) => (patient.labOrders || [])
+        .filter(order => order.status !== 'cancelled')
+        .map(formatLabResult)),
+    column('treatmentPlan', 'Treatment Plan', 'text'),
+    column('referredTo', 'Referred To', 'text'),
+    column('referralReason', 'Referral Reason', 'text'),
+    column('completionDate', 'Completion Date', 'day', (patient) => patient.completionDate),
+    column('completionTime', 'Completion Time', 'time', (patient) => patient.completionDate),
+    history('pastMedicalHistory', 'Past Medical History'),
+    history('currentMedications', 'Current Medications'),
+    history('allergies', 'Allergies'),
+    history('familyHistory', 'Family History'),
+    history('socialHistory', 'Social History'),
+    column('createdAt', 'Created At', 'dateTime'),
+    column('lastModified', 'Last Modified', 'dateTime')
+];
+
+const PATIENT_COLUMN_KEYS = PATIENT_COLUMNS.map(item => item.key);
+
+// Columns by key in the order asked for - every column when none are
+const selectColumns = (keys) => {
+    const wanted = [].concat(keys || []).flatMap(key => String(key).split(',')).map(key => key.trim()).filter(Boolean);
+    if (wanted.length === 0) return PATIENT_COLUMNS;
+    return [...new Set(wanted)].map(key => PATIENT_COLUMNS.find(item => item.key === key)).filter(Boolean);
+};
+
+// Dates are shown in the visit's camp timezone, or the export's when the camp has none
+const zoneOf = (patient, timezone) => patient.camp?.timezone || timezone || DEFAULT_TIMEZONE;
+
+// Value as CSV text
+const textValue = (item, patient, timezone) => {
+    const value = item.value(patient);
+    const zone = zoneOf(patient, timezone);
+
+    if (value === null || value === undefined) return '';
+    if (item.type === 'list') return [].concat(value).join('; ');
+    if (item.type === 'day') return formatDay(value, zone);
+    if (item.type === 'time') return formatTime(value, zone);
+    if (item.type === 'dateTime') return `${formatDay(value, zone)} ${formatTime(value, zone)}`;
+    return String(value);
+};
+
+// Value as a typed spreadsheet cell - numbers stay numbers and dates become dates
+const cellValue = (item, patient, timezone) => {
+    const value = item.value(patient);
+
+    if (value === null || value === undefined || value === '') return null;
+    if (item.type === 'list') return [].concat(value).join('; ') || null;
+    if (item.type === 'number') return Number.isFinite(Number(value)) ? Number(value) : String(value);
+    if (['day', 'time', 'dateTime'].includes(item.type)) return wallClockDate(value, zoneOf(patient, timezone));
+    return String(value);
+};
+
+const escapeCsvField = (field) => {
+    if (field === null || field === undefined) return '';
+    const str = String(field);
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+};
+
+const csvHeader = (columns = PATIENT_COLUMNS) => columns.map(item => escapeCsvField(item.header)).join(',');
+
+// One CSV line per visit
+const toCsvRow = (patient, timezone, columns = PATIENT_COLUMNS) => {
+    return columns.map(item => escapeCsvField(textValue(item, patient, timezone))).join(',');
+};
+
+module.exports = {
+    PATIENT_COLUMNS,
+    PATIENT_COLUMN_KEYS,
+    selectColumns,
+    cellValue,
+    escapeCsvField,
+    csvHeader,
+    toCsvRow
+};
@@ -0,0 +1,85 @@
+// Patient filters - turns the shared filter model (PATIENT_FILTER_FIELDS in lib/validation/patients.js)
+// into conditions for the patient view pipeline. The list, search, export, statistics and bulk operations
+// all select records through here, so a saved filter means the same thing everywhere.
+
+const { dayRange } = require('./dates');
+
+// ['a', 'b'], 'a,b' and 'a' all become a list
+const toList = (value) => [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const andAll = (conditions) => conditions.length > 0 ? { $and: conditions } : {};
+
+// visitMatch goes in the first stage of buildPatientViewPipeline, before visits are joined to their
+// patients, so the visit indexes are used; viewMatch applies to the joined records.
+//
+// Options:
+//   timezone           - the camp timezone that decides which day a visit falls on
+//   campScope          - { camp } condition for the selected camp
+//   visitConditions    - further visit conditions the caller resolved, e.g. search matches
+//   includeDeleted     - whether deleted patients are kept when the filter does not say (default false)
+const patientFilterMatches = (filters = {}, { timezone, campScope = {}, visitConditions = [], includeDeleted = false } = {}) => {
+    const visit = [...(Object.keys(campScope).length > 0 ? [campScope] : []), ...visitConditions];
+    const view = [];
+
+    const services = [...new Set([...toList(filters.services), ...toList(filters.service)])];
+    if (services.length > 0) {
+        visit.push({ services: filters.servicesMatch === 'all' ? { $all: services } : { $in: services } });
+    }
+
+    if (filters.labTest) {
+        visit.push({
+            $or: [
+                { labTests: filters.labTest },
+                { labOrders: { $elemMatch: { test: filters.labTest, status: { $ne: 'cancelled' } } } }
+            ]
+        });
+    }
+
+    // Clinical alerts
+    if (filters.flag === 'any') {
+        visit.push({ priority: { $gt: 0 } });
+    } else if (filters.flag) {
+        visit.push({ 'alerts.code': { $in: toList(filters.flag) } });
+    }
+    if (filters.severity && filters.severity !== 'all') {
+        visit.push({ 'alerts.severity': filters.severity });
+    }
+
+    // Whole days in the camp's timezone
+    const registered = dayRange(filters.dateFrom, filters.dateTo, timezone);
+    if (registered) visit.push({ createdAt: registered });
+    const completed = dayRange(filters.completedFrom, filters.completedTo, timezone);
+    if (completed) visit.push({ completionDate: completed });
+
+    // Deleted patients show with status 'deleted' and are left out unless asked for
+    const keepDeleted = filters.status === 'deleted' || (filters.includeDeleted ?? includeDeleted);
+    if (!keepDeleted) view.push({ isDeleted: { $ne: true } });
+    if (filters.status && filters.status !== 'all') view.push({ status: filters.status });
+
+    if (filters.familyGroup && filters.familyGroup !== 'all') view.push({ familyGroup: filters.familyGroup });
+    if (filters.sex) view.push({ sex: filters.sex });
+
+    if (filters.ageMin !== undefined || filters.ageMax !== undefined) {
+        const age = {};
+        if (filters.ageMin !== undefined) age.$gte = Number(filters.ageMin);
+        if (filters.ageMax !== undefined) age.$lte = Number(filters.ageMax);
+        view.push({ age });
+    }
+
+    return { visitMatch: andAll(visit), viewMatch: andAll(view) };
+};
+
+// The filters that narrow anything - blanks and 'all' left out - as echoed back in responses and saved
+const activeFilters = (filters = {}) => Object.fromEntries(Object.entries(filters).filter(([, value]) => {
+    if (value === undefined || value === null || value === '' || value === 'all') return false;
+    return !Array.isArray(value) || value.length > 0;
+}));
+
+module.exports = {
+    toList,
+    patientFilterMatches,
+    activeFilters
+};
@@ -0,0 +1,176 @@
+// Patient import - reads a CSV or XLSX pre-registration list into registration requests. Files use the
+// columns of the patient export (lib/patient-columns.js), so an exported file can be edited and brought
+// back; headers are matched to columns by their export header or key, and others can be mapped by hand.
+// Only registration fields are read - visit records (status, diagnosis, lab tests, dates) are ignored.
+
+const ExcelJS = require('exceljs');
+const { PATIENT_COLUMNS } = require('./patient-columns');
+const { SEXES } = require('./validation/patients');
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+// Rows read from one file - larger lists are split before importing
+const MAX_IMPORT_ROWS = 2000;
+
+// Where each importable column goes in a registration request
+const IMPORT_FIELDS = {
+    name: ['name'],
+    age: ['age'],
+    sex: ['sex'],
+    occupation: ['occupation'],
+    tel: ['tel'],
+    familyGroup: ['familyGroup'],
+    camp: ['camp'],
+    services: ['services'],
+    height: ['vitalSigns', 'height'],
+    weight: ['vitalSigns', 'weight'],
+    bloodPressure: ['vitalSigns', 'bloodPressure'],
+    pulse: ['vitalSigns', 'pulse'],
+    temperature: ['vitalSigns', 'temperature'],
+    pastMedicalHistory: ['pastHistory', 'pastMedicalHistory'],
+    currentMedications: ['pastHistory', 'currentMedications'],
+    allergies: ['pastHistory', 'allergies'],
+    familyHistory: ['pastHistory', 'familyHistory'],
+    socialHistory: ['pastHistory', 'socialHistory']
+};
+
+const IMPORT_COLUMN_KEYS = Object.keys(IMPORT_FIELDS);
+
+// Columns a row cannot be registered without. Camp may instead be chosen for the whole file.
+const REQUIRED_COLUMNS = ['name', 'age', 'sex', 'tel', 'familyGroup'];
+
+const comparable = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const formatFromName = (fileName) => {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    return IMPORT_FORMATS.includes(extension) ? extension : null;
+};
+
+// CSV text as rows of cells. Quoted cells may hold separators, quotes ("") and line breaks. Spreadsheets
+// set to French save with semicolons, so the separator is whichever of , ; or tab the header line uses most.
+const parseCsv = (text) => {
+    const source = String(text).replace(/^\ufeff/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const separator = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// The workbook's Patients sheet (or its first sheet) as rows of cell text
+const readXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet('Patients') || workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        rows[rowNumber - 1] = Array.from({ length: row.cellCount }, (unused, index) => row.getCell(index + 1).text);
+    });
+    return Array.from(rows, row => row || []);
+};
+
+// Rows of the file, header first, with blank lines left out. Each keeps its line in the file for messages.
+const readSpreadsheet = async (buffer, format) => {
+    const rows = format === 'xlsx' ? await readXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+    return rows
+        .map((cells, index) => ({ line: index + 1, cells: cells.map(cell => String(cell ?? '').trim()) }))
+        .filter(row => row.cells.some(Boolean));
+};
+
+// Column each header stands for: the mapping given for it, else the export column with that header or key.
+// Headers of export-only columns (status, diagnosis, ...) and unknown headers are ignored.
+const mapHeaders = (headerCells, mapping = {}) => {
+    const mapped = new Map(Object.entries(mapping).map(([header, key]) => [comparable(header), key]));
+
+    const headers = headerCells.map((header, index) => {
+        const given = mapped.get(comparable(header));
+        const column = given === undefined
+            ? PATIENT_COLUMNS.find(item => comparable(item.header) === comparable(header) || comparable(item.key) === comparable(header))
+            : null;
+        const key = given !== undefined ? given || null : column?.key || null;
+        return { index, header, key: IMPORT_FIELDS[key] ? key : null, known: Boolean(key) };
+    });
+
+    // The first of two headers mapped to the same column wins
+    headers.forEach((header, index) => {
+        if (header.key && headers.slice(0, index).some(earlier => earlier.key === header.key)) header.key = null;
+    });
+
+    const keys = headers.map(header => header.key).filter(Boolean);
+    return {
+        headers,
+        missing: PATIENT_COLUMNS.filter(item => REQUIRED_COLUMNS.includes(item.key) && !keys.includes(item.key))
+    };
+};
+
+// Spreadsheet spellings of the sexes - 'm', 'FEMALE'
+const readSex = (value) => SEXES.find(sex => comparable(sex) === comparable(value) || comparable(sex)[0] === comparable(value)) || value;
+
+// One row as a registration request. Services are listed with ; as in the export. Camp holds the camp
+// name or ID as written - the server resolves it.
+const rowToPatient = (cells, headers) => {
+    const patient = {};
+    headers.filter(header => header.key && cells[header.index]).forEach(({ key, index }) => {
+        const path = IMPORT_FIELDS[key];
+        let value = cells[index];
+        if (key === 'services') value = value.split(';').map(service => service.trim()).filter(Boolean);
+        if (key === 'sex') value = readSex(value);
+
+        if (path.length === 1) {
+            patient[path[0]] = value;
+        } else {
+            patient[path[0]] = { ...patient[path[0]], [path[1]]: value };
+        }
+    });
+    return patient;
+};
+
+module.exports = {
+    IMPORT_FORMATS,
+    MAX_IMPORT_ROWS,
+    IMPORT_COLUMN_KEYS,
+    REQUIRED_COLUMNS,
+    formatFromName,
+    parseCsv,
+    readSpreadsheet,
+    mapHeaders,
+    rowToPatient
+};
@@ -0,0 +1,77 @@
+// Reference lists - the services, family groups, lab tests and occupations offered in forms.
+// Admins manage them through /api/reference; these defaults fill a list the first time the server starts.
+
+const DEFAULT_SERVICES = [
+    'General consultations',
+    'Eye consultation',
+    'Gynaecology',
+    'Cervical cancer screening',
+    'Sexual and reproductive health',
+    'Dental consultation'
+];
+
+const DEFAULT_FAMILY_GROUPS = ['ESDA', 'MASUDA', 'AKUCDA', 'UBACDA', 'OTHERS'];
+
+const DEFAULT_LAB_TESTS = [
+    'Malaria', 'HIV', 'HBV', 'HCV', 'Blood grouping',
+    'Blood glucose', 'Syphilis', 'Ultrasound', 'X-ray',
+    'ECG', 'Urinalysis', 'Lipid Profile'
+];
+
+const DEFAULT_OCCUPATIONS = [
+    'Farmer', 'Trader', 'Teacher', 'Student', 'Civil servant',
+    'Health worker', 'Driver', 'Artisan', 'Homemaker', 'Retired', 'Unemployed'
+];
+
+// What each list is used for. Retired values are no longer offered, but records that already
+// hold them stay valid - a value is only checked when a record takes it on.
+const REFERENCE_LISTS = {
+    services: {
+        label: 'Services',
+        description: 'Offered to new camps, and to registrations made without a camp',
+        defaults: DEFAULT_SERVICES
+    },
+    familyGroups: {
+        label: 'Family groups',
+        description: 'Community associations a patient can belong to',
+        defaults: DEFAULT_FAMILY_GROUPS
+    },
+    labTests: {
+        label: 'Lab tests',
+        description: 'The lab catalog and the tests available at new camps - see lib/lab-tests.js for result types',
+        defaults: DEFAULT_LAB_TESTS
+    },
+    occupations: {
+        label: 'Occupations',
+        description: 'Suggestions while typing - occupation stays free text',
+        defaults: DEFAULT_OCCUPATIONS
+    }
+};
+
+const REFERENCE_LIST_NAMES = Object.keys(REFERENCE_LISTS);
+
+// Seed documents for a list, in the order the defaults are written
+const defaultReferenceItems = (list) => REFERENCE_LISTS[list].defaults.map((value, index) => ({
+    list,
+    value,
+    label: value,
+    displayOrder: index,
+    isActive: true
+}));
+
+// Items grouped by list, in display order
+const groupReferenceItems = (items) => {
+    const grouped = Object.fromEntries(REFERENCE_LIST_NAMES.map(list => [list, []]));
+    items
+        .filter(item => grouped[item.list])
+        .sort((a, b) => a.displayOrder - b.displayOrder || a.value.localeCompare(b.value))
+        .forEach(item => grouped[item.list].push(item));
+    return grouped;
+};
+
+module.exports = {
+    REFERENCE_LISTS,
+    REFERENCE_LIST_NAMES,
+    defaultReferenceItems,
+    groupReferenceItems
+};
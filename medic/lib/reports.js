@@ -0,0 +1,185 @@
+// Cross-tab reports - visits counted by up to three dimensions (service by sex by age band, family group
+// by month, ...) with a choice of measures. Builds the aggregation stages that run after the patient view
+// pipeline and turns the grouped counts into rows, margins and totals the reports tab draws as tables and charts.
+
+const { SEXES } = require('./validation/patients');
+
+// Age band sets staff can pick by name instead of listing bands
+const AGE_BAND_PRESETS = {
+    standard: '0-18,19-30,31-45,46-60,61-75,76+',
+    under5: '0-4,5-14,15-24,25-49,50-64,65+',
+    who: '0-4,5-9,10-14,15-19,20-24,25-29,30-34,35-39,40-44,45-49,50-54,55-59,60-64,65-69,70-74,75-79,80+'
+};
+
+const TIME_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+const DIMENSIONS = {
+    service: { label: 'Service' },
+    sex: { label: 'Sex' },
+    ageBand: { label: 'Age band' },
+    familyGroup: { label: 'Family group' },
+    occupation: { label: 'Occupation' },
+    status: { label: 'Status' },
+    camp: { label: 'Camp' },
+    day: { label: 'Registration day' },
+    week: { label: 'Registration week' },
+    month: { label: 'Registration month' }
+};
+
+const MEASURES = {
+    visits: { label: 'Visits' },
+    patients: { label: 'Patients', description: 'Different people - one person with two visits counts once' },
+    completed: { label: 'Completed' },
+    pending: { label: 'Pending tests' },
+    cancelled: { label: 'Cancelled' },
+    flagged: { label: 'Flagged', description: 'Visits with a clinical alert' },
+    completionRate: { label: 'Completion rate (%)', description: 'Completed visits among those not cancelled' }
+};
+
+const DIMENSION_NAMES = Object.keys(DIMENSIONS);
+const MEASURE_NAMES = Object.keys(MEASURES);
+const MAX_DIMENSIONS = 3;
+
+// Records without a value for a dimension, and ages outside every band
+const UNKNOWN = 'Unknown';
+const OTHER = 'Other';
+
+// '0-4,5-14,65+' (or a preset name) as [{ label, min, max }], max null for an open band. Bands must be
+// in ascending order without overlaps; returns null when they are not.
+const parseAgeBands = (spec = 'standard') => {
+    const bands = String(AGE_BAND_PRESETS[spec] || spec).split(',').map(part => {
+        const match = part.trim().match(/^(\d+)(?:-(\d+)|(\+))?$/);
+        if (!match) return null;
+        const min = Number(match[1]);
+        const max = match[3] ? null : match[2] !== undefined ? Number(match[2]) : min;
+        return { label: part.trim(), min, max };
+    });
+
+    const ordered = bands.every((band, index) => {
+        if (!band || (band.max !== null && band.max < band.min)) return false;
+        const previous = bands[index - 1];
+        return !previous || (previous.max !== null && band.min > previous.max);
+    });
+    return ordered ? bands : null;
+};
+
+// Every value ageBandExpression can give, in order
+const ageBandLabels = (ageBands) => [...ageBands.map(band => band.label), OTHER, UNKNOWN];
+
+const ageBandExpression = (ageBands) => ({
+    $switch: {
+        branches: [
+            { case: { $not: [{ $isNumber: '$age' }] }, then: UNKNOWN },
+            ...ageBands.map(band => ({
+                case: {
+                    $and: [
+                        { $gte: ['$age', band.min] },
+                        ...(band.max !== null ? [{ $lte: ['$age', band.max] }] : [])
+                    ]
+                },
+                then: band.label
+            }))
+        ],
+        default: OTHER
+    }
+});
+
+// Value a visit is counted under for a dimension. Days, weeks and months are the camp's calendar.
+const dimensionExpression = (dimension, { ageBands, timezone }) => {
+    if (dimension === 'ageBand') return ageBandExpression(ageBands);
+    if (TIME_FORMATS[dimension]) {
+        return { $dateToString: { format: TIME_FORMATS[dimension], date: '$createdAt', timezone } };
+    }
+    return { $ifNull: [`$${dimension === 'service' ? 'services' : dimension}`, UNKNOWN] };
+};
+
+// Counts for one grouping. A visit for two services counts once under each, so service totals can
+// add up to more than the visits.
+const groupStages = (dimensions, options) => [
+    ...(dimensions.includes('service') ? [{ $unwind: { path: '$services', preserveNullAndEmptyArrays: true } }] : []),
+    {
+        $group: {
+            _id: dimensions.length > 0
+                ? Object.fromEntries(dimensions.map(dimension => [dimension, dimensionExpression(dimension, options)]))
+                : null,
+            visits: { $sum: 1 },
+            patients: { $addToSet: '$patientId' },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'registered'] }, 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+            flagged: { $sum: { $cond: [{ $gt: ['$priority', 0] }, 1, 0] } }
+        }
+    },
+    { $addFields: { patients: { $size: '$patients' } } }
+];
+
+// One $facet stage: every combination of the dimensions, each dimension on its own (the table margins)
+// and the grand total
+const crossTabStages = (dimensions, options) => [{
+    $facet: {
+        cells: groupStages(dimensions, options),
+        ...Object.fromEntries(dimensions.map(dimension => [`by_${dimension}`, groupStages([dimension], options)])),
+        total: groupStages([], options)
+    }
+}];
+
+const measureValues = (counts, measures) => Object.fromEntries(measures.map(measure => {
+    if (measure !== 'completionRate') return [measure, counts[measure] || 0];
+    const conclusive = (counts.visits || 0) - (counts.cancelled || 0);
+    return [measure, conclusive > 0 ? Math.round((counts.completed / conclusive) * 1000) / 10 : null];
+}));
+
+// Order of a dimension's values - bands and time in their natural order, the rest largest first
+const orderValues = (dimension, margin, ageBands) => {
+    const values = margin.map(item => item.value);
+    const pinned = dimension === 'ageBand' ? ageBandLabels(ageBands)
+        : dimension === 'sex' ? [...SEXES, UNKNOWN]
+        : null;
+
+    if (pinned) return pinned.filter(value => values.includes(value));
+    if (TIME_FORMATS[dimension]) return [...values].sort();
+    return [...margin].sort((a, b) => b.visits - a.visits).map(item => item.value);
+};
+
+// The aggregation result as { dimensions: [{ name, label, values }], measures, rows, margins, totals }.
+// Camps are grouped by ID; campNames turns them into names.
+const shapeCrossTab = (facet, dimensions, measures, { ageBands, campNames = new Map() }) => {
+    const valueOf = (dimension, value) => {
+        if (dimension === 'camp') return campNames.get(String(value)) || (value === UNKNOWN ? UNKNOWN : String(value));
+        return value === null || value === '' ? UNKNOWN : String(value);
+    };
+    const toRow = (group, groupDimensions) => ({
+        ...Object.fromEntries(groupDimensions.map(dimension => [dimension, valueOf(dimension, group._id[dimension])])),
+        ...measureValues(group, measures)
+    });
+
+    const margins = Object.fromEntries(dimensions.map(dimension => [
+        dimension,
+        facet[`by_${dimension}`].map(group => toRow(group, [dimension]))
+    ]));
+
+    return {
+        dimensions: dimensions.map(dimension => {
+            const counts = facet[`by_${dimension}`].map(group => ({ value: valueOf(dimension, group._id[dimension]), visits: group.visits }));
+            return { name: dimension, label: DIMENSIONS[dimension].label, values: orderValues(dimension, counts, ageBands) };
+        }),
+        measures: measures.map(measure => ({ name: measure, ...MEASURES[measure] })),
+        rows: facet.cells.map(group => toRow(group, dimensions)),
+        margins,
+        totals: measureValues(facet.total[0] || {}, measures)
+    };
+};
+
+module.exports = {
+    AGE_BAND_PRESETS,
+    DIMENSIONS,
+    MEASURES,
+    DIMENSION_NAMES,
+    MEASURE_NAMES,
+    MAX_DIMENSIONS,
+    parseAgeBands,
+    ageBandLabels,
+    ageBandExpression,
+    crossTabStages,
+    shapeCrossTab
+};
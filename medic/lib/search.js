@@ -0,0 +1,79 @@
+// Patient search helpers - accent-free search words and phonetic keys for names, so 'Ngwa', 'Ngoua'
+// and 'NGWA' find each other. Shared by the API server and the migration that adds the keys to
+// existing patients, so both derive them the same way.
+
+// Lowercase, accent-free text with punctuation turned into spaces ('Émilie-Ngo' -> 'emilie ngo')
+const foldText = (text) => {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .trim();
+};
+
+// Distinct folded words of a text
+const searchWords = (text) => [...new Set(foldText(text).split(/\s+/).filter(Boolean))];
+
+// User input used inside a regular expression matches literally - '(' or '+' cannot break the query
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Spellings that sound alike in the names met at camps (English and French spellings of local names),
+// applied in order before consonants are grouped
+const PHONETIC_RULES = [
+    [/tch/g, 'ch'],
+    [/dj/g, 'j'],
+    [/ph/g, 'f'],
+    [/gh/g, 'g'],
+    [/ck|qu/g, 'k'],
+    [/ch|sh/g, 's'],
+    [/th/g, 't'],
+    [/ou|w/g, 'u'],
+    [/y/g, 'i'],
+    [/h/g, '']
+];
+
+// Consonants that are easily swapped in spelling share a code; vowels are dropped
+const CONSONANT_CODES = {
+    b: 'p', p: 'p',
+    d: 't', t: 't',
+    f: 'f', v: 'f',
+    c: 'k', g: 'k', k: 'k', q: 'k',
+    s: 's', x: 's', z: 's',
+    j: 'j', l: 'l', r: 'r', m: 'm', n: 'n'
+};
+
+// Phonetic key of one word - 'Mohammed' and 'Muhamad' both give 'mt'. Words that start with a vowel keep
+// a leading 'a' so 'Emmanuel' ('amnl') does not collide with 'Manuel' ('mnl').
+const phoneticKey = (word) => {
+    let spelling = foldText(word).replace(/[^a-z]/g, '');
+    PHONETIC_RULES.forEach(([pattern, replacement]) => {
+        spelling = spelling.replace(pattern, replacement);
+    });
+    if (!spelling) return '';
+
+    let key = /^[aeiou]/.test(spelling) ? 'a' : '';
+    for (const letter of spelling) {
+        const code = CONSONANT_CODES[letter];
+        if (code && !key.endsWith(code)) key += code;
+    }
+    return key.slice(0, 6);
+};
+
+// Phonetic keys of every word - single letters are dropped, they would match half the register
+const phoneticKeys = (text) => [...new Set(searchWords(text).map(phoneticKey).filter(key => key.length > 1))];
+
+// Fields stored on a patient so searches can find them by any name word or by sound
+const nameSearchKeys = (name) => ({
+    searchTerms: searchWords(name),
+    searchPhonetic: phoneticKeys(name)
+});
+
+module.exports = {
+    foldText,
+    searchWords,
+    escapeRegExp,
+    phoneticKey,
+    phoneticKeys,
+    nameSearchKeys
+};
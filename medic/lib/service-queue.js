@@ -0,0 +1,63 @@
+// Per-service waiting lists - each visit queues separately for every service it registered for.
+// Shared by the API server and the maintenance scripts so both build queues the same way.
+
+const QUEUE_STATUSES = ['waiting', 'called', 'in_consultation', 'done', 'skipped'];
+
+// Statuses that take the patient out of the waiting list for good
+const FINISHED_QUEUE_STATUSES = ['done', 'skipped'];
+
+// Statuses in which the patient is with a station and cannot be called elsewhere
+const ACTIVE_QUEUE_STATUSES = ['called', 'in_consultation'];
+
+// Allowed status changes. A called patient who does not turn up goes back to waiting;
+// a skipped patient can rejoin the queue.
+const QUEUE_TRANSITIONS = {
+    waiting: ['called', 'skipped'],
+    called: ['in_consultation', 'done', 'waiting', 'skipped'],
+    in_consultation: ['done', 'skipped'],
+    done: [],
+    skipped: ['waiting']
+};
+
+// Triage priority set at registration - the index is the priority number.
+// Clinical alerts raise a visit to at least the matching level.
+const TRIAGE_LEVELS = ['routine', 'urgent', 'emergency'];
+
+const createQueueEntry = (service, queuedAt = new Date()) => ({ service, status: 'waiting', queuedAt });
+
+// Keep the queue in step with the visit's services: new services join the queue,
+// unfinished entries for removed services leave it, completed consultations are kept
+const syncServiceQueue = (queue = [], services = []) => {
+    const wanted = new Set(services);
+    const kept = (queue || []).filter(entry => wanted.has(entry.service) || entry.status === 'done');
+    const queued = new Set(kept.map(entry => entry.service));
+
+    services.filter(service => !queued.has(service)).forEach(service => {
+        kept.push(createQueueEntry(service));
+        queued.add(service);
+    });
+
+    return kept;
+};
+
+// Services the patient still has to be seen for
+const pendingQueueServices = (queue = []) => {
+    return (queue || []).filter(entry => !FINISHED_QUEUE_STATUSES.includes(entry.status)).map(entry => entry.service);
+};
+
+// A visit is complete once every service has been done or skipped
+const isQueueFinished = (queue = []) => {
+    return (queue || []).length > 0 && pendingQueueServices(queue).length === 0;
+};
+
+module.exports = {
+    QUEUE_STATUSES,
+    FINISHED_QUEUE_STATUSES,
+    ACTIVE_QUEUE_STATUSES,
+    QUEUE_TRANSITIONS,
+    TRIAGE_LEVELS,
+    createQueueEntry,
+    syncServiceQueue,
+    pendingQueueServices,
+    isQueueFinished
+};
@@ -0,0 +1,49 @@
+// Clinical alert rule requests - the conditions a rule tests and how the alert is shown.
+
+const { ALERT_SEVERITIES, ALERT_OPERATORS, VITAL_METRICS } = require('../clinical-alerts');
+
+const ALERT_RULE_FIELDS = {
+    code: {
+        type: 'string',
+        title: 'Rule code',
+        pattern: '^[a-z0-9_]+$',
+        errorMessage: 'Rule code may only contain lowercase letters, digits and underscores'
+    },
+    label: { type: 'string', title: 'Rule label', minLength: 1, maxLength: 100 },
+    severity: { title: 'Severity', enum: ALERT_SEVERITIES },
+    match: { title: 'Match', enum: ['any', 'all'], description: 'Raise the alert when any condition holds, or only when all do' },
+    conditions: {
+        type: 'array',
+        title: 'Conditions',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['metric', 'operator', 'value'],
+            properties: {
+                metric: {
+                    type: 'string',
+                    title: 'Metric',
+                    pattern: `^(${VITAL_METRICS.join('|')}|lab:.+)$`,
+                    errorMessage: `Unknown metric. Use one of ${VITAL_METRICS.join(', ')} or lab:<test name>`,
+                    description: 'Vital sign or lab:<test name>'
+                },
+                operator: { title: 'Operator', enum: ALERT_OPERATORS },
+                value: { type: ['number', 'string'], title: 'Value', minLength: 1, description: 'Threshold, or a qualitative lab result such as positive' }
+            }
+        }
+    },
+    supersedes: { type: 'array', items: { type: 'string' }, description: 'Codes of milder rules this alert replaces' },
+    isActive: { type: 'boolean' }
+};
+
+const createAlertRule = { type: 'object', required: ['code', 'label', 'severity', 'conditions'], properties: ALERT_RULE_FIELDS };
+
+// The code identifies alerts already raised, so it cannot change
+const { code, ...UPDATABLE_FIELDS } = ALERT_RULE_FIELDS;
+const updateAlertRule = { type: 'object', properties: UPDATABLE_FIELDS };
+
+module.exports = {
+    ALERT_RULE_FIELDS,
+    createAlertRule,
+    updateAlertRule
+};
@@ -0,0 +1,23 @@
+// Camp requests - creating a camp and changing its details, services or lab tests.
+
+const CAMP_FIELDS = {
+    name: { type: 'string', title: 'Camp name', minLength: 2, maxLength: 100 },
+    location: { type: 'string', title: 'Location', maxLength: 200 },
+    description: { type: 'string', title: 'Description', maxLength: 1000 },
+    startDate: { type: 'string', title: 'Start date', format: 'date', description: 'YYYY-MM-DD' },
+    endDate: { type: 'string', title: 'End date', format: 'date', description: 'YYYY-MM-DD, not before startDate' },
+    services: { type: 'array', title: 'Services', minItems: 1, items: { type: 'string', minLength: 1, maxLength: 100 } },
+    labTests: { type: 'array', title: 'Lab tests', items: { type: 'string', minLength: 1, maxLength: 100 } },
+    timezone: { type: 'string', title: 'Timezone', maxLength: 64, description: 'IANA timezone such as Africa/Douala; visits are counted on the day it was there' },
+    isActive: { type: 'boolean', description: 'Closed camps accept no new registrations' }
+};
+
+const createCamp = { type: 'object', required: ['name', 'location', 'startDate', 'endDate'], properties: CAMP_FIELDS };
+
+const updateCamp = { type: 'object', properties: CAMP_FIELDS };
+
+module.exports = {
+    CAMP_FIELDS,
+    createCamp,
+    updateCamp
+};
@@ -0,0 +1,63 @@
+// DHIS2 requests - the mapping from our counts to DHIS2 data elements, and the period and org unit a
+// dataValueSets payload is built for.
+
+const { objectId } = require('./index');
+const { SEXES } = require('./patients');
+const { ageBands } = require('./reports');
+const { AGGREGATES, AGGREGATE_NAMES, UID_PATTERN, PERIOD_PATTERN } = require('../dhis2');
+
+const uid = (title) => ({
+    type: 'string',
+    title,
+    pattern: UID_PATTERN,
+    errorMessage: `${title} must be a DHIS2 ID - 11 letters and digits, starting with a letter`
+});
+
+// One data value: what is counted, and where DHIS2 keeps it. Blank service, test, sex or age band count all.
+const mappingRow = {
+    type: 'object',
+    required: ['aggregate', 'dataElement'],
+    properties: {
+        label: { type: 'string', title: 'Label', maxLength: 200, description: 'What the value is, e.g. OPD consultations, male, under 5' },
+        aggregate: {
+            title: 'Count',
+            enum: AGGREGATE_NAMES,
+            description: AGGREGATE_NAMES.map(name => `${name} - ${AGGREGATES[name].description}`).join('; ')
+        },
+        service: { type: 'string', title: 'Service', description: 'For services counts' },
+        test: { type: 'string', title: 'Lab test', description: 'For lab test counts' },
+        sex: { title: 'Sex', enum: SEXES },
+        ageBand: { type: 'string', title: 'Age band', description: 'One of the mapping\'s age bands, e.g. 0-4' },
+        dataElement: uid('Data element'),
+        categoryOptionCombo: { ...uid('Category option combo'), description: 'Leave out for the default combination' },
+        attributeOptionCombo: { ...uid('Attribute option combo'), description: 'Overrides the mapping\'s attribute option combo' }
+    }
+};
+
+const updateMapping = {
+    type: 'object',
+    required: ['rows'],
+    properties: {
+        dataSet: { ...uid('Data set'), description: 'Data set the values are reported in' },
+        attributeOptionCombo: { ...uid('Attribute option combo'), description: 'For every value unless a row gives its own' },
+        ageBands: { ...ageBands, description: `Bands the age band of each row refers to. ${ageBands.description}` },
+        rows: { type: 'array', title: 'Data values', maxItems: 1000, items: mappingRow }
+    }
+};
+
+const DATA_VALUE_SET_FIELDS = {
+    period: {
+        type: 'string',
+        title: 'Period',
+        pattern: PERIOD_PATTERN,
+        errorMessage: 'Period must be a DHIS2 period such as 20240315, 2024W11, 202403, 2024Q1 or 2024',
+        description: 'DHIS2 period - daily (20240315), weekly (2024W11), monthly (202403), quarterly (2024Q1) or yearly (2024)'
+    },
+    orgUnit: uid('Org unit'),
+    camp: { ...objectId('Camp to count - all camps when left out'), title: 'Camp' }
+};
+
+module.exports = {
+    updateMapping,
+    DATA_VALUE_SET_FIELDS
+};
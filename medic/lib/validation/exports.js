@@ -0,0 +1,28 @@
+// Export requests - file format, the patient columns to include and, for XLSX, the sheets.
+
+const { PATIENT_COLUMN_KEYS } = require('../patient-columns');
+const { SHEET_NAMES } = require('../xlsx-export');
+
+const commaList = (names) => `^(${names.join('|')})(,(${names.join('|')}))*$`;
+
+const EXPORT_FIELDS = {
+    format: { title: 'Format', enum: ['json', 'csv', 'ndjson', 'xlsx'] },
+    columns: {
+        type: 'string',
+        title: 'Columns',
+        pattern: commaList(PATIENT_COLUMN_KEYS),
+        errorMessage: `Columns are ${PATIENT_COLUMN_KEYS.join(', ')}, separated by commas`,
+        description: `Comma-separated columns for CSV and the XLSX patients sheet, in order (default all): ${PATIENT_COLUMN_KEYS.join(', ')}`
+    },
+    sheets: {
+        type: 'string',
+        title: 'Sheets',
+        pattern: commaList(SHEET_NAMES),
+        errorMessage: `Sheets are ${SHEET_NAMES.join(', ')}, separated by commas`,
+        description: `XLSX only - comma-separated sheets, in order (default all): ${SHEET_NAMES.join(', ')}`
+    }
+};
+
+module.exports = {
+    EXPORT_FIELDS
+};
@@ -0,0 +1,143 @@
+// FHIR R4 requests - the structure of the resources a bundle import reads (Patient, Encounter, Observation,
+// ServiceRequest, Condition). Only the elements the import uses are described; other elements are allowed
+// and ignored. Code lists are the R4 value sets the import relies on.
+
+const { calendarDay, objectId } = require('./index');
+
+const FHIR_ID = '^[A-Za-z0-9\\-\\.]{1,64}$';
+const FHIR_DATE_TIME = '^\\d{4}(-\\d{2}(-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2}))?)?)?$';
+
+const BUNDLE_TYPES = ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'];
+const ENCOUNTER_STATUSES = ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'];
+const OBSERVATION_STATUSES = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+const SERVICE_REQUEST_STATUSES = ['draft', 'active', 'on-hold', 'revoked', 'completed', 'entered-in-error', 'unknown'];
+const SERVICE_REQUEST_INTENTS = ['proposal', 'plan', 'directive', 'order', 'original-order', 'reflex-order', 'filler-order', 'instance-order', 'option'];
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+const text = (title) => ({ type: 'string', title });
+const list = (title, items) => ({ type: 'array', title, items });
+const dateTime = (title) => ({ type: 'string', title, pattern: FHIR_DATE_TIME, errorMessage: `${title} must be a FHIR dateTime such as 2024-03-01T09:30:00Z` });
+
+const coding = { type: 'object', properties: { system: text('System'), code: text('Code'), display: text('Display') } };
+const codeableConcept = (title) => ({ type: 'object', title, properties: { coding: list('Coding', coding), text: text('Text') } });
+const reference = (title) => ({ type: 'object', title, properties: { reference: text('Reference'), display: text('Display') } });
+const quantity = (title) => ({
+    type: 'object',
+    title,
+    required: ['value'],
+    properties: { value: { type: 'number', title: `${title} value` }, unit: text('Unit'), system: text('System'), code: text('Unit code') }
+});
+const identifier = { type: 'object', properties: { system: text('Identifier system'), value: text('Identifier value') } };
+const extension = list('Extensions', { type: 'object', required: ['url'], properties: { url: text('Extension URL') } });
+
+const resource = (resourceType, required, properties) => ({
+    type: 'object',
+    required: ['resourceType', ...required],
+    properties: {
+        resourceType: { const: resourceType },
+        id: { type: 'string', title: 'ID', pattern: FHIR_ID, errorMessage: 'IDs are 1-64 letters, digits, - and .' },
+        identifier: list('Identifiers', identifier),
+        extension,
+        ...properties
+    }
+});
+
+const RESOURCE_SCHEMAS = {
+    Patient: resource('Patient', [], {
+        active: { type: 'boolean', title: 'Active' },
+        name: list('Name', {
+            type: 'object',
+            properties: { text: text('Name'), family: text('Family name'), given: list('Given names', text('Given name')) }
+        }),
+        telecom: list('Telecom', {
+            type: 'object',
+            properties: { system: { title: 'Contact system', enum: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'] }, value: text('Contact') }
+        }),
+        gender: { title: 'Gender', enum: GENDERS },
+        birthDate: { ...calendarDay('Birth date'), pattern: '^\\d{4}(-\\d{2}(-\\d{2})?)?$', errorMessage: 'Birth dates are written YYYY, YYYY-MM or YYYY-MM-DD' }
+    }),
+    Encounter: resource('Encounter', ['status', 'class'], {
+        status: { title: 'Status', enum: ENCOUNTER_STATUSES },
+        class: { ...coding, title: 'Class' },
+        type: list('Type', codeableConcept('Type')),
+        serviceType: codeableConcept('Service type'),
+        subject: reference('Subject'),
+        period: { type: 'object', title: 'Period', properties: { start: dateTime('Period start'), end: dateTime('Period end') } },
+        location: list('Location', {
+            type: 'object',
+            required: ['location'],
+            properties: { location: { ...reference('Location'), properties: { ...reference().properties, identifier } } }
+        })
+    }),
+    Observation: resource('Observation', ['status', 'code'], {
+        status: { title: 'Status', enum: OBSERVATION_STATUSES },
+        category: list('Category', codeableConcept('Category')),
+        code: codeableConcept('Code'),
+        subject: reference('Subject'),
+        encounter: reference('Encounter'),
+        basedOn: list('Based on', reference('Based on')),
+        effectiveDateTime: dateTime('Effective time'),
+        valueQuantity: quantity('Value'),
+        valueCodeableConcept: codeableConcept('Value'),
+        valueString: text('Value'),
+        interpretation: list('Interpretation', codeableConcept('Interpretation')),
+        component: list('Components', {
+            type: 'object',
+            required: ['code'],
+            properties: { code: codeableConcept('Component code'), valueQuantity: quantity('Component value') }
+        })
+    }),
+    ServiceRequest: resource('ServiceRequest', ['status', 'intent', 'subject'], {
+        status: { title: 'Status', enum: SERVICE_REQUEST_STATUSES },
+        intent: { title: 'Intent', enum: SERVICE_REQUEST_INTENTS },
+        code: codeableConcept('Code'),
+        subject: reference('Subject'),
+        encounter: reference('Encounter'),
+        authoredOn: dateTime('Authored on')
+    }),
+    Condition: resource('Condition', ['subject'], {
+        clinicalStatus: codeableConcept('Clinical status'),
+        verificationStatus: codeableConcept('Verification status'),
+        category: list('Category', codeableConcept('Category')),
+        code: codeableConcept('Code'),
+        subject: reference('Subject'),
+        encounter: reference('Encounter'),
+        recordedDate: dateTime('Recorded date')
+    })
+};
+
+const SUPPORTED_RESOURCES = Object.keys(RESOURCE_SCHEMAS);
+
+// The bundle itself - each entry's resource is then checked against its own schema
+const importBundle = {
+    type: 'object',
+    required: ['resourceType', 'type'],
+    properties: {
+        resourceType: { const: 'Bundle' },
+        type: { title: 'Bundle type', enum: BUNDLE_TYPES },
+        entry: list('Entries', {
+            type: 'object',
+            required: ['resource'],
+            properties: {
+                fullUrl: text('Full URL'),
+                resource: { type: 'object', title: 'Resource', required: ['resourceType'], properties: { resourceType: text('Resource type') } }
+            }
+        })
+    }
+};
+
+// Defaults for what a bundle leaves out
+const IMPORT_QUERY = {
+    camp: { ...objectId('Camp for Encounters without a known location'), title: 'Camp' },
+    familyGroup: { type: 'string', title: 'Family group', description: 'Family group for new patients without the family group extension' },
+    dryRun: { type: 'boolean', description: 'Check the bundle without importing it' },
+    confirmNotDuplicate: { type: 'boolean', description: 'Register new patients even though similar patients exist' }
+};
+
+module.exports = {
+    ENCOUNTER_STATUSES,
+    RESOURCE_SCHEMAS,
+    SUPPORTED_RESOURCES,
+    IMPORT_QUERY,
+    importBundle
+};
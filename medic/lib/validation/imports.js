@@ -0,0 +1,31 @@
+// Import requests - a CSV or XLSX pre-registration list, checked first and registered once staff confirm.
+
+const { objectId } = require('./index');
+const { IMPORT_FORMATS, IMPORT_COLUMN_KEYS } = require('../patient-import');
+
+const importPatients = {
+    type: 'object',
+    required: ['file'],
+    properties: {
+        file: { type: 'string', title: 'File', minLength: 1, description: 'The CSV or XLSX file, base64 encoded' },
+        fileName: { type: 'string', title: 'File name', maxLength: 255, description: 'Kept in each created patient\'s history' },
+        format: { title: 'Format', enum: IMPORT_FORMATS, description: 'Defaults to the file name\'s extension, else csv' },
+        camp: { ...objectId('Camp for rows without a Camp column value'), title: 'Camp' },
+        mapping: {
+            type: 'object',
+            title: 'Column mapping',
+            additionalProperties: {
+                type: 'string',
+                pattern: `^(${IMPORT_COLUMN_KEYS.join('|')})?$`,
+                errorMessage: `Headers can be mapped to ${IMPORT_COLUMN_KEYS.join(', ')}, or to '' to ignore them`
+            },
+            description: `Header -> column for headers that differ from the export, '' to ignore one. Columns: ${IMPORT_COLUMN_KEYS.join(', ')}`
+        },
+        dryRun: { type: 'boolean', description: 'Check the rows without registering anyone (default true)' },
+        confirmNotDuplicate: { type: 'boolean', description: 'Import rows that look like a registered patient or another row as well' }
+    }
+};
+
+module.exports = {
+    importPatients
+};
@@ -0,0 +1,193 @@
+// Request validation - each resource declares its fields once (patients.js, camps.js, users.js, ...)
+// and this turns the declaration into a validator. Form input is coerced to the declared types and
+// every problem is reported per field as { field, code, message } so the UI can mark the right input.
+
+const Ajv2020 = require('ajv/dist/2020');
+
+// Formats (date-time) are documentation only - dates are parsed by the route handlers.
+// Numbers and booleans typed into forms arrive as text and are converted in place.
+const ajv = new Ajv2020({ strict: false, allErrors: true, verbose: true, validateFormats: false, coerceTypes: true });
+
+const objectId = (description) => ({
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{24}$',
+    description: description || 'MongoDB ID (24 hex characters)'
+});
+
+// A calendar day, read in the camp's timezone by the routes (see lib/dates.js)
+const calendarDay = (description) => ({
+    type: 'string',
+    format: 'date',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+    errorMessage: 'Dates must be written as YYYY-MM-DD',
+    description: description || 'Day (YYYY-MM-DD) in the camp timezone'
+});
+
+// Ajv keyword -> error code the UI can switch on
+const ERROR_CODES = {
+    required: 'required',
+    type: 'invalid_type',
+    enum: 'invalid_choice',
+    const: 'invalid_choice',
+    pattern: 'invalid_format',
+    format: 'invalid_format',
+    minLength: 'too_short',
+    maxLength: 'too_long',
+    minimum: 'too_small',
+    exclusiveMinimum: 'too_small',
+    maximum: 'too_large',
+    exclusiveMaximum: 'too_large',
+    minItems: 'too_few',
+    maxItems: 'too_many',
+    additionalProperties: 'unknown_field'
+};
+
+// Mongoose validator kind -> the same codes, for errors the models still catch
+const MONGOOSE_CODES = {
+    required: 'required',
+    enum: 'invalid_choice',
+    regexp: 'invalid_format',
+    minlength: 'too_short',
+    maxlength: 'too_long',
+    min: 'too_small',
+    max: 'too_large'
+};
+
+const TYPE_NAMES = { number: 'a number', integer: 'a whole number', boolean: 'true or false', string: 'text', array: 'a list', object: 'an object' };
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+const resolve = (schema, components) => {
+    if (schema && schema.$ref) {
+        return resolve(components[schema.$ref.split('/').pop()], components);
+    }
+    return schema || {};
+};
+
+// Optional text may be cleared with ''; for anything else (numbers, choices, IDs, required text) a blank means "not given"
+const acceptsBlank = (schema) => typesOf(schema).includes('string') && !schema.enum && !schema.pattern && !schema.minLength;
+
+// Trim text and drop blank values the schema has no use for, so an empty form input counts as missing
+const prepare = (schema, value, components) => {
+    schema = resolve(schema, components);
+
+    if (typeof value === 'string') value = value.trim();
+    if ((value === '' || value === null) && !acceptsBlank(schema)) return undefined;
+
+    if (Array.isArray(value) && schema.items) {
+        return value
+            .map(item => prepare(schema.items, item, components))
+            .filter(item => item !== undefined && item !== '');
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+        const prepared = { ...value };
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            if (!(key in prepared)) return;
+            const propertyValue = prepare(propertySchema, prepared[key], components);
+            if (propertyValue === undefined) {
+                delete prepared[key];
+            } else {
+                prepared[key] = propertyValue;
+            }
+        });
+        return prepared;
+    }
+
+    return value;
+};
+
+const labelFor = (schema, field) => (schema && schema.title) || field || 'Value';
+
+const describeError = (error, label) => {
+    const { keyword, params, parentSchema = {} } = error;
+    // errorMessage on a field explains its pattern better than "not in a valid format"
+    if (parentSchema.errorMessage && keyword === 'pattern') return parentSchema.errorMessage;
+
+    switch (keyword) {
+        case 'required': return `${label} is required`;
+        case 'type': return `${label} must be ${String(params.type).split(',').map(type => TYPE_NAMES[type] || type).join(' or ')}`;
+        case 'enum': return `${label} must be one of: ${params.allowedValues.join(', ')}`;
+        case 'const': return `${label} must be ${params.allowedValue}`;
+        case 'pattern':
+        case 'format': return `${label} is not in a valid format`;
+        case 'minLength': return `${label} must be at least ${params.limit} character${params.limit === 1 ? '' : 's'} long`;
+        case 'maxLength': return `${label} cannot exceed ${params.limit} characters`;
+        case 'minimum':
+        case 'exclusiveMinimum': return `${label} must be ${keyword === 'minimum' ? 'at least' : 'more than'} ${params.limit}`;
+        case 'maximum':
+        case 'exclusiveMaximum': return `${label} cannot ${keyword === 'maximum' ? 'exceed' : 'reach'} ${params.limit}`;
+        case 'minItems': return `${label} needs at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+        case 'maxItems': return `${label} allows at most ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+        case 'additionalProperties': return `${params.additionalProperty} is not a known field`;
+        default: return `${label} ${error.message}`;
+    }
+};
+
+// Ajv errors as { field, code, message }. Fields are dotted paths (vitalSigns.height, services.1);
+// prefix marks where the value came from (query, params) - body fields are named as sent
+const formatErrors = (errors = [], prefix) => errors
+    .filter(error => !['if', 'anyOf', 'oneOf', 'allOf'].includes(error.keyword))
+    .map(error => {
+        const path = error.instancePath.split('/').filter(Boolean);
+        let schema = error.parentSchema;
+        if (error.keyword === 'required') {
+            path.push(error.params.missingProperty);
+            schema = error.parentSchema?.properties?.[error.params.missingProperty];
+        }
+
+        const field = path.join('.');
+        return {
+            field: [prefix, field].filter(Boolean).join('.'),
+            code: ERROR_CODES[error.keyword] || 'invalid',
+            message: describeError(error, labelFor(schema, field))
+        };
+    });
+
+// Compile a declaration. The validator returns { value, errors }: value is the coerced input
+// (the original is left alone), errors is empty when the input is valid.
+// components resolves $ref: '#/components/schemas/<name>' - see lib/openapi.js
+const compile = (schema, { components = {}, prefix } = {}) => {
+    const validate = ajv.compile({ ...schema, components: { schemas: components } });
+
+    return (input) => {
+        const value = prepare(schema, input, components);
+        if (validate(value)) return { value, errors: [] };
+        return { value, errors: formatErrors(validate.errors, prefix) };
+    };
+};
+
+// Why the change was made - recorded in the patient's history
+const reason = { type: 'string', title: 'Reason', maxLength: 500, description: 'Why the change was made - kept in the history' };
+
+// A single problem found by a route handler, e.g. a service the camp does not offer
+const fieldError = (field, code, message) => ({ field, code, message });
+
+// Error for handleError to answer with 400 and the field details
+const validationError = (details, error = 'Validation failed') => {
+    const validation = new Error(details.map(detail => detail.message).join('; '));
+    validation.name = 'RequestValidationError';
+    validation.statusCode = 400;
+    validation.error = error;
+    validation.details = details;
+    return validation;
+};
+
+// The same details for a Mongoose ValidationError, so model-level checks read like request checks
+const fromMongooseError = (error) => Object.values(error.errors).map(err => fieldError(
+    err.path,
+    err.name === 'CastError' ? 'invalid_type' : (MONGOOSE_CODES[err.kind] || 'invalid'),
+    err.name === 'CastError' ? `${err.path} must be ${TYPE_NAMES[String(err.kind).toLowerCase()] || `a valid ${err.kind}`}` : err.message
+));
+
+module.exports = {
+    ERROR_CODES,
+    objectId,
+    calendarDay,
+    reason,
+    compile,
+    formatErrors,
+    fieldError,
+    validationError,
+    fromMongooseError
+};
@@ -0,0 +1,38 @@
+// Lab order requests - ordering tests for a visit and recording samples, results or cancellations.
+
+const { objectId, reason } = require('./index');
+const { QUALITATIVE_RESULTS } = require('../lab-tests');
+
+const createLabOrders = {
+    type: 'object',
+    required: ['encounterId', 'tests'],
+    properties: {
+        encounterId: { ...objectId('Visit the tests are for'), title: 'Visit' },
+        tests: { type: 'array', title: 'Tests', minItems: 1, items: { type: 'string', minLength: 1, maxLength: 100 } },
+        reason
+    }
+};
+
+const updateLabOrder = {
+    type: 'object',
+    properties: {
+        status: { title: 'Status', enum: ['sample_collected', 'resulted', 'cancelled'] },
+        result: {
+            type: 'object',
+            properties: {
+                qualitative: { title: 'Result', enum: QUALITATIVE_RESULTS },
+                value: { type: 'number', title: 'Result value', description: 'Numeric result in the test unit' },
+                unit: { type: 'string', title: 'Unit', maxLength: 20 },
+                text: { type: 'string', title: 'Report', maxLength: 3000 }
+            }
+        },
+        notes: { type: 'string', title: 'Notes', maxLength: 1000 },
+        cancelReason: { type: 'string', title: 'Cancellation reason', maxLength: 500 },
+        reason
+    }
+};
+
+module.exports = {
+    createLabOrders,
+    updateLabOrder
+};
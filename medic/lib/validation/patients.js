@@ -0,0 +1,260 @@
+// Patient and visit requests - registration, edits, new visits, filters, search, duplicates and bulk updates.
+// The Patient and Encounter models take their choices and vital sign limits from here too.
+
+const { objectId, calendarDay, reason, fieldError } = require('./index');
+const { TRIAGE_LEVELS } = require('../service-queue');
+
+const SEXES = ['Male', 'Female'];
+const VISIT_STATUSES = ['registered', 'completed', 'cancelled'];
+const BULK_OPERATIONS = ['delete', 'permanentDelete', 'restore', 'update', 'complete'];
+
+// Plausible readings - anything outside these is a typing mistake
+const VITAL_SIGN_LIMITS = {
+    height: { title: 'Height', unit: 'cm', minimum: 0, maximum: 300 },
+    weight: { title: 'Weight', unit: 'kg', minimum: 0, maximum: 1000 },
+    pulse: { title: 'Pulse', unit: 'bpm', minimum: 0, maximum: 300 },
+    temperature: { title: 'Temperature', unit: '°C', minimum: 20, maximum: 50 }
+};
+
+const vitalSign = (field, type = 'number') => {
+    const { title, unit, minimum, maximum } = VITAL_SIGN_LIMITS[field];
+    return { type, title: `${title} (${unit})`, minimum, maximum, description: `${title} in ${unit}` };
+};
+
+const text = (title, maxLength) => ({ type: 'string', title, maxLength });
+
+const VITAL_SIGNS = {
+    type: 'object',
+    properties: {
+        height: vitalSign('height'),
+        weight: vitalSign('weight'),
+        bloodPressure: { ...text('Blood pressure', 20), description: 'Reading such as 120/80 mmHg' },
+        pulse: vitalSign('pulse', 'integer'),
+        temperature: vitalSign('temperature')
+    }
+};
+
+const PAST_HISTORY = {
+    type: 'object',
+    properties: {
+        pastMedicalHistory: text('Past medical history', 2000),
+        currentMedications: text('Current medications', 1000),
+        allergies: text('Allergies', 1000),
+        familyHistory: text('Family history', 1500),
+        socialHistory: text('Social history', 1000)
+    }
+};
+
+// Fields of the patient and the visit they register for
+const PATIENT_FIELDS = {
+    name: {
+        type: 'string',
+        title: 'Name',
+        minLength: 2,
+        maxLength: 100,
+        pattern: "^[a-zA-Z\\s\\-\\.']+$",
+        errorMessage: 'Name can only contain letters, spaces, hyphens, dots, and apostrophes'
+    },
+    age: { type: 'integer', title: 'Age', minimum: 0, maximum: 150, description: 'Age in whole years' },
+    sex: { title: 'Sex', enum: SEXES },
+    occupation: text('Occupation', 100),
+    tel: {
+        type: 'string',
+        title: 'Phone number',
+        pattern: '^[^0-9]*([0-9][^0-9]*){8,15}$',
+        errorMessage: 'Please enter a valid phone number (8-15 digits)'
+    },
+    // Checked against the familyGroups reference list once the request is accepted
+    familyGroup: { type: 'string', title: 'Family group', minLength: 1, maxLength: 100 },
+    services: { type: 'array', title: 'Services', minItems: 1, items: { type: 'string', minLength: 1 } },
+    service: { type: 'string', title: 'Service', description: 'Single service, for older clients - use services' },
+    vitalSigns: VITAL_SIGNS,
+    pastHistory: PAST_HISTORY,
+    triagePriority: {
+        type: 'integer',
+        title: 'Triage priority',
+        minimum: 0,
+        maximum: TRIAGE_LEVELS.length - 1,
+        description: TRIAGE_LEVELS.map((level, index) => `${index} ${level}`).join(', ')
+    }
+};
+
+// The medical record kept at each visit
+const RECORD_FIELDS = {
+    status: { title: 'Status', enum: VISIT_STATUSES },
+    diagnosis: text('Diagnosis', 2000),
+    treatmentPlan: text('Treatment plan', 3000),
+    referredTo: { ...text('Referred to', 200), description: 'Facility the patient was referred on to - empty when not referred' },
+    referralReason: text('Referral reason', 1000),
+    labTests: { type: 'array', title: 'Lab tests', items: { type: 'string', maxLength: 100 } }
+};
+
+const VISIT_UPDATE_FIELDS = {
+    ...PATIENT_FIELDS,
+    ...RECORD_FIELDS,
+    camp: objectId('Move the visit to another camp'),
+    encounterId: objectId('Visit to update - defaults to the most recent'),
+    completeRemainingServices: { type: 'boolean', description: 'Mark services still queued as done when completing the visit' },
+    baseLastModified: { type: 'string', title: 'Base version', description: 'lastModified of the record the edit was made on' },
+    reason
+};
+
+const createPatient = {
+    type: 'object',
+    required: ['name', 'age', 'sex', 'tel', 'familyGroup', 'camp'],
+    properties: {
+        ...PATIENT_FIELDS,
+        camp: { ...objectId('Camp the patient registers at'), title: 'Camp' },
+        id: objectId('Patient ID generated by a device working offline'),
+        encounterId: objectId('Visit ID generated by a device working offline'),
+        confirmNotDuplicate: { type: 'boolean', description: 'Register even though similar patients exist' }
+    }
+};
+
+const updatePatient = { type: 'object', properties: VISIT_UPDATE_FIELDS };
+
+// Legacy PUT /patients names the patient in the body
+const updatePatientById = { type: 'object', required: ['id'], properties: { id: objectId(), ...VISIT_UPDATE_FIELDS } };
+
+const patientById = { type: 'object', required: ['id'], properties: { id: objectId() } };
+
+const startVisit = {
+    type: 'object',
+    required: ['camp'],
+    properties: {
+        camp: { ...objectId(), title: 'Camp' },
+        encounterId: objectId('Visit ID generated by a device working offline'),
+        services: PATIENT_FIELDS.services,
+        service: PATIENT_FIELDS.service,
+        vitalSigns: VITAL_SIGNS,
+        triagePriority: PATIENT_FIELDS.triagePriority
+    }
+};
+
+const deletePatient = { type: 'object', properties: { reason } };
+
+// Partial registration data - checked while the form is being filled in
+const duplicateCheck = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        age: PATIENT_FIELDS.age,
+        tel: { type: 'string' },
+        familyGroup: { type: 'string' },
+        excludeId: objectId('Patient being edited')
+    }
+};
+
+const dismissDuplicates = {
+    type: 'object',
+    required: ['patientIds'],
+    properties: { patientIds: { type: 'array', title: 'Patients', minItems: 2, maxItems: 2, items: objectId() } }
+};
+
+const mergePatients = {
+    type: 'object',
+    required: ['primaryId', 'duplicateId'],
+    properties: {
+        primaryId: objectId('Record that is kept'),
+        duplicateId: objectId('Record merged into it and retired'),
+        preview: { type: 'boolean' },
+        reason
+    }
+};
+
+// One filter model for the patient list, search, export, statistics, bulk operations and saved filters,
+// applied by lib/patient-filters.js. Lists may be arrays or, in query strings, comma-separated text.
+const textList = (title, description) => ({ type: ['array', 'string'], title, items: { type: 'string', minLength: 1 }, description });
+
+const PATIENT_FILTER_FIELDS = {
+    status: { title: 'Status', enum: [...VISIT_STATUSES, 'deleted', 'all'] },
+    services: textList('Services', 'Visits for these services'),
+    service: { type: 'string', title: 'Service', description: 'A single service - same as services with one value' },
+    servicesMatch: { title: 'Services match', enum: ['any', 'all'], description: 'Visits with any (default) or all of the services' },
+    familyGroup: { type: 'string', title: 'Family group', description: 'A family group, or all' },
+    sex: { title: 'Sex', enum: SEXES },
+    ageMin: { type: 'integer', title: 'Minimum age', minimum: 0, maximum: 150 },
+    ageMax: { type: 'integer', title: 'Maximum age', minimum: 0, maximum: 150 },
+    dateFrom: calendarDay('First registration day (YYYY-MM-DD)'),
+    dateTo: calendarDay('Last registration day (YYYY-MM-DD)'),
+    completedFrom: calendarDay('First completion day (YYYY-MM-DD)'),
+    completedTo: calendarDay('Last completion day (YYYY-MM-DD)'),
+    labTest: { type: 'string', title: 'Lab test', description: 'Visits with this lab test ordered' },
+    flag: { type: 'string', title: 'Alert', description: 'any, or comma-separated alert codes' },
+    severity: { title: 'Alert severity', enum: ['critical', 'warning', 'all'] },
+    modifiedBy: { type: 'string', title: 'Modified by', description: 'Username of a staff member who changed the patient' },
+    search: { type: 'string', title: 'Search text', description: 'Name, phone, occupation, medications or diagnosis' },
+    includeDeleted: { type: 'boolean', title: 'Include deleted' },
+    camp: { type: 'string', title: 'Camp', description: 'Camp ID, or all' }
+};
+
+const patientFilter = { type: 'object', title: 'Filters', properties: PATIENT_FILTER_FIELDS };
+
+const searchPatients = {
+    type: 'object',
+    required: ['query'],
+    properties: {
+        query: { type: 'string', title: 'Search text', minLength: 1 },
+        filters: patientFilter,
+        limit: { type: 'integer', minimum: 1 }
+    }
+};
+
+const bulkPatients = {
+    type: 'object',
+    required: ['operation'],
+    properties: {
+        operation: { title: 'Operation', enum: BULK_OPERATIONS },
+        patientIds: { type: 'array', title: 'Patients', minItems: 1, items: objectId() },
+        filters: { ...patientFilter, description: 'Select the patients whose visits match these filters instead of by ID' },
+        updateData: { type: 'object', properties: { ...PATIENT_FIELDS, ...RECORD_FIELDS } },
+        reason
+    }
+};
+
+// Older clients send a single service - fold it into services
+const withServices = ({ service, ...data }) => {
+    if ((data.services && data.services.length > 0) || !service) return data;
+    return { ...data, services: [service] };
+};
+
+// Services are configured per camp, so they are checked once the camp is known
+const serviceErrors = (services = [], validServices = [], campName) => {
+    if (services.length === 0) {
+        return [fieldError('services', 'required', 'At least one service must be specified')];
+    }
+
+    return services
+        .map((service, index) => validServices.includes(service) ? null : fieldError(
+            `services.${index}`,
+            'invalid_choice',
+            `${service} is not offered${campName ? ` at ${campName}` : ''}. Valid services are: ${validServices.join(', ')}`
+        ))
+        .filter(Boolean);
+};
+
+module.exports = {
+    SEXES,
+    VISIT_STATUSES,
+    BULK_OPERATIONS,
+    VITAL_SIGN_LIMITS,
+    VITAL_SIGNS,
+    PAST_HISTORY,
+    PATIENT_FIELDS,
+    VISIT_UPDATE_FIELDS,
+    PATIENT_FILTER_FIELDS,
+    patientFilter,
+    createPatient,
+    updatePatient,
+    updatePatientById,
+    patientById,
+    startVisit,
+    deletePatient,
+    duplicateCheck,
+    dismissDuplicates,
+    mergePatients,
+    searchPatients,
+    bulkPatients,
+    withServices,
+    serviceErrors
+};
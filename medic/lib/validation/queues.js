@@ -0,0 +1,29 @@
+// Queue requests - calling the next patient to a station and moving a patient through a service.
+
+const { reason } = require('./index');
+const { QUEUE_STATUSES } = require('../service-queue');
+
+const station = { type: 'string', title: 'Station', maxLength: 50, description: 'Room or desk the patient should go to' };
+
+const callNext = {
+    type: 'object',
+    properties: {
+        camp: { type: 'string', description: 'Camp ID, or all' },
+        station
+    }
+};
+
+const updateQueueEntry = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { title: 'Status', enum: QUEUE_STATUSES },
+        station,
+        reason
+    }
+};
+
+module.exports = {
+    callNext,
+    updateQueueEntry
+};
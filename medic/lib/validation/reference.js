@@ -0,0 +1,32 @@
+// Reference list requests - adding a value to a managed list, and relabelling, reordering or retiring it.
+
+const { fieldError } = require('./index');
+const { REFERENCE_LIST_NAMES } = require('../reference-data');
+
+const REFERENCE_ITEM_FIELDS = {
+    value: { type: 'string', title: 'Value', minLength: 1, maxLength: 100, description: 'Stored on records, so it cannot change once created' },
+    label: { type: 'string', title: 'Label', maxLength: 100, description: 'Shown in forms - defaults to the value' },
+    displayOrder: { type: 'integer', title: 'Display order', minimum: 0 },
+    isActive: { type: 'boolean', description: 'Retired values stay on existing records but are no longer offered' }
+};
+
+const LIST_PARAMS = { list: { title: 'List', enum: REFERENCE_LIST_NAMES } };
+
+const createReferenceItem = { type: 'object', required: ['value'], properties: REFERENCE_ITEM_FIELDS };
+
+const { value, ...UPDATABLE_FIELDS } = REFERENCE_ITEM_FIELDS;
+const updateReferenceItem = { type: 'object', properties: UPDATABLE_FIELDS };
+
+// A value a record is about to take must be on the list - values it already holds may have been retired since
+const referenceErrors = (field, value, activeValues, title) => {
+    if (!value || activeValues.includes(value)) return [];
+    return [fieldError(field, 'invalid_choice', `${title} must be one of: ${activeValues.join(', ')}`)];
+};
+
+module.exports = {
+    REFERENCE_ITEM_FIELDS,
+    LIST_PARAMS,
+    createReferenceItem,
+    updateReferenceItem,
+    referenceErrors
+};
@@ -0,0 +1,37 @@
+// Report requests - cross-tab dimensions and measures, and the age bands reports group ages into.
+
+const { AGE_BAND_PRESETS, DIMENSION_NAMES, MEASURE_NAMES, MAX_DIMENSIONS } = require('../reports');
+
+const commaList = (names, maxItems) => `^(${names.join('|')})(,(${names.join('|')}))${maxItems ? `{0,${maxItems - 1}}` : '*'}$`;
+
+const ageBands = {
+    type: 'string',
+    title: 'Age bands',
+    pattern: `^(${Object.keys(AGE_BAND_PRESETS).join('|')}|\\d+(-\\d+|\\+)?(,\\d+(-\\d+|\\+)?)*)$`,
+    errorMessage: `Age bands are ${Object.keys(AGE_BAND_PRESETS).join(', ')} or a list such as 0-4,5-14,15-49,50+`,
+    description: `${Object.entries(AGE_BAND_PRESETS).map(([name, bands]) => `${name} (${bands})`).join(', ')}, ` +
+        'or your own bands in ascending order, the last one open-ended (65+) if older ages should count'
+};
+
+const CROSS_TAB_FIELDS = {
+    dimensions: {
+        type: 'string',
+        title: 'Dimensions',
+        pattern: commaList(DIMENSION_NAMES, MAX_DIMENSIONS),
+        errorMessage: `Choose 1 to ${MAX_DIMENSIONS} of ${DIMENSION_NAMES.join(', ')}, separated by commas`,
+        description: `Comma-separated, 1 to ${MAX_DIMENSIONS} of ${DIMENSION_NAMES.join(', ')}`
+    },
+    measures: {
+        type: 'string',
+        title: 'Measures',
+        pattern: commaList(MEASURE_NAMES),
+        errorMessage: `Measures are ${MEASURE_NAMES.join(', ')}, separated by commas`,
+        description: `Comma-separated, any of ${MEASURE_NAMES.join(', ')} (default visits,patients)`
+    },
+    ageBands
+};
+
+module.exports = {
+    ageBands,
+    CROSS_TAB_FIELDS
+};
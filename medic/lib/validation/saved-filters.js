@@ -0,0 +1,18 @@
+// Saved filter requests - a named set of patient list filters kept for the staff member who saved it.
+
+const { patientFilter } = require('./patients');
+
+const SAVED_FILTER_FIELDS = {
+    name: { type: 'string', title: 'Filter name', minLength: 1, maxLength: 100 },
+    filters: patientFilter
+};
+
+const createSavedFilter = { type: 'object', required: ['name', 'filters'], properties: SAVED_FILTER_FIELDS };
+
+const updateSavedFilter = { type: 'object', properties: SAVED_FILTER_FIELDS };
+
+module.exports = {
+    SAVED_FILTER_FIELDS,
+    createSavedFilter,
+    updateSavedFilter
+};
@@ -0,0 +1,50 @@
+// Staff account requests - login, password changes and account management.
+
+// Roles in increasing order of responsibility - permissions per role are set in server.js
+const ROLES = ['registration_clerk', 'nurse', 'lab_technician', 'clinician', 'camp_coordinator', 'admin'];
+
+const password = { type: 'string', title: 'Password', minLength: 8 };
+
+const USER_FIELDS = {
+    name: { type: 'string', title: 'Name', minLength: 1, maxLength: 100 },
+    role: { title: 'Role', enum: ROLES },
+    password
+};
+
+const login = {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+        username: { type: 'string', title: 'Username' },
+        password: { type: 'string', title: 'Password' }
+    }
+};
+
+const changePassword = {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: {
+        currentPassword: { type: 'string', title: 'Current password' },
+        newPassword: { ...password, title: 'New password' }
+    }
+};
+
+const createUser = {
+    type: 'object',
+    required: ['username', 'name', 'role', 'password'],
+    properties: {
+        username: { type: 'string', title: 'Username', minLength: 3, maxLength: 50 },
+        ...USER_FIELDS
+    }
+};
+
+const updateUser = { type: 'object', properties: { ...USER_FIELDS, isActive: { type: 'boolean' } } };
+
+module.exports = {
+    ROLES,
+    USER_FIELDS,
+    login,
+    changePassword,
+    createUser,
+    updateUser
+};
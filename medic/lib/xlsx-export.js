@@ -0,0 +1,182 @@
+// XLSX export - a workbook with one sheet per section: patients (one row per visit), services (one row
+// per visit and service), lab tests (one row per order), vitals and summary statistics. Cells are typed
+// (numbers, dates) and header rows frozen. Each sheet is written in its own pass over the visits and
+// committed before the next starts, so large exports stream instead of sitting in memory.
+
+const ExcelJS = require('exceljs');
+const { PATIENT_COLUMNS, cellValue } = require('./patient-columns');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const NUMBER_FORMATS = { day: 'dd/mm/yyyy', time: 'hh:mm:ss', dateTime: 'dd/mm/yyyy hh:mm' };
+
+// Columns of the other sheets, in the same { key, header, type, value } form as PATIENT_COLUMNS.
+// `value` receives the visit and, for per-item sheets, the item (service, lab order).
+const column = (key, header, type, value) => ({ key, header, type, value });
+const visitKeys = [
+    column('id', 'Patient ID', 'text', (patient) => patient._id),
+    column('visitId', 'Visit ID', 'text', (patient) => patient.encounterId),
+    column('name', 'Name', 'text', (patient) => patient.name),
+    column('camp', 'Camp', 'text', (patient) => patient.camp?.name)
+];
+
+const SHEETS = {
+    patients: {
+        name: 'Patients',
+        rows: (patient) => [patient]
+    },
+    services: {
+        name: 'Services',
+        columns: [
+            ...visitKeys,
+            column('service', 'Service', 'text', (patient, service) => service),
+            column('queueStatus', 'Queue Status', 'text', (patient, service) =>
+                (patient.serviceQueue || []).find(entry => entry.service === service)?.status),
+            column('visitStatus', 'Visit Status', 'text', (patient) => patient.status),
+            column('registrationDate', 'Registration Date', 'dateTime', (patient) => patient.registrationDate)
+        ],
+        rows: (patient) => patient.services || []
+    },
+    labTests: {
+        name: 'Lab Tests',
+        columns: [
+            ...visitKeys,
+            column('test', 'Test', 'text', (patient, order) => order.test),
+            column('status', 'Status', 'text', (patient, order) => order.status),
+            column('result', 'Result', 'text', (patient, order) => order.result?.qualitative || order.result?.text),
+            column('value', 'Value', 'number', (patient, order) => order.result?.value),
+            column('unit', 'Unit', 'text', (patient, order) => order.result?.unit),
+            column('flag', 'Flag', 'text', (patient, order) => order.result?.flag),
+            column('orderedAt', 'Ordered At', 'dateTime', (patient, order) => order.orderedAt),
+            column('resultedAt', 'Resulted At', 'dateTime', (patient, order) => order.resultedAt)
+        ],
+        // Tests recorded before lab orders existed have a name only
+        rows: (patient) => {
+            const orders = patient.labOrders || [];
+            const recorded = (patient.labTests || [])
+                .filter(test => !orders.some(order => order.test === test))
+                .map(test => ({ test, status: 'recorded' }));
+            return [...orders, ...recorded];
+        }
+    },
+    vitals: {
+        name: 'Vitals',
+        columns: [
+            ...visitKeys,
+            column('registrationDate', 'Registration Date', 'dateTime', (patient) => patient.registrationDate),
+            ...[
+                ['height', 'Height (cm)'],
+                ['weight', 'Weight (kg)'],
+                ['bmi', 'BMI'],
+                ['systolic', 'Systolic (mmHg)'],
+                ['diastolic', 'Diastolic (mmHg)'],
+                ['pulse', 'Pulse (bpm)'],
+                ['temperature', 'Temperature (°C)']
+            ].map(([key, header]) => column(key, header, 'number', (patient) => (patient.vitalSigns || {})[key])),
+            column('alerts', 'Alerts', 'list', (patient) => (patient.alerts || []).map(alert => alert.label))
+        ],
+        // Visits where something was measured
+        rows: (patient) => Object.values(patient.vitalSigns || {}).some(value => value !== null && value !== undefined && value !== '')
+            ? [patient]
+            : []
+    }
+};
+
+const SHEET_NAMES = [...Object.keys(SHEETS), 'summary'];
+
+const OVERVIEW_LABELS = {
+    totalPatients: 'Patients',
+    activePatients: 'Active patients',
+    totalVisits: 'Visits',
+    activeVisits: 'Active visits',
+    pendingTests: 'Pending tests',
+    completedRecords: 'Completed visits',
+    deletedPatients: 'Deleted patients',
+    completionRate: 'Completion rate (%)',
+    referredVisits: 'Referred visits',
+    recentRegistrations: 'Recent registrations'
+};
+
+const addSheet = (workbook, name, columns) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(item => ({
+        header: item.header,
+        key: item.key,
+        width: Math.min(Math.max(item.header.length + 4, item.type === 'text' || item.type === 'list' ? 18 : 12), 40),
+        style: NUMBER_FORMATS[item.type] ? { numFmt: NUMBER_FORMATS[item.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    return sheet;
+};
+
+// Overview, distributions and lab results from buildStatistics, as Section / Item / Value rows
+const writeSummary = (workbook, stats) => {
+    const sheet = addSheet(workbook, 'Summary', [
+        column('section', 'Section', 'text'),
+        column('item', 'Item', 'text'),
+        column('value', 'Value', 'number')
+    ]);
+    const add = (section, item, value) => sheet.addRow({ section, item, value }).commit();
+
+    Object.entries(stats.overview).forEach(([item, value]) => add('Overview', OVERVIEW_LABELS[item] || item, value));
+    [
+        ['Services', stats.serviceDistribution],
+        ['Family groups', stats.familyGroupDistribution],
+        ['Sex', stats.sexDistribution],
+        ['Age bands', stats.ageDistribution],
+        ['Referred to', stats.referralDistribution]
+    ].forEach(([section, distribution]) => {
+        Object.entries(distribution).forEach(([item, value]) => add(section, item, value));
+    });
+    Object.entries(stats.labResults).forEach(([test, result]) => {
+        [['ordered', 'ordered'], ['resulted', 'resulted'], ['positive', 'positive'], ['negative', 'negative'], ['abnormal', 'abnormal'], ['positivityRate', 'positivity (%)']]
+            .forEach(([measure, label]) => add('Lab tests', `${test} - ${label}`, result[measure]));
+    });
+    sheet.commit();
+};
+
+// Streams the workbook to `output`. Options:
+//   sheets     - SHEET_NAMES to include, in workbook order
+//   columns    - columns of the patients sheet (see selectColumns)
+//   visits     - function returning a new async iterable of visits for each sheet
+//   stats      - buildStatistics result for the summary sheet
+//   timezone   - for dates of visits whose camp has none
+const writeWorkbook = async (output, { sheets = SHEET_NAMES, columns = PATIENT_COLUMNS, visits, stats, timezone }) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+    workbook.creator = 'Health Campaign Management System';
+    workbook.created = new Date();
+
+    let exported = null; // Visits, counted on the first pass
+    for (const name of sheets) {
+        if (name === 'summary') {
+            if (stats) writeSummary(workbook, stats);
+            continue;
+        }
+
+        const definition = SHEETS[name];
+        const sheetColumns = definition.columns || columns;
+        const sheet = addSheet(workbook, definition.name, sheetColumns);
+        const counting = exported === null;
+        if (counting) exported = 0;
+
+        for await (const patient of visits()) {
+            definition.rows(patient).forEach(item => {
+                sheet.addRow(Object.fromEntries(sheetColumns.map(entry => [
+                    entry.key,
+                    cellValue({ ...entry, value: (visit) => entry.value(visit, item) }, patient, timezone)
+                ]))).commit();
+            });
+            if (counting) exported++;
+        }
+        sheet.commit();
+    }
+
+    await workbook.commit();
+    return exported || 0;
+};
+
+module.exports = {
+    XLSX_CONTENT_TYPE,
+    SHEET_NAMES,
+    writeWorkbook
+};
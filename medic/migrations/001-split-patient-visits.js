@@ -0,0 +1,109 @@
+// Patients were first stored with the visit on the same record. Split each into the patient identity and
+// its first visit (encounter); every later migration reads visits from encounters.
+//
+// Services are copied as stored and dates as en-GB text - 002 and 003 bring both to the current form.
+// Down deletes the visits created here and puts the fields back on the patient; the obsolete patient
+// indexes dropped here are not recreated.
+
+// Fields that moved from the patient document to the encounter
+const VISIT_FIELDS = [
+    'camp', 'service', 'services', 'vitalSigns', 'registrationDate', 'registrationTime', 'status',
+    'diagnosis', 'labTests', 'treatmentPlan', 'completionDate', 'completionTime'
+];
+
+// Patient indexes on fields that no longer exist there
+const OBSOLETE_PATIENT_INDEXES = [
+    'status_1', 'camp_1', 'status_1_createdAt_-1', 'services_1_status_1',
+    'familyGroup_1_status_1', 'isDeleted_1_status_1', 'camp_1_status_1_createdAt_-1'
+];
+
+const buildEncounter = (patient) => {
+    const services = Array.isArray(patient.services) && patient.services.length > 0
+        ? patient.services
+        : (patient.service ? [patient.service] : []);
+
+    // Deleted records lost their visit status - infer it from the completion timestamp
+    let status = patient.status || 'registered';
+    if (status === 'deleted') {
+        status = patient.completionDate ? 'completed' : 'registered';
+    }
+
+    const encounter = {
+        patient: patient._id,
+        services,
+        status,
+        registrationDate: patient.registrationDate ||
+            new Date(patient.createdAt || Date.now()).toLocaleDateString('en-GB'),
+        registrationTime: patient.registrationTime || '',
+        diagnosis: patient.diagnosis || '',
+        labTests: patient.labTests || [],
+        treatmentPlan: patient.treatmentPlan || '',
+        completionDate: patient.completionDate || '',
+        completionTime: patient.completionTime || '',
+        lastModified: patient.lastModified || new Date(),
+        createdAt: patient.createdAt || new Date(),
+        updatedAt: patient.updatedAt || new Date()
+    };
+
+    if (patient.camp) encounter.camp = patient.camp;
+    if (patient.vitalSigns) encounter.vitalSigns = patient.vitalSigns;
+
+    return encounter;
+};
+
+module.exports = {
+    description: 'Split legacy patient records into the patient and their first visit',
+
+    up: async ({ db, dryRun, updateDocument, insertDocument, progress, log }) => {
+        const patients = db.collection('patients');
+        const encounters = db.collection('encounters');
+
+        const query = { $or: VISIT_FIELDS.map(field => ({ [field]: { $exists: true } })) };
+        const unsetVisitFields = Object.fromEntries(VISIT_FIELDS.map(field => [field, '']));
+
+        const total = await patients.countDocuments(query);
+        const tick = progress(total, 'patients');
+        let created = 0;
+        let skipped = 0;
+        let failed = 0;
+
+        for await (const patient of patients.find(query)) {
+            tick();
+            const hasEncounter = await encounters.countDocuments({ patient: patient._id }, { limit: 1 });
+
+            // Patients that already have a visit only lose the legacy visit fields
+            if (hasEncounter) {
+                await updateDocument('patients', patient, { $unset: unsetVisitFields }, VISIT_FIELDS);
+                skipped++;
+                continue;
+            }
+
+            const encounter = buildEncounter(patient);
+            if (encounter.services.length === 0) {
+                log(`⚠️ Patient ${patient._id} (${patient.name}) has no services - left unchanged`);
+                failed++;
+                continue;
+            }
+
+            const encounterId = await insertDocument('encounters', encounter);
+            // Point existing history entries at the visit they described
+            await updateDocument('patients', patient, {
+                $set: { 'modificationHistory.$[].encounter': encounterId },
+                $unset: unsetVisitFields
+            }, [...VISIT_FIELDS, 'modificationHistory']);
+            created++;
+        }
+
+        if (!dryRun) {
+            const existingIndexes = (await patients.indexes()).map(index => index.name);
+            for (const indexName of OBSOLETE_PATIENT_INDEXES.filter(name => existingIndexes.includes(name))) {
+                await patients.dropIndex(indexName);
+                log(`🧹 Dropped obsolete patient index ${indexName}`);
+            }
+        }
+
+        return { created, skipped, failed };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
@@ -0,0 +1,57 @@
+// Visits from before multi-service registration hold a single `service`, and the oldest ones the
+// abbreviated 'Eye con'. Move both to `services` with the current names, including queue entries.
+
+// Abbreviations used by early versions of the registration form
+const LEGACY_SERVICE_NAMES = {
+    'Eye con': 'Eye consultation'
+};
+
+const normalizeService = (service) => LEGACY_SERVICE_NAMES[service] || service;
+
+const LEGACY_NAMES = Object.keys(LEGACY_SERVICE_NAMES);
+
+module.exports = {
+    description: 'Fold the legacy service field into services and rename abbreviated services',
+
+    up: async ({ db, updateDocument, progress, log }) => {
+        const encounters = db.collection('encounters');
+        const query = {
+            $or: [
+                { service: { $exists: true } },
+                { services: { $in: LEGACY_NAMES } },
+                { 'serviceQueue.service': { $in: LEGACY_NAMES } }
+            ]
+        };
+
+        const total = await encounters.countDocuments(query);
+        const tick = progress(total, 'visits');
+        let updated = 0;
+        let failed = 0;
+
+        for await (const encounter of encounters.find(query).project({ service: 1, services: 1, serviceQueue: 1 })) {
+            tick();
+            const current = Array.isArray(encounter.services) && encounter.services.length > 0
+                ? encounter.services
+                : (encounter.service ? [encounter.service] : []);
+            const services = [...new Set(current.map(normalizeService))];
+
+            if (services.length === 0) {
+                log(`⚠️ Visit ${encounter._id} has no service - left unchanged`);
+                failed++;
+                continue;
+            }
+
+            const $set = { services };
+            if (Array.isArray(encounter.serviceQueue)) {
+                $set.serviceQueue = encounter.serviceQueue.map(entry => ({ ...entry, service: normalizeService(entry.service) }));
+            }
+
+            await updateDocument('encounters', encounter, { $set, $unset: { service: '' } }, ['service', 'services', 'serviceQueue']);
+            updated++;
+        }
+
+        return { updated, failed };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
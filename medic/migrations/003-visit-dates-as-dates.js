@@ -0,0 +1,81 @@
+// registrationDate and completionDate were stored as en-GB text ('19/10/2025') with the time in separate
+// registrationTime / completionTime fields, so visits could not be sorted or filtered by date. Store each
+// as a Date and drop the time fields.
+//
+// The text was written in the server's local time, so run this with the same TZ as the server.
+
+// '19/10/2025' and '14:05:09' -> Date, or null when the text is not in that form
+const parseLegacyDate = (date, time) => {
+    const dateMatch = String(date || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!dateMatch) return null;
+
+    const [, day, month, year] = dateMatch.map(Number);
+    const [hours = 0, minutes = 0, seconds = 0] = (String(time || '').match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/) || [])
+        .slice(1)
+        .map(part => Number(part || 0));
+
+    const parsed = new Date(year, month - 1, day, hours, minutes, seconds);
+    return parsed.getDate() === day && parsed.getMonth() === month - 1 ? parsed : null;
+};
+
+// A value that may already be a date, ISO text or en-GB text
+const toDate = (value, time) => {
+    if (value instanceof Date) return value;
+    if (!value) return null;
+    const legacy = parseLegacyDate(value, time);
+    if (legacy) return legacy;
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+module.exports = {
+    description: 'Store visit registration and completion dates as dates instead of en-GB text',
+
+    up: async ({ db, updateDocument, progress }) => {
+        const encounters = db.collection('encounters');
+        const query = {
+            $or: [
+                { registrationDate: { $not: { $type: 'date' } } },
+                { completionDate: { $exists: true, $not: { $type: 'date' } } },
+                { registrationTime: { $exists: true } },
+                { completionTime: { $exists: true } }
+            ]
+        };
+
+        const total = await encounters.countDocuments(query);
+        const tick = progress(total, 'visits');
+        let updated = 0;
+        let estimated = 0;
+
+        const cursor = encounters.find(query).project({
+            registrationDate: 1, registrationTime: 1, completionDate: 1, completionTime: 1,
+            status: 1, createdAt: 1, updatedAt: 1, lastModified: 1
+        });
+        for await (const encounter of cursor) {
+            tick();
+
+            // Text that cannot be read falls back to when the record was created or last changed
+            let registrationDate = toDate(encounter.registrationDate, encounter.registrationTime);
+            let completionDate = toDate(encounter.completionDate, encounter.completionTime);
+            if (!registrationDate) {
+                registrationDate = encounter.createdAt || new Date();
+                estimated++;
+            }
+            if (!completionDate && encounter.status === 'completed') {
+                completionDate = encounter.lastModified || encounter.updatedAt || registrationDate;
+                estimated++;
+            }
+
+            const update = {
+                $set: { registrationDate, ...(completionDate ? { completionDate } : {}) },
+                $unset: { registrationTime: '', completionTime: '', ...(completionDate ? {} : { completionDate: '' }) }
+            };
+            await updateDocument('encounters', encounter, update, ['registrationDate', 'registrationTime', 'completionDate', 'completionTime']);
+            updated++;
+        }
+
+        return { updated, estimated };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
@@ -0,0 +1,38 @@
+// Families often share one phone, so tel is no longer unique - duplicates are detected by comparing
+// normalized numbers and names instead. Store the normalized number on each patient and drop the
+// unique phone index. Down puts the numbers back but leaves the index dropped: shared phones added
+// since would stop it from being rebuilt.
+
+const { normalizePhone } = require('../lib/matching');
+
+module.exports = {
+    description: 'Store normalized phone numbers and drop the unique phone index',
+
+    up: async ({ db, dryRun, updateDocument, progress, log }) => {
+        const patients = db.collection('patients');
+
+        const uniquePhoneIndex = (await patients.indexes()).find(index => index.name === 'tel_1' && index.unique);
+        if (uniquePhoneIndex) {
+            log('🧹 Dropping unique phone index tel_1');
+            if (!dryRun) await patients.dropIndex('tel_1');
+        }
+
+        const query = { tel: { $exists: true } };
+        const total = await patients.countDocuments(query);
+        const tick = progress(total, 'patients');
+        let updated = 0;
+
+        for await (const patient of patients.find(query).project({ tel: 1, telNormalized: 1 })) {
+            tick();
+            const telNormalized = normalizePhone(patient.tel);
+            if (telNormalized === patient.telNormalized) continue;
+
+            await updateDocument('patients', patient, { $set: { telNormalized } }, ['telNormalized']);
+            updated++;
+        }
+
+        return { updated };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
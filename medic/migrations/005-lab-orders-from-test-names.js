@@ -0,0 +1,35 @@
+// Visits recorded before structured lab orders only have a list of lab test names. Each name becomes an
+// 'ordered' lab order dated at the visit, so it shows on the lab worklist.
+
+const { ObjectId } = require('mongoose').Types;
+const { createLabOrder } = require('../lib/lab-tests');
+
+module.exports = {
+    description: 'Create lab orders for visits that only list lab test names',
+
+    up: async ({ db, updateDocument, progress }) => {
+        const encounters = db.collection('encounters');
+        const query = { 'labTests.0': { $exists: true }, 'labOrders.0': { $exists: false } };
+
+        const total = await encounters.countDocuments(query);
+        const tick = progress(total, 'visits');
+        let updated = 0;
+        let orders = 0;
+
+        for await (const encounter of encounters.find(query).project({ labTests: 1, labOrders: 1, createdAt: 1 })) {
+            tick();
+            const labOrders = [...new Set(encounter.labTests)].map(test => ({
+                _id: new ObjectId(),
+                ...createLabOrder(test, { orderedAt: encounter.createdAt || new Date() })
+            }));
+
+            await updateDocument('encounters', encounter, { $set: { labOrders } }, ['labOrders']);
+            updated++;
+            orders += labOrders.length;
+        }
+
+        return { updated, orders };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
@@ -0,0 +1,40 @@
+// Derive systolic/diastolic and BMI for recorded visits and raise their clinical alerts, using the alert
+// rules stored in the database or the default rules when none exist yet. Reads the lab orders from 005;
+// visits whose alerts are already up to date are left alone.
+
+const { DEFAULT_ALERT_RULES, deriveVitalSigns, evaluateAlerts } = require('../lib/clinical-alerts');
+
+module.exports = {
+    description: 'Derive blood pressure and BMI and raise clinical alerts for recorded visits',
+
+    up: async ({ db, updateDocument, progress, log }) => {
+        const storedRules = await db.collection('alertrules').find({ isActive: { $ne: false } }).toArray();
+        const rules = storedRules.length > 0 ? storedRules : DEFAULT_ALERT_RULES;
+        log(`🚨 Evaluating ${rules.length} ${storedRules.length > 0 ? 'stored' : 'default'} alert rules`);
+
+        const encounters = db.collection('encounters');
+        const total = await encounters.countDocuments();
+        const tick = progress(total, 'visits');
+        let updated = 0;
+        let flagged = 0;
+
+        for await (const encounter of encounters.find().project({ vitalSigns: 1, labOrders: 1, alerts: 1, priority: 1 })) {
+            tick();
+            const vitalSigns = deriveVitalSigns(encounter.vitalSigns || {});
+            const { alerts, priority } = evaluateAlerts({ vitalSigns, labOrders: encounter.labOrders }, rules);
+            if (priority > 0) flagged++;
+
+            const unchanged = JSON.stringify(vitalSigns) === JSON.stringify(encounter.vitalSigns || {})
+                && JSON.stringify(alerts) === JSON.stringify(encounter.alerts || [])
+                && priority === encounter.priority;
+            if (unchanged) continue;
+
+            await updateDocument('encounters', encounter, { $set: { vitalSigns, alerts, priority } }, ['vitalSigns', 'alerts', 'priority']);
+            updated++;
+        }
+
+        return { updated, flagged };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
@@ -0,0 +1,71 @@
+// Visits registered before queues existed get a ticket number and join the queue for each of their services
+// in registration order; completed visits get every service marked done. Reads the service names 002 left.
+
+const { ObjectId } = require('mongoose').Types;
+const { createQueueEntry } = require('../lib/service-queue');
+const { DEFAULT_TIMEZONE, dayKey } = require('../lib/dates');
+
+// Same counter names the server uses - one per camp and day in the camp's timezone - so new
+// registrations carry on from the backfilled tickets
+const ticketCounterName = (encounter, timezones) => {
+    const day = dayKey(encounter.createdAt || Date.now(), timezones.get(String(encounter.camp)) || DEFAULT_TIMEZONE);
+    return `ticket:${encounter.camp || 'none'}:${day}`;
+};
+
+module.exports = {
+    description: 'Give visits registered before queues a ticket number and service queue',
+
+    up: async ({ db, updateDocument, insertDocument, progress }) => {
+        const encounters = db.collection('encounters');
+        const counters = db.collection('counters');
+        const camps = await db.collection('camps').find().project({ timezone: 1 }).toArray();
+        const timezones = new Map(camps.map(camp => [String(camp._id), camp.timezone]));
+
+        const query = { serviceQueue: { $exists: false } };
+        const total = await encounters.countDocuments(query);
+        const tick = progress(total, 'visits');
+        const tickets = {};
+        let updated = 0;
+
+        const cursor = encounters
+            .find(query)
+            .project({ services: 1, status: 1, camp: 1, createdAt: 1, updatedAt: 1, ticketNumber: 1, triagePriority: 1 })
+            .sort({ createdAt: 1 });
+
+        for await (const encounter of cursor) {
+            tick();
+            const queuedAt = encounter.createdAt || new Date();
+            const finished = encounter.status === 'completed';
+            const serviceQueue = (encounter.services || []).map(service => {
+                const entry = { _id: new ObjectId(), ...createQueueEntry(service, queuedAt) };
+                if (finished) {
+                    entry.status = 'done';
+                    entry.finishedAt = encounter.updatedAt || queuedAt;
+                }
+                return entry;
+            });
+
+            const counterName = ticketCounterName(encounter, timezones);
+            tickets[counterName] = (tickets[counterName] || 0) + 1;
+
+            await updateDocument('encounters', encounter,
+                { $set: { serviceQueue, ticketNumber: tickets[counterName], triagePriority: 0 } },
+                ['serviceQueue', 'ticketNumber', 'triagePriority']);
+            updated++;
+        }
+
+        // Start each day's counter after the tickets handed out above
+        for (const [name, seq] of Object.entries(tickets)) {
+            const counter = await counters.findOne({ _id: name });
+            if (counter) {
+                await updateDocument('counters', counter, { $max: { seq } }, ['seq']);
+            } else {
+                await insertDocument('counters', { _id: name, seq });
+            }
+        }
+
+        return { updated, counters: Object.keys(tickets).length };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
@@ -0,0 +1,27 @@
+// Patient search matches name words and names that sound alike through keys stored on each patient
+// (see lib/search.js). Patients saved before search existed have none, so add them.
+
+const { nameSearchKeys } = require('../lib/search');
+
+module.exports = {
+    description: 'Add accent-free name words and phonetic keys to patients for search',
+
+    up: async ({ db, updateDocument, progress }) => {
+        const patients = db.collection('patients');
+        const query = { $or: [{ searchTerms: { $exists: false } }, { searchPhonetic: { $exists: false } }] };
+
+        const total = await patients.countDocuments(query);
+        const tick = progress(total, 'patients');
+        let updated = 0;
+
+        for await (const patient of patients.find(query).project({ name: 1, searchTerms: 1, searchPhonetic: 1 })) {
+            tick();
+            await updateDocument('patients', patient, { $set: nameSearchKeys(patient.name) }, ['searchTerms', 'searchPhonetic']);
+            updated++;
+        }
+
+        return { updated };
+    },
+
+    down: ({ restoreBackups }) => restoreBackups()
+};
@@ -0,0 +1,63 @@
+// Migration runner: apply, undo or list the versioned migrations in migrations/
+//
+// Usage: node scripts/migrate.js [up|down|status] [--to <version>] [--dry-run]
+//
+//   up      apply every pending migration (or those up to --to)
+//   down    undo the last migration (or every one after --to)
+//   status  list migrations and when they were applied
+//
+// Changed documents are backed up before they are written, so down restores them exactly.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { migrateUp, migrateDown, migrationStatus } = require('../lib/migrations');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+const COMMANDS = ['up', 'down', 'status'];
+
+const command = process.argv.slice(2).find(arg => COMMANDS.includes(arg)) || 'up';
+const toIndex = process.argv.indexOf('--to');
+const to = toIndex > -1 ? Number(process.argv[toIndex + 1]) : undefined;
+
+const run = async () => {
+    if (!MONGODB_URI) {
+        console.error('❌ MONGODB_URI environment variable is not set');
+        process.exit(1);
+    }
+
+    if (to !== undefined && !Number.isInteger(to)) {
+        console.error('❌ --to needs a migration version number, e.g. --to 1');
+        process.exit(1);
+    }
+
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+    console.log('✅ Connected to MongoDB:', mongoose.connection.name);
+    if (DRY_RUN && command !== 'status') console.log('🧪 Dry run - no changes will be written');
+
+    const db = mongoose.connection.db;
+
+    if (command === 'status') {
+        const migrations = await migrationStatus(db);
+        migrations.forEach(migration => {
+            const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+            console.log(`${migration.appliedAt ? '✅' : '⏸️ '} ${String(migration.version).padStart(3, '0')} ${migration.name} - ${state}`);
+            console.log(`     ${migration.description}`);
+        });
+        return;
+    }
+
+    const results = command === 'down'
+        ? await migrateDown(db, { to, dryRun: DRY_RUN })
+        : await migrateUp(db, { to, dryRun: DRY_RUN });
+
+    console.log(`✅ ${results.length} migration${results.length === 1 ? '' : 's'} ${DRY_RUN ? 'checked' : (command === 'down' ? 'undone' : 'applied')}`);
+};
+
+run()
+    .catch((error) => {
+        console.error('❌ Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
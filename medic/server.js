@@ -4,6 +4,45 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { DUPLICATE_THRESHOLD, normalizePhone, scoreDuplicate } = require('./lib/matching');
+const { searchWords, escapeRegExp, phoneticKeys, nameSearchKeys } = require('./lib/search');
+const { writesOnlyHistory, diffChanges, staleEdit } = require('./lib/edit-conflicts');
+const { patientFilterMatches, activeFilters } = require('./lib/patient-filters');
+const { buildCampaignReport } = require('./lib/campaign-report');
+const { selectColumns, csvHeader, toCsvRow } = require('./lib/patient-columns');
+const { XLSX_CONTENT_TYPE, writeWorkbook } = require('./lib/xlsx-export');
+const { MAX_IMPORT_ROWS, formatFromName, readSpreadsheet, mapHeaders, rowToPatient } = require('./lib/patient-import');
+const { FHIR_VERSION, FHIR_CONTENT_TYPE, SYSTEMS, patientResource, visitResources, bundleEntry, readBundle } = require('./lib/fhir');
+const { DHIS2_CONFIG, AGGREGATES, periodDays, countStages, countCells, buildDataValueSet, dataValueSetCsv, isConfigured: isDhis2Configured, pushDataValueSet } = require('./lib/dhis2');
+const { MAX_DIMENSIONS, parseAgeBands, ageBandLabels, ageBandExpression, crossTabStages, shapeCrossTab } = require('./lib/reports');
+const { LAB_ORDER_STATUSES, QUALITATIVE_RESULTS, getLabTestDefinition, createLabOrder, formatLabResult } = require('./lib/lab-tests');
+const { ALERT_SEVERITIES, ALERT_OPERATORS, DEFAULT_ALERT_RULES, deriveVitalSigns, evaluateAlerts } = require('./lib/clinical-alerts');
+const {
+    QUEUE_STATUSES, ACTIVE_QUEUE_STATUSES, QUEUE_TRANSITIONS, TRIAGE_LEVELS,
+    syncServiceQueue, pendingQueueServices, isQueueFinished
+} = require('./lib/service-queue');
+const { REFERENCE_LISTS, REFERENCE_LIST_NAMES, defaultReferenceItems, groupReferenceItems } = require('./lib/reference-data');
+const { getPendingMigrations } = require('./lib/migrations');
+const { DEFAULT_TIMEZONE, isValidTimeZone, startOfDay, dayKey, periodStart: startOfPeriod } = require('./lib/dates');
+const { ref, describe, validate, buildOpenApiDocument } = require('./lib/openapi');
+const { compile, fieldError, validationError, fromMongooseError } = require('./lib/validation');
+const patientRequests = require('./lib/validation/patients');
+const campRequests = require('./lib/validation/camps');
+const userRequests = require('./lib/validation/users');
+const labOrderRequests = require('./lib/validation/lab-orders');
+const alertRuleRequests = require('./lib/validation/alert-rules');
+const queueRequests = require('./lib/validation/queues');
+const referenceRequests = require('./lib/validation/reference');
+const savedFilterRequests = require('./lib/validation/saved-filters');
+const reportRequests = require('./lib/validation/reports');
+const exportRequests = require('./lib/validation/exports');
+const importRequests = require('./lib/validation/imports');
+const fhirRequests = require('./lib/validation/fhir');
+const dhis2Requests = require('./lib/validation/dhis2');
+const swaggerUi = require('swagger-ui-express');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,12 +52,12 @@ app.use(cors({
     origin: process.env.NODE_ENV === 'production' ? process.env.FRONTEND_URL : '*',
     credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', FHIR_CONTENT_TYPE] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.url.replace(/access_token=[^&]+/, 'access_token=***')}`);
     next();
 });
 
@@ -34,6 +73,16 @@ if (!MONGODB_URI) {
     process.exit(1);
 }
 
+// Authentication configuration
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!JWT_SECRET) {
+    console.error('❌ JWT_SECRET environment variable is not set');
+    console.error('Please set JWT_SECRET in your .env file or environment variables');
+    process.exit(1);
+}
+
 mongoose.connect(MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
@@ -43,13 +92,167 @@ mongoose.connect(MONGODB_URI, {
 .then(() => {
     console.log('✅ Connected to MongoDB successfully');
     console.log('📍 Database:', mongoose.connection.name);
+    ensureInitialAdmin().catch((error) => {
+        console.error('❌ Failed to create initial admin account:', error);
+    });
+    ensureDefaultAlertRules().catch((error) => {
+        console.error('❌ Failed to create default alert rules:', error);
+    });
+    ensureDefaultReferenceData().catch((error) => {
+        console.error('❌ Failed to create default reference lists:', error);
+    });
+    warnPendingMigrations().catch((error) => {
+        console.error('❌ Failed to check migrations:', error);
+    });
 })
 .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
     process.exit(1);
 });
 
-// Enhanced Patient Schema - Production Ready with Enhanced Features
+// Reference Item Schema - one value of a managed list such as services or family groups (see lib/reference-data.js)
+const referenceItemSchema = new mongoose.Schema({
+    list: {
+        type: String,
+        required: [true, 'List is required'],
+        enum: {
+            values: REFERENCE_LIST_NAMES,
+            message: `List must be one of: ${REFERENCE_LIST_NAMES.join(', ')}`
+        }
+    },
+    // Stored on patient, visit and camp records, so it never changes once created
+    value: {
+        type: String,
+        required: [true, 'Value is required'],
+        trim: true,
+        maxlength: [100, 'Value cannot exceed 100 characters']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Label cannot exceed 100 characters']
+    },
+    displayOrder: {
+        type: Number,
+        default: 0
+    },
+    // Retired values are no longer offered; records that hold them stay valid
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+referenceItemSchema.index({ list: 1, value: 1 }, { unique: true });
+
+const ReferenceItem = mongoose.model('ReferenceItem', referenceItemSchema);
+
+// Reference lists are cached in memory and reloaded after any item changes
+let referenceDataCache = null;
+
+const getReferenceData = async () => {
+    if (!referenceDataCache) {
+        referenceDataCache = groupReferenceItems(await ReferenceItem.find().lean());
+    }
+    return referenceDataCache;
+};
+
+// Values currently offered in a list
+const getReferenceValues = async (list) => {
+    const referenceData = await getReferenceData();
+    return referenceData[list].filter(item => item.isActive).map(item => item.value);
+};
+
+// Fill any list that has no values yet - lists added in later versions are seeded too
+const ensureDefaultReferenceData = async () => {
+    for (const list of REFERENCE_LIST_NAMES) {
+        if (await ReferenceItem.exists({ list })) continue;
+
+        await ReferenceItem.insertMany(defaultReferenceItems(list));
+        console.log(`📚 ${REFERENCE_LISTS[list].defaults.length} default ${REFERENCE_LISTS[list].label.toLowerCase()} created`);
+    }
+    referenceDataCache = null;
+};
+
+// Health Camp Schema - one document per campaign event (site and date range)
+const campSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Camp name is required'],
+        trim: true,
+        minlength: [2, 'Camp name must be at least 2 characters long'],
+        maxlength: [100, 'Camp name cannot exceed 100 characters']
+    },
+    location: {
+        type: String,
+        required: [true, 'Camp location is required'],
+        trim: true,
+        maxlength: [200, 'Location cannot exceed 200 characters']
+    },
+    description: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required'],
+        validate: {
+            validator: function(v) {
+                return !this.startDate || v >= this.startDate;
+            },
+            message: 'End date cannot be before the start date'
+        }
+    },
+    // Services offered at this camp - registrations are validated against this list.
+    // New camps start from the services reference list
+    services: {
+        type: [String],
+        validate: {
+            validator: function(services) {
+                return services.length > 0 && services.every(service => typeof service === 'string' && service.trim().length > 0);
+            },
+            message: 'A camp must offer at least one service'
+        }
+    },
+    // Lab tests available on site - new camps start from the lab tests reference list
+    labTests: {
+        type: [String],
+        default: []
+    },
+    // Decides which day a visit counts on in lists, reports and ticket numbering
+    timezone: {
+        type: String,
+        trim: true,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Timezone must be an IANA timezone such as Africa/Douala'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+campSchema.index({ startDate: -1 });
+
+const Camp = mongoose.model('Camp', campSchema);
+
+// Enhanced Patient Schema - persistent identity shared by every camp visit
 const patientSchema = new mongoose.Schema({
     name: { 
         type: String, 
@@ -78,8 +281,8 @@ const patientSchema = new mongoose.Schema({
         type: String, 
         required: [true, 'Patient sex is required'],
         enum: {
-            values: ['Male', 'Female'],
-            message: 'Sex must be either Male or Female'
+            values: patientRequests.SEXES,
+            message: `Sex must be either ${patientRequests.SEXES.join(' or ')}`
         }
     },
     occupation: { 
@@ -101,112 +304,28 @@ const patientSchema = new mongoose.Schema({
             message: 'Please enter a valid phone number (8-15 digits)'
         }
     },
-    familyGroup: { 
-        type: String, 
-        required: [true, 'Family group is required'],
-        enum: {
-            values: ['ESDA', 'MASUDA', 'AKUCDA', 'UBACDA', 'OTHERS'],
-            message: 'Family group must be one of: ESDA, MASUDA, AKUCDA, UBACDA, OTHERS'
-        }
-    },
-    // Legacy field - kept for backward compatibility only
-    service: { 
-        type: String
-        // No validation - this is legacy only
-    },
-    // Primary services field - UPDATED with new services
-    services: {
-        type: [String],
-        required: [true, 'At least one service is required'],
-        validate: {
-            validator: function(services) {
-                if (!services || services.length === 0) {
-                    return false;
-                }
-                const validServices = [
-                    'General consultations', 
-                    'Eye consultation',
-                    'Gynaecology', 
-                    'Cervical cancer screening', 
-                    'Sexual and reproductive health',
-                    'Dental consultation'
-                ];
-                return services.every(service => validServices.includes(service));
-            },
-            message: 'Invalid service specified. Valid services are: General consultations, Eye consultation, Gynaecology, Cervical cancer screening, Sexual and reproductive health, Dental consultation'
-        }
-    },
-    // NEW: Vital Signs
-    vitalSigns: {
-        height: {
-            type: Number,
-            min: [0, 'Height cannot be negative'],
-            max: [300, 'Height cannot exceed 300 cm']
-        },
-        weight: {
-            type: Number,
-            min: [0, 'Weight cannot be negative'],
-            max: [1000, 'Weight cannot exceed 1000 kg']
-        },
-        bloodPressure: {
-            type: String,
-            trim: true,
-            maxlength: [20, 'Blood pressure reading cannot exceed 20 characters']
-        },
-        pulse: {
-            type: Number,
-            min: [0, 'Pulse cannot be negative'],
-            max: [300, 'Pulse cannot exceed 300 bpm']
-        },
-        temperature: {
-            type: Number,
-            min: [20, 'Temperature cannot be below 20°C'],
-            max: [50, 'Temperature cannot exceed 50°C']
-        }
-    },
-    registrationDate: { 
-        type: String, 
-        required: true,
-        default: () => new Date().toLocaleDateString('en-GB')
-    },
-    registrationTime: { 
-        type: String, 
-        default: () => new Date().toLocaleTimeString('en-GB')
-    },
-    status: { 
-        type: String, 
-        default: 'registered',
-        enum: {
-            values: ['registered', 'completed', 'cancelled', 'deleted'],
-            message: 'Status must be one of: registered, completed, cancelled, deleted'
-        },
+    // Digits-only national form of tel, used for duplicate detection
+    telNormalized: {
+        type: String,
         index: true
     },
-    diagnosis: { 
-        type: String, 
-        default: '',
-        trim: true,
-        maxlength: [2000, 'Diagnosis cannot exceed 2000 characters']
+    // Accent-free name words and their phonetic keys for search (see lib/search.js) - kept out of responses
+    searchTerms: {
+        type: [String],
+        select: false
     },
-    labTests: {
+    searchPhonetic: {
         type: [String],
-        default: [],
-        validate: {
-            validator: function(tests) {
-                if (!tests || tests.length === 0) return true; // Allow empty array
-                // Allow any lab test names since we support custom "others" input
-                return tests.every(test => typeof test === 'string' && test.trim().length > 0);
-            },
-            message: 'Lab test names must be non-empty strings'
-        }
+        select: false
     },
-    treatmentPlan: { 
+    // One of the familyGroups reference list when it was recorded - the value may have been retired since
+    familyGroup: { 
         type: String, 
-        default: '',
+        required: [true, 'Family group is required'],
         trim: true,
-        maxlength: [3000, 'Treatment plan cannot exceed 3000 characters']
+        maxlength: [100, 'Family group cannot exceed 100 characters']
     },
-    // NEW: Past History
+    // NEW: Past History - carried over from visit to visit
     pastHistory: {
         pastMedicalHistory: {
             type: String,
@@ -239,14 +358,6 @@ const patientSchema = new mongoose.Schema({
             maxlength: [1000, 'Social history cannot exceed 1000 characters']
         }
     },
-    completionDate: { 
-        type: String, 
-        default: ''
-    },
-    completionTime: { 
-        type: String, 
-        default: ''
-    },
     // Enhanced audit fields
     lastModified: {
         type: Date,
@@ -256,7 +367,7 @@ const patientSchema = new mongoose.Schema({
     modificationHistory: [{
         action: {
             type: String,
-            enum: ['created', 'updated', 'completed', 'cancelled', 'deleted'],
+            enum: ['created', 'updated', 'completed', 'cancelled', 'deleted', 'restored', 'merged'],
             required: true
         },
         timestamp: {
@@ -267,6 +378,23 @@ const patientSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.Mixed,
             default: {}
         },
+        // Visit the change applied to, when it concerned visit data
+        encounter: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Encounter'
+        },
+        // Staff member who performed the action
+        user: {
+            id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            username: String,
+            name: String
+        },
+        role: String,
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
         userAgent: String,
         ipAddress: String
     }],
@@ -278,22 +406,42 @@ const patientSchema = new mongoose.Schema({
     },
     deletedAt: {
         type: Date
-    }
+    },
+    // Set when this record was merged into another patient (the record is then soft-deleted)
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    // Records staff reviewed and confirmed are different people
+    notDuplicateOf: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    }]
 }, { 
     timestamps: true,
     versionKey: false
 });
 
 // Compound indexes for better query performance
-patientSchema.index({ tel: 1 }, { unique: true });
+// Phone numbers are not unique - families often share one
+patientSchema.index({ tel: 1 });
 patientSchema.index({ name: 1, familyGroup: 1 });
-patientSchema.index({ status: 1, createdAt: -1 });
-patientSchema.index({ services: 1, status: 1 });
-patientSchema.index({ familyGroup: 1, status: 1 });
-patientSchema.index({ isDeleted: 1, status: 1 });
+patientSchema.index({ familyGroup: 1 });
 patientSchema.index({ createdAt: -1 });
 patientSchema.index({ sex: 1 }); // NEW: For sex ratio reports
 patientSchema.index({ age: 1 }); // NEW: For age distribution reports
+patientSchema.index({ searchTerms: 1 }); // Type-ahead on the start of a name word
+patientSchema.index({ searchPhonetic: 1 }); // Duplicate candidates whose name sounds alike
+patientSchema.index({ 'modificationHistory.user.username': 1 }); // Modified-by filter
+// Text search - case and accent insensitive, names not stemmed, a name match outranks occupation or medications
+patientSchema.index(
+    { name: 'text', searchPhonetic: 'text', occupation: 'text', 'pastHistory.currentMedications': 'text' },
+    {
+        name: 'patient_search',
+        default_language: 'none',
+        weights: { name: 10, searchPhonetic: 4, occupation: 2, 'pastHistory.currentMedications': 2 }
+    }
+);
 
 // Pre-save middleware for data normalization and validation
 patientSchema.pre('save', function(next) {
@@ -302,126 +450,34 @@ patientSchema.pre('save', function(next) {
     // Normalize phone number
     if (this.tel) {
         this.tel = this.tel.replace(/\s+/g, ' ').trim();
+        this.telNormalized = normalizePhone(this.tel);
     }
     
     // Normalize name
     if (this.name) {
         this.name = this.name.replace(/\s+/g, ' ').trim();
-    }
-    
-    // Handle service/services normalization and legacy support
-    if (this.services && this.services.length > 0) {
-        // Convert 'Eye con' to 'Eye consultation' for backward compatibility
-        this.services = this.services.map(service => {
-            if (service === 'Eye con') {
-                return 'Eye consultation';
-            }
-            return service;
-        });
-        // Clear legacy service field
-        this.service = undefined;
-    } else if (this.service && (!this.services || this.services.length === 0)) {
-        // Convert single service to services array
-        let serviceToAdd = this.service;
-        // Handle legacy 'Eye con' conversion
-        if (serviceToAdd === 'Eye con') {
-            serviceToAdd = 'Eye consultation';
-        }
-        this.services = [serviceToAdd];
-        this.service = undefined;
-    }
-    
-    // Final validation - ensure we have services
-    if (!this.services || this.services.length === 0) {
-        return next(new Error('At least one service is required'));
-    }
-    
-    // Handle age conversion if it comes as string
-    if (typeof this.age === 'string') {
-        const ageNum = parseInt(this.age);
-        if (isNaN(ageNum)) {
-            return next(new Error('Age must be a valid number'));
-        }
-        this.age = ageNum;
-    }
-    
-    // Handle vital signs number conversion
-    if (this.vitalSigns) {
-        if (this.vitalSigns.height && typeof this.vitalSigns.height === 'string') {
-            const height = parseFloat(this.vitalSigns.height);
-            this.vitalSigns.height = isNaN(height) ? undefined : height;
-        }
-        if (this.vitalSigns.weight && typeof this.vitalSigns.weight === 'string') {
-            const weight = parseFloat(this.vitalSigns.weight);
-            this.vitalSigns.weight = isNaN(weight) ? undefined : weight;
-        }
-        if (this.vitalSigns.pulse && typeof this.vitalSigns.pulse === 'string') {
-            const pulse = parseInt(this.vitalSigns.pulse);
-            this.vitalSigns.pulse = isNaN(pulse) ? undefined : pulse;
-        }
-        if (this.vitalSigns.temperature && typeof this.vitalSigns.temperature === 'string') {
-            const temp = parseFloat(this.vitalSigns.temperature);
-            this.vitalSigns.temperature = isNaN(temp) ? undefined : temp;
+        if (this.isModified('name')) {
+            this.set(nameSearchKeys(this.name));
         }
     }
     
     next();
 });
 
-// Pre-update middleware
+// Pre-update middleware - adding a history entry is not a change to the record (lib/edit-conflicts.js)
 patientSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
-    this.set({ lastModified: new Date() });
-    
-    // Handle age conversion in updates
-    if (this.getUpdate().age && typeof this.getUpdate().age === 'string') {
-        const ageNum = parseInt(this.getUpdate().age);
-        if (!isNaN(ageNum)) {
-            this.set({ age: ageNum });
-        }
+    if (!writesOnlyHistory(this.getUpdate())) {
+        this.set({ lastModified: new Date() });
     }
     
-    // Handle services conversion in updates
-    const update = this.getUpdate();
-    if (update.services && Array.isArray(update.services)) {
-        // Convert 'Eye con' to 'Eye consultation' for backward compatibility
-        const convertedServices = update.services.map(service => {
-            if (service === 'Eye con') {
-                return 'Eye consultation';
-            }
-            return service;
-        });
-        this.set({ services: convertedServices });
-        // Clear legacy service field
-        this.set({ service: undefined });
-    } else if (update.service && (!update.services || update.services.length === 0)) {
-        // Convert single service to services array
-        let serviceToAdd = update.service;
-        if (serviceToAdd === 'Eye con') {
-            serviceToAdd = 'Eye consultation';
-        }
-        this.set({ services: [serviceToAdd] });
-        this.set({ service: undefined });
+    // Keep the comparable phone number in step with tel
+    if (this.getUpdate().tel) {
+        this.set({ telNormalized: normalizePhone(this.getUpdate().tel) });
     }
     
-    // Handle vital signs conversion in updates
-    if (update.vitalSigns) {
-        const vitals = update.vitalSigns;
-        if (vitals.height && typeof vitals.height === 'string') {
-            const height = parseFloat(vitals.height);
-            this.set({ 'vitalSigns.height': isNaN(height) ? undefined : height });
-        }
-        if (vitals.weight && typeof vitals.weight === 'string') {
-            const weight = parseFloat(vitals.weight);
-            this.set({ 'vitalSigns.weight': isNaN(weight) ? undefined : weight });
-        }
-        if (vitals.pulse && typeof vitals.pulse === 'string') {
-            const pulse = parseInt(vitals.pulse);
-            this.set({ 'vitalSigns.pulse': isNaN(pulse) ? undefined : pulse });
-        }
-        if (vitals.temperature && typeof vitals.temperature === 'string') {
-            const temp = parseFloat(vitals.temperature);
-            this.set({ 'vitalSigns.temperature': isNaN(temp) ? undefined : temp });
-        }
+    // And the search keys in step with name
+    if (this.getUpdate().name) {
+        this.set(nameSearchKeys(this.getUpdate().name));
     }
     
     next();
@@ -431,14 +487,12 @@ patientSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
 patientSchema.methods.softDelete = function() {
     this.isDeleted = true;
     this.deletedAt = new Date();
-    this.status = 'deleted';
     return this.save();
 };
 
 patientSchema.methods.restore = function() {
     this.isDeleted = false;
     this.deletedAt = undefined;
-    this.status = 'registered';
     return this.save();
 };
 
@@ -453,1592 +507,6646 @@ patientSchema.statics.findDeleted = function() {
 
 const Patient = mongoose.model('Patient', patientSchema);
 
-// ===== UTILITY FUNCTIONS =====
-
-// Enhanced error handler middleware
-const handleError = (res, error, defaultMessage = 'An error occurred', req = null) => {
-    console.error('❌ Error occurred:', {
-        message: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-        url: req?.url,
-        method: req?.method,
-        timestamp: new Date().toISOString()
-    });
-    
-    if (error.name === 'ValidationError') {
-        const errors = Object.values(error.errors).map(err => err.message);
-        return res.status(400).json({ 
-            success: false,
-            error: 'Validation failed', 
-            details: errors,
-            message: errors.join(', ')
-        });
-    }
-    
-    if (error.code === 11000) {
-        const field = Object.keys(error.keyPattern)[0];
-        const value = error.keyValue[field];
-        return res.status(409).json({ 
-            success: false,
-            error: 'Duplicate entry', 
-            message: `A patient with ${field} "${value}" already exists`
-        });
-    }
-    
-    if (error.name === 'CastError') {
-        return res.status(400).json({ 
-            success: false,
-            error: 'Invalid ID format',
-            message: 'The provided ID is not valid'
-        });
-    }
-    
-    if (error.name === 'MongoNetworkError') {
-        return res.status(503).json({
-            success: false,
-            error: 'Database connection error',
-            message: 'Unable to connect to database. Please try again later.'
-        });
-    }
-    
-    const statusCode = error.statusCode || 500;
-    res.status(statusCode).json({ 
-        success: false,
-        error: defaultMessage,
-        message: error.message || defaultMessage
-    });
-};
-
-// Validation helpers
-const validateObjectId = (id) => {
-    return mongoose.Types.ObjectId.isValid(id);
-};
+// Staff member recorded against a lab step
+const staffStampSchema = new mongoose.Schema({
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    name: String
+}, { _id: false });
 
-const sanitizeInput = (obj) => {
-    const sanitized = {};
-    Object.keys(obj).forEach(key => {
-        if (obj[key] !== undefined && obj[key] !== null) {
-            if (typeof obj[key] === 'string') {
-                sanitized[key] = obj[key].trim();
-            } else {
-                sanitized[key] = obj[key];
+// Lab Order Schema - one requested test and, once run, its result
+const labOrderSchema = new mongoose.Schema({
+    test: {
+        type: String,
+        required: [true, 'Lab test name is required'],
+        trim: true,
+        maxlength: [100, 'Lab test name cannot exceed 100 characters']
+    },
+    status: {
+        type: String,
+        default: 'ordered',
+        enum: {
+            values: LAB_ORDER_STATUSES,
+            message: `Lab order status must be one of: ${LAB_ORDER_STATUSES.join(', ')}`
+        }
+    },
+    resultType: {
+        type: String,
+        enum: ['qualitative', 'numeric', 'text'],
+        default: 'text'
+    },
+    result: {
+        qualitative: {
+            type: String,
+            enum: {
+                values: QUALITATIVE_RESULTS,
+                message: `Result must be one of: ${QUALITATIVE_RESULTS.join(', ')}`
             }
+        },
+        value: Number,
+        unit: { type: String, trim: true, maxlength: 20 },
+        text: { type: String, trim: true, maxlength: [3000, 'Result report cannot exceed 3000 characters'] },
+        referenceRange: {
+            low: Number,
+            high: Number
+        },
+        // low / normal / high against the reference range (numeric results)
+        flag: { type: String, enum: ['low', 'normal', 'high'] }
+    },
+    notes: { type: String, trim: true, maxlength: [1000, 'Lab notes cannot exceed 1000 characters'] },
+    orderedAt: { type: Date, default: Date.now },
+    orderedBy: staffStampSchema,
+    sampleCollectedAt: Date,
+    sampleCollectedBy: staffStampSchema,
+    resultedAt: Date,
+    resultedBy: staffStampSchema,
+    cancelledAt: Date,
+    cancelledBy: staffStampSchema,
+    cancelReason: { type: String, trim: true, maxlength: 500 }
+});
+
+// Queue Entry Schema - the patient's place in one service's waiting list during a visit
+const queueEntrySchema = new mongoose.Schema({
+    service: {
+        type: String,
+        required: [true, 'Queue service is required'],
+        trim: true
+    },
+    status: {
+        type: String,
+        default: 'waiting',
+        enum: {
+            values: QUEUE_STATUSES,
+            message: `Queue status must be one of: ${QUEUE_STATUSES.join(', ')}`
         }
-    });
-    return sanitized;
+    },
+    queuedAt: { type: Date, default: Date.now },
+    // Consultation room or desk the patient was called to
+    station: { type: String, trim: true, maxlength: 50 },
+    calledAt: Date,
+    calledBy: staffStampSchema,
+    startedAt: Date,
+    startedBy: staffStampSchema,
+    finishedAt: Date,
+    finishedBy: staffStampSchema,
+    skipReason: { type: String, trim: true, maxlength: 500 }
+});
+
+// Vital sign reading limited to the plausible range set in lib/validation/patients.js
+const vitalSignField = (field) => {
+    const { title, unit, minimum, maximum } = patientRequests.VITAL_SIGN_LIMITS[field];
+    return {
+        type: Number,
+        min: [minimum, `${title} cannot be below ${minimum} ${unit}`],
+        max: [maximum, `${title} cannot exceed ${maximum} ${unit}`]
+    };
 };
 
-// Add modification history with enhanced tracking
-const addModificationHistory = async (patientId, action, changes = {}, req = null) => {
-    try {
-        const historyEntry = {
-            action,
-            timestamp: new Date(),
-            changes
-        };
-        
-        if (req) {
-            historyEntry.userAgent = req.get('User-Agent');
-            historyEntry.ipAddress = req.ip || req.connection.remoteAddress;
-        }
-        
+// Encounter Schema - one visit by a patient to a camp, holding everything recorded at that visit
+const encounterSchema = new mongoose.Schema({
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: [true, 'Patient is required'],
+        index: true
+    },
+    // Health camp this visit belongs to
+    camp: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Camp',
+        index: true
+    },
+    // Services registered for - valid values come from the camp's configuration
+    services: {
+        type: [String],
+        required: [true, 'At least one service is required'],
+        validate: {
+            validator: function(services) {
+                return Array.isArray(services) && services.length > 0 &&
+                    services.every(service => typeof service === 'string' && service.trim().length > 0);
+            },
+            message: 'At least one service is required'
+        }
+    },
+    // NEW: Vital Signs
+    vitalSigns: {
+        height: vitalSignField('height'),
+        weight: vitalSignField('weight'),
+        bloodPressure: {
+            type: String,
+            trim: true,
+            maxlength: [20, 'Blood pressure reading cannot exceed 20 characters']
+        },
+        pulse: vitalSignField('pulse'),
+        temperature: vitalSignField('temperature'),
+        // Derived from bloodPressure, height and weight whenever the visit is saved
+        systolic: Number,
+        diastolic: Number,
+        bmi: Number
+    },
+    // Abnormal findings raised by the clinical alert rules
+    alerts: [{
+        _id: false,
+        code: String,
+        label: String,
+        severity: { type: String, enum: ALERT_SEVERITIES },
+        detail: String
+    }],
+    // Highest alert severity: 2 critical, 1 warning, 0 none
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Priority given at triage (0 routine, 1 urgent, 2 emergency) - queues use the higher of this and priority
+    triagePriority: {
+        type: Number,
+        default: 0,
+        enum: {
+            values: TRIAGE_LEVELS.map((level, index) => index),
+            message: `Triage priority must be 0 (${TRIAGE_LEVELS[0]}), 1 (${TRIAGE_LEVELS[1]}) or 2 (${TRIAGE_LEVELS[2]})`
+        }
+    },
+    // Number called out at the stations - sequential per camp and day
+    ticketNumber: Number,
+    // One waiting-list entry per registered service
+    serviceQueue: [queueEntrySchema],
+    registrationDate: { 
+        type: Date, 
+        required: true,
+        default: Date.now
+    },
+    status: { 
+        type: String, 
+        default: 'registered',
+        enum: {
+            values: patientRequests.VISIT_STATUSES,
+            message: `Status must be one of: ${patientRequests.VISIT_STATUSES.join(', ')}`
+        },
+        index: true
+    },
+    diagnosis: { 
+        type: String, 
+        default: '',
+        trim: true,
+        maxlength: [2000, 'Diagnosis cannot exceed 2000 characters']
+    },
+    // Names of the tests requested at this visit - kept in step with labOrders
+    labTests: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function(tests) {
+                if (!tests || tests.length === 0) return true; // Allow empty array
+                // Allow any lab test names since we support custom "others" input
+                return tests.every(test => typeof test === 'string' && test.trim().length > 0);
+            },
+            message: 'Lab test names must be non-empty strings'
+        }
+    },
+    // Structured lab orders with per-test status and results
+    labOrders: [labOrderSchema],
+    treatmentPlan: { 
+        type: String, 
+        default: '',
+        trim: true,
+        maxlength: [3000, 'Treatment plan cannot exceed 3000 characters']
+    },
+    // Facility the patient was sent on to for care the camp cannot give - empty when not referred
+    referredTo: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: [200, 'Referral facility cannot exceed 200 characters']
+    },
+    referralReason: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: [1000, 'Referral reason cannot exceed 1000 characters']
+    },
+    completionDate: Date,
+    lastModified: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+encounterSchema.index({ patient: 1, createdAt: -1 });
+encounterSchema.index({ camp: 1, status: 1, createdAt: -1 });
+encounterSchema.index({ services: 1, status: 1 });
+encounterSchema.index({ status: 1, createdAt: -1 });
+encounterSchema.index({ createdAt: -1 });
+encounterSchema.index({ 'labOrders.status': 1, 'labOrders.test': 1 });
+encounterSchema.index({ status: 1, priority: -1, createdAt: 1 });
+encounterSchema.index({ 'alerts.code': 1 });
+encounterSchema.index({ diagnosis: 'text', treatmentPlan: 'text' }, { name: 'visit_search', weights: { diagnosis: 3, treatmentPlan: 1 } });
+encounterSchema.index({ camp: 1, 'serviceQueue.service': 1, 'serviceQueue.status': 1 });
+
+// Legacy single services and abbreviated names are converted once by migrations/002-normalize-legacy-services.js
+encounterSchema.pre('save', function(next) {
+    this.lastModified = new Date();
+    next();
+});
+
+// Pre-update middleware
+encounterSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
+    this.set({ lastModified: new Date() });
+    
+    const update = this.getUpdate();
+    
+    // Requests arrive with vital signs already converted to numbers (lib/validation/patients.js).
+    // The whole object is replaced so the derived readings never conflict with a partial vitalSigns.* update
+    const updatedVitals = update.$set?.vitalSigns || update.vitalSigns;
+    if (updatedVitals) {
+        this.set({ vitalSigns: deriveVitalSigns(updatedVitals) });
+    }
+    
+    next();
+});
+
+// New visits get a ticket number and join the queue of every service they registered for
+encounterSchema.pre('save', async function() {
+    if (!this.isNew) return;
+    
+    // Ticket numbers restart each day in the camp's timezone
+    if (!this.ticketNumber) {
+        const day = dayKey(new Date(), await getCampTimeZone(this.camp));
+        this.ticketNumber = await nextSequence(`ticket:${this.camp || 'none'}:${day}`);
+    }
+    if (!this.serviceQueue || this.serviceQueue.length === 0) {
+        this.serviceQueue = syncServiceQueue([], this.services);
+    }
+});
+
+// Derived vital signs and clinical alerts, recomputed whenever the visit is saved
+encounterSchema.pre('save', async function() {
+    if (this.isNew || this.isModified('vitalSigns') || this.isModified('labOrders')) {
+        const encounter = this.toObject();
+        const vitals = deriveVitalSigns(encounter.vitalSigns);
+        ['systolic', 'diastolic', 'bmi'].forEach(field => this.set(`vitalSigns.${field}`, vitals[field]));
+        
+        const { alerts, priority } = evaluateAlerts(encounter, await getAlertRules());
+        this.alerts = alerts;
+        this.priority = priority;
+    }
+});
+
+// Recompute clinical alerts when an update changes vital signs or lab orders
+encounterSchema.pre(['updateOne', 'findOneAndUpdate'], async function() {
+    const update = this.getUpdate();
+    const changed = (path) => (update.$set && path in update.$set) ? update.$set[path] : update[path];
+    const vitalSigns = changed('vitalSigns');
+    const labOrders = changed('labOrders');
+    if (vitalSigns === undefined && labOrders === undefined) return;
+    
+    const current = vitalSigns === undefined || labOrders === undefined
+        ? await this.model.findOne(this.getQuery()).select('vitalSigns labOrders').lean()
+        : null;
+    
+    const { alerts, priority } = evaluateAlerts({
+        vitalSigns: vitalSigns !== undefined ? vitalSigns : current?.vitalSigns,
+        labOrders: labOrders !== undefined ? labOrders : current?.labOrders
+    }, await getAlertRules());
+    this.set({ alerts, priority });
+});
+
+const Encounter = mongoose.model('Encounter', encounterSchema);
+
+// Counter Schema - named sequences such as the daily ticket numbers of a camp
+const counterSchema = new mongoose.Schema({
+    _id: String,
+    seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+// Takes the next number, or a block of count numbers and returns the last of them
+const nextSequence = async (name, count = 1) => {
+    const counter = await Counter.findByIdAndUpdate(name, { $inc: { seq: count } }, { new: true, upsert: true });
+    return counter.seq;
+};
+
+// Alert Rule Schema - a configurable check on vital signs or lab results (see lib/clinical-alerts.js)
+const alertRuleSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Rule code is required'],
+        unique: true,
+        trim: true
+    },
+    label: {
+        type: String,
+        required: [true, 'Rule label is required'],
+        trim: true,
+        maxlength: [100, 'Rule label cannot exceed 100 characters']
+    },
+    severity: {
+        type: String,
+        enum: {
+            values: ALERT_SEVERITIES,
+            message: `Severity must be one of: ${ALERT_SEVERITIES.join(', ')}`
+        },
+        default: 'warning'
+    },
+    // Raise the alert when any (or all) of the conditions hold
+    match: {
+        type: String,
+        enum: ['any', 'all'],
+        default: 'any'
+    },
+    conditions: [{
+        _id: false,
+        metric: { type: String, required: true, trim: true },
+        operator: { type: String, enum: ALERT_OPERATORS, required: true },
+        value: { type: mongoose.Schema.Types.Mixed, required: true }
+    }],
+    // Codes of milder rules hidden when this one is raised
+    supersedes: {
+        type: [String],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+// Active rules are cached in memory and reloaded after any rule changes
+let alertRulesCache = null;
+
+const getAlertRules = async () => {
+    if (!alertRulesCache) {
+        alertRulesCache = await AlertRule.find({ isActive: true }).lean();
+    }
+    return alertRulesCache;
+};
+
+// Create the default rules the first time the server starts
+const ensureDefaultAlertRules = async () => {
+    const ruleCount = await AlertRule.countDocuments();
+    if (ruleCount > 0) return;
+
+    await AlertRule.insertMany(DEFAULT_ALERT_RULES);
+    alertRulesCache = null;
+    console.log(`🚨 ${DEFAULT_ALERT_RULES.length} default clinical alert rules created`);
+};
+
+// Data written by older versions is converted by migrations (npm run migrate) - the server no longer does it on the fly
+const warnPendingMigrations = async () => {
+    const pending = await getPendingMigrations(mongoose.connection.db);
+    if (pending.length === 0) return;
+    
+    console.warn(`⚠️ ${pending.length} data migration${pending.length > 1 ? 's are' : ' is'} pending - run npm run migrate:`);
+    pending.forEach(migration => console.warn(`⚠️   ${migration.version} ${migration.name}: ${migration.description}`));
+};
+
+// ===== STAFF ACCOUNTS & ROLES =====
+
+// Roles available to camp staff, in increasing order of privilege
+const { ROLES } = userRequests;
+
+// Permissions granted to each role - route guards check permissions, never role names
+const ROLE_PERMISSIONS = {
+    registration_clerk: [
+        'patients:read', 'patients:create', 'patients:update'
+    ],
+    nurse: [
+        'patients:read', 'patients:create', 'patients:update', 'lab:read', 'lab:write', 'queues:manage'
+    ],
+    lab_technician: [
+        'patients:read', 'lab:read', 'lab:write'
+    ],
+    clinician: [
+        'patients:read', 'patients:update', 'patients:clinical', 'stats:read', 'lab:read', 'lab:order', 'queues:manage'
+    ],
+    camp_coordinator: [
+        'patients:read', 'patients:create', 'patients:update', 'patients:delete',
+        'patients:restore', 'patients:merge', 'patients:bulk', 'stats:read', 'export:read',
+        'system:read', 'camps:manage', 'lab:read', 'alerts:manage', 'queues:manage', 'dhis2:push'
+    ],
+    admin: [
+        'patients:read', 'patients:create', 'patients:update', 'patients:clinical',
+        'patients:delete', 'patients:restore', 'patients:merge', 'patients:permanentDelete', 'patients:bulk',
+        'stats:read', 'export:read', 'system:read', 'camps:manage', 'users:manage',
+        'lab:read', 'lab:order', 'lab:write', 'alerts:manage', 'queues:manage', 'reference:manage',
+        'dhis2:push', 'dhis2:manage'
+    ]
+};
+
+// Patient fields that only clinical staff may write
+const CLINICAL_FIELDS = ['diagnosis', 'treatmentPlan', 'labTests', 'pastHistory', 'referredTo', 'referralReason'];
+
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        minlength: [3, 'Username must be at least 3 characters long'],
+        maxlength: [50, 'Username cannot exceed 50 characters'],
+        validate: {
+            validator: function(v) {
+                return /^[a-z0-9._-]+$/.test(v);
+            },
+            message: 'Username can only contain letters, numbers, dots, hyphens and underscores'
+        }
+    },
+    name: {
+        type: String,
+        required: [true, 'Full name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        enum: {
+            values: ROLES,
+            message: `Role must be one of: ${ROLES.join(', ')}`
+        }
+    },
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLogin: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+userSchema.methods.setPassword = async function(password) {
+    if (!password || password.length < 8) {
+        const error = new Error('Password must be at least 8 characters long');
+        error.statusCode = 400;
+        throw error;
+    }
+    this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+userSchema.methods.verifyPassword = function(password) {
+    return bcrypt.compare(password || '', this.passwordHash);
+};
+
+userSchema.methods.getPermissions = function() {
+    return ROLE_PERMISSIONS[this.role] || [];
+};
+
+// Never expose password hashes in API responses
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+    }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Tokens invalidated by logout, kept until they would have expired anyway
+const revokedTokenSchema = new mongoose.Schema({
+    jti: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true }
+}, { versionKey: false });
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+// Patient list filters a staff member saved under a name - see lib/patient-filters.js
+const savedFilterSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: {
+        type: String,
+        required: [true, 'Filter name is required'],
+        trim: true,
+        maxlength: [100, 'Filter name cannot exceed 100 characters']
+    },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true, minimize: false });
+
+// Names are unique per staff member
+savedFilterSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const SavedFilter = mongoose.model('SavedFilter', savedFilterSchema);
+
+// Which counts go to which DHIS2 data elements - a single document, see lib/dhis2.js
+const dhis2MappingSchema = new mongoose.Schema({
+    dataSet: { type: String, trim: true },
+    attributeOptionCombo: { type: String, trim: true },
+    ageBands: { type: String, default: 'under5' },
+    rows: [{
+        _id: false,
+        label: { type: String, trim: true, maxlength: 200 },
+        aggregate: { type: String, required: true },
+        service: { type: String, trim: true },
+        test: { type: String, trim: true },
+        sex: { type: String },
+        ageBand: { type: String, trim: true },
+        dataElement: { type: String, required: true, trim: true },
+        categoryOptionCombo: { type: String, trim: true },
+        attributeOptionCombo: { type: String, trim: true }
+    }],
+    updatedBy: staffStampSchema
+}, { timestamps: true, versionKey: false });
+
+const Dhis2Mapping = mongoose.model('Dhis2Mapping', dhis2MappingSchema);
+
+// Create the first admin account from the environment when no users exist yet
+const ensureInitialAdmin = async () => {
+    const userCount = await User.countDocuments();
+    if (userCount > 0) return;
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.warn('⚠️ No staff accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the initial admin.');
+        return;
+    }
+
+    const admin = new User({
+        username: ADMIN_USERNAME,
+        name: process.env.ADMIN_NAME || 'Administrator',
+        role: 'admin'
+    });
+    await admin.setPassword(ADMIN_PASSWORD);
+    await admin.save();
+    console.log('👑 Initial admin account created:', admin.username);
+};
+
+// ===== UTILITY FUNCTIONS =====
+
+// Enhanced error handler middleware
+const handleError = (res, error, defaultMessage = 'An error occurred', req = null) => {
+    console.error('❌ Error occurred:', {
+        message: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+        url: req?.originalUrl,
+        method: req?.method,
+        timestamp: new Date().toISOString()
+    });
+    
+    // Field problems are reported as { field, code, message } - see lib/validation
+    if (error.name === 'ValidationError') {
+        const details = fromMongooseError(error);
+        return res.status(400).json({ 
+            success: false,
+            error: 'Validation failed', 
+            details,
+            message: details.map(detail => detail.message).join(', ')
+        });
+    }
+    
+    if (error.name === 'RequestValidationError') {
+        return res.status(400).json({
+            success: false,
+            error: error.error,
+            message: error.message,
+            details: error.details
+        });
+    }
+    
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern)[0];
+        const value = error.keyValue[field];
+        return res.status(409).json({ 
+            success: false,
+            error: 'Duplicate entry', 
+            message: `A patient with ${field} "${value}" already exists`
+        });
+    }
+    
+    if (error.name === 'CastError') {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Invalid ID format',
+            message: 'The provided ID is not valid'
+        });
+    }
+    
+    if (error.name === 'MongoNetworkError') {
+        return res.status(503).json({
+            success: false,
+            error: 'Database connection error',
+            message: 'Unable to connect to database. Please try again later.'
+        });
+    }
+    
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({ 
+        success: false,
+        error: defaultMessage,
+        message: error.message || defaultMessage
+    });
+};
+
+// Write part of a streamed download, waiting while the client's buffer is full. A client that goes away
+// never drains, so closing ends the wait too; false means the client is gone and nothing more is sent.
+const writeChunk = async (res, chunk) => {
+    if (res.destroyed) return false;
+    if (res.write(chunk)) return true;
+    
+    await new Promise((resolve) => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+    return !res.destroyed;
+};
+
+// Validation helpers
+const validateObjectId = (id) => {
+    return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Camp scope for list, stats and export queries (?camp=<id>; omitted or 'all' means every camp)
+const getCampScope = (camp) => {
+    if (!camp || camp === 'all') return {};
+    
+    if (!validateObjectId(camp)) {
+        const error = new Error('Invalid camp ID format');
+        error.statusCode = 400;
+        throw error;
+    }
+    
+    return { camp: new mongoose.Types.ObjectId(camp) };
+};
+
+// Services a registration may use: the camp's configured list, or the services reference list for legacy records
+const getValidServices = async (campId) => {
+    const camp = campId ? await Camp.findById(campId).select('services').lean() : null;
+    return camp ? camp.services : getReferenceValues('services');
+};
+
+// Timezone whose days a camp's visits are counted in - reports across all camps use the default
+const getCampTimeZone = async (campId) => {
+    if (!campId || campId === 'all' || !validateObjectId(String(campId))) return DEFAULT_TIMEZONE;
+    
+    const camp = await Camp.findById(campId).select('timezone').lean();
+    return (camp && camp.timezone) || DEFAULT_TIMEZONE;
+};
+
+// A family group being recorded must be one currently offered
+const checkFamilyGroup = async (familyGroup, field = 'familyGroup') => {
+    if (!familyGroup) return;
+    
+    const problems = referenceRequests.referenceErrors(field, familyGroup, await getReferenceValues('familyGroups'), 'Family group');
+    if (problems.length > 0) {
+        throw validationError(problems, 'Invalid family group');
+    }
+};
+
+// Registration fields that belong to the patient rather than to a single visit
+const IDENTITY_FIELDS = ['name', 'age', 'sex', 'occupation', 'tel', 'familyGroup', 'pastHistory'];
+
+// Fields recorded per visit (encounter)
+const ENCOUNTER_FIELDS = [
+    'camp', 'services', 'vitalSigns', 'triagePriority', 'registrationDate', 'status',
+    'diagnosis', 'labTests', 'treatmentPlan', 'referredTo', 'referralReason', 'completionDate'
+];
+
+const pickFields = (data, fields) => {
+    return fields.reduce((acc, field) => {
+        if (data[field] !== undefined) acc[field] = data[field];
+        return acc;
+    }, {});
+};
+
+// Flatten a patient and one of their visits into the single record shape the UI and exports use.
+// _id stays the patient ID; encounterId identifies the visit.
+const toPatientView = (patient, encounter = null) => {
+    const identity = typeof patient.toObject === 'function' ? patient.toObject() : { ...patient };
+    const view = { ...identity, patientId: identity._id, patientCreatedAt: identity.createdAt };
+    
+    if (encounter) {
+        const visit = typeof encounter.toObject === 'function' ? encounter.toObject() : encounter;
+        ENCOUNTER_FIELDS.forEach(field => {
+            if (visit[field] !== undefined) view[field] = visit[field];
+        });
+        view.labOrders = visit.labOrders || [];
+        view.alerts = visit.alerts || [];
+        view.priority = visit.priority || 0;
+        view.ticketNumber = visit.ticketNumber;
+        view.serviceQueue = visit.serviceQueue || [];
+        view.encounterId = visit._id;
+        view.createdAt = visit.createdAt;
+        if (visit.lastModified && (!view.lastModified || visit.lastModified > view.lastModified)) {
+            view.lastModified = visit.lastModified;
+        }
+    }
+    
+    if (identity.isDeleted) {
+        view.status = 'deleted';
+    }
+    
+    return view;
+};
+
+// Aggregation stages producing one flattened patient view per encounter (see toPatientView).
+// List, search, stats and export queries filter on the view fields after these stages.
+const buildPatientViewPipeline = (encounterMatch = {}, sort = null) => [
+    { $match: encounterMatch },
+    // Sorting visits before the lookup lets an index do it, and a later $limit stop the lookups early
+    ...(sort ? [{ $sort: sort }] : []),
+    {
+        $lookup: {
+            from: Patient.collection.name,
+            localField: 'patient',
+            foreignField: '_id',
+            as: 'patient'
+        }
+    },
+    { $unwind: '$patient' },
+    {
+        $replaceRoot: {
+            newRoot: {
+                $mergeObjects: ['$patient', {
+                    patientId: '$patient._id',
+                    patientCreatedAt: '$patient.createdAt',
+                    encounterId: '$_id',
+                    camp: '$camp',
+                    services: '$services',
+                    vitalSigns: '$vitalSigns',
+                    registrationDate: '$registrationDate',
+                    status: { $cond: ['$patient.isDeleted', 'deleted', '$status'] },
+                    diagnosis: '$diagnosis',
+                    labTests: '$labTests',
+                    labOrders: '$labOrders',
+                    alerts: '$alerts',
+                    priority: '$priority',
+                    triagePriority: '$triagePriority',
+                    ticketNumber: '$ticketNumber',
+                    serviceQueue: '$serviceQueue',
+                    treatmentPlan: '$treatmentPlan',
+                    referredTo: '$referredTo',
+                    referralReason: '$referralReason',
+                    completionDate: '$completionDate',
+                    createdAt: '$createdAt',
+                    lastModified: { $max: ['$lastModified', '$patient.lastModified'] }
+                }]
+            }
+        }
+    },
+    { $project: { modificationHistory: 0, searchTerms: 0, searchPhonetic: 0 } }
+];
+
+// Mongoose-style sort string ('-createdAt name') as an aggregation $sort object
+const parseSortParam = (sort = '-createdAt') => {
+    const sortSpec = {};
+    String(sort).split(/[\s,]+/).filter(Boolean).forEach(field => {
+        if (field.startsWith('-')) {
+            sortSpec[field.slice(1)] = -1;
+        } else {
+            sortSpec[field.replace(/^\+/, '')] = 1;
+        }
+    });
+    return Object.keys(sortSpec).length > 0 ? sortSpec : { createdAt: -1 };
+};
+
+// Paging details for list responses - every paged list returns the same shape
+const buildPagination = (page, limit, total) => {
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 1, 1);
+    return {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasNext: currentPage * pageSize < total,
+        hasPrev: currentPage > 1
+    };
+};
+
+// Cursor (keyset) paging - newest visits first, each page continuing after the last visit of the previous one.
+// Unlike page numbers it does not skip over earlier records or count them, and records added meanwhile
+// do not shift the pages.
+const CURSOR_SORT = { createdAt: -1, _id: -1 };
+const DEFAULT_CURSOR_LIMIT = 100;
+const MAX_CURSOR_LIMIT = 1000;
+
+// Opaque token naming the last visit on a page
+const encodeCursor = (visit) => Buffer.from(JSON.stringify([new Date(visit.createdAt).toISOString(), String(visit.encounterId || visit._id)])).toString('base64url');
+
+// Visits after the cursor in CURSOR_SORT order - an empty cursor starts from the newest
+const cursorMatch = (cursor) => {
+    if (!cursor) return {};
+    
+    let createdAt, id;
+    try {
+        [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        // Reported below
+    }
+    if (!createdAt || isNaN(new Date(createdAt).getTime()) || !validateObjectId(String(id))) {
+        throw validationError([fieldError('query.cursor', 'invalid_format', 'Cursor is not one returned by this list')], 'Invalid cursor');
+    }
+    
+    const after = { createdAt: new Date(createdAt), _id: new mongoose.Types.ObjectId(id) };
+    return {
+        $or: [
+            { createdAt: { $lt: after.createdAt } },
+            { createdAt: after.createdAt, _id: { $lt: after._id } }
+        ]
+    };
+};
+
+// One page of a cursor list - fetch limit + 1 records to know whether another page follows
+const buildCursorPagination = (records, limit) => {
+    const hasNext = records.length > limit;
+    const page = hasNext ? records.slice(0, limit) : records;
+    return {
+        records: page,
+        pagination: {
+            limit,
+            hasNext,
+            nextCursor: hasNext ? encodeCursor(page[page.length - 1]) : null
+        }
+    };
+};
+
+// Free-text search - patients by any word of their name (or one that sounds alike), occupation or medications,
+// by the start of the last word typed and by phone digits; visits by diagnosis and treatment. Each match
+// carries a relevance score, text index matches scoring by how well they match.
+const SEARCH_CANDIDATE_LIMIT = 500;
+
+const findSearchMatches = async (text) => {
+    const words = searchWords(text).filter(word => /[a-z]/.test(word));
+    const digits = normalizePhone(String(text).replace(/[^\d+]/g, ''));
+    const patientScores = new Map();
+    const visitScores = new Map();
+    const addScore = (scores, id, score) => scores.set(String(id), (scores.get(String(id)) || 0) + score);
+    const byRelevance = { score: { $meta: 'textScore' } };
+    
+    const searches = [];
+    if (words.length > 0) {
+        searches.push(
+            Patient.find({ $text: { $search: [...words, ...phoneticKeys(words.join(' '))].join(' ') } }, { _id: 1, ...byRelevance })
+                .sort(byRelevance).limit(SEARCH_CANDIDATE_LIMIT).lean()
+                .then(found => found.forEach(patient => addScore(patientScores, patient._id, patient.score))),
+            Patient.find({ searchTerms: { $regex: `^${escapeRegExp(words[words.length - 1])}` } }, { _id: 1 })
+                .limit(SEARCH_CANDIDATE_LIMIT).lean()
+                .then(found => found.forEach(patient => addScore(patientScores, patient._id, 1))),
+            Encounter.find({ $text: { $search: words.join(' ') } }, { _id: 1, ...byRelevance })
+                .sort(byRelevance).limit(SEARCH_CANDIDATE_LIMIT).lean()
+                .then(found => found.forEach(visit => addScore(visitScores, visit._id, visit.score)))
+        );
+    }
+    if (digits.length >= 3) {
+        searches.push(
+            Patient.find({ telNormalized: { $regex: escapeRegExp(digits) } }, { _id: 1 })
+                .limit(SEARCH_CANDIDATE_LIMIT).lean()
+                .then(found => found.forEach(patient => addScore(patientScores, patient._id, 5)))
+        );
+    }
+    await Promise.all(searches);
+    
+    return { patientScores, visitScores };
+};
+
+// Visits belonging to a matched patient or matched themselves - goes in the first $match of a patient view pipeline
+const searchVisitMatch = ({ patientScores, visitScores }) => ({
+    $or: [
+        { patient: { $in: [...patientScores.keys()].map(id => new mongoose.Types.ObjectId(id)) } },
+        { _id: { $in: [...visitScores.keys()].map(id => new mongoose.Types.ObjectId(id)) } }
+    ]
+});
+
+// Relevance of one visit in a patient view - its patient's score plus its own
+const searchScore = ({ patientScores, visitScores }, view) => {
+    return Math.round(((patientScores.get(String(view.patientId)) || 0) + (visitScores.get(String(view.encounterId)) || 0)) * 100) / 100;
+};
+
+// Conditions selecting patient views by the shared filter model (see lib/patient-filters.js). Search text and
+// modifiedBy need the database, so they are looked up here and passed on as visit conditions.
+const buildPatientFilter = async (filters = {}, { visitConditions: extraConditions = [], ...options } = {}) => {
+    const visitConditions = [...extraConditions];
+    
+    // Search narrows the visits before they are joined to patients
+    if (filters.search && filters.search.trim()) {
+        visitConditions.push(searchVisitMatch(await findSearchMatches(filters.search)));
+    }
+    
+    if (filters.modifiedBy && filters.modifiedBy.trim()) {
+        const patientIds = await Patient.distinct('_id', { 'modificationHistory.user.username': filters.modifiedBy.trim().toLowerCase() });
+        visitConditions.push({ patient: { $in: patientIds } });
+    }
+    
+    return patientFilterMatches(filters, {
+        ...options,
+        timezone: await getCampTimeZone(filters.camp),
+        campScope: getCampScope(filters.camp),
+        visitConditions
+    });
+};
+
+// A patient's most recent visit, optionally limited to one camp
+const findCurrentEncounter = (patientId, campScope = {}) => {
+    return Encounter.findOne({ patient: patientId, ...campScope }).sort({ createdAt: -1 });
+};
+
+// Most recent visit of each listed patient, keyed by patient ID
+const findCurrentEncounters = async (patientIds, campScope = {}) => {
+    const latest = await Encounter.aggregate([
+        {
+            $match: {
+                ...campScope,
+                patient: { $in: patientIds.map(id => new mongoose.Types.ObjectId(id)) }
+            }
+        },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$patient', encounter: { $first: '$$ROOT' } } }
+    ]);
+    
+    return new Map(latest.map(item => [item._id.toString(), item.encounter]));
+};
+
+// Identity fields compared when looking for duplicates
+const DUPLICATE_FIELDS = 'name age sex tel telNormalized familyGroup occupation createdAt notDuplicateOf';
+
+// Candidates read per check - the indexed blocks below keep real pools far smaller
+const DUPLICATE_POOL_LIMIT = 2000;
+
+// Existing patients that may be the same person as the given registration data: the same phone number
+// however it was typed, or a name sharing a word or its sound at a similar age. Pairs staff dismissed as
+// different people (notDuplicateOf, kept on both records) are not offered again.
+const findDuplicateCandidates = async (data, { excludeIds = [], limit = 5 } = {}) => {
+    const telNormalized = normalizePhone(data.tel);
+    const age = parseInt(data.age);
+    const { searchTerms, searchPhonetic } = nameSearchKeys(data.name);
+    const blocks = [];
+    
+    if (telNormalized) {
+        blocks.push({ telNormalized });
+    }
+    if (searchTerms.length > 0) {
+        blocks.push({
+            $or: [
+                { searchTerms: { $in: searchTerms } },
+                ...(searchPhonetic.length > 0 ? [{ searchPhonetic: { $in: searchPhonetic } }] : [])
+            ],
+            ...(!isNaN(age) ? { age: { $gte: age - 3, $lte: age + 3 } } : {})
+        });
+    }
+    if (blocks.length === 0) return [];
+    
+    const pool = await Patient.find({
+        _id: { $nin: excludeIds },
+        notDuplicateOf: { $nin: excludeIds },
+        isDeleted: { $ne: true },
+        $or: blocks
+    }).select(DUPLICATE_FIELDS).sort({ createdAt: -1 }).limit(DUPLICATE_POOL_LIMIT).lean();
+    
+    const candidates = pool
+        .map(patient => ({ patient, ...scoreDuplicate({ ...data, telNormalized }, patient) }))
+        .filter(candidate => candidate.score >= DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    
+    return describeCandidates(candidates);
+};
+
+// Add visit counts and the most recent camp so staff can recognise the person
+const describeCandidates = async (candidates) => {
+    if (candidates.length === 0) return candidates;
+    
+    const patientIds = candidates.map(candidate => candidate.patient._id);
+    const [visitCounts, currentEncounters] = await Promise.all([
+        Encounter.aggregate([
+            { $match: { patient: { $in: patientIds } } },
+            { $group: { _id: '$patient', count: { $sum: 1 } } }
+        ]),
+        findCurrentEncounters(patientIds)
+    ]);
+    await Camp.populate([...currentEncounters.values()], { path: 'camp', select: 'name' });
+    
+    const countsByPatient = new Map(visitCounts.map(item => [item._id.toString(), item.count]));
+    
+    return candidates.map(({ patient, ...match }) => {
+        const lastVisit = currentEncounters.get(patient._id.toString());
+        const { notDuplicateOf, ...identity } = patient;
+        return {
+            ...match,
+            patient: {
+                ...identity,
+                visitCount: countsByPatient.get(patient._id.toString()) || 0,
+                lastCamp: lastVisit?.camp?.name,
+                lastVisitDate: lastVisit?.registrationDate
+            }
+        };
+    });
+};
+
+// ===== LAB ORDER HELPERS =====
+
+// Who performed a lab step
+const staffStamp = (req) => {
+    if (!req || !req.user) return undefined;
+    return { id: req.user._id, username: req.user.username, name: req.user.name };
+};
+
+const buildLabOrder = (test, req) => createLabOrder(test, { orderedBy: staffStamp(req) });
+
+// Keep structured orders in step with a plain list of requested test names:
+// new names are ordered, names no longer requested are cancelled unless already resulted
+const syncLabOrders = (currentOrders = [], labTests = [], req = null) => {
+    const requested = new Set(labTests);
+    const orders = currentOrders.map(order => {
+        if (!requested.has(order.test) && ['ordered', 'sample_collected'].includes(order.status)) {
+            return {
+                ...order,
+                status: 'cancelled',
+                cancelledAt: new Date(),
+                cancelledBy: staffStamp(req),
+                cancelReason: 'Removed from the lab request'
+            };
+        }
+        return order;
+    });
+    
+    const activeTests = new Set(orders.filter(order => order.status !== 'cancelled').map(order => order.test));
+    labTests.filter(test => !activeTests.has(test)).forEach(test => {
+        orders.push(buildLabOrder(test, req));
+        activeTests.add(test);
+    });
+    
+    return orders;
+};
+
+// Test names of the orders that are still wanted
+const activeLabTests = (orders = []) => {
+    return [...new Set(orders.filter(order => order.status !== 'cancelled').map(order => order.test))];
+};
+
+const flagNumericResult = (value, range = {}) => {
+    if (range.low !== undefined && range.low !== null && value < range.low) return 'low';
+    if (range.high !== undefined && range.high !== null && value > range.high) return 'high';
+    return 'normal';
+};
+
+// Validate a submitted result against the order's result type.
+// Returns { result } with the stored form, or { error } describing what is wrong
+const buildLabResult = (order, submitted = {}) => {
+    const existing = order.result || {};
+    
+    switch (order.resultType) {
+        case 'qualitative': {
+            const qualitative = String(submitted.qualitative || '').toLowerCase();
+            if (!QUALITATIVE_RESULTS.includes(qualitative)) {
+                return { error: `${order.test} result must be one of: ${QUALITATIVE_RESULTS.join(', ')}` };
+            }
+            return { result: { qualitative, text: submitted.text } };
+        }
+        case 'numeric': {
+            const value = parseFloat(submitted.value);
+            if (isNaN(value)) {
+                return { error: `${order.test} result must be a number` };
+            }
+            const referenceRange = submitted.referenceRange || existing.referenceRange || {};
+            return {
+                result: {
+                    value,
+                    unit: submitted.unit || existing.unit,
+                    referenceRange,
+                    flag: flagNumericResult(value, referenceRange),
+                    text: submitted.text
+                }
+            };
+        }
+        default: {
+            const text = String(submitted.text || '').trim();
+            if (!text) {
+                return { error: `${order.test} result report is required` };
+            }
+            return { result: { text } };
+        }
+    }
+};
+
+// Join two free-text values without repeating identical content
+const combineText = (first, second) => {
+    const values = [first, second].map(value => (value || '').trim()).filter(Boolean);
+    return [...new Set(values)].join('\n');
+};
+
+// Fold a duplicate visit into the primary patient's visit at the same camp
+const combineEncounters = (primary, duplicate) => {
+    const completed = [primary, duplicate].find(encounter => encounter.status === 'completed');
+    const vitalSigns = { ...(duplicate.vitalSigns || {}) };
+    Object.entries(primary.vitalSigns || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') vitalSigns[key] = value;
+    });
+    
+    // Keep every lab order, dropping the duplicate's if the primary already has the same test
+    const primaryTests = new Set(activeLabTests(primary.labOrders));
+    const labOrders = [
+        ...(primary.labOrders || []),
+        ...(duplicate.labOrders || []).filter(order => !primaryTests.has(order.test))
+    ];
+    
+    // Queue entries likewise - the duplicate's entry only counts for services the primary has no entry for
+    const primaryQueued = new Set((primary.serviceQueue || []).map(entry => entry.service));
+    const serviceQueue = [
+        ...(primary.serviceQueue || []),
+        ...(duplicate.serviceQueue || []).filter(entry => !primaryQueued.has(entry.service))
+    ];
+    
+    return {
+        services: [...new Set([...(primary.services || []), ...(duplicate.services || [])])],
+        labTests: [...new Set([...(primary.labTests || []), ...(duplicate.labTests || [])])],
+        labOrders,
+        serviceQueue,
+        triagePriority: Math.max(primary.triagePriority || 0, duplicate.triagePriority || 0),
+        vitalSigns,
+        diagnosis: combineText(primary.diagnosis, duplicate.diagnosis),
+        treatmentPlan: combineText(primary.treatmentPlan, duplicate.treatmentPlan),
+        referredTo: primary.referredTo || duplicate.referredTo || '',
+        referralReason: combineText(primary.referralReason, duplicate.referralReason),
+        status: completed ? 'completed' : primary.status,
+        completionDate: completed ? completed.completionDate : primary.completionDate
+    };
+};
+
+// Add modification history with enhanced tracking
+// Build a history entry identifying the acting staff member and their stated reason
+const buildHistoryEntry = (action, changes = {}, req = null, encounterId = null) => {
+    const historyEntry = {
+        action,
+        timestamp: new Date(),
+        changes
+    };
+    
+    if (encounterId) {
+        historyEntry.encounter = encounterId;
+    }
+    
+    if (req) {
+        if (req.user) {
+            historyEntry.user = {
+                id: req.user._id,
+                username: req.user.username,
+                name: req.user.name
+            };
+            historyEntry.role = req.user.role;
+        }
+        
+        const reason = req.body?.reason || req.query?.reason;
+        if (reason && typeof reason === 'string' && reason.trim()) {
+            historyEntry.reason = reason.trim();
+        }
+        
+        historyEntry.userAgent = req.get('User-Agent');
+        historyEntry.ipAddress = req.ip || req.connection.remoteAddress;
+    }
+    
+    return historyEntry;
+};
+
+// 409 for an edit made on an older version of the record - conflict is staleEdit's result
+const sendEditConflict = (res, patient, currentView, { serverChanges, conflicts }) => {
+    console.log(`⚠️ Stale edit of ${patient.name} rejected (${conflicts.length} conflicting field${conflicts.length === 1 ? '' : 's'})`);
+    
+    return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: conflicts.length > 0
+            ? `${patient.name}'s record was changed by someone else after you opened it (${conflicts.map(conflict => conflict.field).join(', ')}). Review their changes and reapply yours`
+            : `${patient.name}'s record was changed by someone else after you opened it. Review their changes and reapply yours`,
+        serverLastModified: currentView.lastModified,
+        conflicts,
+        serverChanges,
+        current: { ...currentView, modificationHistory: undefined }
+    });
+};
+
+const addModificationHistory = async (patientId, action, changes = {}, req = null, encounterId = null) => {
+    try {
+        const historyEntry = buildHistoryEntry(action, changes, req, encounterId);
+        
         await Patient.findByIdAndUpdate(patientId, {
             $push: { modificationHistory: historyEntry }
         });
     } catch (error) {
-        console.error('Failed to add modification history:', error);
+        console.error('Failed to add modification history:', error);
+    }
+};
+
+// ===== AUTHENTICATION & AUTHORIZATION MIDDLEWARE =====
+
+const sendAuthError = (res, statusCode, error, message) => {
+    return res.status(statusCode).json({
+        success: false,
+        error,
+        message
+    });
+};
+
+// Verify the bearer token and attach the acting staff member to the request
+const authenticate = async (req, res, next) => {
+    try {
+        const authHeader = req.get('Authorization') || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+        if (!token) {
+            return sendAuthError(res, 401, 'Authentication required', 'Please log in to continue');
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (verifyError) {
+            return sendAuthError(res, 401, 'Invalid or expired session', 'Your session has expired. Please log in again');
+        }
+
+        const [user, revoked] = await Promise.all([
+            User.findById(payload.sub),
+            RevokedToken.exists({ jti: payload.jti })
+        ]);
+
+        if (revoked || !user || !user.isActive) {
+            return sendAuthError(res, 401, 'Invalid or expired session', 'Your session is no longer valid. Please log in again');
+        }
+
+        req.user = user;
+        req.auth = payload;
+        next();
+    } catch (error) {
+        handleError(res, error, 'Authentication failed', req);
+    }
+};
+authenticate.security = 'bearerAuth';
+
+// EventSource and download links cannot send an Authorization header, so those routes take the token as ?access_token=
+const authenticateFromQuery = (req, res, next) => {
+    if (!req.get('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    authenticate(req, res, next);
+};
+authenticateFromQuery.security = 'accessToken';
+
+const hasPermission = (req, permission) => {
+    return Boolean(req.user) && req.user.getPermissions().includes(permission);
+};
+
+// Restrict a route to staff whose role grants every listed permission
+const authorize = (...permissions) => {
+    const guard = (req, res, next) => {
+        const missing = permissions.filter(permission => !hasPermission(req, permission));
+
+        if (missing.length > 0) {
+            console.log(`⛔ ${req.user?.username} (${req.user?.role}) denied ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `Your role (${req.user?.role}) is not allowed to perform this action`,
+                requiredPermissions: missing
+            });
+        }
+
+        next();
+    };
+
+    // Listed in the OpenAPI document
+    guard.permissions = permissions;
+    return guard;
+};
+
+// Clinical fields in an update payload that the acting user may not write
+const getRestrictedFields = (req, data = {}) => {
+    if (hasPermission(req, 'patients:clinical')) return [];
+
+    const restricted = CLINICAL_FIELDS.filter(field => data[field] !== undefined);
+    if (data.status === 'completed') {
+        restricted.push('status');
+    }
+    return restricted;
+};
+
+const rejectRestrictedFields = (res, req, restrictedFields) => {
+    return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Your role (${req.user.role}) cannot modify: ${restrictedFields.join(', ')}. Only clinicians can record clinical information`,
+        restrictedFields
+    });
+};
+
+const signToken = (user) => {
+    return jwt.sign(
+        { sub: user._id.toString(), role: user.role, jti: crypto.randomUUID() },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+};
+
+// ===== IDEMPOTENT REQUESTS (OFFLINE SYNC) =====
+
+// Responses to requests sent with an Idempotency-Key header. The offline outbox retries
+// a request until it hears back, so a retry of a request that already succeeded gets the
+// stored response instead of registering or updating the patient twice.
+const idempotencyRecordSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    method: String,
+    path: String,
+    state: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+    statusCode: Number,
+    response: mongoose.Schema.Types.Mixed,
+    claimedAt: Date,
+    createdAt: { type: Date, default: Date.now, expires: 7 * 24 * 60 * 60 }
+}, { versionKey: false });
+
+idempotencyRecordSchema.index({ key: 1, user: 1 }, { unique: true });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// How long a request holds its key. A claim still pending after this belongs to a request that crashed,
+// timed out or answered without JSON, and the next retry takes it over instead of waiting out the TTL.
+const IDEMPOTENCY_LEASE_MS = 2 * 60 * 1000;
+
+// Replay the stored response for a key already used by this user, or record this request's response.
+// Requests without the header are handled as usual.
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid idempotency key',
+            message: 'Idempotency-Key must be 8 to 128 letters, digits, dashes or underscores'
+        });
+    }
+    
+    try {
+        let existing;
+        try {
+            existing = await IdempotencyRecord.findOneAndUpdate(
+                { key, user: req.user._id },
+                { $setOnInsert: { method: req.method, path: req.originalUrl, state: 'pending', claimedAt: new Date(), createdAt: new Date() } },
+                { upsert: true, new: false }
+            );
+        } catch (error) {
+            // Two copies of the same request raced to claim the key
+            if (error.code !== 11000) throw error;
+            existing = { state: 'pending', method: req.method, path: req.originalUrl };
+        }
+        
+        if (existing) {
+            if (existing.method !== req.method || existing.path !== req.originalUrl) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency key reused',
+                    message: `This key was already used for ${existing.method} ${existing.path}`
+                });
+            }
+            
+            if (existing.state === 'completed') {
+                console.log(`🔁 Replaying ${req.method} ${req.originalUrl} for idempotency key ${key}`);
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode).json(existing.response);
+            }
+            
+            // Only one retry can take over an expired claim - the others see it renewed
+            const takenOver = existing.claimedAt <= Date.now() - IDEMPOTENCY_LEASE_MS && await IdempotencyRecord.findOneAndUpdate(
+                { key, user: req.user._id, state: 'pending', claimedAt: existing.claimedAt },
+                { $set: { claimedAt: new Date() } }
+            );
+            if (!takenOver) {
+                res.set('Retry-After', '5');
+                return res.status(409).json({
+                    success: false,
+                    error: 'Request in progress',
+                    message: 'This request is still being processed. Try again shortly'
+                });
+            }
+            console.log(`♻️ Taking over the expired claim on idempotency key ${key}`);
+        }
+        
+        // Keep the outcome of client errors so a retry gets the same answer; server errors may be retried
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            const saved = res.statusCode < 500
+                ? IdempotencyRecord.updateOne(
+                    { key, user: req.user._id },
+                    { $set: { state: 'completed', statusCode: res.statusCode, response: body } }
+                )
+                : IdempotencyRecord.deleteOne({ key, user: req.user._id });
+            saved.catch(error => console.error('❌ Failed to store idempotent response:', error.message));
+            return sendJson(body);
+        };
+        
+        next();
+    } catch (error) {
+        handleError(res, error, 'Failed to process idempotency key', req);
+    }
+};
+idempotent.idempotencyKey = true;
+
+// ===== API ENDPOINTS =====
+
+// Every current endpoint is registered on this router, served at /api and /api/v2 (see ERROR HANDLERS)
+const api = express.Router();
+
+// Superseded endpoints kept for older clients - served at /api only
+const legacyApi = express.Router();
+
+// Flag a legacy endpoint as deprecated and point clients to its replacement
+const deprecated = (successor) => {
+    const flag = (req, res, next) => {
+        console.log(`⚠️ Deprecated endpoint used: ${req.method} ${req.originalUrl} (use ${successor})`);
+        res.set('Deprecation', 'true');
+        res.set('Link', `<${successor.split(' ').pop()}>; rel="successor-version"`);
+        res.set('Warning', `299 - "Deprecated API: use ${successor}"`);
+        next();
+    };
+
+    flag.successor = successor;
+    return flag;
+};
+
+// Request schemas shared by several routes - bodies live in lib/validation, record shapes in lib/openapi.js
+const ID_PARAMS = { id: ref('ObjectId') };
+const PAGE_QUERY = {
+    page: { type: 'integer', minimum: 1, description: 'Page number, from 1' },
+    limit: { type: 'integer', minimum: 1, description: 'Records per page' }
+};
+const CAMP_QUERY = { camp: { type: 'string', description: 'Camp ID, or all' } };
+
+// 1. Enhanced Health Check
+api.get('/health', describe({
+    tags: ['System'],
+    summary: 'Health check with record counts',
+    data: {
+        type: 'object',
+        properties: {
+            status: { const: 'OK' },
+            timestamp: { type: 'string' },
+            mongoStatus: { type: 'string' },
+            version: { type: 'string' },
+            stats: { type: 'object' }
+        }
+    },
+    errors: { 503: 'Database connection error' }
+}), validate, async (req, res) => {
+    try {
+        console.log('💓 Health check requested');
+        
+        // Test database connection
+        await mongoose.connection.db.admin().ping();
+        
+        // Get comprehensive stats
+        const [
+            totalPatients,
+            activePatients,
+            deletedPatients,
+            totalVisits,
+            visitCounts
+        ] = await Promise.all([
+            Patient.countDocuments(),
+            Patient.countDocuments({ isDeleted: { $ne: true } }),
+            Patient.countDocuments({ isDeleted: true }),
+            Encounter.countDocuments(),
+            Encounter.aggregate([
+                ...buildPatientViewPipeline(),
+                {
+                    $group: {
+                        _id: null,
+                        pending: { $sum: { $cond: [{ $eq: ['$status', 'registered'] }, 1, 0] } },
+                        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                        recent: {
+                            $sum: {
+                                $cond: [{
+                                    $and: [
+                                        { $ne: ['$isDeleted', true] },
+                                        { $gte: ['$createdAt', new Date(Date.now() - 24 * 60 * 60 * 1000)] }
+                                    ]
+                                }, 1, 0]
+                            }
+                        }
+                    }
+                }
+            ])
+        ]);
+        
+        const { pending: pendingPatients = 0, completed: completedPatients = 0, recent: recentRegistrations = 0 } = visitCounts[0] || {};
+        
+        res.json({ 
+            success: true,
+            data: {
+                status: 'OK',
+                timestamp: new Date().toISOString(),
+                mongoStatus: 'connected',
+                environment: process.env.NODE_ENV || 'development',
+                version: '4.0.0',
+                features: [
+                    'Enhanced Multi-Service Selection Support',
+                    'Vital Signs Recording',
+                    'Past Medical History',
+                    'Editable Completed Records',
+                    'Custom Lab Tests with Others Option',
+                    'Demographics Reporting (Sex Ratio, Age Distribution)',
+                    'Sexual and Reproductive Health Service',
+                    'Dental Consultation Service',
+                    'Enhanced Service Management'
+                ],
+                stats: {
+                    totalPatients,
+                    activePatients,
+                    pendingPatients,
+                    completedPatients,
+                    deletedPatients,
+                    totalVisits,
+                    recentRegistrations,
+                    completionRate: activePatients > 0 ? Math.round((completedPatients / activePatients) * 100) : 0
+                },
+                uptime: process.uptime(),
+                memory: process.memoryUsage()
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Health check failed', req);
+    }
+});
+
+// 2. Get All Patients - Enhanced with advanced filtering
+api.get('/patients', describe({
+    tags: ['Patients'],
+    summary: 'List patient visits with filtering, sorting and pagination',
+    description: 'One record per visit, newest first. Large lists should page with cursor: send an empty cursor for the first page ' +
+        `(${DEFAULT_CURSOR_LIMIT} visits unless limit is given, at most ${MAX_CURSOR_LIMIT}), then pagination.nextCursor until hasNext is false. ` +
+        'Cursor pages are always newest first and carry no total. Without a cursor, page and limit page by number (sort applies) and the first 1000 visits are returned by default.',
+    query: {
+        ...PAGE_QUERY,
+        cursor: { type: 'string', description: 'pagination.nextCursor of the previous page, or empty for the first page' },
+        sort: { type: 'string', description: 'Fields to sort by, - for descending (e.g. -priority -createdAt)' },
+        ...patientRequests.PATIENT_FILTER_FIELDS
+    },
+    data: { type: 'array', items: ref('PatientView') },
+    paginated: true,
+    meta: { type: 'object', properties: { filters: { type: 'object' } } }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        console.log('📋 Getting patients with filters:', req.query);
+        
+        const { page = 1, limit, cursor, sort = '-createdAt', ...filters } = req.query;
+        
+        // Filters apply to the flattened patient + visit records - see lib/patient-filters.js
+        const { visitMatch, viewMatch: query } = await buildPatientFilter(filters);
+        
+        const meta = { filters: activeFilters(filters) };
+        
+        // Cursor paging - read visits newest first until the page is full, no count
+        if (cursor !== undefined) {
+            const pageSize = Math.min(parseInt(limit) || DEFAULT_CURSOR_LIMIT, MAX_CURSOR_LIMIT);
+            const visits = await Encounter.aggregate([
+                ...buildPatientViewPipeline({ $and: [visitMatch, cursorMatch(cursor)] }, CURSOR_SORT),
+                { $match: query },
+                { $limit: pageSize + 1 }
+            ]);
+            const { records, pagination } = buildCursorPagination(visits, pageSize);
+            
+            console.log(`✅ Found ${records.length} patients${pagination.hasNext ? ' (more to come)' : ''}`);
+            
+            return res.json({ success: true, data: records, pagination, meta });
+        }
+        
+        // Execute query with pagination - one record per visit
+        const pageSize = parseInt(limit) || 1000;
+        const [result] = await Encounter.aggregate([
+            ...buildPatientViewPipeline(visitMatch),
+            { $match: query },
+            {
+                $facet: {
+                    data: [
+                        { $sort: parseSortParam(sort) },
+                        { $skip: (parseInt(page) - 1) * pageSize },
+                        { $limit: pageSize }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+        
+        const patients = result.data;
+        const total = result.total[0]?.count || 0;
+        
+        console.log(`✅ Found ${patients.length} patients (${total} total)`);
+        
+        res.json({
+            success: true,
+            data: patients,
+            pagination: buildPagination(page, pageSize, total),
+            meta
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve patients', req);
+    }
+});
+
+// 3. Create New Patient - Enhanced with Vital Signs Support
+api.post('/patients', describe({
+    tags: ['Patients'],
+    summary: 'Register a patient and their first visit',
+    description: 'Possible duplicates are refused with 409 and the candidates unless confirmNotDuplicate is set. ' +
+        'Devices working offline may send the patient id and visit encounterId they generated; a patient already registered with that id is returned with meta.alreadySynced.',
+    body: patientRequests.createPatient,
+    status: 201,
+    data: ref('PatientView'),
+    meta: { type: 'object', properties: { alreadySynced: { type: 'boolean' } } },
+    errors: { 404: 'Camp not found', 409: 'Possible duplicate patient' }
+}), authenticate, authorize('patients:create'), validate, idempotent, async (req, res) => {
+    try {
+        console.log('➕ Creating new patient:', req.body.name);
+        
+        // The body has been checked against lib/validation/patients.js - older clients may still send a single service
+        const inputData = patientRequests.withServices(req.body);
+        
+        // Registrations made offline carry the IDs the device generated for the patient and visit
+        const clientIds = { id: inputData.id, encounterId: inputData.encounterId };
+        
+        // Already synced - return the existing record instead of registering the patient twice
+        if (clientIds.id) {
+            const existingPatient = await Patient.findById(clientIds.id).select('-modificationHistory');
+            if (existingPatient) {
+                const existingEncounter = clientIds.encounterId
+                    ? await Encounter.findOne({ _id: clientIds.encounterId, patient: existingPatient._id })
+                    : await findCurrentEncounter(existingPatient._id);
+                
+                return res.json({
+                    success: true,
+                    message: 'Patient was already registered',
+                    data: toPatientView(existingPatient, existingEncounter),
+                    meta: { alreadySynced: true }
+                });
+            }
+        }
+        
+        const patientData = {
+            name: inputData.name,
+            age: inputData.age,
+            sex: inputData.sex,
+            occupation: inputData.occupation || '',
+            tel: inputData.tel,
+            familyGroup: inputData.familyGroup,
+            camp: inputData.camp,
+            services: inputData.services || [],
+            status: 'registered'
+        };
+        
+        // Handle vital signs
+        if (inputData.vitalSigns) {
+            patientData.vitalSigns = {};
+            if (inputData.vitalSigns.height) patientData.vitalSigns.height = inputData.vitalSigns.height;
+            if (inputData.vitalSigns.weight) patientData.vitalSigns.weight = inputData.vitalSigns.weight;
+            if (inputData.vitalSigns.bloodPressure) patientData.vitalSigns.bloodPressure = inputData.vitalSigns.bloodPressure;
+            if (inputData.vitalSigns.pulse) patientData.vitalSigns.pulse = inputData.vitalSigns.pulse;
+            if (inputData.vitalSigns.temperature) patientData.vitalSigns.temperature = inputData.vitalSigns.temperature;
+        }
+        
+        if (inputData.triagePriority !== undefined) {
+            patientData.triagePriority = inputData.triagePriority;
+        }
+        
+        // Every registration belongs to an open camp
+        const camp = await Camp.findById(patientData.camp);
+        if (!camp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
+        }
+        
+        if (!camp.isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'Camp is closed',
+                message: `${camp.name} is no longer accepting registrations`
+            });
+        }
+        
+        // Validate services against the camp's configuration
+        const serviceProblems = patientRequests.serviceErrors(patientData.services, camp.services, camp.name);
+        if (serviceProblems.length > 0) {
+            throw validationError(serviceProblems, 'Invalid services');
+        }
+        
+        await checkFamilyGroup(patientData.familyGroup);
+        
+        // Possible duplicates: the same phone however it was typed, or a similar name, age and family group.
+        // Staff can register anyway (confirmNotDuplicate) - e.g. a relative sharing the family phone
+        const candidates = await findDuplicateCandidates(patientData);
+        
+        if (candidates.length > 0 && inputData.confirmNotDuplicate !== true) {
+            const [best] = candidates;
+            const isReturning = best.reasons.includes('phone') && best.nameSimilarity >= 0.9;
+            
+            // Returning patients keep their record - a new visit is started for them instead
+            return res.status(409).json({ 
+                success: false,
+                error: isReturning ? 'Duplicate phone number' : 'Possible duplicate patient', 
+                message: isReturning
+                    ? `${best.patient.name} is already registered with phone number ${patientData.tel}. Start a new visit for the returning patient instead`
+                    : `${candidates.length} existing patient${candidates.length > 1 ? 's look' : ' looks'} like ${patientData.name}. Start a new visit for them, or confirm this is a different person`,
+                existingPatient: {
+                    id: best.patient._id,
+                    name: best.patient.name,
+                    registrationDate: best.patient.lastVisitDate,
+                    lastCamp: best.patient.lastCamp,
+                    visitCount: best.patient.visitCount
+                },
+                candidates,
+                newVisitUrl: `/api/patients/${best.patient._id}/encounters`
+            });
+        }
+        
+        // Create the patient identity and their first visit
+        const patient = new Patient({
+            ...pickFields(patientData, IDENTITY_FIELDS),
+            ...(clientIds.id && { _id: clientIds.id })
+        });
+        await patient.save();
+        
+        const encounter = new Encounter({
+            ...pickFields(patientData, ENCOUNTER_FIELDS),
+            ...(clientIds.encounterId && { _id: clientIds.encounterId }),
+            patient: patient._id
+        });
+        
+        try {
+            await encounter.save();
+        } catch (encounterError) {
+            // Don't leave an identity without a visit behind
+            await Patient.findByIdAndDelete(patient._id);
+            throw encounterError;
+        }
+        
+        // Add creation history
+        await addModificationHistory(patient._id, 'created', patientData, req, encounter._id);
+        
+        console.log('✅ Patient created successfully:', {
+            id: patient._id,
+            encounter: encounter._id,
+            name: patient.name,
+            tel: patient.tel,
+            services: encounter.services,
+            vitalSigns: encounter.vitalSigns ? 'included' : 'none'
+        });
+        publishQueueEvent(encounter.camp, 'visit-created', { encounterId: encounter._id });
+        
+        res.status(201).json({
+            success: true,
+            message: `Patient registered successfully for ${encounter.services.length} service${encounter.services.length > 1 ? 's' : ''}`,
+            data: toPatientView(patient, encounter)
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to create patient', req);
+    }
+});
+
+// 3b. Check Registration Data for Possible Duplicates
+api.post('/patients/duplicates', describe({
+    tags: ['Duplicates'],
+    summary: 'Check registration data for possible duplicate patients',
+    body: patientRequests.duplicateCheck,
+    data: { type: 'array', items: { type: 'object' } },
+    meta: {
+        type: 'object',
+        properties: { count: { type: 'integer' }, normalizedPhone: { type: ['string', 'null'] }, threshold: { type: 'number' } }
+    }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { excludeId, ...data } = req.body;
+        console.log('🔎 Checking for duplicates of:', data.name);
+        
+        if (!data.name && !data.tel) {
+            throw validationError([
+                fieldError('name', 'required', 'Provide at least a name or a phone number to check'),
+                fieldError('tel', 'required', 'Provide at least a name or a phone number to check')
+            ], 'Missing required fields');
+        }
+        
+        const excludeIds = excludeId ? [excludeId] : [];
+        const candidates = await findDuplicateCandidates(data, { excludeIds });
+        
+        res.json({
+            success: true,
+            data: candidates,
+            meta: {
+                count: candidates.length,
+                normalizedPhone: normalizePhone(data.tel),
+                threshold: DUPLICATE_THRESHOLD
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Duplicate check failed', req);
+    }
+});
+
+// 3c. Scan Existing Records for Likely Duplicate Pairs
+api.get('/patients/duplicates', describe({
+    tags: ['Duplicates'],
+    summary: 'Scan existing patients for likely duplicate pairs, closest first',
+    query: { ...CAMP_QUERY, limit: { type: 'integer', minimum: 1, description: 'Pairs to return (default 50)' } },
+    data: { type: 'array', items: { type: 'object', properties: { patients: { type: 'array', items: { type: 'object' } } } } },
+    meta: {
+        type: 'object',
+        properties: {
+            count: { type: 'integer' },
+            totalPairs: { type: 'integer' },
+            patientsScanned: { type: 'integer' },
+            threshold: { type: 'number' }
+        }
+    }
+}), authenticate, authorize('patients:merge'), validate, async (req, res) => {
+    try {
+        const { camp, limit = 50 } = req.query;
+        console.log('🔎 Scanning for duplicate patients');
+        
+        const campScope = getCampScope(camp);
+        const patientFilter = { isDeleted: { $ne: true } };
+        if (campScope.camp) {
+            patientFilter._id = { $in: await Encounter.distinct('patient', campScope) };
+        }
+        
+        const patients = await Patient.find(patientFilter).select(DUPLICATE_FIELDS).lean();
+        const pairs = new Map();
+        
+        const isDismissed = (a, b) => (a.notDuplicateOf || []).some(id => id.equals(b._id));
+        const consider = (a, b) => {
+            const key = [a._id.toString(), b._id.toString()].sort().join(':');
+            if (pairs.has(key) || isDismissed(a, b) || isDismissed(b, a)) return;
+            
+            const match = scoreDuplicate(a, b);
+            if (match.score >= DUPLICATE_THRESHOLD) {
+                pairs.set(key, { ...match, patients: [a, b] });
+            }
+        };
+        
+        const groupBy = (field) => patients.reduce((groups, patient) => {
+            const key = patient[field];
+            if (key) {
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(patient);
+            }
+            return groups;
+        }, new Map());
+        
+        // Compare records sharing a phone number...
+        groupBy('telNormalized').forEach(group => {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) consider(group[i], group[j]);
+            }
+        });
+        
+        // ...and records in the same family group within a few years of age
+        groupBy('familyGroup').forEach(group => {
+            group.sort((a, b) => a.age - b.age);
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length && group[j].age - group[i].age <= 3; j++) consider(group[i], group[j]);
+            }
+        });
+        
+        const topPairs = [...pairs.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, parseInt(limit));
+        
+        // Describe each patient once, however many pairs they appear in
+        const uniquePatients = new Map();
+        topPairs.forEach(pair => pair.patients.forEach(patient => uniquePatients.set(patient._id.toString(), patient)));
+        const described = await describeCandidates([...uniquePatients.values()].map(patient => ({ patient })));
+        const describedById = new Map(described.map(item => [item.patient._id.toString(), item.patient]));
+        
+        console.log(`✅ Found ${pairs.size} possible duplicate pairs among ${patients.length} patients`);
+        
+        res.json({
+            success: true,
+            data: topPairs.map(pair => ({
+                ...pair,
+                patients: pair.patients.map(patient => describedById.get(patient._id.toString()))
+            })),
+            meta: {
+                count: topPairs.length,
+                totalPairs: pairs.size,
+                patientsScanned: patients.length,
+                threshold: DUPLICATE_THRESHOLD
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Duplicate scan failed', req);
+    }
+});
+
+// 3d. Mark Two Patients as Different People
+api.post('/patients/duplicates/dismiss', describe({
+    tags: ['Duplicates'],
+    summary: 'Mark two patients as different people',
+    body: patientRequests.dismissDuplicates
+}), authenticate, authorize('patients:merge'), validate, async (req, res) => {
+    try {
+        const { patientIds } = req.body;
+        
+        const [firstId, secondId] = patientIds;
+        await Promise.all([
+            Patient.updateOne({ _id: firstId }, { $addToSet: { notDuplicateOf: secondId } }),
+            Patient.updateOne({ _id: secondId }, { $addToSet: { notDuplicateOf: firstId } })
+        ]);
+        
+        console.log(`✅ ${req.user.username} marked ${firstId} and ${secondId} as different patients`);
+        
+        res.json({
+            success: true,
+            message: 'Patients marked as different people'
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to dismiss duplicate', req);
+    }
+});
+
+// 3e. Merge Duplicate Patients - the duplicate's visits and history move to the primary record
+api.post('/patients/merge', describe({
+    tags: ['Duplicates'],
+    summary: 'Merge a duplicate patient into a primary record',
+    description: 'With preview the merge is only described (data is the summary); otherwise data is the merged patient and meta.merge the summary.',
+    body: patientRequests.mergePatients,
+    data: { type: 'object' },
+    meta: { type: 'object', properties: { preview: { type: 'boolean' }, merge: { type: 'object' } } },
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:merge'), validate, async (req, res) => {
+    try {
+        const { primaryId, duplicateId, preview = false } = req.body;
+        console.log('🔗 Merging patient', duplicateId, 'into', primaryId, preview ? '(preview)' : '');
+        
+        if (String(primaryId) === String(duplicateId)) {
+            throw validationError([fieldError('duplicateId', 'invalid', 'Cannot merge a patient into itself')], 'Invalid operation');
+        }
+        
+        const [primary, duplicate] = await Promise.all([
+            Patient.findById(primaryId),
+            Patient.findById(duplicateId)
+        ]);
+        
+        if (!primary || !duplicate) {
+            return res.status(404).json({
+                success: false,
+                error: 'Patient not found'
+            });
+        }
+        
+        if (primary.isDeleted || duplicate.isDeleted) {
+            return res.status(410).json({
+                success: false,
+                error: 'Patient has been deleted',
+                message: 'Deleted patients cannot be merged'
+            });
+        }
+        
+        // Identity: the primary's details win, gaps are filled from the duplicate
+        const identityUpdates = {};
+        if (!primary.occupation && duplicate.occupation) {
+            identityUpdates.occupation = duplicate.occupation;
+        }
+        
+        const primaryHistory = primary.toObject().pastHistory || {};
+        const duplicateHistory = duplicate.toObject().pastHistory || {};
+        const pastHistory = {};
+        ['pastMedicalHistory', 'currentMedications', 'allergies', 'familyHistory', 'socialHistory'].forEach(field => {
+            pastHistory[field] = combineText(primaryHistory[field], duplicateHistory[field]);
+        });
+        if (Object.keys(pastHistory).some(field => pastHistory[field] !== (primaryHistory[field] || ''))) {
+            identityUpdates.pastHistory = pastHistory;
+        }
+        
+        // Visits: the duplicate's visits move over; two visits to the same camp become one
+        const [primaryEncounters, duplicateEncounters] = await Promise.all([
+            Encounter.find({ patient: primary._id }).lean(),
+            Encounter.find({ patient: duplicate._id }).lean()
+        ]);
+        
+        const movedVisits = [];
+        const combinedVisits = [];
+        duplicateEncounters.forEach(encounter => {
+            const target = encounter.camp && primaryEncounters.find(candidate =>
+                candidate.camp && candidate.camp.equals(encounter.camp)
+            );
+            if (target) {
+                combinedVisits.push({ target, duplicate: encounter, updates: combineEncounters(target, encounter) });
+            } else {
+                movedVisits.push(encounter);
+            }
+        });
+        
+        const summary = {
+            primary: { id: primary._id, name: primary.name, tel: primary.tel },
+            duplicate: { id: duplicate._id, name: duplicate.name, tel: duplicate.tel },
+            identityUpdates,
+            movedVisits: movedVisits.map(encounter => encounter._id),
+            combinedVisits: combinedVisits.map(({ target, duplicate: from, updates }) => ({
+                into: target._id,
+                from: from._id,
+                services: updates.services,
+                labTests: updates.labTests,
+                status: updates.status
+            })),
+            historyEntries: duplicate.modificationHistory.length
+        };
+        
+        if (preview) {
+            return res.json({
+                success: true,
+                data: summary,
+                meta: { preview: true }
+            });
+        }
+        
+        // History: both audit trails in time order, then the merge itself
+        const combinedInto = new Map(combinedVisits.map(({ target, duplicate: from }) => [from._id.toString(), target._id]));
+        const importedHistory = duplicate.modificationHistory.map(entry => {
+            const imported = entry.toObject();
+            imported.changes = { ...(imported.changes || {}), mergedFrom: duplicate._id };
+            if (imported.encounter && combinedInto.has(imported.encounter.toString())) {
+                imported.encounter = combinedInto.get(imported.encounter.toString());
+            }
+            return imported;
+        });
+        
+        const identityChanges = diffChanges(primary.toObject(), identityUpdates);
+        
+        primary.set(identityUpdates);
+        primary.modificationHistory = [
+            ...primary.modificationHistory.map(entry => entry.toObject()),
+            ...importedHistory
+        ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        primary.modificationHistory.push(buildHistoryEntry('merged', {
+            mergedFrom: duplicate._id,
+            duplicateName: duplicate.name,
+            duplicateTel: duplicate.tel,
+            movedVisits: summary.movedVisits,
+            combinedVisits: summary.combinedVisits.map(visit => visit.into),
+            ...identityChanges
+        }, req));
+        
+        duplicate.isDeleted = true;
+        duplicate.deletedAt = new Date();
+        duplicate.mergedInto = primary._id;
+        duplicate.modificationHistory.push(buildHistoryEntry('merged', { mergedInto: primary._id }, req));
+        
+        // All of it or none - a failed save must not leave visits moved away from a duplicate that is still active
+        await mongoose.connection.transaction(async (session) => {
+            if (movedVisits.length > 0) {
+                await Encounter.updateMany(
+                    { _id: { $in: movedVisits.map(encounter => encounter._id) } },
+                    { $set: { patient: primary._id, lastModified: new Date() } },
+                    { session }
+                );
+            }
+            
+            for (const { target, duplicate: from, updates } of combinedVisits) {
+                await Encounter.findByIdAndUpdate(target._id, updates, { runValidators: true, session });
+                await Encounter.findByIdAndDelete(from._id, { session });
+            }
+            
+            await primary.save({ session });
+            await duplicate.save({ session });
+        });
+        
+        console.log(`✅ Merged ${duplicate.name} into ${primary.name}: ${movedVisits.length} visits moved, ${combinedVisits.length} combined`);
+        publishQueueEvent(null, 'patients-merged', { patientId: primary._id });
+        
+        const { modificationHistory, ...mergedPatient } = primary.toObject();
+        
+        res.json({
+            success: true,
+            message: `${duplicate.name} merged into ${primary.name}`,
+            data: toPatientView(mergedPatient, await findCurrentEncounter(primary._id)),
+            meta: { merge: summary }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Merge failed', req);
+    }
+});
+
+// 4. Update Patient - Enhanced with Vital Signs and Past History Support.
+// Only the fields sent are changed, so the same handler serves PATCH /patients/:id and the legacy PUT /patients
+const updatePatientRecord = async (req, res) => {
+    try {
+        const { id: bodyId, encounterId, reason, completeRemainingServices, baseLastModified, ...updateData } = req.body;
+        const id = req.params.id || bodyId;
+        console.log('✏️ Updating patient:', id);
+        
+        // Optimistic concurrency - the edit says which version of the record it was made on
+        const baseTime = new Date(baseLastModified).getTime();
+        if (baseLastModified === undefined || baseLastModified === null || isNaN(baseTime)) {
+            return res.status(428).json({
+                success: false,
+                error: 'Precondition required',
+                message: 'Send baseLastModified (the lastModified of the record you loaded) so concurrent edits are not overwritten'
+            });
+        }
+        
+        // Get current patient for comparison
+        const currentPatient = await Patient.findById(id);
+        if (!currentPatient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        if (currentPatient.isDeleted) {
+            return res.status(410).json({
+                success: false,
+                error: 'Patient has been deleted',
+                message: 'Cannot update a deleted patient'
+            });
+        }
+        
+        // Visit data goes to the given visit, or to the patient's most recent one
+        let currentEncounter;
+        if (encounterId) {
+            currentEncounter = await Encounter.findOne({ _id: encounterId, patient: id });
+            if (!currentEncounter) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Visit not found',
+                    message: 'The visit does not exist or belongs to another patient'
+                });
+            }
+        } else {
+            currentEncounter = await findCurrentEncounter(id);
+        }
+        
+        const currentView = toPatientView(currentPatient, currentEncounter);
+        
+        // The body has been checked against lib/validation/patients.js - older clients may still send a single service
+        const sanitizedData = patientRequests.withServices(updateData);
+        
+        // Only clinical staff may record diagnosis, lab tests, treatment and completion
+        const restrictedFields = getRestrictedFields(req, sanitizedData);
+        if (restrictedFields.length > 0) {
+            return rejectRestrictedFields(res, req, restrictedFields);
+        }
+        
+        // Moving a visit to another camp
+        if (sanitizedData.camp && String(sanitizedData.camp) !== String(currentView.camp)) {
+            if (!(await Camp.exists({ _id: sanitizedData.camp }))) {
+                throw validationError([fieldError('camp', 'not_found', 'The selected camp does not exist')], 'Invalid camp');
+            }
+        }
+        
+        // Validate services if they're being updated - services the visit already has stay valid
+        if (sanitizedData.services) {
+            const validServices = [...await getValidServices(sanitizedData.camp || currentView.camp), ...(currentView.services || [])];
+            const serviceProblems = patientRequests.serviceErrors(sanitizedData.services, validServices);
+            if (serviceProblems.length > 0) {
+                throw validationError(serviceProblems, 'Invalid services');
+            }
+        }
+        
+        if (sanitizedData.familyGroup !== currentView.familyGroup) {
+            await checkFamilyGroup(sanitizedData.familyGroup);
+        }
+        
+        // Handle vital signs update
+        if (sanitizedData.vitalSigns) {
+            // Merge with existing vital signs
+            const currentVitals = currentView.vitalSigns || {};
+            sanitizedData.vitalSigns = {
+                ...currentVitals,
+                ...sanitizedData.vitalSigns
+            };
+            
+            // Remove empty vital signs
+            Object.keys(sanitizedData.vitalSigns).forEach(key => {
+                if (!sanitizedData.vitalSigns[key] || sanitizedData.vitalSigns[key] === '') {
+                    delete sanitizedData.vitalSigns[key];
+                }
+            });
+        }
+        
+        // Handle past history update
+        if (sanitizedData.pastHistory) {
+            // Merge with existing past history
+            const currentHistory = currentView.pastHistory || {};
+            sanitizedData.pastHistory = {
+                ...currentHistory,
+                ...sanitizedData.pastHistory
+            };
+            
+            // Remove empty history fields
+            Object.keys(sanitizedData.pastHistory).forEach(key => {
+                if (!sanitizedData.pastHistory[key] || sanitizedData.pastHistory[key] === '') {
+                    delete sanitizedData.pastHistory[key];
+                }
+            });
+        }
+        
+        // Add completion timestamp if completing
+        if (sanitizedData.status === 'completed' && currentView.status !== 'completed') {
+            sanitizedData.completionDate = new Date();
+        }
+        
+        // Identity fields update the patient, everything else updates the visit
+        const identityUpdates = pickFields(sanitizedData, IDENTITY_FIELDS);
+        const encounterUpdates = pickFields(sanitizedData, ENCOUNTER_FIELDS);
+        
+        if (Object.keys(encounterUpdates).length > 0 && !currentEncounter) {
+            return res.status(400).json({
+                success: false,
+                error: 'No visit to update',
+                message: 'This patient has no visits yet. Start a new visit first'
+            });
+        }
+        
+        // Someone saved the record after this client loaded it - fine unless they changed what this edit changes
+        const stale = staleEdit(currentPatient, currentView, baseTime, { ...identityUpdates, ...encounterUpdates });
+        if (stale && stale.conflicts.length > 0) {
+            return sendEditConflict(res, currentPatient, currentView, stale);
+        }
+        
+        // Track changes
+        const changes = diffChanges(currentView, { ...identityUpdates, ...encounterUpdates });
+        
+        // Requested lab tests become lab orders for the lab worklist
+        if (Array.isArray(encounterUpdates.labTests)) {
+            const currentOrders = (currentEncounter.labOrders || []).map(order => order.toObject());
+            encounterUpdates.labOrders = syncLabOrders(currentOrders, encounterUpdates.labTests, req);
+        }
+        
+        // The visit's waiting lists follow its services
+        if (encounterUpdates.services) {
+            const currentQueue = (currentEncounter.serviceQueue || []).map(entry => entry.toObject());
+            encounterUpdates.serviceQueue = syncServiceQueue(currentQueue, encounterUpdates.services);
+        }
+        
+        // A visit is only complete once every service has seen the patient
+        if (encounterUpdates.status === 'completed' && currentEncounter.status !== 'completed') {
+            const queue = encounterUpdates.serviceQueue || (currentEncounter.serviceQueue || []).map(entry => entry.toObject());
+            const pendingServices = pendingQueueServices(queue);
+            
+            if (pendingServices.length > 0 && completeRemainingServices !== true) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Services still pending',
+                    message: `${currentPatient.name} is still queued for: ${pendingServices.join(', ')}. Mark those services done first or complete them with this record`,
+                    pendingServices
+                });
+            }
+            
+            if (pendingServices.length > 0) {
+                const now = new Date();
+                encounterUpdates.serviceQueue = queue.map(entry => pendingServices.includes(entry.service)
+                    ? { ...entry, status: 'done', finishedAt: now, finishedBy: staffStamp(req) }
+                    : entry
+                );
+                changes.completedServices = pendingServices;
+            }
+        }
+        
+        // Only write over the versions read above. The visit, the patient and the history entry are saved
+        // together - if either record was saved in the meantime nothing is written and the edit is looked at again.
+        const action = sanitizedData.status === 'completed' ? 'completed' : 'updated';
+        let encounter = currentEncounter;
+        let patient = currentPatient;
+        let raced = false;
+        
+        await mongoose.connection.transaction(async (session) => {
+            encounter = currentEncounter;
+            patient = currentPatient;
+            if (Object.keys(encounterUpdates).length > 0) {
+                encounter = await Encounter.findOneAndUpdate(
+                    { _id: currentEncounter._id, lastModified: currentEncounter.lastModified ?? null },
+                    encounterUpdates,
+                    { new: true, runValidators: true, session }
+                );
+            }
+            if ((!currentEncounter || encounter) && Object.keys(identityUpdates).length > 0) {
+                patient = await Patient.findOneAndUpdate(
+                    { _id: id, lastModified: currentPatient.lastModified ?? null },
+                    identityUpdates,
+                    { new: true, runValidators: true, session }
+                );
+            }
+            
+            raced = Boolean(currentEncounter && !encounter) || !patient;
+            if (raced) {
+                await session.abortTransaction();
+                return;
+            }
+            await Patient.updateOne(
+                { _id: id },
+                { $push: { modificationHistory: buildHistoryEntry(action, changes, req, encounter?._id) } },
+                { session }
+            );
+        });
+        
+        if (raced) {
+            const latestPatient = await Patient.findById(id);
+            const latestEncounter = currentEncounter ? await Encounter.findById(currentEncounter._id) : null;
+            const latestView = toPatientView(latestPatient, latestEncounter);
+            const conflict = staleEdit(latestPatient, latestView, baseTime, { ...identityUpdates, ...encounterUpdates });
+            
+            // Nothing this edit changes was touched - run it again on the version just saved
+            req.editAttempts = (req.editAttempts || 0) + 1;
+            if (conflict && conflict.conflicts.length === 0 && req.editAttempts < 3) {
+                return updatePatientRecord(req, res);
+            }
+            return sendEditConflict(res, latestPatient, latestView, conflict || { serverChanges: [], conflicts: [] });
+        }
+        
+        if (encounterUpdates.serviceQueue || encounterUpdates.status || encounterUpdates.triagePriority !== undefined) {
+            publishQueueEvent(encounter.camp, 'visit-updated', { encounterId: encounter._id });
+        }
+        
+        const servicesCount = encounter?.services ? encounter.services.length : 0;
+        console.log('✅ Patient updated successfully:', patient.name, `with ${servicesCount} services`);
+        
+        res.json({ 
+            success: true,
+            message: `Patient updated successfully with ${servicesCount} service${servicesCount > 1 ? 's' : ''}`,
+            data: toPatientView(patient, encounter),
+            meta: { changes: Object.keys(changes) }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to update patient', req);
+    }
+};
+
+const UPDATE_DESCRIPTION = {
+    tags: ['Patients'],
+    description: 'Only the fields sent are changed. baseLastModified is required; when the record was changed since then the edit is ' +
+        'still applied if it changes none of the same fields, and otherwise refused with 409 Conflict, the conflicting fields and the current record.',
+    data: ref('PatientView'),
+    meta: { type: 'object', properties: { changes: { type: 'array', items: { type: 'string' } } } },
+    errors: { 404: 'Patient not found', 409: 'Conflict, or services still pending', 428: 'Precondition required' }
+};
+
+// 4a. Partial Update
+api.patch('/patients/:id', describe({
+    ...UPDATE_DESCRIPTION,
+    summary: "Update a patient and their visit - vital signs, history, services or the medical record",
+    params: ID_PARAMS,
+    body: patientRequests.updatePatient
+}), authenticate, authorize('patients:update'), validate, idempotent, updatePatientRecord);
+
+// 4b. Update Patient (PUT with the ID in the body - backward compatibility)
+legacyApi.put('/patients', deprecated('PATCH /api/v2/patients/:id'), describe({
+    ...UPDATE_DESCRIPTION,
+    summary: 'Update a patient named in the body',
+    body: patientRequests.updatePatientById
+}), authenticate, authorize('patients:update'), validate, idempotent, updatePatientRecord);
+
+// 11. Get Deleted Patients (trash) - registered before /patients/:id so "deleted" is not taken for an ID
+api.get('/patients/deleted', describe({
+    tags: ['Patients'],
+    summary: 'Trash - deleted patients with their last visit, who deleted them and why',
+    query: { ...PAGE_QUERY, search: { type: 'string', description: 'Name or phone number' } },
+    data: { type: 'array', items: ref('PatientView') },
+    paginated: true
+}), authenticate, authorize('patients:restore'), validate, async (req, res) => {
+    try {
+        console.log('🗑️ Getting deleted patients');
+        
+        const { page = 1, limit = 100, search } = req.query;
+        
+        const filter = { isDeleted: true };
+        if (search && search.trim()) {
+            const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+            filter.$or = [{ name: pattern }, { tel: pattern }];
+        }
+        
+        const [deletedPatients, total] = await Promise.all([
+            Patient.find(filter)
+                .sort({ deletedAt: -1 })
+                .limit(parseInt(limit))
+                .skip((parseInt(page) - 1) * parseInt(limit))
+                .lean(),
+            Patient.countDocuments(filter)
+        ]);
+        
+        // Show each patient with their last visit, and who moved them to the trash and why
+        const encountersByPatient = await findCurrentEncounters(deletedPatients.map(patient => patient._id));
+        const data = deletedPatients.map(patient => {
+            const deletion = [...(patient.modificationHistory || [])].reverse().find(entry => entry.action === 'deleted');
+            const { modificationHistory, ...identity } = patient;
+            return {
+                ...toPatientView(identity, encountersByPatient.get(patient._id.toString())),
+                deletedAt: patient.deletedAt,
+                deletedBy: deletion?.user?.name || deletion?.user?.username,
+                deletionReason: deletion?.reason
+            };
+        });
+        
+        res.json({
+            success: true,
+            data,
+            pagination: buildPagination(page, limit, total)
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve deleted patients', req);
+    }
+});
+
+// 5. Get Single Patient
+api.get('/patients/:id', describe({
+    tags: ['Patients'],
+    summary: 'Get a patient with one visit (the most recent unless encounterId is given)',
+    params: ID_PARAMS,
+    query: {
+        includeHistory: { enum: ['true', 'false'] },
+        encounterId: ref('ObjectId')
+    },
+    data: { allOf: [ref('PatientView'), { type: 'object', properties: { visitCount: { type: 'integer' } } }] },
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { includeHistory = 'false', encounterId } = req.query;
+        
+        console.log('👤 Getting patient:', id);
+        
+        let query = Patient.findById(id);
+        
+        // Optionally exclude modification history for performance
+        if (includeHistory !== 'true') {
+            query = query.select('-modificationHistory');
+        }
+        
+        const patient = await query;
+        
+        if (!patient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        // Shown with the requested visit, or the most recent one
+        const [encounter, visitCount] = await Promise.all([
+            encounterId
+                ? Encounter.findOne({ _id: encounterId, patient: id })
+                : findCurrentEncounter(id),
+            Encounter.countDocuments({ patient: id })
+        ]);
+        
+        res.json({ 
+            success: true,
+            data: { ...toPatientView(patient, encounter), visitCount }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve patient', req);
+    }
+});
+
+// 5b. Get Single Patient (POST - backward compatibility)
+legacyApi.post('/patient', deprecated('GET /api/v2/patients/:id'), describe({
+    tags: ['Patients'],
+    summary: 'Get a patient named in the body',
+    body: patientRequests.patientById,
+    data: ref('PatientView'),
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { id } = req.body;
+        
+        const patient = await Patient.findById(id).select('-modificationHistory');
+        
+        if (!patient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: toPatientView(patient, await findCurrentEncounter(id))
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve patient', req);
+    }
+});
+
+// Figures behind GET /stats and the campaign report, for the visits matching the patient list filters.
+// Deleted patients are counted separately unless filtered out; recent registrations and the daily
+// trend start at periodStart, the first of `days` whole days in the camp's timezone.
+const buildStatistics = async (filters, { days, periodStart, timezone, ageBands }) => {
+    // Every figure covers the filtered visits - the selected camp's when only a camp is given
+    const { visitMatch, viewMatch } = await buildPatientFilter(filters, { includeDeleted: true });
+    const activeMatch = { isDeleted: { $ne: true } };
+    
+    // Demographics count each person once, however many visits they made
+    const uniquePatientStages = [
+        { $match: activeMatch },
+        {
+            $group: {
+                _id: '$patientId',
+                familyGroup: { $first: '$familyGroup' },
+                sex: { $first: '$sex' },
+                age: { $first: '$age' }
+            }
+        }
+    ];
+    
+    const [facets] = await Encounter.aggregate([
+        ...buildPatientViewPipeline(visitMatch),
+        { $match: viewMatch },
+        {
+            $facet: {
+                patientCounts: [
+                    { $group: { _id: '$patientId', isDeleted: { $first: '$isDeleted' } } },
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            deleted: { $sum: { $cond: ['$isDeleted', 1, 0] } }
+                        }
+                    }
+                ],
+                visitCounts: [
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            active: { $sum: { $cond: ['$isDeleted', 0, 1] } },
+                            pending: { $sum: { $cond: [{ $eq: ['$status', 'registered'] }, 1, 0] } },
+                            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                            recent: {
+                                $sum: {
+                                    $cond: [{
+                                        $and: [
+                                            { $ne: ['$isDeleted', true] },
+                                            { $gte: ['$createdAt', periodStart] }
+                                        ]
+                                    }, 1, 0]
+                                }
+                            }
+                        }
+                    }
+                ],
+                // Enhanced service statistics with multi-service support
+                serviceStats: [
+                    { $match: activeMatch },
+                    { $unwind: '$services' },
+                    { $group: { _id: '$services', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                // Family group statistics
+                familyGroupStats: [
+                    ...uniquePatientStages,
+                    { $group: { _id: '$familyGroup', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                // Sex ratio statistics
+                sexStats: [
+                    ...uniquePatientStages,
+                    { $group: { _id: '$sex', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                // Age distribution statistics
+                ageStats: [
+                    ...uniquePatientStages,
+                    { $project: { ageRange: ageBandExpression(ageBands) } },
+                    { $group: { _id: '$ageRange', count: { $sum: 1 } } }
+                ],
+                // Daily registrations trend (visits)
+                dailyRegistrations: [
+                    { $match: { ...activeMatch, createdAt: { $gte: periodStart } } },
+                    {
+                        $group: {
+                            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } },
+                            count: { $sum: 1 }
+                        }
+                    },
+                    { $sort: { _id: 1 } }
+                ],
+                // Lab orders and results per test
+                labResults: [
+                    { $match: activeMatch },
+                    { $unwind: '$labOrders' },
+                    { $match: { 'labOrders.status': { $ne: 'cancelled' } } },
+                    {
+                        $group: {
+                            _id: '$labOrders.test',
+                            ordered: { $sum: 1 },
+                            resulted: { $sum: { $cond: [{ $eq: ['$labOrders.status', 'resulted'] }, 1, 0] } },
+                            positive: { $sum: { $cond: [{ $eq: ['$labOrders.result.qualitative', 'positive'] }, 1, 0] } },
+                            negative: { $sum: { $cond: [{ $eq: ['$labOrders.result.qualitative', 'negative'] }, 1, 0] } },
+                            abnormal: { $sum: { $cond: [{ $in: ['$labOrders.result.flag', ['low', 'high']] }, 1, 0] } }
+                        }
+                    },
+                    { $sort: { ordered: -1 } }
+                ],
+                // Visits referred on, per receiving facility
+                referralStats: [
+                    { $match: { ...activeMatch, referredTo: { $nin: ['', null] } } },
+                    { $group: { _id: '$referredTo', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                // Completion trend - the last 30 days with completions
+                completionTrend: [
+                    { $match: { status: 'completed', completionDate: { $type: 'date' } } },
+                    {
+                        $group: {
+                            _id: { $dateToString: { format: '%Y-%m-%d', date: '$completionDate', timezone } },
+                            count: { $sum: 1 }
+                        }
+                    },
+                    { $sort: { _id: -1 } },
+                    { $limit: 30 },
+                    { $sort: { _id: 1 } }
+                ]
+            }
+        }
+    ]);
+    
+    const { total: totalPatients = 0, deleted: deletedPatients = 0 } = facets.patientCounts[0] || {};
+    const {
+        total: totalVisits = 0,
+        active: activeVisits = 0,
+        pending: pendingTests = 0,
+        completed: completedRecords = 0,
+        recent: recentRegistrations = 0
+    } = facets.visitCounts[0] || {};
+    const activePatients = totalPatients - deletedPatients;
+    const { serviceStats, familyGroupStats, sexStats, ageStats, labResults, referralStats, dailyRegistrations, completionTrend } = facets;
+    
+    const completionRate = activeVisits > 0 ? Math.round((completedRecords / activeVisits) * 100) : 0;
+    const referredVisits = referralStats.reduce((sum, item) => sum + item.count, 0);
+    
+    return {
+        overview: {
+            totalPatients,
+            activePatients,
+            totalVisits,
+            activeVisits,
+            pendingTests,
+            completedRecords,
+            deletedPatients,
+            completionRate,
+            referredVisits,
+            recentRegistrations
+        },
+        serviceDistribution: serviceStats.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {}),
+        familyGroupDistribution: familyGroupStats.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {}),
+        // NEW: Demographics
+        sexDistribution: sexStats.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {}),
+        // Bands in ascending order, empty ones included; ages outside the bands only when there are some
+        ageDistribution: Object.fromEntries(ageBandLabels(ageBands)
+            .map(label => [label, ageStats.find(item => item._id === label)?.count || 0])
+            .filter(([label, count]) => count > 0 || ageBands.some(band => band.label === label))),
+        // Positivity rate is the share of positive results among positive and negative ones
+        labResults: labResults.reduce((acc, item) => {
+            const conclusive = item.positive + item.negative;
+            acc[item._id] = {
+                ordered: item.ordered,
+                resulted: item.resulted,
+                pending: item.ordered - item.resulted,
+                positive: item.positive,
+                negative: item.negative,
+                abnormal: item.abnormal,
+                positivityRate: conclusive > 0 ? Math.round((item.positive / conclusive) * 1000) / 10 : null
+            };
+            return acc;
+        }, {}),
+        referralDistribution: referralStats.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {}),
+        trends: {
+            dailyRegistrations: dailyRegistrations.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, {}),
+            completionTrend: completionTrend.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, {})
+        },
+        camp: filters.camp && filters.camp !== 'all' ? filters.camp : null,
+        period: {
+            days,
+            timezone,
+            startDate: periodStart.toISOString(),
+            endDate: new Date().toISOString()
+        }
+    };
+};
+
+// 6. Enhanced Statistics with Demographics Support
+api.get('/stats', describe({
+    tags: ['Reports'],
+    summary: 'Statistics - visits by status, service and family group, demographics and trends',
+    description: 'Takes the patient list filters to report on part of the register. Deleted patients are counted separately unless filtered out.',
+    query: {
+        period: { type: 'integer', minimum: 1, description: 'Days to cover (default 30)' },
+        ageBands: reportRequests.ageBands,
+        ...patientRequests.PATIENT_FILTER_FIELDS
+    },
+    data: { type: 'object' },
+    meta: { type: 'object', properties: { generatedAt: { type: 'string' }, filters: { type: 'object' } } }
+}), authenticate, authorize('stats:read'), validate, async (req, res) => {
+    try {
+        console.log('📊 Generating comprehensive statistics with demographics');
+        
+        const { period = '30', ageBands: ageBandSpec = 'standard', ...filters } = req.query;
+        const { camp } = filters;
+        const daysBack = parseInt(period);
+        
+        const ageBands = parseAgeBands(ageBandSpec);
+        if (!ageBands) {
+            throw validationError([
+                fieldError('query.ageBands', 'invalid_format', 'Age bands must be in ascending order without overlapping (e.g. 0-4,5-14,15+)')
+            ], 'Invalid age bands');
+        }
+        
+        // Days are counted in the camp's timezone, and the period covers whole days ending today
+        const timezone = await getCampTimeZone(camp);
+        const periodStart = startOfPeriod(daysBack, timezone);
+        
+        const stats = await buildStatistics(filters, { days: daysBack, periodStart, timezone, ageBands });
+        
+        console.log('✅ Statistics with demographics generated successfully');
+        
+        res.json({
+            success: true,
+            data: stats,
+            meta: { generatedAt: new Date().toISOString(), filters: activeFilters(filters) }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve statistics', req);
+    }
+});
+
+// 6b. Cross-tab Report - visits counted by any combination of dimensions
+api.get('/reports/crosstab', describe({
+    tags: ['Reports'],
+    summary: 'Cross-tab report - e.g. service by sex by age band, or family group by completion rate',
+    description: 'Counts the visits matching the patient list filters (dateFrom and dateTo give any registration period) by up to ' +
+        `${MAX_DIMENSIONS} dimensions. rows has one entry per combination found, margins the counts per value of each dimension ` +
+        'and totals the grand total - patients and completionRate cannot be added up from rows. A visit for two services counts under each.',
+    query: {
+        ...reportRequests.CROSS_TAB_FIELDS,
+        ...patientRequests.PATIENT_FILTER_FIELDS
+    },
+    data: {
+        type: 'object',
+        properties: {
+            dimensions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { name: { type: 'string' }, label: { type: 'string' }, values: { type: 'array', items: { type: 'string' } } }
+                }
+            },
+            measures: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, label: { type: 'string' } } } },
+            rows: { type: 'array', items: { type: 'object' } },
+            margins: { type: 'object' },
+            totals: { type: 'object' }
+        }
+    },
+    meta: {
+        type: 'object',
+        properties: {
+            ageBands: { type: 'array', items: { type: 'object' } },
+            timezone: { type: 'string' },
+            filters: { type: 'object' },
+            generatedAt: { type: 'string' }
+        }
+    }
+}), authenticate, authorize('stats:read'), validate, async (req, res) => {
+    try {
+        const { dimensions: dimensionList, measures: measureList = 'visits,patients', ageBands: ageBandSpec = 'standard', ...filters } = req.query;
+        console.log('📊 Building cross-tab report:', dimensionList, 'measures:', measureList);
+        
+        const dimensions = String(dimensionList || '').split(',').filter(Boolean);
+        const measures = [...new Set(measureList.split(','))];
+        const ageBands = parseAgeBands(ageBandSpec);
+        const errors = [];
+        
+        if (dimensions.length === 0) {
+            errors.push(fieldError('query.dimensions', 'required', 'Choose at least one dimension to count by'));
+        } else if (new Set(dimensions).size < dimensions.length) {
+            errors.push(fieldError('query.dimensions', 'invalid_choice', 'Each dimension can only be used once'));
+        }
+        if (!ageBands) {
+            errors.push(fieldError('query.ageBands', 'invalid_format', 'Age bands must be in ascending order without overlapping (e.g. 0-4,5-14,15+)'));
+        }
+        if (errors.length > 0) {
+            throw validationError(errors, 'Invalid report');
+        }
+        
+        const timezone = await getCampTimeZone(filters.camp);
+        const { visitMatch, viewMatch } = await buildPatientFilter(filters);
+        
+        const [facet] = await Encounter.aggregate([
+            ...buildPatientViewPipeline(visitMatch),
+            { $match: viewMatch },
+            ...crossTabStages(dimensions, { ageBands, timezone })
+        ]);
+        
+        const campNames = dimensions.includes('camp')
+            ? new Map((await Camp.find().select('name').lean()).map(camp => [String(camp._id), camp.name]))
+            : undefined;
+        const report = shapeCrossTab(facet, dimensions, measures, { ageBands, campNames });
+        
+        console.log(`✅ Cross-tab report built: ${report.rows.length} rows`);
+        
+        res.json({
+            success: true,
+            data: report,
+            meta: {
+                ageBands,
+                timezone,
+                filters: activeFilters(filters),
+                generatedAt: new Date().toISOString()
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to build report', req);
+    }
+});
+
+// 6c. Campaign Report - printable PDF of the statistics for sponsors and the district health office
+api.get('/reports/campaign', describe({
+    tags: ['Reports'],
+    summary: 'Download the campaign report as a PDF - camp details, totals, services, sex, age, family groups, lab positivity and daily registrations',
+    description: 'Built from the same figures as GET /stats. With a camp and no dates the report covers the camp\'s own dates. ' +
+        'Download links may pass the token as ?access_token= since they cannot send headers.',
+    query: {
+        dateFrom: patientRequests.PATIENT_FILTER_FIELDS.dateFrom,
+        dateTo: patientRequests.PATIENT_FILTER_FIELDS.dateTo,
+        ...CAMP_QUERY,
+        ageBands: reportRequests.ageBands,
+        access_token: { type: 'string', description: 'Bearer token for download links' }
+    },
+    raw: ['application/pdf'],
+    errors: { 404: 'Camp not found' }
+}), authenticateFromQuery, authorize('stats:read'), validate, async (req, res) => {
+    try {
+        const { camp: campId, ageBands: ageBandSpec = 'standard' } = req.query;
+        console.log('🖨️ Building campaign report:', campId || 'all camps', req.query.dateFrom || '', req.query.dateTo || '');
+        
+        const ageBands = parseAgeBands(ageBandSpec);
+        if (!ageBands) {
+            throw validationError([
+                fieldError('query.ageBands', 'invalid_format', 'Age bands must be in ascending order without overlapping (e.g. 0-4,5-14,15+)')
+            ], 'Invalid age bands');
+        }
+        
+        const camp = campId && campId !== 'all' && validateObjectId(campId) ? await Camp.findById(campId).lean() : null;
+        if (campId && campId !== 'all' && !camp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
+        }
+        
+        // A camp's report covers the camp's own dates unless others are given - camp dates are whole UTC days
+        const timezone = await getCampTimeZone(campId);
+        const dateFrom = req.query.dateFrom || (camp && camp.startDate ? dayKey(camp.startDate, 'UTC') : undefined);
+        const dateTo = req.query.dateTo || (camp && camp.endDate ? dayKey(camp.endDate, 'UTC') : undefined);
+        
+        // The daily chart runs from the first day of the report, or covers the last 30 days
+        const today = dayKey(new Date(), timezone);
+        const days = dateFrom
+            ? Math.max(Math.round((Date.parse(dateTo && dateTo < today ? dateTo : today) - Date.parse(dateFrom)) / 86400000) + 1, 1)
+            : 30;
+        const periodStart = dateFrom ? startOfDay(dateFrom, timezone) : startOfPeriod(days, timezone);
+        
+        const stats = await buildStatistics({ camp: campId, dateFrom, dateTo }, { days, periodStart, timezone, ageBands });
+        
+        const doc = buildCampaignReport({
+            stats,
+            camp,
+            dateFrom,
+            dateTo,
+            timezone,
+            generatedBy: req.user.name || req.user.username
+        });
+        
+        const fileName = `campaign_report_${(camp ? camp.name : 'all_camps').replace(/[^a-z0-9]+/gi, '_').toLowerCase()}_${today}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        doc.pipe(res);
+        
+        console.log(`✅ Campaign report built: ${stats.overview.activeVisits} visits`);
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to build campaign report', req);
+    }
+});
+
+// 7. Enhanced Search with Multi-Service Support
+api.post('/search', describe({
+    tags: ['Patients'],
+    summary: 'Search patient visits by name, phone, occupation, medications or diagnosis, best match first',
+    description: 'Case and accent insensitive. Names also match spellings that sound alike (Ngwa, Ngoua) and, for the last word typed, ' +
+        'names starting with it. Each visit carries its searchScore.',
+    body: patientRequests.searchPatients,
+    data: { type: 'array', items: { allOf: [ref('PatientView'), { type: 'object', properties: { searchScore: { type: 'number' } } }] } },
+    meta: { type: 'object', properties: { query: { type: 'string' }, filters: { type: 'object' }, count: { type: 'integer' } } }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { query, filters = {}, limit = 50 } = req.body;
+        console.log('🔍 Searching for:', query, 'with filters:', filters);
+        
+        const matches = await findSearchMatches(query);
+        
+        // The query is the search text - a search filter on top would only narrow it again
+        const { search, ...otherFilters } = filters;
+        const { visitMatch, viewMatch } = await buildPatientFilter(otherFilters, { visitConditions: [searchVisitMatch(matches)] });
+        
+        // Best match first, newest first among equals
+        const candidates = await Encounter.aggregate([
+            ...buildPatientViewPipeline(visitMatch),
+            { $match: viewMatch }
+        ]);
+        const patients = candidates
+            .map(patient => ({ ...patient, searchScore: searchScore(matches, patient) }))
+            .sort((a, b) => (b.searchScore - a.searchScore) || (new Date(b.createdAt) - new Date(a.createdAt)))
+            .slice(0, parseInt(limit));
+        
+        console.log(`✅ Found ${patients.length} patients for "${query}"`);
+        
+        res.json({
+            success: true,
+            data: patients,
+            meta: {
+                query,
+                filters,
+                count: patients.length
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Search failed', req);
+    }
+});
+
+// 7b. Search Suggestions - type-ahead for the patient search box
+api.get('/search/suggestions', describe({
+    tags: ['Patients'],
+    summary: 'Up to 8 patients matching what has been typed so far, best match first',
+    query: {
+        q: { type: 'string', title: 'Search text', minLength: 2 },
+        ...CAMP_QUERY
+    },
+    data: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                _id: ref('ObjectId'),
+                name: { type: 'string' },
+                tel: { type: 'string' },
+                age: { type: 'integer' },
+                sex: { type: 'string' },
+                familyGroup: { type: 'string' },
+                searchScore: { type: 'number' }
+            }
+        }
+    }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { q, camp } = req.query;
+        const campScope = getCampScope(camp);
+        const { patientScores } = await findSearchMatches(q);
+        
+        // Within a camp, only patients who have visited it
+        let patientIds = [...patientScores.keys()];
+        if (campScope.camp && patientIds.length > 0) {
+            const visited = await Encounter.distinct('patient', { ...campScope, patient: { $in: patientIds.map(id => new mongoose.Types.ObjectId(id)) } });
+            patientIds = visited.map(String);
+        }
+        
+        const suggestions = (await Patient.find({ _id: { $in: patientIds }, isDeleted: { $ne: true } })
+            .select('name tel age sex familyGroup')
+            .lean())
+            .map(patient => ({ ...patient, searchScore: Math.round(patientScores.get(String(patient._id)) * 100) / 100 }))
+            .sort((a, b) => (b.searchScore - a.searchScore) || a.name.localeCompare(b.name))
+            .slice(0, 8);
+        
+        res.json({
+            success: true,
+            data: suggestions
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to load search suggestions', req);
+    }
+});
+
+const DELETED_PATIENT = {
+    type: 'object',
+    properties: { id: ref('ObjectId'), name: { type: 'string' }, tel: { type: 'string' } }
+};
+
+// 8. Delete Patient - Enhanced with soft delete
+api.delete('/patients/:id', describe({
+    tags: ['Patients'],
+    summary: 'Delete a patient - moved to the trash unless permanent (administrators only)',
+    params: ID_PARAMS,
+    query: { permanent: { enum: ['true', 'false'] } },
+    body: patientRequests.deletePatient,
+    data: DELETED_PATIENT,
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:delete'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { permanent = 'false' } = req.query;
+        
+        console.log('🗑️ Deleting patient:', id, 'permanent:', permanent);
+        
+        if (permanent === 'true' && !hasPermission(req, 'patients:permanentDelete')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: 'Only administrators can permanently delete patients'
+            });
+        }
+        
+        const patient = await Patient.findById(id);
+        if (!patient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        if (permanent === 'true') {
+            // Permanent deletion - the patient and every visit
+            await Encounter.deleteMany({ patient: id });
+            await Patient.findByIdAndDelete(id);
+            console.log('✅ Patient permanently deleted:', patient.name);
+            publishQueueEvent(null, 'patient-removed', { patientId: patient._id });
+            
+            res.json({
+                success: true,
+                message: 'Patient permanently deleted',
+                data: {
+                    id: patient._id,
+                    name: patient.name,
+                    tel: patient.tel
+                }
+            });
+        } else {
+            // Soft delete
+            await patient.softDelete();
+            await addModificationHistory(id, 'deleted', { deletedAt: new Date() }, req);
+            
+            console.log('✅ Patient soft deleted:', patient.name);
+            publishQueueEvent(null, 'patient-removed', { patientId: patient._id });
+            
+            res.json({
+                success: true,
+                message: 'Patient deleted successfully',
+                data: {
+                    id: patient._id,
+                    name: patient.name,
+                    tel: patient.tel
+                }
+            });
+        }
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to delete patient', req);
+    }
+});
+
+// 8b. Delete Patient (POST - backward compatibility)
+legacyApi.post('/delete', deprecated('DELETE /api/v2/patients/:id?permanent=true'), describe({
+    tags: ['Patients'],
+    summary: 'Permanently delete a patient named in the body',
+    body: patientRequests.patientById,
+    data: DELETED_PATIENT,
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:permanentDelete'), validate, async (req, res) => {
+    try {
+        const { id } = req.body;
+        console.log('🗑️ Deleting patient via POST:', id);
+        
+        const patient = await Patient.findById(id);
+        if (!patient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        // Permanent delete for backward compatibility
+        await Encounter.deleteMany({ patient: id });
+        await Patient.findByIdAndDelete(id);
+        
+        console.log('✅ Patient deleted:', patient.name);
+        publishQueueEvent(null, 'patient-removed', { patientId: patient._id });
+        
+        res.json({ 
+            success: true,
+            message: 'Patient deleted successfully',
+            data: {
+                id: patient._id,
+                name: patient.name,
+                tel: patient.tel
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to delete patient', req);
+    }
+});
+
+// 9. Export Data - Enhanced with Vital Signs and Past History
+// Rows are read from a database cursor and written as they arrive, so large exports never sit in memory whole
+api.get('/export', describe({
+    tags: ['Reports'],
+    summary: 'Download patient visits with vital signs and history as a JSON, CSV, NDJSON or XLSX file',
+    description: 'The file is streamed newest visit first. NDJSON has one visit per line with no export header. ' +
+        'XLSX has a sheet each for patients, services, lab tests, vitals and summary statistics, with typed cells. ' +
+        'Download links may pass the token as ?access_token= since they cannot send headers.',
+    query: {
+        ...exportRequests.EXPORT_FIELDS,
+        ...patientRequests.PATIENT_FILTER_FIELDS,
+        access_token: { type: 'string', description: 'Bearer token for download links' }
+    },
+    raw: ['application/json', 'text/csv', 'application/x-ndjson', XLSX_CONTENT_TYPE]
+}), authenticateFromQuery, authorize('export:read'), validate, async (req, res) => {
+    let cursor = null;
+    try {
+        const { format = 'json', access_token, columns: columnKeys, sheets, ...filters } = req.query;
+        
+        console.log('📤 Exporting data in format:', format);
+        
+        // Same filters as the patient list - one exported row per visit
+        const timezone = await getCampTimeZone(filters.camp);
+        const { visitMatch, viewMatch } = await buildPatientFilter(filters);
+        
+        const pipeline = [
+            ...buildPatientViewPipeline(visitMatch, CURSOR_SORT), // Excludes history for export
+            { $match: viewMatch }
+        ];
+        
+        // Camps are few - look them up once instead of per row
+        const campList = await Camp.find().select('name location startDate endDate timezone').lean();
+        const campsById = new Map(campList.map(item => [String(item._id), item]));
+        
+        // The JSON header states the record count, which needs a counting pass first
+        const totalRecords = format === 'json'
+            ? ((await Encounter.aggregate([...pipeline, { $count: 'count' }]))[0]?.count || 0)
+            : undefined;
+        
+        const exportInfo = {
+            exportDate: new Date().toISOString(),
+            exportedBy: 'Health Campaign System v4.0.0 - Enhanced Premium',
+            totalRecords,
+            format: format,
+            timezone,
+            filters: activeFilters(filters),
+            features: [
+                'Enhanced Multi-Service Selection Support',
+                'Vital Signs Recording',
+                'Past Medical History',
+                'Editable Completed Records',
+                'Custom Lab Tests with Others Option',
+                'Demographics Reporting',
+                'Sexual and Reproductive Health Service', 
+                'Dental Consultation Service'
+            ]
+        };
+        
+        const timestamp = new Date().toISOString().split('T')[0];
+        const contentTypes = { json: 'application/json; charset=utf-8', csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson; charset=utf-8', xlsx: XLSX_CONTENT_TYPE };
+        const columns = selectColumns(columnKeys);
+        
+        // The workbook's summary sheet holds the statistics tab's figures for the same visits
+        const stats = format === 'xlsx' && (!sheets || sheets.split(',').includes('summary'))
+            ? await buildStatistics(filters, { days: 30, periodStart: startOfPeriod(30, timezone), timezone, ageBands: parseAgeBands() })
+            : null;
+        
+        res.setHeader('Content-Type', contentTypes[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="health_campaign_patients_${timestamp}.${format}"`);
+        
+        if (format === 'xlsx') {
+            // One pass over the visits per sheet - each sheet is written out before the next is read
+            const visits = async function* () {
+                cursor = Encounter.aggregate(pipeline).cursor({ batchSize: 500 });
+                for await (const patient of cursor) {
+                    if (res.destroyed) break; // Client went away
+                    patient.camp = campsById.get(String(patient.camp)) || patient.camp;
+                    yield patient;
+                }
+            };
+            const exported = await writeWorkbook(res, {
+                sheets: sheets ? [...new Set(sheets.split(','))] : undefined,
+                columns,
+                visits,
+                stats,
+                timezone
+            });
+            
+            console.log(`✅ Exported ${exported} patients as XLSX`);
+            return;
+        }
+        
+        const write = (chunk) => writeChunk(res, chunk);
+        
+        if (format === 'csv') {
+            await write('\ufeff' + csvHeader(columns)); // Add BOM for proper Excel encoding
+        } else if (format === 'json') {
+            await write(`{"exportInfo":${JSON.stringify(exportInfo)},"patients":[`);
+        }
+        
+        cursor = Encounter.aggregate(pipeline).cursor({ batchSize: 500 });
+        let exported = 0;
+        for await (const patient of cursor) {
+            if (res.destroyed) break; // Client went away
+            
+            patient.camp = campsById.get(String(patient.camp)) || patient.camp;
+            if (format === 'csv') {
+                await write('\n' + toCsvRow(patient, timezone, columns));
+            } else if (format === 'ndjson') {
+                await write(JSON.stringify(patient) + '\n');
+            } else {
+                await write((exported > 0 ? ',' : '') + JSON.stringify(patient));
+            }
+            exported++;
+        }
+        
+        if (res.destroyed) {
+            console.log(`⚠️ Export stopped after ${exported} patients - the client went away`);
+            return;
+        }
+        if (format === 'json') await write(']}');
+        res.end();
+        
+        console.log(`✅ Exported ${exported} patients as ${format.toUpperCase()}`);
+        
+    } catch (error) {
+        // Once the file has started the status can no longer change - cut the download short instead
+        if (res.headersSent) {
+            console.error('❌ Export failed part way:', error.message);
+            return res.destroy(error);
+        }
+        handleError(res, error, 'Export failed', req);
+    } finally {
+        if (cursor) await cursor.close().catch(() => {});
+    }
+});
+
+// Additional endpoints for completeness...
+
+// 10. Restore Deleted Patient
+api.post('/patients/:id/restore', describe({
+    tags: ['Patients'],
+    summary: 'Restore a patient from the trash',
+    params: ID_PARAMS,
+    data: ref('PatientView'),
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:restore'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log('♻️ Restoring patient:', id);
+        
+        const patient = await Patient.findById(id);
+        if (!patient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        if (!patient.isDeleted) {
+            return res.status(400).json({
+                success: false,
+                error: 'Patient is not deleted',
+                message: 'Cannot restore a patient that is not deleted'
+            });
+        }
+        
+        if (patient.mergedInto) {
+            return res.status(400).json({
+                success: false,
+                error: 'Patient was merged',
+                message: 'This record was merged into another patient and cannot be restored',
+                mergedInto: patient.mergedInto
+            });
+        }
+        
+        await patient.restore();
+        await addModificationHistory(id, 'restored', { restored: true }, req);
+        
+        console.log('✅ Patient restored:', patient.name);
+        publishQueueEvent(null, 'patient-restored', { patientId: patient._id });
+        
+        res.json({
+            success: true,
+            message: 'Patient restored successfully',
+            data: toPatientView(patient, await findCurrentEncounter(id))
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to restore patient', req);
+    }
+});
+
+// 12. Patient History
+api.get('/patients/:id/history', describe({
+    tags: ['Patients'],
+    summary: "A patient's modification history with the acting staff member",
+    params: ID_PARAMS,
+    query: {
+        user: { type: 'string', description: 'Username or user ID' },
+        action: { type: 'string', description: 'Comma-separated actions, or all' },
+        role: { type: 'string' }
+    },
+    data: {
+        type: 'object',
+        properties: {
+            patientName: { type: 'string' },
+            services: { type: 'array', items: { type: 'string' } },
+            history: { type: 'array', items: ref('HistoryEntry') },
+            totalEntries: { type: 'integer' },
+            filteredEntries: { type: 'integer' }
+        }
+    },
+    meta: { type: 'object', properties: { filters: { type: 'object' } } },
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log('📜 Getting patient history:', id);
+        
+        const { user, action, role } = req.query;
+        
+        const [patient, currentEncounter] = await Promise.all([
+            Patient.findById(id).select('name modificationHistory'),
+            findCurrentEncounter(id).select('services')
+        ]);
+        
+        if (!patient) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Patient not found' 
+            });
+        }
+        
+        // Filter by staff member (username or user ID), action and role
+        let history = patient.modificationHistory || [];
+        
+        if (user) {
+            const userFilter = String(user).toLowerCase();
+            history = history.filter(entry => entry.user && (
+                entry.user.username === userFilter ||
+                (entry.user.id && entry.user.id.toString() === user)
+            ));
+        }
+        
+        if (action && action !== 'all') {
+            const actions = String(action).split(',');
+            history = history.filter(entry => actions.includes(entry.action));
+        }
+        
+        if (role && role !== 'all') {
+            history = history.filter(entry => entry.role === role);
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                patientName: patient.name,
+                services: currentEncounter?.services || [],
+                history,
+                totalEntries: (patient.modificationHistory || []).length,
+                filteredEntries: history.length
+            },
+            meta: {
+                filters: { user, action, role }
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve patient history', req);
+    }
+});
+
+// 13. Enhanced System Information
+api.get('/system', describe({
+    tags: ['System'],
+    summary: 'Server, feature and database information',
+    data: { type: 'object' }
+}), authenticate, authorize('system:read'), validate, async (req, res) => {
+    try {
+        const dbStats = await mongoose.connection.db.stats();
+        
+        res.json({
+            success: true,
+            data: {
+                version: '4.0.0',
+                environment: process.env.NODE_ENV || 'development',
+                nodeVersion: process.version,
+                uptime: process.uptime(),
+                memory: process.memoryUsage(),
+                features: [
+                    'Enhanced Multi-Service Selection Support',
+                    'Vital Signs Recording (Height, Weight, BP, Pulse, Temperature)',
+                    'Past Medical History (Medical History, Medications, Allergies, Family History, Social History)',
+                    'Editable Completed Records',
+                    'Custom Lab Tests with Others Option',
+                    'Demographics Reporting (Sex Ratio, Age Distribution)',
+                    'Sexual and Reproductive Health Service',
+                    'Dental Consultation Service',
+                    'Enhanced Service Management',
+                    'Backward Compatibility',
+                    'Legacy Service Migration'
+                ],
+                // Defaults for new camps - each camp configures its own offered services
+                supportedServices: await getReferenceValues('services'),
+                vitalSigns: [
+                    'Height (cm)',
+                    'Weight (kg)', 
+                    'Blood Pressure',
+                    'Pulse (bpm)',
+                    'Temperature (°C)'
+                ],
+                pastHistoryFields: [
+                    'Past Medical History',
+                    'Current Medications',
+                    'Allergies',
+                    'Family History',
+                    'Social History'
+                ],
+                labTests: [...await getReferenceValues('labTests'), 'Others (Custom)'],
+                database: {
+                    name: mongoose.connection.name,
+                    collections: dbStats.collections,
+                    dataSize: dbStats.dataSize,
+                    storageSize: dbStats.storageSize,
+                    indexes: dbStats.indexes
+                }
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve system information', req);
+    }
+});
+
+// 14. Enhanced Bulk Operations - Updated with Vital Signs Support
+api.post('/patients/bulk', describe({
+    tags: ['Patients'],
+    summary: 'Delete, restore, update or complete many patients at once',
+    description: 'Each operation also needs its own permission (patients:delete, patients:permanentDelete, patients:restore, patients:clinical for complete).',
+    body: patientRequests.bulkPatients,
+    data: {
+        type: 'object',
+        properties: {
+            operation: { type: 'string' },
+            affectedCount: { type: 'integer' },
+            targetCount: { type: 'integer' },
+            result: { type: 'object' }
+        }
+    }
+}), authenticate, authorize('patients:bulk'), validate, async (req, res) => {
+    try {
+        const { operation, patientIds, updateData, filters } = req.body;
+        console.log(`🔄 Bulk ${operation} for ${patientIds?.length || 0} patients`);
+        
+        // Each operation carries its own permission on top of bulk access
+        const operationPermissions = {
+            delete: 'patients:delete',
+            permanentDelete: 'patients:permanentDelete',
+            restore: 'patients:restore',
+            complete: 'patients:clinical'
+        };
+        
+        if (operationPermissions[operation] && !hasPermission(req, operationPermissions[operation])) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `Your role (${req.user.role}) is not allowed to perform bulk ${operation}`
+            });
+        }
+        
+        let targetIds = patientIds;
+        const campScope = getCampScope(filters?.camp);
+        
+        // If no specific IDs provided, use filters to find patients - deleted ones only when the
+        // filters ask for them (status deleted or includeDeleted), e.g. to restore them
+        if (!targetIds && filters) {
+            const { visitMatch, viewMatch } = await buildPatientFilter(filters);
+            
+            const patients = await Encounter.aggregate([
+                ...buildPatientViewPipeline(visitMatch),
+                { $match: viewMatch },
+                { $group: { _id: '$patientId' } }
+            ]);
+            targetIds = patients.map(p => p._id.toString());
+        }
+        
+        if (!targetIds || targetIds.length === 0) {
+            throw validationError([
+                fieldError('patientIds', 'required', 'Select patients by ID, or with filters that match at least one patient')
+            ], 'No patients specified for bulk operation');
+        }
+        
+        let result;
+        let message;
+        
+        switch (operation) {
+            case 'delete':
+                // Soft delete
+                result = await Patient.updateMany(
+                    { _id: { $in: targetIds }, isDeleted: { $ne: true } },
+                    { 
+                        $set: {
+                            isDeleted: true,
+                            deletedAt: new Date(),
+                            lastModified: new Date()
+                        },
+                        $push: {
+                            modificationHistory: buildHistoryEntry('deleted', { deletedAt: new Date(), bulk: true }, req)
+                        }
+                    }
+                );
+                message = `${result.modifiedCount} patients deleted successfully`;
+                break;
+                
+            case 'permanentDelete':
+                // No history can be kept for removed documents, so log who removed them
+                console.log(`⚠️ Permanent bulk delete by ${req.user.username} (${req.user.role}):`, targetIds);
+                await Encounter.deleteMany({ patient: { $in: targetIds } });
+                result = await Patient.deleteMany({ _id: { $in: targetIds } });
+                message = `${result.deletedCount} patients permanently deleted`;
+                break;
+                
+            case 'restore':
+                result = await Patient.updateMany(
+                    { _id: { $in: targetIds }, isDeleted: true, mergedInto: { $exists: false } },
+                    { 
+                        $set: {
+                            isDeleted: false,
+                            lastModified: new Date()
+                        },
+                        $unset: { deletedAt: 1 },
+                        $push: {
+                            modificationHistory: buildHistoryEntry('restored', { restored: true, bulk: true }, req)
+                        }
+                    }
+                );
+                message = `${result.modifiedCount} patients restored successfully`;
+                break;
+                
+            case 'update':
+                if (!updateData) {
+                    throw validationError([fieldError('updateData', 'required', 'Update data is required for bulk update')]);
+                }
+                
+                const sanitizedUpdateData = patientRequests.withServices(updateData);
+                
+                const restrictedBulkFields = getRestrictedFields(req, sanitizedUpdateData);
+                if (restrictedBulkFields.length > 0) {
+                    return rejectRestrictedFields(res, req, restrictedBulkFields);
+                }
+                
+                // Identity fields go to the patient, visit fields to their most recent visit (in the camp, if filtered)
+                const identityUpdates = pickFields(sanitizedUpdateData, IDENTITY_FIELDS);
+                // bulkWrite skips the save hooks, so the phone and search keys derived from tel and name are set here
+                const derivedUpdates = {
+                    ...(identityUpdates.tel && { telNormalized: normalizePhone(identityUpdates.tel) }),
+                    ...(identityUpdates.name && nameSearchKeys(identityUpdates.name))
+                };
+                const encounterUpdates = pickFields(sanitizedUpdateData, ENCOUNTER_FIELDS);
+                
+                await checkFamilyGroup(identityUpdates.familyGroup, 'updateData.familyGroup');
+                
+                const [patientsToUpdate, currentEncounters, alertRules] = await Promise.all([
+                    Patient.find({ _id: { $in: targetIds }, isDeleted: { $ne: true } }).select('-modificationHistory').lean(),
+                    findCurrentEncounters(targetIds, campScope),
+                    getAlertRules()
+                ]);
+                
+                // Handle services in bulk update - must be offered by every camp involved
+                if (encounterUpdates.services) {
+                    const campIds = [...new Set([...currentEncounters.values()].map(encounter => encounter.camp?.toString() || null))];
+                    const campsToCheck = campIds.length > 0 ? campIds : [null];
+                    
+                    for (const campId of campsToCheck) {
+                        const serviceProblems = patientRequests.serviceErrors(encounterUpdates.services, await getValidServices(campId))
+                            .map(problem => ({ ...problem, field: `updateData.${problem.field}` }));
+                        if (serviceProblems.length > 0) {
+                            throw validationError(serviceProblems, 'Invalid services in bulk update');
+                        }
+                    }
+                }
+                
+                const now = new Date();
+                const patientOperations = [];
+                const encounterOperations = [];
+                
+                // One write per patient so each history entry records that patient's own changes
+                patientsToUpdate.forEach(current => {
+                    const encounter = currentEncounters.get(current._id.toString());
+                    const changes = diffChanges(toPatientView(current, encounter), {
+                        ...identityUpdates,
+                        ...(encounter ? encounterUpdates : {})
+                    });
+                    
+                    patientOperations.push({
+                        updateOne: {
+                            filter: { _id: current._id },
+                            update: {
+                                $set: { ...identityUpdates, ...derivedUpdates, lastModified: now },
+                                $push: {
+                                    modificationHistory: buildHistoryEntry('updated', { ...changes, bulk: true }, req, encounter?._id)
+                                }
+                            }
+                        }
+                    });
+                    
+                    if (encounter && Object.keys(encounterUpdates).length > 0) {
+                        const labOrderUpdates = Array.isArray(encounterUpdates.labTests)
+                            ? { labOrders: syncLabOrders(encounter.labOrders, encounterUpdates.labTests, req) }
+                            : {};
+                        if (encounterUpdates.services) {
+                            labOrderUpdates.serviceQueue = syncServiceQueue(encounter.serviceQueue, encounterUpdates.services);
+                        }
+                        
+                        // bulkWrite skips the schema hooks, so derive vitals and alerts here
+                        const clinicalUpdates = {};
+                        if (encounterUpdates.vitalSigns || labOrderUpdates.labOrders) {
+                            const vitalSigns = encounterUpdates.vitalSigns ? deriveVitalSigns(encounterUpdates.vitalSigns) : encounter.vitalSigns;
+                            if (encounterUpdates.vitalSigns) clinicalUpdates.vitalSigns = vitalSigns;
+                            Object.assign(clinicalUpdates, evaluateAlerts({
+                                vitalSigns,
+                                labOrders: labOrderUpdates.labOrders || encounter.labOrders
+                            }, alertRules));
+                        }
+                        
+                        encounterOperations.push({
+                            updateOne: {
+                                filter: { _id: encounter._id },
+                                update: { $set: { ...encounterUpdates, ...labOrderUpdates, ...clinicalUpdates, lastModified: now } }
+                            }
+                        });
+                    }
+                });
+                
+                if (encounterOperations.length > 0) {
+                    await Encounter.bulkWrite(encounterOperations);
+                }
+                
+                result = patientOperations.length > 0
+                    ? await Patient.bulkWrite(patientOperations)
+                    : { modifiedCount: 0 };
+                message = `${result.modifiedCount} patients updated successfully`;
+                break;
+                
+            case 'complete':
+                // Completes each patient's open visit (in the camp, if filtered)
+                const openEncounters = await Encounter.find({
+                    ...campScope,
+                    patient: { $in: targetIds },
+                    status: 'registered'
+                }).select('_id patient');
+                const activeIds = new Set((await Patient.find({
+                    _id: { $in: openEncounters.map(encounter => encounter.patient) },
+                    isDeleted: { $ne: true }
+                }).select('_id')).map(patient => patient._id.toString()));
+                const encountersToComplete = openEncounters.filter(encounter => activeIds.has(encounter.patient.toString()));
+                
+                // Anyone still queued for a service is taken off the waiting list as seen
+                result = await Encounter.updateMany(
+                    { _id: { $in: encountersToComplete.map(encounter => encounter._id) } },
+                    { 
+                        $set: {
+                            status: 'completed',
+                            completionDate: new Date(),
+                            lastModified: new Date(),
+                            'serviceQueue.$[pending].status': 'done',
+                            'serviceQueue.$[pending].finishedAt': new Date(),
+                            'serviceQueue.$[pending].finishedBy': staffStamp(req)
+                        }
+                    },
+                    { arrayFilters: [{ 'pending.status': { $in: ['waiting', 'called', 'in_consultation'] } }] }
+                );
+                
+                if (encountersToComplete.length > 0) {
+                    await Patient.bulkWrite(encountersToComplete.map(encounter => ({
+                        updateOne: {
+                            filter: { _id: encounter.patient },
+                            update: {
+                                $push: {
+                                    modificationHistory: buildHistoryEntry('completed', {
+                                        status: { from: 'registered', to: 'completed' },
+                                        bulk: true
+                                    }, req, encounter._id)
+                                }
+                            }
+                        }
+                    })));
+                }
+                message = `${result.modifiedCount} patients marked as completed`;
+                break;
+                
+            default:
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'Invalid operation type',
+                    validOperations: patientRequests.BULK_OPERATIONS
+                });
+        }
+        
+        console.log(`✅ Bulk ${operation} completed:`, result);
+        publishQueueEvent(campScope.camp, 'bulk', { operation });
+        
+        res.json({ 
+            success: true,
+            message,
+            data: {
+                operation,
+                affectedCount: result.modifiedCount || result.deletedCount || 0,
+                targetCount: targetIds.length,
+                result
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Bulk operation failed', req);
+    }
+});
+
+// ===== AUTHENTICATION & USER MANAGEMENT =====
+
+// 15. Login
+api.post('/auth/login', describe({
+    tags: ['Authentication'],
+    summary: 'Log in with username and password',
+    body: userRequests.login,
+    data: {
+        type: 'object',
+        required: ['token', 'user', 'permissions'],
+        properties: {
+            token: { type: 'string', description: 'Send as Authorization: Bearer <token>' },
+            expiresIn: { type: 'string' },
+            user: ref('User'),
+            permissions: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    errors: { 401: 'Invalid credentials' }
+}), validate, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        console.log('🔐 Login attempt:', username);
+
+        const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+        const passwordValid = user ? await user.verifyPassword(password) : false;
+
+        if (!user || !passwordValid || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials',
+                message: 'Incorrect username or password'
+            });
+        }
+
+        user.lastLogin = new Date();
+        await user.save();
+
+        console.log('✅ Logged in:', user.username, `(${user.role})`);
+
+        res.json({
+            success: true,
+            message: `Welcome, ${user.name}`,
+            data: {
+                token: signToken(user),
+                expiresIn: JWT_EXPIRES_IN,
+                user,
+                permissions: user.getPermissions()
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Login failed', req);
+    }
+});
+
+// 16. Logout - revokes the current token
+api.post('/auth/logout', describe({
+    tags: ['Authentication'],
+    summary: 'Revoke the current token'
+}), authenticate, validate, async (req, res) => {
+    try {
+        await RevokedToken.updateOne(
+            { jti: req.auth.jti },
+            { jti: req.auth.jti, expiresAt: new Date(req.auth.exp * 1000) },
+            { upsert: true }
+        );
+
+        console.log('👋 Logged out:', req.user.username);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Logout failed', req);
+    }
+});
+
+// 17. Current User
+api.get('/auth/me', describe({
+    tags: ['Authentication'],
+    summary: 'The logged-in staff member and their permissions',
+    data: {
+        type: 'object',
+        properties: { user: ref('User'), permissions: { type: 'array', items: { type: 'string' } } }
+    }
+}), authenticate, validate, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            user: req.user,
+            permissions: req.user.getPermissions()
+        }
+    });
+});
+
+// 18. Change Own Password
+api.post('/auth/password', describe({
+    tags: ['Authentication'],
+    summary: 'Change own password',
+    body: userRequests.changePassword
+}), authenticate, validate, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!(await req.user.verifyPassword(currentPassword))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid password',
+                message: 'Current password is incorrect'
+            });
+        }
+
+        await req.user.setPassword(newPassword);
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to change password', req);
+    }
+});
+
+// 19. List Staff Accounts
+api.get('/users', describe({
+    tags: ['Users'],
+    summary: 'List staff accounts',
+    data: { type: 'array', items: ref('User') },
+    meta: { type: 'object', properties: { roles: { type: 'array', items: { type: 'string' } }, count: { type: 'integer' } } }
+}), authenticate, authorize('users:manage'), validate, async (req, res) => {
+    try {
+        const users = await User.find().sort({ role: 1, username: 1 });
+
+        res.json({
+            success: true,
+            data: users,
+            meta: {
+                roles: ROLES,
+                count: users.length
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve users', req);
+    }
+});
+
+// 20. Create Staff Account
+api.post('/users', describe({
+    tags: ['Users'],
+    summary: 'Create a staff account',
+    body: userRequests.createUser,
+    status: 201,
+    data: ref('User'),
+    errors: { 409: 'Username taken' }
+}), authenticate, authorize('users:manage'), validate, async (req, res) => {
+    try {
+        const { username, name, role, password } = req.body;
+        console.log('👤 Creating user:', username, role);
+
+        const existingUser = await User.findOne({ username: String(username || '').toLowerCase() });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                error: 'Duplicate username',
+                message: `A user with username "${username}" already exists`
+            });
+        }
+
+        const user = new User({ username, name, role });
+        await user.setPassword(password);
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: `User ${user.username} created with role ${user.role}`,
+            data: user
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to create user', req);
+    }
+});
+
+// 21. Update Staff Account (name, role, active flag, password reset)
+api.put('/users/:id', describe({
+    tags: ['Users'],
+    summary: 'Change a staff member\'s name, role or active flag, or reset their password',
+    params: ID_PARAMS,
+    body: userRequests.updateUser,
+    data: ref('User'),
+    errors: { 404: 'User not found' }
+}), authenticate, authorize('users:manage'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, role, isActive, password } = req.body;
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        // Admins cannot lock themselves out
+        if (user._id.equals(req.user._id) && ((role && role !== 'admin') || isActive === false)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid operation',
+                message: 'You cannot remove your own admin role or deactivate your own account'
+            });
+        }
+
+        if (name !== undefined) user.name = name;
+        if (role !== undefined) user.role = role;
+        if (isActive !== undefined) user.isActive = Boolean(isActive);
+        if (password) await user.setPassword(password);
+
+        await user.save();
+
+        console.log('✅ User updated:', user.username);
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            data: user
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to update user', req);
+    }
+});
+
+// ===== HEALTH CAMPS =====
+
+// 22. List Camps
+api.get('/camps', describe({
+    tags: ['Camps'],
+    summary: 'List health camps with registration counts',
+    query: { active: { enum: ['true', 'false'] } },
+    data: { type: 'array', items: ref('Camp') },
+    meta: { type: 'object', properties: { count: { type: 'integer' } } }
+}), authenticate, validate, async (req, res) => {
+    try {
+        const { active } = req.query;
+        console.log('🏕️ Getting camps');
+
+        const query = {};
+        if (active === 'true') query.isActive = true;
+        if (active === 'false') query.isActive = false;
+
+        const [camps, registrationCounts] = await Promise.all([
+            Camp.find(query).sort({ startDate: -1 }).lean(),
+            Encounter.aggregate([
+                { $match: { camp: { $exists: true } } },
+                {
+                    $lookup: {
+                        from: Patient.collection.name,
+                        localField: 'patient',
+                        foreignField: '_id',
+                        as: 'patient'
+                    }
+                },
+                { $match: { 'patient.isDeleted': { $ne: true } } },
+                { $group: { _id: '$camp', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countsByCamp = registrationCounts.reduce((acc, item) => {
+            acc[item._id.toString()] = item.count;
+            return acc;
+        }, {});
+
+        res.json({
+            success: true,
+            data: camps.map(camp => ({
+                ...camp,
+                patientCount: countsByCamp[camp._id.toString()] || 0
+            })),
+            meta: { count: camps.length }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve camps', req);
+    }
+});
+
+// 23. Get Single Camp
+api.get('/camps/:id', describe({
+    tags: ['Camps'],
+    summary: 'Get a camp',
+    params: ID_PARAMS,
+    data: ref('Camp'),
+    errors: { 404: 'Camp not found' }
+}), authenticate, validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const camp = await Camp.findById(id);
+        if (!camp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: camp
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve camp', req);
+    }
+});
+
+// 24. Create Camp
+api.post('/camps', describe({
+    tags: ['Camps'],
+    summary: 'Create a camp with its offered services and lab tests',
+    body: campRequests.createCamp,
+    status: 201,
+    data: ref('Camp')
+}), authenticate, authorize('camps:manage'), validate, async (req, res) => {
+    try {
+        const { name, location, description, startDate, endDate, timezone, services, labTests, isActive } = req.body;
+        console.log('🏕️ Creating camp:', name);
+
+        // Services and lab tests not chosen default to what the reference lists currently offer
+        const camp = new Camp({
+            name, location, description, startDate, endDate, timezone, isActive,
+            services: services || await getReferenceValues('services'),
+            labTests: labTests || await getReferenceValues('labTests')
+        });
+
+        await camp.save();
+
+        console.log('✅ Camp created:', camp.name);
+
+        res.status(201).json({
+            success: true,
+            message: `Camp ${camp.name} created successfully`,
+            data: camp
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to create camp', req);
+    }
+});
+
+// 25. Update Camp
+api.put('/camps/:id', describe({
+    tags: ['Camps'],
+    summary: 'Change camp details, services or lab tests',
+    params: ID_PARAMS,
+    body: campRequests.updateCamp,
+    data: ref('Camp'),
+    errors: { 404: 'Camp not found' }
+}), authenticate, authorize('camps:manage'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log('🏕️ Updating camp:', id);
+
+        const camp = await Camp.findById(id);
+        if (!camp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
+        }
+
+        // Removing a service only affects new registrations - existing records keep their services
+        const updates = pickFields(req.body, ['name', 'location', 'description', 'startDate', 'endDate', 'timezone', 'isActive', 'services', 'labTests']);
+        camp.set(updates);
+
+        await camp.save();
+
+        console.log('✅ Camp updated:', camp.name);
+
+        res.json({
+            success: true,
+            message: 'Camp updated successfully',
+            data: camp
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to update camp', req);
+    }
+});
+
+// 26. Delete Camp - only when nothing is registered against it
+api.delete('/camps/:id', describe({
+    tags: ['Camps'],
+    summary: 'Delete a camp that has no registrations',
+    params: ID_PARAMS,
+    data: { type: 'object', properties: { id: ref('ObjectId'), name: { type: 'string' } } },
+    errors: { 404: 'Camp not found', 409: 'Camp has registrations' }
+}), authenticate, authorize('camps:manage'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log('🗑️ Deleting camp:', id);
+
+        const camp = await Camp.findById(id);
+        if (!camp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
+        }
+
+        const registrations = await Encounter.countDocuments({ camp: id });
+        if (registrations > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Camp has registrations',
+                message: `${camp.name} has ${registrations} registration${registrations > 1 ? 's' : ''}. Close the camp instead of deleting it`,
+                registrations
+            });
+        }
+
+        await Camp.findByIdAndDelete(id);
+
+        res.json({
+            success: true,
+            message: 'Camp deleted successfully',
+            data: {
+                id: camp._id,
+                name: camp.name
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to delete camp', req);
+    }
+});
+
+// ===== PATIENT VISITS (ENCOUNTERS) =====
+
+// 27. List a Patient's Visits
+api.get('/patients/:id/encounters', describe({
+    tags: ['Visits'],
+    summary: "List a patient's visits across camps, newest first",
+    params: ID_PARAMS,
+    data: { type: 'array', items: ref('Visit') },
+    meta: {
+        type: 'object',
+        properties: {
+            patient: { type: 'object', properties: { id: ref('ObjectId'), name: { type: 'string' }, tel: { type: 'string' }, isDeleted: { type: 'boolean' } } },
+            count: { type: 'integer' }
+        }
+    },
+    errors: { 404: 'Patient not found' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log('🗓️ Getting visits for patient:', id);
+
+        const patient = await Patient.findById(id).select('name tel isDeleted');
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                error: 'Patient not found'
+            });
+        }
+
+        const encounters = await Encounter.find({ patient: id })
+            .sort({ createdAt: -1 })
+            .populate('camp', 'name location startDate endDate');
+
+        res.json({
+            success: true,
+            data: encounters,
+            meta: {
+                patient: {
+                    id: patient._id,
+                    name: patient.name,
+                    tel: patient.tel,
+                    isDeleted: patient.isDeleted
+                },
+                count: encounters.length
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve visits', req);
     }
-};
+});
 
-// ===== API ENDPOINTS =====
+// 28. Start a New Visit for a Returning Patient
+api.post('/patients/:id/encounters', describe({
+    tags: ['Visits'],
+    summary: 'Start a new visit for a returning patient at a camp',
+    description: 'Devices working offline may send the encounterId they generated; a visit already started with that id is returned with meta.alreadySynced.',
+    params: ID_PARAMS,
+    body: patientRequests.startVisit,
+    status: 201,
+    data: ref('PatientView'),
+    meta: { type: 'object', properties: { alreadySynced: { type: 'boolean' } } },
+    errors: { 404: 'Patient or camp not found', 409: 'Visit already open at this camp', 410: 'Patient deleted' }
+}), authenticate, authorize('patients:create'), validate, idempotent, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const inputData = patientRequests.withServices(req.body);
+        console.log('🗓️ Starting new visit for patient:', id);
 
-// 1. Enhanced Health Check
-app.get('/api/health', async (req, res) => {
+        const patient = await Patient.findById(id).select('-modificationHistory');
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                error: 'Patient not found'
+            });
+        }
+
+        if (patient.isDeleted) {
+            return res.status(410).json({
+                success: false,
+                error: 'Patient has been deleted',
+                message: 'Restore the patient before starting a new visit'
+            });
+        }
+
+        // Visits started offline carry the ID the device generated for them
+        if (inputData.encounterId !== undefined) {
+            const existingEncounter = await Encounter.findOne({ _id: inputData.encounterId, patient: id });
+            if (existingEncounter) {
+                return res.json({
+                    success: true,
+                    message: `Visit for ${patient.name} was already started`,
+                    data: toPatientView(patient, existingEncounter),
+                    meta: { alreadySynced: true }
+                });
+            }
+        }
+
+        const camp = await Camp.findById(inputData.camp);
+        if (!camp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
+        }
+
+        if (!camp.isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'Camp is closed',
+                message: `${camp.name} is no longer accepting registrations`
+            });
+        }
+
+        const services = inputData.services || [];
+        const serviceProblems = patientRequests.serviceErrors(services, camp.services, camp.name);
+        if (serviceProblems.length > 0) {
+            throw validationError(serviceProblems, 'Invalid services');
+        }
+
+        // One open visit per patient per camp
+        const openEncounter = await Encounter.findOne({ patient: id, camp: camp._id, status: 'registered' });
+        if (openEncounter) {
+            return res.status(409).json({
+                success: false,
+                error: 'Visit already open',
+                message: `${patient.name} already has an open visit at ${camp.name}`,
+                encounterId: openEncounter._id
+            });
+        }
+
+        const encounterData = { patient: patient._id, camp: camp._id, services };
+        if (inputData.encounterId) encounterData._id = inputData.encounterId;
+        if (inputData.triagePriority !== undefined) encounterData.triagePriority = inputData.triagePriority;
+        if (inputData.vitalSigns) {
+            encounterData.vitalSigns = {};
+            ['height', 'weight', 'bloodPressure', 'pulse', 'temperature'].forEach(field => {
+                if (inputData.vitalSigns[field]) encounterData.vitalSigns[field] = inputData.vitalSigns[field];
+            });
+        }
+
+        const encounter = new Encounter(encounterData);
+        await encounter.save();
+
+        await addModificationHistory(patient._id, 'created', {
+            camp: camp._id,
+            services,
+            vitalSigns: encounterData.vitalSigns,
+            returningPatient: true
+        }, req, encounter._id);
+
+        console.log('✅ New visit started:', patient.name, 'at', camp.name);
+        publishQueueEvent(camp._id, 'visit-created', { encounterId: encounter._id });
+
+        res.status(201).json({
+            success: true,
+            message: `New visit started for ${patient.name} at ${camp.name}`,
+            data: toPatientView(patient, encounter)
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to start visit', req);
+    }
+});
+
+// ===== LAB =====
+
+// 29. Lab Test Catalog - result type, unit and reference range per test
+api.get('/lab/tests', describe({
+    tags: ['Lab'],
+    summary: 'Lab test catalog with result types, units and reference ranges',
+    data: { type: 'array', items: { type: 'object', properties: { test: { type: 'string' }, resultType: { type: 'string' } } } },
+    meta: {
+        type: 'object',
+        properties: {
+            statuses: { type: 'array', items: { type: 'string' } },
+            qualitativeResults: { type: 'array', items: { type: 'string' } }
+        }
+    }
+}), authenticate, authorize('lab:read'), validate, async (req, res) => {
     try {
-        console.log('💓 Health check requested');
-        
-        // Test database connection
-        await mongoose.connection.db.admin().ping();
+        const labTests = await getReferenceValues('labTests');
         
-        // Get comprehensive stats
-        const [
-            totalPatients,
-            activePatients,
-            pendingPatients,
-            completedPatients,
-            deletedPatients,
-            recentRegistrations
-        ] = await Promise.all([
-            Patient.countDocuments(),
-            Patient.countDocuments({ isDeleted: { $ne: true } }),
-            Patient.countDocuments({ status: 'registered', isDeleted: { $ne: true } }),
-            Patient.countDocuments({ status: 'completed', isDeleted: { $ne: true } }),
-            Patient.countDocuments({ isDeleted: true }),
-            Patient.countDocuments({
-                createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
-                isDeleted: { $ne: true }
-            })
-        ]);
-        
-        res.json({ 
+        res.json({
             success: true,
-            status: 'OK',
-            timestamp: new Date().toISOString(),
-            mongoStatus: 'connected',
-            environment: process.env.NODE_ENV || 'development',
-            version: '4.0.0',
-            features: [
-                'Enhanced Multi-Service Selection Support',
-                'Vital Signs Recording',
-                'Past Medical History',
-                'Editable Completed Records',
-                'Custom Lab Tests with Others Option',
-                'Demographics Reporting (Sex Ratio, Age Distribution)',
-                'Sexual and Reproductive Health Service',
-                'Dental Consultation Service',
-                'Enhanced Service Management'
-            ],
-            stats: {
-                totalPatients,
-                activePatients,
-                pendingPatients,
-                completedPatients,
-                deletedPatients,
-                recentRegistrations,
-                completionRate: activePatients > 0 ? Math.round((completedPatients / activePatients) * 100) : 0
-            },
-            uptime: process.uptime(),
-            memory: process.memoryUsage()
+            data: labTests.map(test => ({ test, ...getLabTestDefinition(test) })),
+            meta: {
+                statuses: LAB_ORDER_STATUSES,
+                qualitativeResults: QUALITATIVE_RESULTS
+            }
         });
     } catch (error) {
-        handleError(res, error, 'Health check failed', req);
+        handleError(res, error, 'Failed to retrieve lab test catalog', req);
     }
 });
 
-// 2. Get All Patients - Enhanced with advanced filtering
-app.get('/api/patients', async (req, res) => {
+// 30. Lab Worklist - one row per order, oldest first
+api.get('/lab/worklist', describe({
+    tags: ['Lab'],
+    summary: 'Lab orders awaiting work, oldest first - one row per order',
+    query: {
+        ...CAMP_QUERY,
+        status: { type: 'string', description: `Comma-separated (${LAB_ORDER_STATUSES.join(', ')}) or all` },
+        test: { type: 'string' },
+        page: PAGE_QUERY.page,
+        limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'Orders per page (default 200)' }
+    },
+    data: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                order: ref('LabOrder'),
+                encounterId: ref('ObjectId'),
+                services: { type: 'array', items: { type: 'string' } },
+                patient: { type: 'object' }
+            }
+        }
+    },
+    paginated: true
+}), authenticate, authorize('lab:read'), validate, async (req, res) => {
     try {
-        console.log('📋 Getting patients with filters:', req.query);
-        
-        const { 
-            page = 1, 
-            limit = 1000, 
-            sort = '-createdAt',
-            status,
-            service,
-            services,
-            familyGroup,
-            search,
-            includeDeleted = 'false',
-            dateFrom,
-            dateTo
-        } = req.query;
+        const { camp, status = 'ordered,sample_collected', test, page = 1, limit = 200 } = req.query;
+        console.log('🧪 Loading lab worklist:', status);
+        
+        const orderMatch = {};
+        if (status !== 'all') {
+            const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+            const invalidStatuses = statuses.filter(s => !LAB_ORDER_STATUSES.includes(s));
+            if (invalidStatuses.length > 0) {
+                throw validationError([
+                    fieldError('query.status', 'invalid_choice', `Status must be all or a comma-separated list of: ${LAB_ORDER_STATUSES.join(', ')}`)
+                ], 'Invalid lab order status');
+            }
+            orderMatch['labOrders.status'] = { $in: statuses };
+        }
+        if (test && test !== 'all') {
+            orderMatch['labOrders.test'] = test;
+        }
         
-        // Build query
-        let query = {};
+        const campScope = getCampScope(camp);
+        
+        const [result] = await Encounter.aggregate([
+            { $match: { ...campScope, ...orderMatch } },
+            { $unwind: '$labOrders' },
+            { $match: orderMatch },
+            {
+                $lookup: {
+                    from: Patient.collection.name,
+                    localField: 'patient',
+                    foreignField: '_id',
+                    as: 'patient'
+                }
+            },
+            { $unwind: '$patient' },
+            { $match: { 'patient.isDeleted': { $ne: true } } },
+            {
+                $facet: {
+                    data: [
+                        { $sort: { 'labOrders.orderedAt': 1 } },
+                        { $skip: (parseInt(page) - 1) * parseInt(limit) },
+                        { $limit: parseInt(limit) },
+                        {
+                            $project: {
+                                _id: 0,
+                                order: '$labOrders',
+                                encounterId: '$_id',
+                                camp: '$camp',
+                                services: '$services',
+                                patient: {
+                                    _id: '$patient._id',
+                                    name: '$patient.name',
+                                    age: '$patient.age',
+                                    sex: '$patient.sex',
+                                    tel: '$patient.tel',
+                                    familyGroup: '$patient.familyGroup'
+                                }
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
         
-        // Exclude deleted by default
-        if (includeDeleted !== 'true') {
-            query.isDeleted = { $ne: true };
-        }
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: buildPagination(page, limit, result.total[0]?.count || 0)
+        });
         
-        if (status && status !== 'all') {
-            query.status = status;
-        }
+    } catch (error) {
+        handleError(res, error, 'Failed to load lab worklist', req);
+    }
+});
+
+// 31. Order Lab Tests for a Visit
+api.post('/lab/orders', describe({
+    tags: ['Lab'],
+    summary: 'Order lab tests for a visit',
+    body: labOrderRequests.createLabOrders,
+    status: 201,
+    data: ref('PatientView'),
+    meta: { type: 'object', properties: { ordered: { type: 'array', items: { type: 'string' } } } },
+    errors: { 404: 'Visit not found', 409: 'Tests already ordered', 410: 'Patient deleted' }
+}), authenticate, authorize('lab:order'), validate, async (req, res) => {
+    try {
+        const { encounterId, tests: requestedTests, reason } = req.body;
+        console.log('🧪 Ordering lab tests for visit:', encounterId);
         
-        if (service || services) {
-            const targetService = service || services;
-            query.$or = [
-                { service: targetService },
-                { services: targetService }
-            ];
+        const encounter = await Encounter.findById(encounterId);
+        if (!encounter) {
+            return res.status(404).json({
+                success: false,
+                error: 'Visit not found'
+            });
         }
         
-        if (familyGroup && familyGroup !== 'all') {
-            query.familyGroup = familyGroup;
+        const patient = await Patient.findById(encounter.patient).select('-modificationHistory');
+        if (!patient || patient.isDeleted) {
+            return res.status(410).json({
+                success: false,
+                error: 'Patient has been deleted',
+                message: 'Cannot order tests for a deleted patient'
+            });
         }
         
-        if (search && search.trim()) {
-            const searchRegex = new RegExp(search.trim(), 'i');
-            query.$or = [
-                { name: searchRegex },
-                { tel: { $regex: search.trim().replace(/\D/g, ''), $options: 'i' } }
-            ];
-        }
+        // Tests already on order are left alone
+        const activeTests = new Set(activeLabTests(encounter.labOrders));
+        const newTests = [...new Set(requestedTests)].filter(test => !activeTests.has(test));
         
-        // Date range filtering
-        if (dateFrom || dateTo) {
-            query.createdAt = {};
-            if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-            if (dateTo) {
-                const endDate = new Date(dateTo);
-                endDate.setHours(23, 59, 59, 999);
-                query.createdAt.$lte = endDate;
-            }
+        if (newTests.length === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Tests already ordered',
+                message: `${requestedTests.join(', ')} already ordered for this visit`
+            });
         }
         
-        // Execute query with pagination
-        const patients = await Patient.find(query)
-            .sort(sort)
-            .limit(parseInt(limit))
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .lean();
-        
-        const total = await Patient.countDocuments(query);
+        newTests.forEach(test => encounter.labOrders.push(buildLabOrder(test, req)));
+        encounter.labTests = activeLabTests(encounter.labOrders);
+        await encounter.save();
         
-        console.log(`✅ Found ${patients.length} patients (${total} total)`);
+        await addModificationHistory(patient._id, 'updated', {
+            labOrders: { from: [...activeTests], to: encounter.labTests },
+            ...(reason ? { reason } : {})
+        }, req, encounter._id);
         
-        // Return patients array for backward compatibility if no pagination requested
-        if (!req.query.page && !req.query.limit) {
-            return res.json(patients);
-        }
+        console.log('✅ Lab tests ordered:', newTests.join(', '), 'for', patient.name);
         
-        res.json({
+        res.status(201).json({
             success: true,
-            data: patients,
-            pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil(total / parseInt(limit)),
-                totalPatients: total,
-                hasNext: parseInt(page) * parseInt(limit) < total,
-                hasPrev: parseInt(page) > 1,
-                limit: parseInt(limit)
-            },
-            query: query,
-            filters: { status, service, services, familyGroup, search, includeDeleted }
+            message: `${newTests.length} lab test${newTests.length > 1 ? 's' : ''} ordered for ${patient.name}`,
+            data: toPatientView(patient, encounter),
+            meta: { ordered: newTests }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to retrieve patients', req);
+        handleError(res, error, 'Failed to order lab tests', req);
     }
 });
 
-// 3. Create New Patient - Enhanced with Vital Signs Support
-app.post('/api/patients', async (req, res) => {
+// 32. Update a Lab Order - sample collection, result entry or cancellation
+api.patch('/lab/orders/:orderId', describe({
+    tags: ['Lab'],
+    summary: 'Record sample collection, enter or correct a result, or cancel a lab order',
+    description: 'A result without a status marks the order resulted.',
+    params: { orderId: ref('ObjectId') },
+    body: labOrderRequests.updateLabOrder,
+    data: ref('LabOrder'),
+    meta: {
+        type: 'object',
+        properties: {
+            encounterId: ref('ObjectId'),
+            patient: { type: 'object', properties: { _id: ref('ObjectId'), name: { type: 'string' } } }
+        }
+    },
+    errors: { 404: 'Lab order not found', 409: 'Invalid status change', 410: 'Patient deleted' }
+}), authenticate, authorize('lab:write'), validate, async (req, res) => {
     try {
-        console.log('➕ Creating new patient:', req.body.name);
-        
-        // Sanitize and validate input
-        const inputData = sanitizeInput(req.body);
-        
-        const patientData = {
-            name: inputData.name,
-            age: inputData.age,
-            sex: inputData.sex,
-            occupation: inputData.occupation || '',
-            tel: inputData.tel,
-            familyGroup: inputData.familyGroup,
-            status: 'registered'
-        };
-        
-        // Handle services - prioritize services array, support both single and multiple
-        if (inputData.services && Array.isArray(inputData.services) && inputData.services.length > 0) {
-            patientData.services = inputData.services.filter(s => s && s.trim());
-        } else if (inputData.service && inputData.service.trim()) {
-            patientData.services = [inputData.service.trim()];
-        } else {
-            return res.status(400).json({ 
+        const { orderId } = req.params;
+        const { result, notes, cancelReason } = req.body;
+        // Submitting a result without a status means the order is resulted
+        const status = req.body.status || (result ? 'resulted' : undefined);
+        console.log('🧪 Updating lab order:', orderId, status || '');
+        
+        const encounter = await Encounter.findOne({ 'labOrders._id': orderId });
+        if (!encounter) {
+            return res.status(404).json({
                 success: false,
-                error: 'Services required', 
-                message: 'At least one service must be specified' 
+                error: 'Lab order not found'
             });
         }
         
-        // Handle vital signs
-        if (inputData.vitalSigns) {
-            patientData.vitalSigns = {};
-            if (inputData.vitalSigns.height) patientData.vitalSigns.height = inputData.vitalSigns.height;
-            if (inputData.vitalSigns.weight) patientData.vitalSigns.weight = inputData.vitalSigns.weight;
-            if (inputData.vitalSigns.bloodPressure) patientData.vitalSigns.bloodPressure = inputData.vitalSigns.bloodPressure;
-            if (inputData.vitalSigns.pulse) patientData.vitalSigns.pulse = inputData.vitalSigns.pulse;
-            if (inputData.vitalSigns.temperature) patientData.vitalSigns.temperature = inputData.vitalSigns.temperature;
-        }
-        
-        // Validate required fields
-        const requiredFields = ['name', 'age', 'sex', 'tel', 'familyGroup'];
-        const missingFields = requiredFields.filter(field => !patientData[field]);
-        
-        if (missingFields.length > 0) {
-            return res.status(400).json({
+        const patient = await Patient.findById(encounter.patient).select('-modificationHistory');
+        if (!patient || patient.isDeleted) {
+            return res.status(410).json({
                 success: false,
-                error: 'Missing required fields',
-                message: `Please provide: ${missingFields.join(', ')}`,
-                missingFields
+                error: 'Patient has been deleted',
+                message: 'Cannot update lab orders of a deleted patient'
             });
         }
         
-        // Validate services
-        const validServices = [
-            'General consultations', 
-            'Eye consultation', 
-            'Gynaecology', 
-            'Cervical cancer screening', 
-            'Sexual and reproductive health',
-            'Dental consultation'
-        ];
+        const order = encounter.labOrders.id(orderId);
+        const previous = order.toObject();
         
-        const invalidServices = patientData.services.filter(service => !validServices.includes(service));
-        if (invalidServices.length > 0) {
-            return res.status(400).json({
+        // ordered -> sample_collected -> resulted; anything not yet resulted can be cancelled.
+        // Resulted orders may be resulted again to correct a mistake.
+        const allowedTransitions = {
+            ordered: ['sample_collected', 'resulted', 'cancelled'],
+            sample_collected: ['resulted', 'cancelled'],
+            resulted: ['resulted'],
+            cancelled: []
+        };
+        
+        if (status && !allowedTransitions[order.status].includes(status)) {
+            return res.status(409).json({
                 success: false,
-                error: 'Invalid services',
-                message: `Invalid services: ${invalidServices.join(', ')}. Valid services are: ${validServices.join(', ')}`,
-                invalidServices,
-                validServices
+                error: 'Invalid status change',
+                message: `A ${order.status.replace(/_/g, ' ')} ${order.test} order cannot be marked ${status.replace(/_/g, ' ')}`,
+                currentStatus: order.status
             });
         }
         
-        // Check for duplicate phone number
-        const existingPatient = await Patient.findOne({ 
-            tel: patientData.tel,
-            isDeleted: { $ne: true }
-        });
+        const now = new Date();
+        const stamp = staffStamp(req);
         
-        if (existingPatient) {
-            return res.status(409).json({ 
-                success: false,
-                error: 'Duplicate phone number', 
-                message: `A patient with phone number ${patientData.tel} already exists`,
-                existingPatient: {
-                    id: existingPatient._id,
-                    name: existingPatient.name,
-                    registrationDate: existingPatient.registrationDate
-                }
-            });
+        if (status === 'sample_collected') {
+            order.sampleCollectedAt = now;
+            order.sampleCollectedBy = stamp;
+        } else if (status === 'resulted') {
+            const labResult = buildLabResult(order, result);
+            if (labResult.error) {
+                throw validationError([fieldError('result', 'invalid', labResult.error)], 'Invalid lab result');
+            }
+            
+            order.result = labResult.result;
+            order.resultedAt = now;
+            order.resultedBy = stamp;
+            if (!order.sampleCollectedAt) {
+                order.sampleCollectedAt = now;
+                order.sampleCollectedBy = stamp;
+            }
+        } else if (status === 'cancelled') {
+            order.cancelledAt = now;
+            order.cancelledBy = stamp;
+            order.cancelReason = cancelReason || 'Cancelled by lab';
         }
         
-        // Create and save patient
-        const patient = new Patient(patientData);
-        await patient.save();
+        if (status) order.status = status;
+        if (notes !== undefined) order.notes = notes;
         
-        // Add creation history
-        await addModificationHistory(patient._id, 'created', patientData, req);
+        encounter.labTests = activeLabTests(encounter.labOrders);
+        await encounter.save();
         
-        console.log('✅ Patient created successfully:', {
-            id: patient._id,
-            name: patient.name,
-            tel: patient.tel,
-            services: patient.services,
-            vitalSigns: patient.vitalSigns ? 'included' : 'none'
+        const updated = encounter.labOrders.id(orderId).toObject();
+        const changes = diffChanges(
+            { status: previous.status, result: previous.result, notes: previous.notes },
+            { status: updated.status, result: updated.result, notes: updated.notes }
+        );
+        await addModificationHistory(patient._id, 'updated', {
+            labOrder: { id: order._id, test: order.test, ...changes }
+        }, req, encounter._id);
+        
+        console.log('✅ Lab order updated:', formatLabResult(updated), 'for', patient.name);
+        
+        res.json({
+            success: true,
+            message: `${order.test} ${updated.status.replace(/_/g, ' ')} for ${patient.name}`,
+            data: updated,
+            meta: {
+                encounterId: encounter._id,
+                patient: { _id: patient._id, name: patient.name }
+            }
         });
         
-        res.status(201).json({
+    } catch (error) {
+        handleError(res, error, 'Failed to update lab order', req);
+    }
+});
+
+// ===== CLINICAL ALERT RULES =====
+
+// Numeric thresholds arrive as strings from forms; keep them numeric so comparisons work
+const normalizeAlertConditions = (conditions) => {
+    if (!Array.isArray(conditions)) return conditions;
+    return conditions.map(condition => ({
+        metric: String(condition.metric || '').trim(),
+        operator: condition.operator,
+        value: condition.value !== '' && !isNaN(Number(condition.value)) ? Number(condition.value) : condition.value
+    }));
+};
+
+// Re-evaluate the alerts of visits still waiting to be seen, after a rule changes
+const refreshOpenVisitAlerts = async () => {
+    alertRulesCache = null;
+    const rules = await getAlertRules();
+    const operations = [];
+    
+    const cursor = Encounter.find({ status: 'registered' }).select('vitalSigns labOrders alerts priority').lean().cursor();
+    for await (const encounter of cursor) {
+        const { alerts, priority } = evaluateAlerts(encounter, rules);
+        if (priority !== encounter.priority || JSON.stringify(alerts) !== JSON.stringify(encounter.alerts || [])) {
+            operations.push({ updateOne: { filter: { _id: encounter._id }, update: { $set: { alerts, priority } } } });
+        }
+    }
+    
+    if (operations.length > 0) {
+        await Encounter.bulkWrite(operations);
+    }
+    return operations.length;
+};
+
+const ALERT_RULE_UPDATED = { type: 'object', properties: { visitsUpdated: { type: 'integer', description: 'Open visits re-flagged' } } };
+
+// 33. List Clinical Alert Rules
+api.get('/alert-rules', describe({
+    tags: ['Alerts'],
+    summary: 'List clinical alert rules',
+    data: { type: 'array', items: ref('AlertRule') },
+    meta: {
+        type: 'object',
+        properties: {
+            severities: { type: 'array', items: { type: 'string' } },
+            operators: { type: 'array', items: { type: 'string' } },
+            count: { type: 'integer' }
+        }
+    }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const rules = await AlertRule.find().sort({ severity: 1, code: 1 });
+        
+        res.json({
             success: true,
-            message: `Patient registered successfully for ${patient.services.length} service${patient.services.length > 1 ? 's' : ''}`,
-            data: patient
+            data: rules,
+            meta: {
+                severities: ALERT_SEVERITIES,
+                operators: ALERT_OPERATORS,
+                count: rules.length
+            }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to create patient', req);
+        handleError(res, error, 'Failed to retrieve alert rules', req);
     }
 });
 
-// 4. Update Patient - Enhanced with Vital Signs and Past History Support
-app.put('/api/patients', async (req, res) => {
+// 34. Create Clinical Alert Rule
+api.post('/alert-rules', describe({
+    tags: ['Alerts'],
+    summary: 'Create a clinical alert rule on a vital sign or lab result',
+    body: alertRuleRequests.createAlertRule,
+    status: 201,
+    data: ref('AlertRule'),
+    meta: ALERT_RULE_UPDATED,
+    errors: { 409: 'Rule code already exists' }
+}), authenticate, authorize('alerts:manage'), validate, async (req, res) => {
     try {
-        const { id, ...updateData } = req.body;
-        console.log('✏️ Updating patient:', id);
+        const { code, label, severity, match = 'any', conditions, supersedes = [], isActive = true } = req.body;
+        const rule = { code, label, severity, match, conditions: normalizeAlertConditions(conditions), supersedes, isActive };
+        console.log('🚨 Creating alert rule:', code);
         
-        if (!id) {
-            return res.status(400).json({ 
+        if (await AlertRule.exists({ code })) {
+            return res.status(409).json({
                 success: false,
-                error: 'Patient ID is required' 
+                error: 'Rule already exists',
+                message: `An alert rule with code "${code}" already exists`
             });
         }
         
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Invalid patient ID format' 
-            });
-        }
+        const created = await AlertRule.create(rule);
+        const refreshed = await refreshOpenVisitAlerts();
         
-        // Get current patient for comparison
-        const currentPatient = await Patient.findById(id);
-        if (!currentPatient) {
-            return res.status(404).json({ 
+        console.log('✅ Alert rule created:', created.code, `(${refreshed} open visits re-flagged)`);
+        
+        res.status(201).json({
+            success: true,
+            message: `Alert rule ${created.label} created`,
+            data: created,
+            meta: { visitsUpdated: refreshed }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to create alert rule', req);
+    }
+});
+
+// 35. Update Clinical Alert Rule - thresholds, severity, wording or active flag
+api.put('/alert-rules/:id', describe({
+    tags: ['Alerts'],
+    summary: 'Change a rule threshold, severity, wording or active flag - open visits are re-flagged',
+    params: ID_PARAMS,
+    body: alertRuleRequests.updateAlertRule,
+    data: ref('AlertRule'),
+    meta: ALERT_RULE_UPDATED,
+    errors: { 404: 'Alert rule not found' }
+}), authenticate, authorize('alerts:manage'), validate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log('🚨 Updating alert rule:', id);
+        
+        const rule = await AlertRule.findById(id);
+        if (!rule) {
+            return res.status(404).json({
                 success: false,
-                error: 'Patient not found' 
+                error: 'Alert rule not found'
             });
         }
         
-        if (currentPatient.isDeleted) {
-            return res.status(410).json({
-                success: false,
-                error: 'Patient has been deleted',
-                message: 'Cannot update a deleted patient'
-            });
+        // The code identifies alerts already raised, so it cannot change
+        const updates = pickFields(req.body, ['label', 'severity', 'match', 'conditions', 'supersedes', 'isActive']);
+        if (updates.conditions) {
+            updates.conditions = normalizeAlertConditions(updates.conditions);
         }
         
-        // Sanitize update data
-        const sanitizedData = sanitizeInput(updateData);
+        rule.set(updates);
+        await rule.save();
+        const refreshed = await refreshOpenVisitAlerts();
         
-        // Handle services update - support both single and multiple services
-        if (sanitizedData.services && Array.isArray(sanitizedData.services) && sanitizedData.services.length > 0) {
-            sanitizedData.services = sanitizedData.services.filter(s => s && s.trim());
-            sanitizedData.service = undefined;
-        } else if (sanitizedData.service && sanitizedData.service.trim()) {
-            sanitizedData.services = [sanitizedData.service.trim()];
-            sanitizedData.service = undefined;
-        }
+        console.log('✅ Alert rule updated:', rule.code, `(${refreshed} open visits re-flagged)`);
         
-        // Validate services if they're being updated
-        if (sanitizedData.services) {
-            const validServices = [
-                'General consultations', 
-                'Eye consultation', 
-                'Gynaecology', 
-                'Cervical cancer screening', 
-                'Sexual and reproductive health',
-                'Dental consultation'
-            ];
-            
-            const invalidServices = sanitizedData.services.filter(service => !validServices.includes(service));
-            if (invalidServices.length > 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid services',
-                    message: `Invalid services: ${invalidServices.join(', ')}. Valid services are: ${validServices.join(', ')}`,
-                    invalidServices,
-                    validServices
-                });
-            }
-            
-            if (sanitizedData.services.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'At least one service is required',
-                    message: 'Please select at least one service'
-                });
-            }
-        }
+        res.json({
+            success: true,
+            message: `Alert rule ${rule.label} updated`,
+            data: rule,
+            meta: { visitsUpdated: refreshed }
+        });
         
-        // Handle vital signs update
-        if (sanitizedData.vitalSigns) {
-            // Merge with existing vital signs
-            const currentVitals = currentPatient.vitalSigns || {};
-            sanitizedData.vitalSigns = {
-                ...currentVitals,
-                ...sanitizedData.vitalSigns
-            };
-            
-            // Remove empty vital signs
-            Object.keys(sanitizedData.vitalSigns).forEach(key => {
-                if (!sanitizedData.vitalSigns[key] || sanitizedData.vitalSigns[key] === '') {
-                    delete sanitizedData.vitalSigns[key];
-                }
-            });
+    } catch (error) {
+        handleError(res, error, 'Failed to update alert rule', req);
+    }
+});
+
+// ===== SERVICE QUEUES =====
+
+// Station screens connected to the live update stream, with the camp they follow
+const queueStreams = new Set();
+
+// Tell connected screens that a queue changed so they reload it.
+// Events without a camp (deletions, merges, bulk changes) go to every screen.
+const publishQueueEvent = (camp, type, details = {}) => {
+    const campId = camp ? String(camp) : null;
+    const payload = `event: queue\ndata: ${JSON.stringify({ type, camp: campId, ...details, at: new Date().toISOString() })}\n\n`;
+    
+    queueStreams.forEach(stream => {
+        if (!campId || !stream.camp || stream.camp === campId) {
+            stream.res.write(payload);
         }
-        
-        // Handle past history update
-        if (sanitizedData.pastHistory) {
-            // Merge with existing past history
-            const currentHistory = currentPatient.pastHistory || {};
-            sanitizedData.pastHistory = {
-                ...currentHistory,
-                ...sanitizedData.pastHistory
-            };
-            
-            // Remove empty history fields
-            Object.keys(sanitizedData.pastHistory).forEach(key => {
-                if (!sanitizedData.pastHistory[key] || sanitizedData.pastHistory[key] === '') {
-                    delete sanitizedData.pastHistory[key];
+    });
+};
+
+// One row per queue entry of a service, with the patient and the visit's queue priority.
+// busyWith lists other services the patient is currently called to or being seen at.
+const buildQueuePipeline = (campScope, service) => [
+    { $match: { ...campScope, status: { $ne: 'cancelled' }, 'serviceQueue.service': service } },
+    {
+        $addFields: {
+            busyWith: {
+                $map: {
+                    input: {
+                        $filter: {
+                            input: '$serviceQueue',
+                            cond: {
+                                $and: [
+                                    { $in: ['$$this.status', ACTIVE_QUEUE_STATUSES] },
+                                    { $ne: ['$$this.service', service] }
+                                ]
+                            }
+                        }
+                    },
+                    in: '$$this.service'
                 }
-            });
+            }
         }
-        
-        // Add completion timestamp if completing
-        if (sanitizedData.status === 'completed' && currentPatient.status !== 'completed') {
-            sanitizedData.completionDate = new Date().toLocaleDateString('en-GB');
-            sanitizedData.completionTime = new Date().toLocaleTimeString('en-GB');
+    },
+    { $unwind: '$serviceQueue' },
+    { $match: { 'serviceQueue.service': service } },
+    {
+        $lookup: {
+            from: Patient.collection.name,
+            localField: 'patient',
+            foreignField: '_id',
+            as: 'patient'
         }
-        
-        // Check for phone number duplicates if tel is being updated
-        if (sanitizedData.tel && sanitizedData.tel !== currentPatient.tel) {
-            const existingPatient = await Patient.findOne({ 
-                tel: sanitizedData.tel,
-                _id: { $ne: id },
-                isDeleted: { $ne: true }
-            });
-            
-            if (existingPatient) {
-                return res.status(409).json({ 
-                    success: false,
-                    error: 'Duplicate phone number', 
-                    message: `Another patient with phone number ${sanitizedData.tel} already exists`
-                });
+    },
+    { $unwind: '$patient' },
+    { $match: { 'patient.isDeleted': { $ne: true } } },
+    {
+        $project: {
+            _id: 0,
+            entry: '$serviceQueue',
+            encounterId: '$_id',
+            camp: '$camp',
+            ticketNumber: '$ticketNumber',
+            triagePriority: { $ifNull: ['$triagePriority', 0] },
+            alerts: '$alerts',
+            queuePriority: { $max: [{ $ifNull: ['$triagePriority', 0] }, { $ifNull: ['$priority', 0] }] },
+            busyWith: '$busyWith',
+            patient: {
+                _id: '$patient._id',
+                name: '$patient.name',
+                age: '$patient.age',
+                sex: '$patient.sex',
+                tel: '$patient.tel'
             }
         }
+    }
+];
+
+// Waiting order: highest queue priority first, then first come first served
+const QUEUE_ORDER = { queuePriority: -1, 'entry.queuedAt': 1 };
+
+// Mark the visit completed once every service has seen the patient, or reopen it if one rejoins a queue
+const applyQueueCompletion = (encounter) => {
+    if (isQueueFinished(encounter.serviceQueue) && encounter.status === 'registered') {
+        encounter.status = 'completed';
+        encounter.completionDate = new Date();
+        return true;
+    }
+    if (!isQueueFinished(encounter.serviceQueue) && encounter.status === 'completed') {
+        encounter.status = 'registered';
+        encounter.completionDate = undefined;
+    }
+    return false;
+};
+
+// 36. Live Queue Updates (Server-Sent Events)
+api.get('/queues/events', describe({
+    tags: ['Queues'],
+    summary: 'Live queue updates as Server-Sent Events',
+    description: 'Events: visit-created, visit-updated, patient-called, queue-updated, patient-removed and others - refresh the affected lists when one arrives.',
+    query: { ...CAMP_QUERY, access_token: { type: 'string', description: 'Bearer token - EventSource cannot send headers' } },
+    raw: ['text/event-stream']
+}), authenticateFromQuery, authorize('patients:read'), validate, (req, res) => {
+    const { camp } = req.query;
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    const stream = { res, camp: camp && camp !== 'all' ? String(camp) : null };
+    queueStreams.add(stream);
+    console.log(`📡 Queue stream opened by ${req.user.username} (${queueStreams.size} connected)`);
+    
+    const close = () => {
+        if (!queueStreams.has(stream)) return;
+        clearInterval(heartbeat);
+        queueStreams.delete(stream);
+        console.log(`📡 Queue stream closed (${queueStreams.size} connected)`);
+    };
+    
+    // The token was only checked when the stream opened - a logout, a revoked session or an expired token
+    // ends the stream at the next heartbeat instead of leaving patient names flowing
+    const sessionValid = async () => {
+        if (req.auth.exp * 1000 <= Date.now()) return false;
+        const [revoked, user] = await Promise.all([
+            RevokedToken.exists({ jti: req.auth.jti }),
+            User.exists({ _id: req.user._id, isActive: true })
+        ]);
+        return !revoked && Boolean(user);
+    };
+    
+    // Comment lines keep proxies and the server timeout from closing an idle stream
+    const heartbeat = setInterval(async () => {
+        const valid = await sessionValid().catch(() => false);
+        if (!queueStreams.has(stream)) return;
+        if (!valid) {
+            console.log(`📡 Ending queue stream of ${req.user.username} - the session is no longer valid`);
+            close();
+            return res.end();
+        }
+        res.write(': heartbeat\n\n');
+    }, 25000);
+    
+    req.on('close', close);
+});
+
+// 37. Queue Overview - counts per service and who is being seen
+api.get('/queues', describe({
+    tags: ['Queues'],
+    summary: 'Waiting, called and in-consultation counts per service',
+    query: CAMP_QUERY,
+    data: { type: 'object', additionalProperties: { type: 'object' }, description: 'Counts keyed by service' },
+    meta: {
+        type: 'object',
+        properties: {
+            statuses: { type: 'array', items: { type: 'string' } },
+            triageLevels: { type: 'array', items: { type: 'string' } }
+        }
+    }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { camp } = req.query;
+        const campScope = getCampScope(camp);
+        
+        const services = await getValidServices(campScope.camp);
+        
+        const rows = await Encounter.aggregate([
+            { $match: { ...campScope, status: { $ne: 'cancelled' } } },
+            { $unwind: '$serviceQueue' },
+            { $match: { 'serviceQueue.status': { $in: ['waiting', ...ACTIVE_QUEUE_STATUSES] } } },
+            {
+                $lookup: {
+                    from: Patient.collection.name,
+                    localField: 'patient',
+                    foreignField: '_id',
+                    as: 'patient'
+                }
+            },
+            { $match: { 'patient.isDeleted': { $ne: true } } },
+            { $group: { _id: { service: '$serviceQueue.service', status: '$serviceQueue.status' }, count: { $sum: 1 } } }
+        ]);
         
-        // Update patient
-        const patient = await Patient.findByIdAndUpdate(
-            id, 
-            sanitizedData, 
-            { 
-                new: true, 
-                runValidators: true 
-            }
-        );
-        
-        // Track changes
-        const changes = {};
-        Object.keys(sanitizedData).forEach(key => {
-            if (JSON.stringify(currentPatient[key]) !== JSON.stringify(sanitizedData[key])) {
-                changes[key] = {
-                    from: currentPatient[key],
-                    to: sanitizedData[key]
-                };
-            }
+        const overview = {};
+        [...services, ...rows.map(row => row._id.service)].forEach(service => {
+            overview[service] = overview[service] || { waiting: 0, called: 0, in_consultation: 0 };
+        });
+        rows.forEach(row => {
+            overview[row._id.service][row._id.status] = row.count;
         });
         
-        const action = sanitizedData.status === 'completed' ? 'completed' : 'updated';
-        await addModificationHistory(patient._id, action, changes, req);
-        
-        const servicesCount = patient.services ? patient.services.length : 0;
-        console.log('✅ Patient updated successfully:', patient.name, `with ${servicesCount} services`);
-        
-        res.json({ 
+        res.json({
             success: true,
-            message: `Patient updated successfully with ${servicesCount} service${servicesCount > 1 ? 's' : ''}`,
-            data: patient,
-            changes: Object.keys(changes)
+            data: overview,
+            meta: {
+                statuses: QUEUE_STATUSES,
+                triageLevels: TRIAGE_LEVELS
+            }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to update patient', req);
+        handleError(res, error, 'Failed to retrieve queues', req);
     }
 });
 
-// 5. Get Single Patient
-app.get('/api/patients/:id', async (req, res) => {
+const QUEUE_ROW = {
+    type: 'object',
+    properties: {
+        entry: ref('QueueEntry'),
+        encounterId: ref('ObjectId'),
+        ticketNumber: { type: 'integer' },
+        patient: { type: 'object' },
+        position: { type: 'integer' }
+    }
+};
+
+// 38. Service Queue - waiting list in call order, plus patients called or being seen
+api.get('/queues/:service', describe({
+    tags: ['Queues'],
+    summary: 'Waiting list for a service in call order, with patients called or being seen',
+    query: { ...CAMP_QUERY, includeFinished: { enum: ['true', 'false'] } },
+    data: {
+        type: 'object',
+        properties: {
+            waiting: { type: 'array', items: QUEUE_ROW },
+            called: { type: 'array', items: QUEUE_ROW },
+            inConsultation: { type: 'array', items: QUEUE_ROW },
+            finished: { type: 'array', items: QUEUE_ROW }
+        }
+    },
+    meta: { type: 'object', properties: { service: { type: 'string' }, counts: { type: 'object' } } }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { includeHistory = 'false' } = req.query;
-        
-        console.log('👤 Getting patient:', id);
+        const { service } = req.params;
+        const { camp, includeFinished = 'false' } = req.query;
+        const campScope = getCampScope(camp);
         
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Invalid patient ID format' 
-            });
-        }
+        const statuses = includeFinished === 'true' ? QUEUE_STATUSES : ['waiting', ...ACTIVE_QUEUE_STATUSES];
         
-        let query = Patient.findById(id);
+        const entries = await Encounter.aggregate([
+            ...buildQueuePipeline(campScope, service),
+            { $match: { 'entry.status': { $in: statuses } } },
+            { $sort: QUEUE_ORDER }
+        ]);
         
-        // Optionally exclude modification history for performance
-        if (includeHistory !== 'true') {
-            query = query.select('-modificationHistory');
-        }
+        const waiting = entries
+            .filter(row => row.entry.status === 'waiting')
+            .map((row, index) => ({ ...row, position: index + 1 }));
         
-        const patient = await query;
+        res.json({
+            success: true,
+            data: {
+                waiting,
+                called: entries.filter(row => row.entry.status === 'called'),
+                inConsultation: entries.filter(row => row.entry.status === 'in_consultation'),
+                finished: entries
+                    .filter(row => ['done', 'skipped'].includes(row.entry.status))
+                    .sort((a, b) => new Date(b.entry.finishedAt) - new Date(a.entry.finishedAt))
+            },
+            meta: {
+                service,
+                counts: QUEUE_STATUSES.reduce((acc, status) => {
+                    acc[status] = entries.filter(row => row.entry.status === status).length;
+                    return acc;
+                }, {})
+            }
+        });
         
-        if (!patient) {
-            return res.status(404).json({ 
-                success: false,
-                error: 'Patient not found' 
-            });
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve queue', req);
+    }
+});
+
+// 39. Call the Next Patient - the first waiting patient not already with another station
+api.post('/queues/:service/call-next', describe({
+    tags: ['Queues'],
+    summary: 'Call the next waiting patient to a station - triage and alert priority first',
+    body: queueRequests.callNext,
+    data: QUEUE_ROW,
+    errors: { 404: 'No patients waiting', 409: 'Queue changed' }
+}), authenticate, authorize('queues:manage'), validate, async (req, res) => {
+    try {
+        const { service } = req.params;
+        const { camp, station } = req.body;
+        const campScope = getCampScope(camp);
+        console.log('📣 Calling next patient for', service, station ? `to ${station}` : '');
+        
+        // Another station may call the same patient at the same moment - retry if we lose the race
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const [next] = await Encounter.aggregate([
+                ...buildQueuePipeline(campScope, service),
+                { $match: { 'entry.status': 'waiting', busyWith: { $size: 0 } } },
+                { $sort: QUEUE_ORDER },
+                { $limit: 1 }
+            ]);
+            
+            if (!next) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Queue is empty',
+                    message: `Nobody is waiting for ${service}`
+                });
+            }
+            
+            const calledAt = new Date();
+            const encounter = await Encounter.findOneAndUpdate(
+                { _id: next.encounterId, serviceQueue: { $elemMatch: { _id: next.entry._id, status: 'waiting' } } },
+                {
+                    $set: {
+                        'serviceQueue.$.status': 'called',
+                        'serviceQueue.$.calledAt': calledAt,
+                        'serviceQueue.$.calledBy': staffStamp(req),
+                        'serviceQueue.$.station': station
+                    }
+                },
+                { new: true }
+            );
+            
+            if (encounter) {
+                console.log(`✅ Called ticket ${next.ticketNumber} (${next.patient.name}) for ${service}`);
+                publishQueueEvent(encounter.camp, 'patient-called', {
+                    service,
+                    station,
+                    ticketNumber: next.ticketNumber,
+                    patientName: next.patient.name
+                });
+                
+                return res.json({
+                    success: true,
+                    message: `Ticket ${next.ticketNumber}: ${next.patient.name} called${station ? ` to ${station}` : ''}`,
+                    data: { ...next, entry: encounter.serviceQueue.id(next.entry._id) }
+                });
+            }
         }
         
-        res.json({ 
-            success: true,
-            data: patient 
+        res.status(409).json({
+            success: false,
+            error: 'Queue changed',
+            message: 'Other stations are calling patients at the same time. Please try again'
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to retrieve patient', req);
+        handleError(res, error, 'Failed to call next patient', req);
     }
 });
 
-// 5b. Get Single Patient (POST - backward compatibility)
-app.post('/api/patient', async (req, res) => {
+// 40. Update a Queue Entry - start consultation, mark done, skip or send back to the waiting list
+api.patch('/queues/entries/:entryId', describe({
+    tags: ['Queues'],
+    summary: 'Start, finish, skip or requeue a patient for a service',
+    params: { entryId: ref('ObjectId') },
+    body: queueRequests.updateQueueEntry,
+    data: ref('QueueEntry'),
+    meta: {
+        type: 'object',
+        properties: {
+            visitStatus: { type: 'string' },
+            pendingServices: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    errors: { 404: 'Queue entry not found', 409: 'Invalid status change', 410: 'Patient deleted' }
+}), authenticate, authorize('queues:manage'), validate, async (req, res) => {
     try {
-        const { id } = req.body;
+        const { entryId } = req.params;
+        const { status, station, reason } = req.body;
+        console.log('🎫 Updating queue entry:', entryId, status);
         
-        if (!id) {
-            return res.status(400).json({ 
+        const encounter = await Encounter.findOne({ 'serviceQueue._id': entryId });
+        if (!encounter) {
+            return res.status(404).json({
                 success: false,
-                error: 'Patient ID is required' 
+                error: 'Queue entry not found'
             });
         }
         
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
+        const patient = await Patient.findById(encounter.patient).select('-modificationHistory');
+        if (!patient || patient.isDeleted) {
+            return res.status(410).json({
                 success: false,
-                error: 'Invalid patient ID format' 
+                error: 'Patient has been deleted',
+                message: 'Cannot update the queue of a deleted patient'
             });
         }
         
-        const patient = await Patient.findById(id).select('-modificationHistory');
+        const entry = encounter.serviceQueue.id(entryId);
+        const previousStatus = entry.status;
         
-        if (!patient) {
-            return res.status(404).json({ 
+        if (!QUEUE_TRANSITIONS[previousStatus].includes(status)) {
+            return res.status(409).json({
                 success: false,
-                error: 'Patient not found' 
+                error: 'Invalid status change',
+                message: `A ${previousStatus.replace(/_/g, ' ')} patient cannot be marked ${status.replace(/_/g, ' ')} for ${entry.service}`,
+                currentStatus: previousStatus
             });
         }
         
-        // Return patient directly for backward compatibility
-        res.json(patient);
+        // A patient can only be with one station at a time
+        if (ACTIVE_QUEUE_STATUSES.includes(status)) {
+            const busyWith = encounter.serviceQueue.find(other =>
+                other.service !== entry.service && ACTIVE_QUEUE_STATUSES.includes(other.status)
+            );
+            if (busyWith) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Patient is busy',
+                    message: `${patient.name} is currently at ${busyWith.service}`
+                });
+            }
+        }
         
-    } catch (error) {
-        handleError(res, error, 'Failed to retrieve patient', req);
-    }
-});
-
-// 6. Enhanced Statistics with Demographics Support
-app.get('/api/stats', async (req, res) => {
-    try {
-        console.log('📊 Generating comprehensive statistics with demographics');
+        const now = new Date();
+        const stamp = staffStamp(req);
+        
+        if (status === 'called') {
+            entry.calledAt = now;
+            entry.calledBy = stamp;
+        } else if (status === 'in_consultation') {
+            entry.startedAt = now;
+            entry.startedBy = stamp;
+        } else if (status === 'done' || status === 'skipped') {
+            entry.finishedAt = now;
+            entry.finishedBy = stamp;
+            if (status === 'skipped') entry.skipReason = reason;
+        } else if (status === 'waiting') {
+            // Back of the queue, with the station and call cleared
+            entry.queuedAt = now;
+            entry.calledAt = undefined;
+            entry.station = undefined;
+            entry.finishedAt = undefined;
+            entry.skipReason = undefined;
+        }
+        if (station !== undefined && status !== 'waiting') entry.station = station;
+        entry.status = status;
         
-        const { period = '30' } = req.query;
-        const daysBack = parseInt(period);
-        const periodStart = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
+        const previousVisitStatus = encounter.status;
+        const visitCompleted = applyQueueCompletion(encounter);
+        await encounter.save();
         
-        const [
-            totalPatients,
-            activePatients,
-            pendingTests,
-            completedRecords,
-            deletedPatients,
-            recentRegistrations,
-            serviceStats,
-            familyGroupStats,
-            sexStats,
-            ageStats,
-            dailyRegistrations,
-            completionTrend
-        ] = await Promise.all([
-            Patient.countDocuments(),
-            Patient.countDocuments({ isDeleted: { $ne: true } }),
-            Patient.countDocuments({ status: 'registered', isDeleted: { $ne: true } }),
-            Patient.countDocuments({ status: 'completed', isDeleted: { $ne: true } }),
-            Patient.countDocuments({ isDeleted: true }),
-            Patient.countDocuments({
-                createdAt: { $gte: periodStart },
-                isDeleted: { $ne: true }
-            }),
-            // Enhanced service statistics with multi-service support
-            Patient.aggregate([
-                { $match: { isDeleted: { $ne: true } } },
-                {
-                    $project: {
-                        allServices: {
-                            $cond: {
-                                if: { $gt: [{ $size: { $ifNull: ['$services', []] } }, 0] },
-                                then: '$services',
-                                else: { $cond: { if: '$service', then: ['$service'], else: [] } }
-                            }
-                        }
-                    }
-                },
-                { $unwind: '$allServices' },
-                { $group: { _id: '$allServices', count: { $sum: 1 } } },
-                { $sort: { count: -1 } }
-            ]),
-            // Family group statistics
-            Patient.aggregate([
-                { $match: { isDeleted: { $ne: true } } },
-                { $group: { _id: '$familyGroup', count: { $sum: 1 } } },
-                { $sort: { count: -1 } }
-            ]),
-            // Sex ratio statistics
-            Patient.aggregate([
-                { $match: { isDeleted: { $ne: true } } },
-                { $group: { _id: '$sex', count: { $sum: 1 } } },
-                { $sort: { count: -1 } }
-            ]),
-            // Age distribution statistics
-            Patient.aggregate([
-                { $match: { isDeleted: { $ne: true } } },
-                {
-                    $project: {
-                        ageRange: {
-                            $switch: {
-                                branches: [
-                                    { case: { $lte: ['$age', 18] }, then: '0-18' },
-                                    { case: { $lte: ['$age', 30] }, then: '19-30' },
-                                    { case: { $lte: ['$age', 45] }, then: '31-45' },
-                                    { case: { $lte: ['$age', 60] }, then: '46-60' },
-                                    { case: { $lte: ['$age', 75] }, then: '61-75' }
-                                ],
-                                default: '76+'
-                            }
-                        }
-                    }
-                },
-                { $group: { _id: '$ageRange', count: { $sum: 1 } } },
-                { $sort: { _id: 1 } }
-            ]),
-            // Daily registrations trend
-            Patient.aggregate([
-                { 
-                    $match: { 
-                        createdAt: { $gte: periodStart },
-                        isDeleted: { $ne: true }
-                    }
-                },
-                {
-                    $group: {
-                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-                        count: { $sum: 1 }
-                    }
-                },
-                { $sort: { _id: 1 } }
-            ]),
-            // Completion trend
-            Patient.aggregate([
-                { 
-                    $match: { 
-                        status: 'completed',
-                        completionDate: { $exists: true },
-                        isDeleted: { $ne: true }
-                    }
-                },
-                {
-                    $group: {
-                        _id: '$completionDate',
-                        count: { $sum: 1 }
-                    }
-                },
-                { $sort: { _id: 1 } },
-                { $limit: 30 }
-            ])
-        ]);
+        const changes = { serviceQueue: { service: entry.service, status: { from: previousStatus, to: status } } };
+        if (encounter.status !== previousVisitStatus) {
+            changes.status = { from: previousVisitStatus, to: encounter.status };
+        }
+        if (reason) changes.reason = reason;
+        await addModificationHistory(patient._id, visitCompleted ? 'completed' : 'updated', changes, req, encounter._id);
         
-        const completionRate = activePatients > 0 ? Math.round((completedRecords / activePatients) * 100) : 0;
-        
-        const stats = {
-            overview: {
-                totalPatients,
-                activePatients,
-                pendingTests,
-                completedRecords,
-                deletedPatients,
-                completionRate,
-                recentRegistrations
-            },
-            serviceDistribution: serviceStats.reduce((acc, item) => {
-                acc[item._id] = item.count;
-                return acc;
-            }, {}),
-            familyGroupDistribution: familyGroupStats.reduce((acc, item) => {
-                acc[item._id] = item.count;
-                return acc;
-            }, {}),
-            // NEW: Demographics
-            sexDistribution: sexStats.reduce((acc, item) => {
-                acc[item._id] = item.count;
-                return acc;
-            }, {}),
-            ageDistribution: ageStats.reduce((acc, item) => {
-                acc[item._id] = item.count;
-                return acc;
-            }, {}),
-            trends: {
-                dailyRegistrations: dailyRegistrations.reduce((acc, item) => {
-                    acc[item._id] = item.count;
-                    return acc;
-                }, {}),
-                completionTrend: completionTrend.reduce((acc, item) => {
-                    acc[item._id] = item.count;
-                    return acc;
-                }, {})
+        publishQueueEvent(encounter.camp, 'entry-updated', {
+            service: entry.service,
+            status,
+            ticketNumber: encounter.ticketNumber,
+            visitCompleted
+        });
+        
+        console.log(`✅ ${patient.name}: ${entry.service} ${previousStatus} -> ${status}${visitCompleted ? ' (visit completed)' : ''}`);
+        
+        res.json({
+            success: true,
+            message: visitCompleted
+                ? `${entry.service} done - all services complete for ${patient.name}`
+                : `${patient.name} ${status.replace(/_/g, ' ')} for ${entry.service}`,
+            data: entry,
+            meta: {
+                visitStatus: encounter.status,
+                pendingServices: pendingQueueServices(encounter.serviceQueue)
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to update queue entry', req);
+    }
+});
+
+// ===== SERVE MAIN PAGE =====
+app.get('/', (req, res) => {
+    console.log('🏠 Serving main page');
+    res.sendFile(__dirname + '/index.html');
+});
+
+// Generated once every route is registered - see lib/openapi.js
+let openApiDocument = null;
+const getOpenApiDocument = () => {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument({
+            info: {
+                title: 'Health Campaign Management API',
+                version: '4.0.0',
+                description: 'Patient registration and medical records for health camps. ' +
+                    'Successful responses are { success: true, data, message, pagination, meta }; failures are { success: false, error, message, details }.'
             },
-            period: {
-                days: daysBack,
-                startDate: periodStart.toISOString(),
-                endDate: new Date().toISOString()
-            }
-        };
-        
-        console.log('✅ Statistics with demographics generated successfully');
+            servers: [
+                { url: '/api/v2', description: 'Current version' },
+                { url: '/api', description: 'Version 1 - the current endpoints plus deprecated ones' }
+            ],
+            routers: [
+                { router: api },
+                { router: legacyApi, servers: [{ url: '/api' }] }
+            ]
+        });
+    }
+    return openApiDocument;
+};
+
+// 41. OpenAPI Specification
+api.get('/openapi.json', describe({
+    tags: ['System'],
+    summary: 'This OpenAPI 3.1 document',
+    raw: ['application/json']
+}), validate, (req, res) => {
+    res.json(getOpenApiDocument());
+});
+
+// 42. Browsable API Documentation
+api.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+    customSiteTitle: 'Health Campaign Management API',
+    swaggerOptions: { url: '../openapi.json' }
+}));
+
+// ===== REFERENCE LISTS =====
+
+const REFERENCE_ITEM_PARAMS = { ...referenceRequests.LIST_PARAMS, id: ref('ObjectId') };
+
+// 43. Reference Lists - services, family groups, lab tests and occupations for forms
+api.get('/reference', describe({
+    tags: ['Reference'],
+    summary: 'Managed lists for forms, in display order - retired values are included with isActive false',
+    query: { active: { enum: ['true'], description: 'Only values currently offered' } },
+    data: {
+        type: 'object',
+        properties: Object.fromEntries(REFERENCE_LIST_NAMES.map(list => [list, { type: 'array', items: ref('ReferenceItem') }]))
+    },
+    meta: { type: 'object', properties: { lists: { type: 'object' } } }
+}), authenticate, validate, async (req, res) => {
+    try {
+        const referenceData = await getReferenceData();
+        const data = req.query.active === 'true'
+            ? Object.fromEntries(Object.entries(referenceData).map(([list, items]) => [list, items.filter(item => item.isActive)]))
+            : referenceData;
         
         res.json({
             success: true,
-            data: stats,
-            generatedAt: new Date().toISOString()
+            data,
+            meta: {
+                lists: Object.fromEntries(REFERENCE_LIST_NAMES.map(list => [list, {
+                    label: REFERENCE_LISTS[list].label,
+                    description: REFERENCE_LISTS[list].description
+                }]))
+            }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to retrieve statistics', req);
+        handleError(res, error, 'Failed to retrieve reference lists', req);
     }
 });
 
-// 7. Enhanced Search with Multi-Service Support
-app.post('/api/search', async (req, res) => {
+// 44. Add a Value to a Reference List
+api.post('/reference/:list', describe({
+    tags: ['Reference'],
+    summary: 'Add a value to a reference list - it goes to the end unless displayOrder is given',
+    params: referenceRequests.LIST_PARAMS,
+    body: referenceRequests.createReferenceItem,
+    status: 201,
+    data: ref('ReferenceItem'),
+    errors: { 409: 'Value already exists' }
+}), authenticate, authorize('reference:manage'), validate, async (req, res) => {
     try {
-        const { query, filters = {}, limit = 50 } = req.body;
-        console.log('🔍 Searching for:', query, 'with filters:', filters);
+        const { list } = req.params;
+        const { value, label, displayOrder, isActive = true } = req.body;
+        console.log('📚 Adding reference value:', list, value);
         
-        if (!query || query.trim().length === 0) {
-            return res.status(400).json({ 
+        const existing = await ReferenceItem.findOne({ list, value });
+        if (existing) {
+            return res.status(409).json({
                 success: false,
-                error: 'Search query is required' 
+                error: 'Value already exists',
+                message: existing.isActive
+                    ? `${value} is already in ${REFERENCE_LISTS[list].label.toLowerCase()}`
+                    : `${value} was retired from ${REFERENCE_LISTS[list].label.toLowerCase()} - restore it instead`,
+                data: existing
             });
         }
         
-        const searchQuery = {
-            isDeleted: { $ne: true },
-            $or: [
-                { name: { $regex: query.trim(), $options: 'i' } },
-                { tel: { $regex: query.trim().replace(/\D/g, ''), $options: 'i' } }
-            ]
-        };
+        const referenceData = await getReferenceData();
+        const item = await ReferenceItem.create({
+            list,
+            value,
+            label: label || value,
+            displayOrder: displayOrder ?? referenceData[list].reduce((max, current) => Math.max(max, current.displayOrder + 1), 0),
+            isActive
+        });
+        referenceDataCache = null;
         
-        // Add filters
-        if (filters.status && filters.status !== 'all') {
-            searchQuery.status = filters.status;
-        }
+        console.log('✅ Reference value added:', list, item.value);
         
-        if (filters.service) {
-            searchQuery.$and = searchQuery.$and || [];
-            searchQuery.$and.push({
-                $or: [
-                    { service: filters.service },
-                    { services: filters.service }
-                ]
-            });
-        }
+        res.status(201).json({
+            success: true,
+            message: `${item.label} added to ${REFERENCE_LISTS[list].label.toLowerCase()}`,
+            data: item
+        });
         
-        if (filters.familyGroup && filters.familyGroup !== 'all') {
-            searchQuery.familyGroup = filters.familyGroup;
-        }
+    } catch (error) {
+        handleError(res, error, 'Failed to add reference value', req);
+    }
+});
+
+// 45. Update a Reference Value - label, display order, or retire / restore it
+api.put('/reference/:list/:id', describe({
+    tags: ['Reference'],
+    summary: 'Relabel, reorder, retire or restore a reference value - the stored value never changes',
+    params: REFERENCE_ITEM_PARAMS,
+    body: referenceRequests.updateReferenceItem,
+    data: ref('ReferenceItem'),
+    errors: { 404: 'Reference value not found' }
+}), authenticate, authorize('reference:manage'), validate, async (req, res) => {
+    try {
+        const { list, id } = req.params;
+        console.log('📚 Updating reference value:', list, id);
         
-        if (filters.dateFrom || filters.dateTo) {
-            searchQuery.createdAt = {};
-            if (filters.dateFrom) searchQuery.createdAt.$gte = new Date(filters.dateFrom);
-            if (filters.dateTo) {
-                const endDate = new Date(filters.dateTo);
-                endDate.setHours(23, 59, 59, 999);
-                searchQuery.createdAt.$lte = endDate;
-            }
+        const item = await ReferenceItem.findOne({ _id: id, list });
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reference value not found'
+            });
         }
         
-        const patients = await Patient.find(searchQuery)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .select('-modificationHistory');
+        // Records hold the value itself, so retiring keeps them valid where renaming would orphan them
+        const updates = pickFields(req.body, ['label', 'displayOrder', 'isActive']);
+        if (updates.label === '') updates.label = item.value;
         
-        console.log(`✅ Found ${patients.length} patients for "${query}"`);
+        item.set(updates);
+        await item.save();
+        referenceDataCache = null;
+        
+        console.log('✅ Reference value updated:', list, item.value, item.isActive ? '' : '(retired)');
         
         res.json({
             success: true,
-            data: patients,
-            query: query,
-            filters: filters,
-            count: patients.length
+            message: `${item.label} ${item.isActive ? 'updated' : 'retired'}`,
+            data: item
         });
         
     } catch (error) {
-        handleError(res, error, 'Search failed', req);
+        handleError(res, error, 'Failed to update reference value', req);
     }
 });
 
-// 8. Delete Patient - Enhanced with soft delete
-app.delete('/api/patients/:id', async (req, res) => {
+// ===== SAVED FILTERS =====
+
+// A saved filter belongs to the staff member who saved it; others get 404 as if it did not exist
+const findOwnSavedFilter = (req) => SavedFilter.findOne({ _id: req.params.id, user: req.user._id });
+
+const savedFilterNameTaken = (res, name) => res.status(409).json({
+    success: false,
+    error: 'Filter name already used',
+    message: `You already have a saved filter named "${name}"`
+});
+
+// 46. List Own Saved Filters
+api.get('/filters', describe({
+    tags: ['Patients'],
+    summary: 'Patient list filters saved by the current user, by name',
+    description: 'Pass a saved filter\'s filters as query parameters of GET /patients, /stats or /export, or as filters of POST /search and /patients/bulk.',
+    data: { type: 'array', items: ref('SavedFilter') }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { permanent = 'false' } = req.query;
+        const savedFilters = await SavedFilter.find({ user: req.user._id }).sort({ name: 1 });
         
-        console.log('🗑️ Deleting patient:', id, 'permanent:', permanent);
+        res.json({
+            success: true,
+            data: savedFilters
+        });
         
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Invalid patient ID format' 
-            });
-        }
+    } catch (error) {
+        handleError(res, error, 'Failed to retrieve saved filters', req);
+    }
+});
+
+// 47. Save a Filter
+api.post('/filters', describe({
+    tags: ['Patients'],
+    summary: 'Save the current patient list filters under a name',
+    body: savedFilterRequests.createSavedFilter,
+    status: 201,
+    data: ref('SavedFilter'),
+    errors: { 409: 'Filter name already used' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const { name, filters } = req.body;
+        console.log(`🔖 ${req.user.username} saving filter:`, name);
         
-        const patient = await Patient.findById(id);
-        if (!patient) {
-            return res.status(404).json({ 
-                success: false,
-                error: 'Patient not found' 
-            });
+        if (await SavedFilter.exists({ user: req.user._id, name: name.trim() })) {
+            return savedFilterNameTaken(res, name.trim());
         }
         
-        if (permanent === 'true') {
-            // Permanent deletion
-            await Patient.findByIdAndDelete(id);
-            console.log('✅ Patient permanently deleted:', patient.name);
-            
-            res.json({
-                success: true,
-                message: 'Patient permanently deleted',
-                deletedPatient: {
-                    id: patient._id,
-                    name: patient.name,
-                    tel: patient.tel
-                }
-            });
-        } else {
-            // Soft delete
-            await patient.softDelete();
-            await addModificationHistory(id, 'deleted', { deletedAt: new Date() }, req);
-            
-            console.log('✅ Patient soft deleted:', patient.name);
-            
-            res.json({
-                success: true,
-                message: 'Patient deleted successfully',
-                deletedPatient: {
-                    id: patient._id,
-                    name: patient.name,
-                    tel: patient.tel
-                }
-            });
-        }
+        const savedFilter = await SavedFilter.create({ user: req.user._id, name, filters: activeFilters(filters) });
+        
+        res.status(201).json({
+            success: true,
+            message: `Filter ${savedFilter.name} saved`,
+            data: savedFilter
+        });
         
     } catch (error) {
-        handleError(res, error, 'Failed to delete patient', req);
+        handleError(res, error, 'Failed to save filter', req);
     }
 });
 
-// 8b. Delete Patient (POST - backward compatibility)
-app.post('/api/delete', async (req, res) => {
+// 48. Rename or Change a Saved Filter
+api.put('/filters/:id', describe({
+    tags: ['Patients'],
+    summary: 'Rename a saved filter or replace its filters',
+    params: ID_PARAMS,
+    body: savedFilterRequests.updateSavedFilter,
+    data: ref('SavedFilter'),
+    errors: { 404: 'Saved filter not found', 409: 'Filter name already used' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
     try {
-        const { id } = req.body;
-        console.log('🗑️ Deleting patient via POST:', id);
+        const { name, filters } = req.body;
         
-        if (!id) {
-            return res.status(400).json({ 
+        const savedFilter = await findOwnSavedFilter(req);
+        if (!savedFilter) {
+            return res.status(404).json({
                 success: false,
-                error: 'Patient ID is required' 
+                error: 'Saved filter not found'
             });
         }
         
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Invalid patient ID format' 
-            });
+        if (name !== undefined && name.trim() !== savedFilter.name &&
+            await SavedFilter.exists({ user: req.user._id, name: name.trim() })) {
+            return savedFilterNameTaken(res, name.trim());
         }
         
-        const patient = await Patient.findById(id);
-        if (!patient) {
-            return res.status(404).json({ 
+        if (name !== undefined) savedFilter.name = name;
+        if (filters !== undefined) savedFilter.filters = activeFilters(filters);
+        await savedFilter.save();
+        
+        res.json({
+            success: true,
+            message: `Filter ${savedFilter.name} updated`,
+            data: savedFilter
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Failed to update saved filter', req);
+    }
+});
+
+// 49. Delete a Saved Filter
+api.delete('/filters/:id', describe({
+    tags: ['Patients'],
+    summary: 'Delete a saved filter',
+    params: ID_PARAMS,
+    data: { type: 'object', properties: { id: ref('ObjectId'), name: { type: 'string' } } },
+    errors: { 404: 'Saved filter not found' }
+}), authenticate, authorize('patients:read'), validate, async (req, res) => {
+    try {
+        const savedFilter = await findOwnSavedFilter(req);
+        if (!savedFilter) {
+            return res.status(404).json({
                 success: false,
-                error: 'Patient not found' 
+                error: 'Saved filter not found'
             });
         }
         
-        // Permanent delete for backward compatibility
-        await Patient.findByIdAndDelete(id);
-        
-        console.log('✅ Patient deleted:', patient.name);
+        await savedFilter.deleteOne();
         
-        // Return format expected by frontend
-        res.json({ 
-            message: 'Patient deleted successfully',
-            deletedPatient: {
-                id: patient._id,
-                name: patient.name,
-                tel: patient.tel
+        res.json({
+            success: true,
+            message: `Filter ${savedFilter.name} deleted`,
+            data: {
+                id: savedFilter._id,
+                name: savedFilter.name
             }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to delete patient', req);
+        handleError(res, error, 'Failed to delete saved filter', req);
     }
 });
 
-// 9. Export Data - Enhanced with Vital Signs and Past History
-app.get('/api/export', async (req, res) => {
-    try {
-        const { 
-            format = 'json', 
-            status, 
-            service, 
-            familyGroup, 
-            includeDeleted = 'false',
-            dateFrom,
-            dateTo
-        } = req.query;
+// ===== PATIENT IMPORT =====
+
+// Each row is checked as a registration request would be (lib/validation/patients.js)
+const checkImportRow = compile(patientRequests.createPatient);
+
+// Header a row problem belongs to - vitalSigns.height and services.1 are the Height and Services columns
+const importColumnOf = (field, headers) => {
+    const [first, second] = field.split('.');
+    const key = ['vitalSigns', 'pastHistory'].includes(first) ? second : first;
+    return headers.find(header => header.key === key)?.header;
+};
+
+// Camp as written in a row - its ID or, more usually, its name
+const findImportCamp = (camps, value) => {
+    const text = String(value).trim().toLowerCase();
+    return camps.find(camp => String(camp._id) === text || camp.name.toLowerCase() === text);
+};
+
+// 50. Import Patients - check a pre-registration list, then register its valid rows
+api.post('/patients/import', describe({
+    tags: ['Patients'],
+    summary: 'Import patients from a CSV or XLSX file - preview the checks, then register the valid rows',
+    description: 'The file uses the patient export\'s columns; headers are matched by name and others can be mapped. ' +
+        'Every row is checked like a registration. Rows that look like a registered patient or an earlier row come back with warnings ' +
+        'and are left out unless confirmNotDuplicate is set - a phone number shared with a relative alone is not a duplicate. ' +
+        'Medical history columns need clinical permission. ' +
+        'With dryRun (the default) nothing is saved and each row comes back with its problems; without it the valid rows are ' +
+        `registered together, each with a history entry, and rows with problems are left out. At most ${MAX_IMPORT_ROWS} rows per file.`,
+    body: importRequests.importPatients,
+    data: {
+        type: 'object',
+        properties: {
+            headers: { type: 'array', items: { type: 'object' } },
+            rows: { type: 'array', items: { type: 'object' } }
+        }
+    },
+    meta: {
+        type: 'object',
+        properties: {
+            dryRun: { type: 'boolean' },
+            total: { type: 'integer' },
+            valid: { type: 'integer' },
+            invalid: { type: 'integer' },
+            duplicates: { type: 'integer', description: 'Rows left out as possible duplicates - import them with confirmNotDuplicate' },
+            created: { type: 'integer' }
+        }
+    },
+    errors: { 404: 'Camp not found' }
+}), authenticate, authorize('patients:create', 'patients:bulk'), validate, idempotent, async (req, res) => {
+    try {
+        const { file, fileName, camp: defaultCampId, mapping, dryRun = true, confirmNotDuplicate = false } = req.body;
+        const format = req.body.format || formatFromName(fileName) || 'csv';
+        
+        console.log(`📥 ${dryRun ? 'Checking' : 'Importing'} patient list:`, fileName || format);
+        
+        let rows;
+        try {
+            rows = await readSpreadsheet(Buffer.from(file, 'base64'), format);
+        } catch (readError) {
+            throw validationError([
+                fieldError('file', 'invalid_format', `The file could not be read as ${format.toUpperCase()}`)
+            ], 'Unreadable file');
+        }
         
-        console.log('📤 Exporting data in format:', format);
+        const [headerRow, ...dataRows] = rows;
+        if (!headerRow || dataRows.length === 0) {
+            throw validationError([fieldError('file', 'required', 'The file has no patient rows below its header line')], 'Empty file');
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+            throw validationError([
+                fieldError('file', 'too_many', `The file has ${dataRows.length} rows - import at most ${MAX_IMPORT_ROWS} patients at a time`)
+            ], 'File too large');
+        }
         
-        // Build query
-        let query = {};
+        const { headers, missing } = mapHeaders(headerRow.cells, mapping);
+        if (missing.length > 0) {
+            throw validationError(missing.map(column => fieldError(
+                `mapping.${column.key}`,
+                'required',
+                `No column holds ${column.header} - name a header "${column.header}" or map one to ${column.key}`
+            )), 'Missing columns');
+        }
         
-        if (includeDeleted !== 'true') {
-            query.isDeleted = { $ne: true };
+        const camps = await Camp.find().select('name services isActive timezone').lean();
+        const defaultCamp = defaultCampId ? camps.find(camp => String(camp._id) === defaultCampId) : null;
+        if (defaultCampId && !defaultCamp) {
+            return res.status(404).json({
+                success: false,
+                error: 'Camp not found'
+            });
         }
         
-        if (status && status !== 'all') query.status = status;
+        const familyGroups = await getReferenceValues('familyGroups');
         
-        if (service) {
-            query.$or = [
-                { service: service },
-                { services: service }
-            ];
+        // Check every row as a registration, collecting its problems instead of stopping at the first
+        const results = dataRows.map(({ line, cells }) => {
+            const data = patientRequests.withServices(rowToPatient(cells, headers));
+            const camp = data.camp ? findImportCamp(camps, data.camp) : defaultCamp;
+            const errors = [];
+            
+            if (data.camp && !camp) {
+                errors.push(fieldError('camp', 'invalid_choice', `No camp is named ${data.camp}`));
+            } else if (!camp) {
+                errors.push(fieldError('camp', 'required', 'Choose a camp for the file or fill in the Camp column'));
+            } else if (!camp.isActive) {
+                errors.push(fieldError('camp', 'invalid_choice', `${camp.name} is no longer accepting registrations`));
+            }
+            
+            const { value, errors: requestErrors } = checkImportRow({ ...data, camp: camp ? String(camp._id) : undefined });
+            errors.push(...requestErrors.filter(error => error.field !== 'camp'));
+            if (camp) errors.push(...patientRequests.serviceErrors(value.services, camp.services, camp.name));
+            errors.push(...referenceRequests.referenceErrors('familyGroup', value.familyGroup, familyGroups, 'Family group'));
+            
+            // Only clinical staff may record medical history - each history column is named
+            getRestrictedFields(req, value).forEach(field => {
+                const paths = field === 'pastHistory' ? Object.keys(value.pastHistory).map(key => `pastHistory.${key}`) : [field];
+                paths.forEach(path => errors.push(fieldError(path, 'forbidden', `Your role (${req.user.role}) cannot record clinical information - leave this column empty`)));
+            });
+            
+            return { line, patient: value, campTimeZone: camp?.timezone, errors };
+        });
+        
+        // Someone who may already be registered, or be on an earlier line, is left out unless staff confirm
+        // (confirmNotDuplicate), as at registration. A shared phone alone does not count - families often have one phone
+        const checkedRows = [];
+        for (const row of results) {
+            row.warnings = [];
+            if (row.errors.length > 0) continue;
+            
+            const [candidate] = await findDuplicateCandidates(row.patient, { limit: 1 });
+            const earlier = checkedRows.find(other => scoreDuplicate(row.patient, other.patient).score >= DUPLICATE_THRESHOLD);
+            if (candidate) {
+                row.warnings.push(fieldError('', 'duplicate', `${candidate.patient.name} is already registered and may be the same person - ` +
+                    'start a new visit for them instead, or confirm they are different people'));
+            } else if (earlier) {
+                row.warnings.push(fieldError('', 'duplicate', `The patient on line ${earlier.line} may be the same person`));
+            }
+            checkedRows.push(row);
         }
         
-        if (familyGroup && familyGroup !== 'all') query.familyGroup = familyGroup;
+        const rowStatus = (row) => row.errors.length > 0 ? 'invalid'
+            : row.warnings.length > 0 && !confirmNotDuplicate ? 'duplicate'
+            : 'valid';
+        const validRows = results.filter(row => rowStatus(row) === 'valid');
+        const duplicateRows = results.filter(row => rowStatus(row) === 'duplicate');
         
-        // Date range filtering
-        if (dateFrom || dateTo) {
-            query.createdAt = {};
-            if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-            if (dateTo) {
-                const endDate = new Date(dateTo);
-                endDate.setHours(23, 59, 59, 999);
-                query.createdAt.$lte = endDate;
+        if (!dryRun && validRows.length > 0) {
+            const now = new Date();
+            const alertRules = await getAlertRules();
+            
+            // A block of the day's ticket numbers per camp, as registering one by one would have taken
+            const nextTicket = new Map();
+            for (const campId of new Set(validRows.map(row => row.patient.camp))) {
+                const count = validRows.filter(row => row.patient.camp === campId).length;
+                const timezone = validRows.find(row => row.patient.camp === campId).campTimeZone || DEFAULT_TIMEZONE;
+                const last = await nextSequence(`ticket:${campId}:${dayKey(now, timezone)}`, count);
+                nextTicket.set(campId, last - count + 1);
+            }
+            
+            // insertMany skips the save hooks, so normalize, number and check the records here
+            const patients = [];
+            const encounters = [];
+            validRows.forEach(row => {
+                const data = { ...row.patient, status: 'registered' };
+                const patientId = new mongoose.Types.ObjectId();
+                const encounterId = new mongoose.Types.ObjectId();
+                
+                const encounter = {
+                    ...pickFields(data, ENCOUNTER_FIELDS),
+                    _id: encounterId,
+                    patient: patientId,
+                    ticketNumber: nextTicket.get(data.camp),
+                    serviceQueue: syncServiceQueue([], data.services),
+                    lastModified: now
+                };
+                nextTicket.set(data.camp, encounter.ticketNumber + 1);
+                if (data.vitalSigns) encounter.vitalSigns = deriveVitalSigns(data.vitalSigns);
+                Object.assign(encounter, evaluateAlerts(encounter, alertRules));
+                encounters.push(encounter);
+                
+                patients.push({
+                    ...pickFields(data, IDENTITY_FIELDS),
+                    _id: patientId,
+                    name: data.name.replace(/\s+/g, ' '),
+                    tel: data.tel.replace(/\s+/g, ' '),
+                    telNormalized: normalizePhone(data.tel),
+                    ...nameSearchKeys(data.name),
+                    lastModified: now,
+                    modificationHistory: [
+                        buildHistoryEntry('created', { ...data, import: { fileName, line: row.line } }, req, encounterId)
+                    ]
+                });
+                
+                row.status = 'created';
+                row.patientId = patientId;
+                row.encounterId = encounterId;
+            });
+            
+            await Patient.insertMany(patients);
+            try {
+                await Encounter.insertMany(encounters);
+            } catch (encounterError) {
+                // Don't leave identities without a visit behind
+                await Patient.deleteMany({ _id: { $in: patients.map(patient => patient._id) } });
+                throw encounterError;
             }
+            
+            new Set(validRows.map(row => row.patient.camp)).forEach(campId => {
+                publishQueueEvent(campId, 'bulk', { operation: 'import' });
+            });
         }
         
-        const patients = await Patient.find(query)
-            .sort({ createdAt: -1 })
-            .select('-modificationHistory'); // Exclude history for export
-        
-        const exportData = {
-            exportInfo: {
-                exportDate: new Date().toISOString(),
-                exportedBy: 'Health Campaign System v4.0.0 - Enhanced Premium',
-                totalRecords: patients.length,
-                format: format,
-                filters: { status, service, familyGroup, includeDeleted, dateFrom, dateTo },
-                features: [
-                    'Enhanced Multi-Service Selection Support',
-                    'Vital Signs Recording',
-                    'Past Medical History',
-                    'Editable Completed Records',
-                    'Custom Lab Tests with Others Option',
-                    'Demographics Reporting',
-                    'Sexual and Reproductive Health Service', 
-                    'Dental Consultation Service'
-                ]
+        const created = dryRun ? 0 : validRows.length;
+        console.log(dryRun
+            ? `✅ Checked ${results.length} rows: ${validRows.length} can be imported`
+            : `✅ Imported ${created} of ${results.length} patients`);
+        
+        res.json({
+            success: true,
+            message: dryRun
+                ? `${validRows.length} of ${results.length} patients can be imported`
+                : `${created} patient${created === 1 ? '' : 's'} imported${created < results.length ? ` - ${results.length - created} rows with problems or possible duplicates were left out` : ''}`,
+            data: {
+                headers: headers.map(({ header, key, known }) => ({
+                    header,
+                    column: key,
+                    ...(!key && { ignored: known ? 'Not a registration field' : 'Unknown column' })
+                })),
+                rows: results.map(row => ({
+                    line: row.line,
+                    status: row.status || rowStatus(row),
+                    patient: row.patient,
+                    errors: row.errors.map(error => ({ ...error, column: importColumnOf(error.field, headers) })),
+                    warnings: row.warnings,
+                    ...(row.patientId && { patientId: row.patientId, encounterId: row.encounterId })
+                }))
             },
-            patients: patients
-        };
+            meta: {
+                dryRun,
+                total: results.length,
+                valid: validRows.length,
+                invalid: results.length - validRows.length - duplicateRows.length,
+                duplicates: duplicateRows.length,
+                created
+            }
+        });
+        
+    } catch (error) {
+        handleError(res, error, 'Patient import failed', req);
+    }
+});
+
+// ===== FHIR =====
+
+// Entries read from one bundle - larger exchanges are sent in several bundles
+const MAX_FHIR_ENTRIES = 5000;
+
+// Patients in a bundle are checked as registrations, except that the camp comes with each visit
+const checkFhirPatient = compile({
+    ...patientRequests.createPatient,
+    required: patientRequests.createPatient.required.filter(field => field !== 'camp')
+});
+const checkFhirVitals = compile(patientRequests.VITAL_SIGNS);
+
+// Where a registration field comes from in a FHIR Patient
+const FHIR_PATIENT_ELEMENTS = { name: 'name', age: 'extension', sex: 'gender', tel: 'telecom', familyGroup: 'extension', occupation: 'extension' };
+
+// 51. FHIR Export - the patient list's visits as a FHIR R4 Bundle
+api.get('/fhir/export', describe({
+    tags: ['FHIR'],
+    summary: 'Download visits as a FHIR R4 collection Bundle',
+    description: 'Each visit is an Encounter (services as types, camp as location) with its vital signs as LOINC-coded Observations, ' +
+        'lab orders as ServiceRequests with an Observation per result, and the diagnosis as a Condition. Each patient appears once, ' +
+        'with age, family group and occupation as extensions. Takes the patient list filters and is streamed newest visit first. ' +
+        'Download links may pass the token as ?access_token= since they cannot send headers.',
+    query: {
+        ...patientRequests.PATIENT_FILTER_FIELDS,
+        access_token: { type: 'string', description: 'Bearer token for download links' }
+    },
+    raw: [FHIR_CONTENT_TYPE]
+}), authenticateFromQuery, authorize('export:read'), validate, async (req, res) => {
+    let cursor = null;
+    try {
+        const { access_token, ...filters } = req.query;
+        console.log('🩺 Exporting FHIR bundle');
+        
+        const { visitMatch, viewMatch } = await buildPatientFilter(filters);
+        const pipeline = [
+            ...buildPatientViewPipeline(visitMatch, CURSOR_SORT),
+            { $match: viewMatch }
+        ];
+        
+        const campList = await Camp.find().select('name').lean();
+        const campsById = new Map(campList.map(item => [String(item._id), item]));
         
+        // Full URLs say where each resource would be read from on this server
+        const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/fhir`;
         const timestamp = new Date().toISOString().split('T')[0];
         
-        if (format === 'csv') {
-            const csv = convertToCSV(patients);
-            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-            res.setHeader('Content-Disposition', `attachment; filename="health_campaign_patients_${timestamp}.csv"`);
-            res.send('\ufeff' + csv); // Add BOM for proper Excel encoding
-        } else {
-            res.setHeader('Content-Type', 'application/json; charset=utf-8');
-            res.setHeader('Content-Disposition', `attachment; filename="health_campaign_patients_${timestamp}.json"`);
-            res.json(exportData);
+        res.setHeader('Content-Type', `${FHIR_CONTENT_TYPE}; fhirVersion=${FHIR_VERSION}; charset=utf-8`);
+        res.setHeader('Content-Disposition', `attachment; filename="health_campaign_fhir_${timestamp}.json"`);
+        
+        const write = (chunk) => writeChunk(res, chunk);
+        
+        await write(`{"resourceType":"Bundle","type":"collection","timestamp":"${new Date().toISOString()}","entry":[`);
+        
+        // Patients seen earlier in the file are not repeated for their other visits
+        const patientsWritten = new Set();
+        let entries = 0;
+        let visits = 0;
+        cursor = Encounter.aggregate(pipeline).cursor({ batchSize: 500 });
+        for await (const visit of cursor) {
+            if (res.destroyed) break; // Client went away
+            
+            visit.camp = campsById.get(String(visit.camp)) || visit.camp;
+            const patientId = String(visit.patientId);
+            const resources = [
+                ...(patientsWritten.has(patientId) ? [] : [patientResource(visit)]),
+                ...visitResources(visit)
+            ];
+            patientsWritten.add(patientId);
+            
+            for (const resource of resources) {
+                await write((entries > 0 ? ',' : '') + JSON.stringify(bundleEntry(resource, baseUrl)));
+                entries++;
+            }
+            visits++;
+        }
+        
+        if (res.destroyed) {
+            console.log(`⚠️ FHIR export stopped after ${visits} visits - the client went away`);
+            return;
         }
+        await write(']}');
+        res.end();
         
-        console.log(`✅ Exported ${patients.length} patients as ${format.toUpperCase()}`);
+        console.log(`✅ Exported ${visits} visits of ${patientsWritten.size} patients as ${entries} FHIR resources`);
         
     } catch (error) {
-        handleError(res, error, 'Export failed', req);
+        if (res.headersSent) {
+            console.error('❌ FHIR export failed part way:', error.message);
+            return res.destroy(error);
+        }
+        handleError(res, error, 'FHIR export failed', req);
+    } finally {
+        if (cursor) await cursor.close().catch(() => {});
     }
 });
 
-// Enhanced CSV conversion with vital signs and past history support
-function convertToCSV(patients) {
-    if (!patients.length) return 'No data available for export';
-    
-    const headers = [
-        'ID', 'Name', 'Age', 'Sex', 'Occupation', 'Phone', 'Family Group', 
-        'Services', 'Status', 'Registration Date', 'Registration Time',
-        'Height (cm)', 'Weight (kg)', 'Blood Pressure', 'Pulse (bpm)', 'Temperature (°C)',
-        'Diagnosis', 'Lab Tests', 'Treatment Plan', 'Completion Date', 'Completion Time',
-        'Past Medical History', 'Current Medications', 'Allergies', 'Family History', 'Social History',
-        'Created At', 'Last Modified'
-    ];
-    
-    const escapeCsvField = (field) => {
-        if (field === null || field === undefined) return '';
-        const str = String(field);
-        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-            return `"${str.replace(/"/g, '""')}"`;
+// 52. FHIR Import - register the patients and visits of a FHIR R4 Bundle
+api.post('/fhir/import', describe({
+    tags: ['FHIR'],
+    summary: 'Import patients and visits from a FHIR R4 Bundle',
+    description: 'Reads Patient, Encounter, Observation (vital signs by LOINC code, lab results), ServiceRequest and Condition resources, ' +
+        'as written by GET /fhir/export. Every resource is checked against its structure and references; if anything is wrong nothing is ' +
+        'imported and each problem names its entry. A Patient carrying this system\'s identifier is the existing patient (a deleted one must be ' +
+        'restored first); any other Patient ' +
+        'that looks like someone registered or earlier in the bundle (name, age, sex and phone) is refused as a possible duplicate unless ' +
+        'confirmNotDuplicate is set. Diagnoses, lab orders and completed visits need clinical permission. ' +
+        'Encounters already imported are skipped. With dryRun nothing is saved.',
+    query: fhirRequests.IMPORT_QUERY,
+    body: fhirRequests.importBundle,
+    data: {
+        type: 'object',
+        properties: {
+            patients: { type: 'array', items: { type: 'object' } },
+            visits: { type: 'array', items: { type: 'object' } }
         }
-        return str;
-    };
-    
-    const csvContent = [
-        headers.join(','),
-        ...patients.map(patient => {
-            // Handle services - support both single and multiple services
-            const servicesDisplay = patient.services && patient.services.length > 0 
-                ? patient.services.join('; ') 
-                : (patient.service || '');
-            
-            // Handle vital signs
-            const vitals = patient.vitalSigns || {};
-            
-            // Handle past history
-            const history = patient.pastHistory || {};
-                
-            return [
-                escapeCsvField(patient._id),
-                escapeCsvField(patient.name),
-                escapeCsvField(patient.age),
-                escapeCsvField(patient.sex),
-                escapeCsvField(patient.occupation || ''),
-                escapeCsvField(patient.tel),
-                escapeCsvField(patient.familyGroup),
-                escapeCsvField(servicesDisplay),
-                escapeCsvField(patient.status),
-                escapeCsvField(patient.registrationDate),
-                escapeCsvField(patient.registrationTime || ''),
-                escapeCsvField(vitals.height || ''),
-                escapeCsvField(vitals.weight || ''),
-                escapeCsvField(vitals.bloodPressure || ''),
-                escapeCsvField(vitals.pulse || ''),
-                escapeCsvField(vitals.temperature || ''),
-                escapeCsvField(patient.diagnosis || ''),
-                escapeCsvField(patient.labTests?.join('; ') || ''),
-                escapeCsvField(patient.treatmentPlan || ''),
-                escapeCsvField(patient.completionDate || ''),
-                escapeCsvField(patient.completionTime || ''),
-                escapeCsvField(history.pastMedicalHistory || ''),
-                escapeCsvField(history.currentMedications || ''),
-                escapeCsvField(history.allergies || ''),
-                escapeCsvField(history.familyHistory || ''),
-                escapeCsvField(history.socialHistory || ''),
-                escapeCsvField(patient.createdAt ? new Date(patient.createdAt).toLocaleString() : ''),
-                escapeCsvField(patient.lastModified ? new Date(patient.lastModified).toLocaleString() : '')
-            ].join(',');
-        })
-    ].join('\n');
-    
-    return csvContent;
-}
-
-// Additional endpoints for completeness...
-
-// 10. Restore Deleted Patient
-app.post('/api/patients/:id/restore', async (req, res) => {
-    try {
-        const { id } = req.params;
-        console.log('♻️ Restoring patient:', id);
-        
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Invalid patient ID format' 
-            });
+    },
+    meta: {
+        type: 'object',
+        properties: {
+            dryRun: { type: 'boolean' },
+            newPatients: { type: 'integer' },
+            matchedPatients: { type: 'integer' },
+            newVisits: { type: 'integer' },
+            skippedVisits: { type: 'integer' }
+        }
+    },
+    errors: { 404: 'Camp not found' }
+}), authenticate, authorize('patients:create', 'patients:bulk'), validate, idempotent, async (req, res) => {
+    // What was saved, so a failure part way can be undone - history entries go on patients that already existed
+    const created = { patients: [], encounters: [], historyOn: [] };
+    try {
+        const { camp: defaultCampId, familyGroup: defaultFamilyGroup, dryRun = false, confirmNotDuplicate = false } = req.query;
+        const entryCount = (req.body.entry || []).length;
+        console.log(`🩺 ${dryRun ? 'Checking' : 'Importing'} FHIR bundle with ${entryCount} entries`);
+        
+        if (entryCount > MAX_FHIR_ENTRIES) {
+            throw validationError([
+                fieldError('entry', 'too_many', `The bundle has ${entryCount} entries - send at most ${MAX_FHIR_ENTRIES} at a time`)
+            ], 'Bundle too large');
         }
         
-        const patient = await Patient.findById(id);
-        if (!patient) {
-            return res.status(404).json({ 
-                success: false,
-                error: 'Patient not found' 
-            });
+        const { problems, patients, visits } = readBundle(req.body);
+        const problem = (index, element, code, message) => problems.push(fieldError(`entry.${index}.resource${element ? `.${element}` : ''}`, code, message));
+        
+        // Only clinical staff may record diagnoses, lab tests and completed visits - checked on each visit as it would be saved
+        const restrictedFields = [...new Set(visits.flatMap(visit => getRestrictedFields(req, {
+            ...(visit.data.diagnoses.length > 0 && { diagnosis: visit.data.diagnoses.join('; ') }),
+            ...(visit.data.labOrders.length > 0 && { labTests: activeLabTests(visit.data.labOrders) }),
+            status: visit.data.status
+        })))];
+        if (restrictedFields.length > 0) {
+            return rejectRestrictedFields(res, req, restrictedFields);
         }
         
-        if (!patient.isDeleted) {
-            return res.status(400).json({
+        const camps = await Camp.find().select('name services').lean();
+        const defaultCamp = defaultCampId ? camps.find(camp => String(camp._id) === defaultCampId) : null;
+        if (defaultCampId && !defaultCamp) {
+            return res.status(404).json({
                 success: false,
-                error: 'Patient is not deleted',
-                message: 'Cannot restore a patient that is not deleted'
+                error: 'Camp not found'
             });
         }
+        const familyGroups = await getReferenceValues('familyGroups');
+        
+        // Patients known here by this system's identifier. A shared phone number does not make two people
+        // the same patient - families often have one phone
+        const ownIds = patients.map(patient => patient.ownId).filter(id => id && validateObjectId(id));
+        const known = await Patient.find({ _id: { $in: ownIds } }).select('name isDeleted').lean();
+        const newPatients = [];
+        
+        for (const patient of patients) {
+            patient.existing = known.find(item => String(item._id) === patient.ownId);
+            // The identifier is still taken by the deleted record, so the patient cannot be imported as new
+            if (patient.existing?.isDeleted) {
+                problem(patient.index, 'identifier', 'deleted', `${patient.existing.name} was deleted - restore the patient first, then import the bundle again`);
+                continue;
+            }
+            if (patient.existing) continue;
+            
+            const { value, errors } = checkFhirPatient({ ...patient.data, familyGroup: patient.data.familyGroup || defaultFamilyGroup });
+            errors.forEach(error => problem(patient.index, FHIR_PATIENT_ELEMENTS[error.field], error.code, error.message));
+            referenceRequests.referenceErrors('familyGroup', value.familyGroup, familyGroups, 'Family group')
+                .forEach(error => problem(patient.index, 'extension', error.code, error.message));
+            patient.data = value;
+            
+            // Someone who may be the same person is left for staff to settle, as at registration
+            if (!confirmNotDuplicate) {
+                const [candidate] = await findDuplicateCandidates(value, { limit: 1 });
+                const earlier = newPatients.find(other => scoreDuplicate(value, other.data).score >= DUPLICATE_THRESHOLD);
+                if (candidate) {
+                    problem(patient.index, '', 'duplicate', `${candidate.patient.name} is already registered and may be the same person - ` +
+                        `give the Patient the identifier ${SYSTEMS.patient}|${candidate.patient._id} to import the visits for them, or confirm they are different people`);
+                } else if (earlier) {
+                    problem(patient.index, '', 'duplicate', `The Patient in entry ${earlier.index} may be the same person`);
+                }
+            }
+            newPatients.push(patient);
+        }
         
-        await patient.restore();
-        await addModificationHistory(id, 'updated', { restored: true }, req);
-        
-        console.log('✅ Patient restored:', patient.name);
+        // Visits already imported are left alone
+        const visitIds = visits.map(visit => visit.ownId).filter(id => id && validateObjectId(id));
+        const importedVisits = new Set((await Encounter.find({ _id: { $in: visitIds } }).select('_id').lean()).map(item => String(item._id)));
         
-        res.json({
-            success: true,
-            message: 'Patient restored successfully',
-            data: patient
+        visits.forEach(visit => {
+            visit.exists = importedVisits.has(visit.ownId);
+            if (visit.exists) return;
+            
+            const campName = String(visit.camp?.name || '').toLowerCase();
+            visit.campRecord = camps.find(camp => String(camp._id) === visit.camp?.id) ||
+                camps.find(camp => campName && camp.name.toLowerCase() === campName) ||
+                defaultCamp;
+            if (!visit.campRecord) {
+                problem(visit.index, 'location', 'required', visit.camp?.name
+                    ? `No camp is named ${visit.camp.name} - choose the camp for the import`
+                    : 'Give the camp as the Encounter location, or choose the camp for the import');
+                return;
+            }
+            
+            patientRequests.serviceErrors(visit.data.services, visit.campRecord.services, visit.campRecord.name)
+                .forEach(error => problem(visit.index, 'type', error.code, error.message));
+            
+            const { value, errors } = checkFhirVitals(visit.data.vitalSigns);
+            errors.forEach(error => problem(visit.index, '', error.code, error.message));
+            visit.data.vitalSigns = value;
         });
         
-    } catch (error) {
-        handleError(res, error, 'Failed to restore patient', req);
-    }
-});
-
-// 11. Get Deleted Patients
-app.get('/api/patients/deleted', async (req, res) => {
-    try {
-        console.log('🗑️ Getting deleted patients');
+        if (problems.length > 0) {
+            throw validationError(problems, 'Invalid FHIR bundle');
+        }
         
-        const { page = 1, limit = 100 } = req.query;
+        const newVisits = visits.filter(visit => !visit.exists);
         
-        const deletedPatients = await Patient.find({ isDeleted: true })
-            .sort({ deletedAt: -1 })
-            .limit(parseInt(limit))
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .select('-modificationHistory');
+        if (!dryRun) {
+            // New patients first, keeping this system's ID when the bundle carries one
+            for (const patient of patients.filter(item => !item.existing)) {
+                const record = new Patient({
+                    ...pickFields(patient.data, IDENTITY_FIELDS),
+                    ...(patient.ownId && validateObjectId(patient.ownId) && { _id: patient.ownId })
+                });
+                await record.save();
+                created.patients.push(record._id);
+                patient.id = record._id;
+            }
+            
+            for (const visit of newVisits) {
+                const patient = patients.find(item => item.index === visit.patient);
+                const patientId = patient.existing?._id || patient.id;
+                const { services, status, registrationDate, completionDate, vitalSigns, labOrders, diagnoses } = visit.data;
+                
+                // Finished visits were seen for every service - they do not join today's queues
+                const encounter = new Encounter({
+                    ...(visit.ownId && validateObjectId(visit.ownId) && { _id: visit.ownId }),
+                    patient: patientId,
+                    camp: visit.campRecord._id,
+                    services,
+                    status,
+                    registrationDate,
+                    completionDate,
+                    vitalSigns,
+                    diagnosis: diagnoses.join('; '),
+                    labOrders,
+                    labTests: activeLabTests(labOrders),
+                    serviceQueue: status === 'registered' ? [] : services.map(service => ({ service, status: 'done', queuedAt: registrationDate }))
+                });
+                await encounter.save();
+                created.encounters.push(encounter._id);
+                visit.id = encounter._id;
+                
+                // The patient's first imported visit records the registration, later ones a returning patient
+                const firstVisit = !patient.existing && newVisits.find(item => item.patient === visit.patient) === visit;
+                if (patient.existing) created.historyOn.push(patientId);
+                await addModificationHistory(patientId, 'created', {
+                    ...(firstVisit ? patient.data : { returningPatient: true }),
+                    camp: visit.campRecord._id,
+                    services,
+                    vitalSigns,
+                    fhir: { patient: patient.fhirId, encounter: visit.fhirId }
+                }, req, encounter._id);
+            }
+            
+            new Set(newVisits.map(visit => String(visit.campRecord._id))).forEach(campId => {
+                publishQueueEvent(campId, 'bulk', { operation: 'import' });
+            });
+        }
         
-        const total = await Patient.countDocuments({ isDeleted: true });
+        const meta = {
+            dryRun,
+            newPatients: patients.filter(patient => !patient.existing).length,
+            matchedPatients: patients.filter(patient => patient.existing).length,
+            newVisits: newVisits.length,
+            skippedVisits: visits.length - newVisits.length
+        };
+        console.log(`✅ FHIR bundle ${dryRun ? 'checked' : 'imported'}:`, meta);
         
         res.json({
             success: true,
-            data: deletedPatients,
-            pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil(total / parseInt(limit)),
-                totalPatients: total,
-                hasNext: parseInt(page) * parseInt(limit) < total,
-                hasPrev: parseInt(page) > 1
-            }
+            message: `${dryRun ? 'Bundle can be imported: ' : ''}${meta.newVisits} visit${meta.newVisits === 1 ? '' : 's'} for ` +
+                `${meta.newPatients} new and ${meta.matchedPatients} existing patients${meta.skippedVisits > 0 ? `, ${meta.skippedVisits} already imported` : ''}`,
+            data: {
+                patients: patients.map(patient => ({
+                    entry: patient.index,
+                    resource: `Patient/${patient.fhirId || ''}`,
+                    outcome: patient.existing ? 'matched' : dryRun ? 'new' : 'created',
+                    id: patient.existing?._id || patient.id,
+                    name: patient.existing?.name || patient.data.name
+                })),
+                visits: visits.map(visit => ({
+                    entry: visit.index,
+                    resource: `Encounter/${visit.fhirId || ''}`,
+                    outcome: visit.exists ? 'exists' : dryRun ? 'new' : 'created',
+                    id: visit.exists ? visit.ownId : visit.id,
+                    camp: visit.campRecord?.name
+                }))
+            },
+            meta
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to retrieve deleted patients', req);
+        // All or nothing - remove what was saved before the failure
+        if (created.encounters.length > 0 || created.patients.length > 0) {
+            await Encounter.deleteMany({ _id: { $in: created.encounters } }).catch(() => {});
+            await Patient.deleteMany({ _id: { $in: created.patients } }).catch(() => {});
+            await Patient.updateMany(
+                { _id: { $in: created.historyOn } },
+                { $pull: { modificationHistory: { encounter: { $in: created.encounters } } } }
+            ).catch(() => {});
+        }
+        handleError(res, error, 'FHIR import failed', req);
     }
 });
 
-// 12. Patient History
-app.get('/api/patients/:id/history', async (req, res) => {
-    try {
-        const { id } = req.params;
-        console.log('📜 Getting patient history:', id);
+// ===== DHIS2 REPORTING =====
+
+const DEFAULT_DHIS2_MAPPING = { ageBands: 'under5', rows: [] };
+
+const getDhis2Mapping = async () => (await Dhis2Mapping.findOne().lean()) || DEFAULT_DHIS2_MAPPING;
+
+// Problems a mapping's rows have beyond their shape: unknown services, tests and age bands, and two rows
+// writing the same DHIS2 value (the second would overwrite the first)
+const dhis2MappingErrors = async (mapping) => {
+    const errors = [];
+    const ageBands = parseAgeBands(mapping.ageBands || DEFAULT_DHIS2_MAPPING.ageBands);
+    if (!ageBands) {
+        errors.push(fieldError('ageBands', 'invalid_format', 'Age bands must be in ascending order without overlapping (e.g. 0-4,5-14,15+)'));
+    }
+    
+    // Retired services and tests still have visits to report
+    const referenceData = await getReferenceData();
+    const known = (list) => referenceData[list].map(item => item.value);
+    const seen = new Map();
+    
+    mapping.rows.forEach((row, index) => {
+        const field = (name) => `rows.${index}.${name}`;
+        const item = AGGREGATES[row.aggregate].item;
+        
+        ['service', 'test'].filter(name => name !== item && row[name]).forEach(name => {
+            errors.push(fieldError(field(name), 'invalid_choice', item
+                ? `${AGGREGATES[row.aggregate].label} are counted by ${item}, not ${name}`
+                : `${AGGREGATES[row.aggregate].label} are not counted by ${name}`));
+        });
+        errors.push(...referenceRequests.referenceErrors(field('service'), item === 'service' && row.service, known('services'), 'Service'));
+        errors.push(...referenceRequests.referenceErrors(field('test'), item === 'test' && row.test, known('labTests'), 'Lab test'));
         
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Invalid patient ID format' 
-            });
+        if (ageBands && row.ageBand && !ageBands.some(band => band.label === row.ageBand)) {
+            errors.push(fieldError(field('ageBand'), 'invalid_choice', `Age band must be one of: ${ageBands.map(band => band.label).join(', ')}`));
         }
         
-        const patient = await Patient.findById(id).select('name services modificationHistory');
-        
-        if (!patient) {
-            return res.status(404).json({ 
-                success: false,
-                error: 'Patient not found' 
-            });
+        const key = [row.dataElement, row.categoryOptionCombo, row.attributeOptionCombo || mapping.attributeOptionCombo].join('.');
+        if (seen.has(key)) {
+            errors.push(fieldError(field('dataElement'), 'duplicate', `Row ${seen.get(key) + 1} already reports this data element and category option combo`));
+        }
+        seen.set(key, index);
+    });
+    return errors;
+};
+
+// The dataValueSets payload for a period and org unit, counted from the visits registered in the period
+const buildDhis2DataValueSet = async ({ period, orgUnit, camp }) => {
+    const errors = [];
+    if (!period) errors.push(fieldError('query.period', 'required', 'Choose the period to report'));
+    if (!orgUnit) errors.push(fieldError('query.orgUnit', 'required', 'Choose the org unit to report for'));
+    const days = period && periodDays(period);
+    if (period && !days) errors.push(fieldError('query.period', 'invalid_format', `${period} is not a day, week, month, quarter or year`));
+    
+    const mapping = await getDhis2Mapping();
+    if (mapping.rows.length === 0) {
+        errors.push(fieldError('mapping', 'required', 'Map at least one count to a DHIS2 data element first'));
+    }
+    if (errors.length > 0) {
+        throw validationError(errors, 'Invalid DHIS2 export');
+    }
+    
+    const filters = { camp, dateFrom: days.dateFrom, dateTo: days.dateTo };
+    const { visitMatch, viewMatch } = await buildPatientFilter(filters);
+    const [facet] = await Encounter.aggregate([
+        ...buildPatientViewPipeline(visitMatch),
+        { $match: viewMatch },
+        ...countStages(parseAgeBands(mapping.ageBands))
+    ]);
+    
+    return {
+        payload: buildDataValueSet(mapping, countCells(facet), { period, orgUnit }),
+        days
+    };
+};
+
+const DHIS2_MAPPING_DATA = {
+    type: 'object',
+    properties: {
+        dataSet: { type: 'string' },
+        attributeOptionCombo: { type: 'string' },
+        ageBands: { type: 'string' },
+        rows: { type: 'array', items: { type: 'object' } }
+    }
+};
+
+// 53. DHIS2 Mapping - which counts are reported to which data elements
+api.get('/dhis2/mapping', describe({
+    tags: ['DHIS2'],
+    summary: 'Get the mapping from camp counts to DHIS2 data elements and category option combos',
+    description: 'meta lists what can be counted, the age bands rows can refer to, and whether a DHIS2 server is configured for pushing.',
+    data: DHIS2_MAPPING_DATA,
+    meta: {
+        type: 'object',
+        properties: {
+            aggregates: { type: 'object' },
+            ageBands: { type: 'array', items: { type: 'object' } },
+            server: { type: ['string', 'null'], description: 'DHIS2 server pushes go to, null when not configured' }
         }
+    }
+}), authenticate, authorize('export:read'), validate, async (req, res) => {
+    try {
+        const { _id, createdAt, ...mapping } = await getDhis2Mapping();
         
         res.json({
             success: true,
-            data: {
-                patientName: patient.name,
-                services: patient.services || (patient.service ? [patient.service] : []),
-                history: patient.modificationHistory || []
+            data: mapping,
+            meta: {
+                aggregates: AGGREGATES,
+                ageBands: parseAgeBands(mapping.ageBands),
+                server: DHIS2_CONFIG.url || null
             }
         });
         
     } catch (error) {
-        handleError(res, error, 'Failed to retrieve patient history', req);
+        handleError(res, error, 'Failed to retrieve DHIS2 mapping', req);
     }
 });
 
-// 13. Enhanced System Information
-app.get('/api/system', async (req, res) => {
+// 54. Update the DHIS2 Mapping - replaces every row
+api.put('/dhis2/mapping', describe({
+    tags: ['DHIS2'],
+    summary: 'Replace the DHIS2 mapping',
+    description: 'Each row is one data value: a count (services, labTestsPerformed, labTestsPositive or referrals), optionally narrowed to ' +
+        'a service or lab test, a sex and one of the mapping\'s age bands, and the data element and category option combo it is ' +
+        'reported as. Blank narrowing fields count everyone.',
+    body: dhis2Requests.updateMapping,
+    data: DHIS2_MAPPING_DATA
+}), authenticate, authorize('dhis2:manage'), validate, async (req, res) => {
     try {
-        const dbStats = await mongoose.connection.db.stats();
+        const { dataSet, attributeOptionCombo, ageBands = DEFAULT_DHIS2_MAPPING.ageBands, rows } = req.body;
+        console.log(`🗺️ Updating DHIS2 mapping: ${rows.length} rows`);
+        
+        const errors = await dhis2MappingErrors({ attributeOptionCombo, ageBands, rows });
+        if (errors.length > 0) {
+            throw validationError(errors, 'Invalid DHIS2 mapping');
+        }
+        
+        // Fields left out are cleared, as the whole mapping is replaced
+        const cleared = ['dataSet', 'attributeOptionCombo'].filter(field => !req.body[field]);
+        const { _id, createdAt, ...saved } = await Dhis2Mapping.findOneAndUpdate({}, {
+            $set: { ...(dataSet && { dataSet }), ...(attributeOptionCombo && { attributeOptionCombo }), ageBands, rows, updatedBy: staffStamp(req) },
+            ...(cleared.length > 0 && { $unset: Object.fromEntries(cleared.map(field => [field, ''])) })
+        }, { new: true, upsert: true, runValidators: true, lean: true });
+        
+        console.log('✅ DHIS2 mapping updated');
         
         res.json({
             success: true,
-            system: {
-                version: '4.0.0',
-                environment: process.env.NODE_ENV || 'development',
-                nodeVersion: process.version,
-                uptime: process.uptime(),
-                memory: process.memoryUsage(),
-                features: [
-                    'Enhanced Multi-Service Selection Support',
-                    'Vital Signs Recording (Height, Weight, BP, Pulse, Temperature)',
-                    'Past Medical History (Medical History, Medications, Allergies, Family History, Social History)',
-                    'Editable Completed Records',
-                    'Custom Lab Tests with Others Option',
-                    'Demographics Reporting (Sex Ratio, Age Distribution)',
-                    'Sexual and Reproductive Health Service',
-                    'Dental Consultation Service',
-                    'Enhanced Service Management',
-                    'Backward Compatibility',
-                    'Legacy Service Migration'
-                ],
-                supportedServices: [
-                    'General consultations',
-                    'Eye consultation',
-                    'Gynaecology',
-                    'Cervical cancer screening',
-                    'Sexual and reproductive health',
-                    'Dental consultation'
-                ],
-                vitalSigns: [
-                    'Height (cm)',
-                    'Weight (kg)', 
-                    'Blood Pressure',
-                    'Pulse (bpm)',
-                    'Temperature (°C)'
-                ],
-                pastHistoryFields: [
-                    'Past Medical History',
-                    'Current Medications',
-                    'Allergies',
-                    'Family History',
-                    'Social History'
-                ],
-                labTests: [
-                    'Malaria', 'HIV', 'HBV', 'HCV', 'Blood grouping', 
-                    'Blood glucose', 'Syphilis', 'Ultrasound', 'X-ray',
-                    'ECG', 'Urinalysis', 'Lipid Profile', 'Others (Custom)'
-                ],
-                database: {
-                    name: mongoose.connection.name,
-                    collections: dbStats.collections,
-                    dataSize: dbStats.dataSize,
-                    storageSize: dbStats.storageSize,
-                    indexes: dbStats.indexes
-                }
-            }
+            message: `DHIS2 mapping saved with ${rows.length} data value${rows.length === 1 ? '' : 's'}`,
+            data: saved
         });
+        
     } catch (error) {
-        handleError(res, error, 'Failed to retrieve system information', req);
+        handleError(res, error, 'Failed to update DHIS2 mapping', req);
     }
 });
 
-// 14. Enhanced Bulk Operations - Updated with Vital Signs Support
-app.post('/api/patients/bulk', async (req, res) => {
+// 55. DHIS2 Data Values - the mapped counts for a period and org unit, ready to import into DHIS2
+api.get('/dhis2/dataValueSets', describe({
+    tags: ['DHIS2'],
+    summary: 'Download a DHIS2 dataValueSets payload (JSON or CSV) for a period and org unit',
+    description: 'Counts the visits registered in the period (in the camp\'s timezone) and fills in every mapping row, zeros ' +
+        'included so a corrected upload replaces earlier values. The JSON is what POST /api/dataValueSets on DHIS2 takes; the CSV ' +
+        'is the Import/Export app\'s data value layout. Download links may pass the token as ?access_token=.',
+    query: {
+        ...dhis2Requests.DATA_VALUE_SET_FIELDS,
+        format: { title: 'Format', enum: ['json', 'csv'], description: 'json (default) or csv' },
+        access_token: { type: 'string', description: 'Bearer token for download links' }
+    },
+    raw: ['application/json', 'text/csv']
+}), authenticateFromQuery, authorize('export:read'), validate, async (req, res) => {
     try {
-        const { operation, patientIds, updateData, filters } = req.body;
-        console.log(`🔄 Bulk ${operation} for ${patientIds?.length || 0} patients`);
+        const { period, orgUnit, camp, format = 'json' } = req.query;
+        console.log(`🗺️ Building DHIS2 data values for ${orgUnit} ${period}`);
         
-        if (!operation) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Operation type is required' 
-            });
+        const { payload } = await buildDhis2DataValueSet({ period, orgUnit, camp });
+        
+        res.setHeader('Content-Disposition', `attachment; filename="dhis2_${orgUnit}_${period}.${format}"`);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.send(dataValueSetCsv(payload));
+        } else {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            res.send(JSON.stringify(payload, null, 2));
         }
         
-        let targetIds = patientIds;
+        console.log(`✅ DHIS2 data values built: ${payload.dataValues.length} values`);
         
-        // If no specific IDs provided, use filters to find patients
-        if (!targetIds && filters) {
-            const query = { isDeleted: { $ne: true } };
-            
-            if (filters.status) query.status = filters.status;
-            if (filters.familyGroup) query.familyGroup = filters.familyGroup;
-            if (filters.service) {
-                query.$or = [
-                    { service: filters.service },
-                    { services: filters.service }
-                ];
-            }
-            
-            const patients = await Patient.find(query).select('_id');
-            targetIds = patients.map(p => p._id.toString());
+    } catch (error) {
+        handleError(res, error, 'DHIS2 export failed', req);
+    }
+});
+
+// 56. Push to DHIS2 - send the data values for a period and org unit to the configured server
+api.post('/dhis2/push', describe({
+    tags: ['DHIS2'],
+    summary: 'Send the data values for a period and org unit to DHIS2',
+    description: 'Builds the same payload as GET /dhis2/dataValueSets and posts it to the DHIS2 server set by DHIS2_URL ' +
+        '(with DHIS2_TOKEN, or DHIS2_USERNAME and DHIS2_PASSWORD). Existing values are updated. With dryRun DHIS2 checks the ' +
+        'values without saving them. data is DHIS2\'s import summary.',
+    query: {
+        ...dhis2Requests.DATA_VALUE_SET_FIELDS,
+        dryRun: { type: 'boolean', description: 'Have DHIS2 check the values without saving them' }
+    },
+    data: {
+        type: 'object',
+        properties: {
+            status: { type: 'string' },
+            importCount: { type: 'object' },
+            conflicts: { type: 'array', items: { type: 'object' } }
         }
-        
-        if (!targetIds || !Array.isArray(targetIds) || targetIds.length === 0) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'No patients specified for bulk operation' 
-            });
+    },
+    meta: {
+        type: 'object',
+        properties: {
+            dryRun: { type: 'boolean' },
+            period: { type: 'object' },
+            orgUnit: { type: 'string' },
+            dataValues: { type: 'integer' }
         }
+    },
+    errors: { 502: 'DHIS2 could not be reached or refused the values', 503: 'DHIS2 is not configured' }
+}), authenticate, authorize('dhis2:push'), validate, idempotent, async (req, res) => {
+    try {
+        const { period, orgUnit, camp, dryRun = false } = req.query;
         
-        // Validate all IDs
-        const invalidIds = targetIds.filter(id => !validateObjectId(id));
-        if (invalidIds.length > 0) {
-            return res.status(400).json({ 
+        if (!isDhis2Configured()) {
+            return res.status(503).json({
                 success: false,
-                error: 'Invalid patient IDs', 
-                invalidIds 
+                error: 'DHIS2 is not configured',
+                message: 'Set DHIS2_URL and credentials on the server, or download the data values and import them in DHIS2'
             });
         }
         
-        let result;
-        let message;
+        const { payload, days } = await buildDhis2DataValueSet({ period, orgUnit, camp });
+        console.log(`🗺️ ${dryRun ? 'Checking' : 'Pushing'} ${payload.dataValues.length} DHIS2 data values for ${orgUnit} ${period}`);
         
-        switch (operation) {
-            case 'delete':
-                // Soft delete
-                result = await Patient.updateMany(
-                    { _id: { $in: targetIds } },
-                    { 
-                        isDeleted: true,
-                        deletedAt: new Date(),
-                        status: 'deleted',
-                        lastModified: new Date()
-                    }
-                );
-                message = `${result.modifiedCount} patients deleted successfully`;
-                break;
-                
-            case 'permanentDelete':
-                result = await Patient.deleteMany({ _id: { $in: targetIds } });
-                message = `${result.deletedCount} patients permanently deleted`;
-                break;
-                
-            case 'restore':
-                result = await Patient.updateMany(
-                    { _id: { $in: targetIds }, isDeleted: true },
-                    { 
-                        isDeleted: false,
-                        $unset: { deletedAt: 1 },
-                        status: 'registered',
-                        lastModified: new Date()
-                    }
-                );
-                message = `${result.modifiedCount} patients restored successfully`;
-                break;
-                
-            case 'update':
-                if (!updateData) {
-                    return res.status(400).json({ 
-                        success: false,
-                        error: 'Update data is required for bulk update' 
-                    });
-                }
-                
-                const sanitizedUpdateData = sanitizeInput(updateData);
-                sanitizedUpdateData.lastModified = new Date();
-                
-                // Handle services in bulk update
-                if (sanitizedUpdateData.services) {
-                    const validServices = [
-                        'General consultations', 
-                        'Eye consultation', 
-                        'Gynaecology', 
-                        'Cervical cancer screening', 
-                        'Sexual and reproductive health',
-                        'Dental consultation'
-                    ];
-                    
-                    const invalidServices = sanitizedUpdateData.services.filter(service => !validServices.includes(service));
-                    if (invalidServices.length > 0) {
-                        return res.status(400).json({
-                            success: false,
-                            error: 'Invalid services in bulk update',
-                            invalidServices,
-                            validServices
-                        });
-                    }
-                }
-                
-                result = await Patient.updateMany(
-                    { _id: { $in: targetIds }, isDeleted: { $ne: true } },
-                    sanitizedUpdateData
-                );
-                message = `${result.modifiedCount} patients updated successfully`;
-                break;
-                
-            case 'complete':
-                result = await Patient.updateMany(
-                    { _id: { $in: targetIds }, status: 'registered', isDeleted: { $ne: true } },
-                    { 
-                        status: 'completed',
-                        completionDate: new Date().toLocaleDateString('en-GB'),
-                        completionTime: new Date().toLocaleTimeString('en-GB'),
-                        lastModified: new Date()
-                    }
-                );
-                message = `${result.modifiedCount} patients marked as completed`;
-                break;
-                
-            default:
-                return res.status(400).json({ 
-                    success: false,
-                    error: 'Invalid operation type',
-                    validOperations: ['delete', 'permanentDelete', 'restore', 'update', 'complete']
-                });
+        const summary = await pushDataValueSet(payload, { dryRun });
+        if (summary.status === 'ERROR') {
+            const error = new Error(`DHIS2 refused the data values: ${summary.conflicts.map(conflict => `${conflict.object}: ${conflict.value}`).join('; ') || 'no reason given'}`);
+            error.statusCode = 502;
+            throw error;
         }
         
-        console.log(`✅ Bulk ${operation} completed:`, result);
+        const { imported = 0, updated = 0, ignored = 0 } = summary.importCount;
+        console.log(`✅ DHIS2 ${dryRun ? 'check' : 'push'} ${summary.status}: ${imported} imported, ${updated} updated, ${ignored} ignored`);
         
-        res.json({ 
+        res.json({
             success: true,
-            message,
-            operation,
-            result,
-            affectedCount: result.modifiedCount || result.deletedCount || 0,
-            targetCount: targetIds.length
+            message: `${dryRun ? 'DHIS2 checked the values: ' : ''}${imported} imported, ${updated} updated, ${ignored} ignored` +
+                `${summary.conflicts.length > 0 ? ` - ${summary.conflicts.length} conflict${summary.conflicts.length === 1 ? '' : 's'}` : ''}`,
+            data: summary,
+            meta: {
+                dryRun,
+                period: { id: period, ...days },
+                orgUnit,
+                dataValues: payload.dataValues.length
+            }
         });
         
     } catch (error) {
-        handleError(res, error, 'Bulk operation failed', req);
+        handleError(res, error, 'DHIS2 push failed', req);
     }
 });
 
-// ===== SERVE MAIN PAGE =====
-app.get('/', (req, res) => {
-    console.log('🏠 Serving main page');
-    res.sendFile(__dirname + '/index.html');
-});
-
-// Enhanced API documentation endpoint
-app.get('/api', (req, res) => {
+// Enhanced API documentation endpoint - the endpoint list comes from the OpenAPI document
+api.get('/', describe({
+    tags: ['System'],
+    summary: 'API overview and endpoint list',
+    data: { type: 'object' }
+}), validate, (req, res) => {
+    const operations = Object.entries(getOpenApiDocument().paths).flatMap(([path, pathItem]) =>
+        Object.entries(pathItem).map(([method, operation]) => ({
+            endpoint: `${method.toUpperCase()} /api${path.replace(/\{(\w+)\}/g, ':$1')}`,
+            operation
+        }))
+    );
+    
     res.json({
-        name: 'Health Campaign Management API',
-        version: '4.0.0',
-        description: 'Comprehensive patient registration and medical records management system with enhanced features',
-        newFeatures: [
-            'Vital Signs Recording - Height, Weight, Blood Pressure, Pulse, Temperature',
-            'Past Medical History - Medical History, Current Medications, Allergies, Family History, Social History',
-            'Editable Completed Records - Ability to edit records even after completion',
-            'Custom Lab Tests - Others option for lab tests not in predefined list',
-            'Demographics Reporting - Sex ratio and age distribution statistics',
-            'Enhanced Multi-Service Selection - Patients can register for multiple services',
-            'Sexual and Reproductive Health Service',
-            'Dental Consultation Service'
-        ],
-        supportedServices: [
-            'General consultations',
-            'Eye consultation',
-            'Gynaecology', 
-            'Cervical cancer screening',
-            'Sexual and reproductive health',
-            'Dental consultation'
-        ],
-        vitalSigns: [
-            'Height (cm) - Numeric field with validation',
-            'Weight (kg) - Numeric field with validation',
-            'Blood Pressure - Text field for readings like 120/80 mmHg',
-            'Pulse (bpm) - Numeric field for heart rate',
-            'Temperature (°C) - Numeric field with decimal support'
-        ],
-        pastHistoryFields: [
-            'Past Medical History - Previous illnesses, surgeries, hospitalizations',
-            'Current Medications - List of current medications and dosages',
-            'Allergies - Drug allergies, food allergies, environmental allergies',
-            'Family History - Relevant family medical history',
-            'Social History - Smoking, alcohol, lifestyle factors'
-        ],
-        labTests: [
-            'Predefined Tests: Malaria, HIV, HBV, HCV, Blood grouping, Blood glucose, Syphilis, Ultrasound, X-ray, ECG, Urinalysis, Lipid Profile',
-            'Custom Tests: Others option allows entry of custom lab tests not in predefined list'
-        ],
-        demographics: [
-            'Sex Ratio - Male/Female distribution with percentages',
-            'Age Distribution - Breakdown by age ranges: 0-18, 19-30, 31-45, 46-60, 61-75, 76+ years'
-        ],
-        endpoints: {
-            'GET /api/health': 'Enhanced system health check with comprehensive statistics',
-            'GET /api/patients': 'Get all patients with advanced filtering and pagination',
-            'POST /api/patients': 'Create new patient with vital signs and multi-service support',
-            'PUT /api/patients': 'Update patient with vital signs, past history, and multi-service support',
-            'GET /api/patients/:id': 'Get single patient by ID with full details',
-            'DELETE /api/patients/:id': 'Delete patient (soft delete by default)',
-            'POST /api/patients/:id/restore': 'Restore deleted patient',
-            'GET /api/patients/deleted': 'Get deleted patients',
-            'GET /api/patients/:id/history': 'Get patient modification history',
-            'GET /api/stats': 'Get comprehensive system statistics with demographics',
-            'POST /api/search': 'Search patients with advanced filters',
-            'POST /api/patients/bulk': 'Bulk operations on patients',
-            'GET /api/export': 'Export patient data with vital signs and history (JSON/CSV)',
-            'GET /api/system': 'Get enhanced system information',
-            'POST /api/patient': 'Get single patient (legacy endpoint)',
-            'POST /api/delete': 'Delete patient (legacy endpoint)'
-        },
-        features: [
-            'Enhanced Multi-Service Patient Registration',
-            'Comprehensive Vital Signs Recording',
-            'Detailed Past Medical History',
-            'Medical Records with Custom Lab Tests',
-            'Editable Completed Records',
-            'Demographics and Statistical Reporting',
-            'Multiple Services Support per Patient',
-            'Advanced Search & Filtering',
-            'Soft Delete with Restore',
-            'Bulk Operations',
-            'Enhanced Data Export (JSON/CSV)',
-            'Comprehensive Audit Trail',
-            'Enhanced Validation',
-            'Performance Optimized',
-            'Production Ready',
-            'Backward Compatibility'
-        ]
+        success: true,
+        data: {
+            name: 'Health Campaign Management API',
+            version: '4.0.0',
+            description: 'Comprehensive patient registration and medical records management system with enhanced features',
+            newFeatures: [
+                'Vital Signs Recording - Height, Weight, Blood Pressure, Pulse, Temperature',
+                'Past Medical History - Medical History, Current Medications, Allergies, Family History, Social History',
+                'Editable Completed Records - Ability to edit records even after completion',
+                'Custom Lab Tests - Others option for lab tests not in predefined list',
+                'Demographics Reporting - Sex ratio and age distribution statistics',
+                'Enhanced Multi-Service Selection - Patients can register for multiple services',
+                'Sexual and Reproductive Health Service',
+                'Dental Consultation Service'
+            ],
+            referenceLists: Object.fromEntries(REFERENCE_LIST_NAMES.map(list => [list, REFERENCE_LISTS[list].description])),
+            vitalSigns: [
+                'Height (cm) - Numeric field with validation',
+                'Weight (kg) - Numeric field with validation',
+                'Blood Pressure - Text field for readings like 120/80 mmHg, parsed into systolic and diastolic',
+                'BMI - Computed from height and weight',
+                'Pulse (bpm) - Numeric field for heart rate',
+                'Temperature (°C) - Numeric field with decimal support'
+            ],
+            pastHistoryFields: [
+                'Past Medical History - Previous illnesses, surgeries, hospitalizations',
+                'Current Medications - List of current medications and dosages',
+                'Allergies - Drug allergies, food allergies, environmental allergies',
+                'Family History - Relevant family medical history',
+                'Social History - Smoking, alcohol, lifestyle factors'
+            ],
+            labTests: [
+                'Predefined Tests: Malaria, HIV, HBV, HCV, Blood grouping, Blood glucose, Syphilis, Ultrasound, X-ray, ECG, Urinalysis, Lipid Profile',
+                'Custom Tests: Others option allows entry of custom lab tests not in predefined list',
+                'Lab Orders: each test is tracked as ordered, sample collected, resulted or cancelled',
+                'Typed Results: positive/negative for rapid tests, numeric values with units and reference ranges, free text for imaging and ECG'
+            ],
+            demographics: [
+                'Sex Ratio - Male/Female distribution with percentages',
+                'Age Distribution - Breakdown by age ranges: 0-18, 19-30, 31-45, 46-60, 61-75, 76+ years'
+            ],
+            endpoints: Object.fromEntries(operations
+                .filter(({ operation }) => !operation.deprecated)
+                .map(({ endpoint, operation }) => [endpoint, operation.summary])),
+            versions: {
+                current: 'Every endpoint above is served at /api/v2 as well as /api (e.g. PATCH /api/v2/patients/:id)',
+                deprecated: Object.fromEntries(operations
+                    .filter(({ operation }) => operation.deprecated)
+                    .map(({ endpoint, operation }) => [endpoint, operation.description])),
+                deprecation: 'Deprecated endpoints are only served at /api and answer with Deprecation: true and a Link header to the successor'
+            },
+            documentation: {
+                openapi: '/api/openapi.json',
+                browsable: '/api/docs',
+                envelope: 'Successful responses are { success: true, data, message, pagination, meta }; failures are { success: false, error, message, details }'
+            },
+        authentication: {
+                scheme: 'Bearer token in the Authorization header',
+                roles: ROLES,
+                permissions: ROLE_PERMISSIONS,
+                publicEndpoints: ['GET /api', 'GET /api/health', 'POST /api/auth/login']
+            },
+            offlineSync: {
+                idempotency: 'Send an Idempotency-Key header with POST /api/patients, PATCH /api/patients/:id and POST /api/patients/:id/encounters; retries with the same key replay the first response (Idempotent-Replayed: true)',
+                clientIds: 'Devices may generate the patient id and visit encounterId (24 hex characters) so offline edits can refer to records not yet synced',
+                conflicts: 'Edits send baseLastModified; an edit changing fields someone else changed since then is rejected with 409 Conflict, the conflicting fields and the current record'
+            },
+            features: [
+                'Enhanced Multi-Service Patient Registration',
+                'Comprehensive Vital Signs Recording',
+                'Detailed Past Medical History',
+                'Medical Records with Custom Lab Tests',
+                'Editable Completed Records',
+                'Demographics and Statistical Reporting',
+                'Multiple Services Support per Patient',
+                'Advanced Search & Filtering',
+                'Soft Delete with Restore',
+                'Bulk Operations',
+                'Enhanced Data Export (JSON/CSV)',
+                'Comprehensive Audit Trail',
+                'Staff Accounts with Role-Based Access Control',
+                'Multi-Camp Support with Per-Camp Services',
+                'Returning Patients with Per-Camp Visit Records',
+                'Duplicate Detection (Normalized Phones, Fuzzy Names) and Merge',
+                'Lab Orders, Typed Results and Lab Worklist',
+                'Clinical Alert Rules on Vital Signs and Lab Results',
+                'Offline Registration with Idempotent Background Sync',
+                'Triage and Per-Service Queues with Live Updates',
+                'Versioned REST Routes (/api/v2) with PATCH Partial Updates',
+                'OpenAPI Specification with a Consistent Response Envelope',
+                'Admin-Managed Reference Lists (Services, Family Groups, Lab Tests, Occupations)',
+                'Versioned Data Migrations with Dry Run and Rollback',
+                'Per-Camp Timezones for Date Filters, Daily Trends and Exports',
+                'Cursor Pagination and Streaming CSV/JSON/NDJSON Export',
+                'Ranked Full-Text and Phonetic Patient Search with Type-Ahead',
+                'Shared Patient Filters (Age, Sex, Services Any/All, Lab Test, Alerts, Completion Date, Modified By) with Saved Filters',
+                'Cross-Tab Reports by Service, Sex, Age Band (Standard, Under-5, WHO or Custom), Family Group, Camp and Period',
+                'Printable PDF Campaign Report with Sign-Off',
+                'Excel (XLSX) Export with One Sheet per Section and Column Selection',
+                'Bulk CSV/XLSX Patient Import with Validation Preview',
+                'FHIR R4 Bundle Export and Import (Patient, Encounter, Observation, ServiceRequest, Condition)',
+                'DHIS2 dataValueSets Export (JSON/CSV) and Push with Configurable Data Element Mapping',
+                'Enhanced Validation',
+                'Performance Optimized',
+                'Production Ready',
+                'Backward Compatibility'
+            ]
+        }
     });
 });
 
+// Legacy endpoints take precedence at /api; /api/v2 serves only the current ones
+app.use('/api/v2', api);
+app.use('/api', legacyApi, api);
+
 // ===== ERROR HANDLERS =====
 
 // 404 handler
@@ -2072,6 +7180,7 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = async (signal) => {
     console.log(`🛑 ${signal} received, shutting down gracefully...`);
     try {
+        queueStreams.forEach(stream => stream.res.end());
         await mongoose.connection.close();
         console.log('📦 MongoDB connection closed');
         console.log('👋 Server shutdown complete');
@@ -2107,6 +7216,8 @@ const server = app.listen(PORT, () => {
     console.log(`🚀  URL: http://localhost:${PORT}`);
     console.log(`🚀  Health Check: http://localhost:${PORT}/api/health`);
     console.log(`🚀  API Documentation: http://localhost:${PORT}/api`);
+    console.log(`🚀  API v2: http://localhost:${PORT}/api/v2`);
+    console.log(`🚀  OpenAPI Docs: http://localhost:${PORT}/api/docs`);
     console.log('🚀 ========================================');
     console.log('🚀  NEW ENHANCED FEATURES v4.0.0:');
     console.log('🚀  ✅ Vital Signs Recording');
@@ -2150,6 +7261,25 @@ const server = app.listen(PORT, () => {
     console.log('🚀  ✅ Bulk Operations');
     console.log('🚀  ✅ Enhanced Data Export (JSON/CSV)');
     console.log('🚀  ✅ Comprehensive Audit Trail');
+    console.log('🚀  ✅ Staff Accounts with Role-Based Access Control');
+    console.log('🚀  ✅ Multi-Camp Support with Per-Camp Services');
+    console.log('🚀  ✅ Lab Orders, Results & Worklist');
+    console.log('🚀  ✅ Clinical Alerts & Priority List');
+    console.log('🚀  ✅ Triage & Live Per-Service Queues');
+    console.log('🚀  ✅ Offline Sync with Idempotency Keys');
+    console.log('🚀  ✅ OpenAPI Spec & Consistent Response Envelope');
+    console.log('🚀  ✅ Managed Reference Lists');
+    console.log('🚀  ✅ Versioned Data Migrations');
+    console.log(`🚀  ✅ Camp Timezones (default ${DEFAULT_TIMEZONE})`);
+    console.log('🚀  ✅ Cursor Pagination & Streaming Export');
+    console.log('🚀  ✅ Full-Text & Phonetic Search');
+    console.log('🚀  ✅ Shared Patient Filters & Saved Filters');
+    console.log('🚀  ✅ Cross-Tab Reports with Custom Age Bands');
+    console.log('🚀  ✅ PDF Campaign Report');
+    console.log('🚀  ✅ Excel (XLSX) Export');
+    console.log('🚀  ✅ Bulk Patient Import (CSV/XLSX)');
+    console.log('🚀  ✅ FHIR R4 Export & Import');
+    console.log(`🚀  ✅ DHIS2 Reporting${isDhis2Configured() ? ` (pushing to ${DHIS2_CONFIG.url})` : ''}`);
     console.log('🚀  ✅ Enhanced Validation & Error Handling');
     console.log('🚀  ✅ Performance Optimized with Indexes');
     console.log('🚀  ✅ Production Ready Architecture');
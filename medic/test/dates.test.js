@@ -0,0 +1,75 @@
+// Calendar days in camp timezones (lib/dates.js), including daylight saving changes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startOfDay, dayKey, addDays, dayRange, periodStart, wallClockDate, isValidTimeZone } = require('../lib/dates');
+
+const HOUR = 60 * 60 * 1000;
+const iso = (date) => date.toISOString();
+
+test('a day in Africa/Douala starts at 23:00 UTC the day before', () => {
+    assert.equal(iso(startOfDay('2025-10-19', 'Africa/Douala')), '2025-10-18T23:00:00.000Z');
+    assert.equal(iso(startOfDay('2025-01-01', 'Africa/Douala')), '2024-12-31T23:00:00.000Z');
+});
+
+test('a registration just after midnight in the camp counts on the camp\'s day', () => {
+    assert.equal(dayKey('2025-10-19T23:30:00Z', 'Africa/Douala'), '2025-10-20');
+    assert.equal(dayKey('2025-10-19T23:30:00Z', 'UTC'), '2025-10-19');
+});
+
+test('the day the clocks go forward in Europe/London has 23 hours', () => {
+    const start = startOfDay('2025-03-30', 'Europe/London');
+    const next = startOfDay('2025-03-31', 'Europe/London');
+    assert.equal(iso(start), '2025-03-30T00:00:00.000Z');
+    assert.equal(iso(next), '2025-03-30T23:00:00.000Z');
+    assert.equal(next - start, 23 * HOUR);
+});
+
+test('the day the clocks go back in Europe/London has 25 hours', () => {
+    const start = startOfDay('2025-10-26', 'Europe/London');
+    const next = startOfDay('2025-10-27', 'Europe/London');
+    assert.equal(iso(start), '2025-10-25T23:00:00.000Z');
+    assert.equal(iso(next), '2025-10-27T00:00:00.000Z');
+    assert.equal(next - start, 25 * HOUR);
+});
+
+test('a date range covers whole days on both sides of a daylight saving change', () => {
+    assert.deepEqual(dayRange('2025-03-30', '2025-03-30', 'Europe/London'), {
+        $gte: new Date('2025-03-30T00:00:00Z'),
+        $lt: new Date('2025-03-30T23:00:00Z')
+    });
+    assert.deepEqual(dayRange('2025-10-25', '2025-10-26', 'Europe/London'), {
+        $gte: new Date('2025-10-24T23:00:00Z'),
+        $lt: new Date('2025-10-27T00:00:00Z')
+    });
+    assert.deepEqual(dayRange(undefined, '2025-10-19', 'Africa/Douala'), { $lt: new Date('2025-10-19T23:00:00Z') });
+    assert.equal(dayRange(undefined, undefined), null);
+});
+
+test('a period of days ends today in the camp\'s timezone', () => {
+    const now = new Date('2025-10-19T23:30:00Z'); // Already 20 October in Douala
+    assert.equal(iso(periodStart(7, 'Africa/Douala', now)), '2025-10-13T23:00:00.000Z');
+    assert.equal(iso(periodStart(1, 'Africa/Douala', now)), '2025-10-19T23:00:00.000Z');
+    assert.equal(iso(periodStart(7, 'Europe/London', new Date('2025-04-02T12:00:00Z'))), '2025-03-27T00:00:00.000Z');
+});
+
+test('calendar days are added without a timezone', () => {
+    assert.equal(addDays('2025-02-28', 1), '2025-03-01');
+    assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+    assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+});
+
+test('text that is not a calendar day has no start', () => {
+    assert.equal(startOfDay('19/10/2025', 'Africa/Douala'), null);
+});
+
+test('spreadsheet times show the wall clock in the camp', () => {
+    assert.equal(iso(wallClockDate('2025-10-26T00:30:00Z', 'Europe/London')), '2025-10-26T01:30:00.000Z');
+    assert.equal(iso(wallClockDate('2025-10-26T01:30:00Z', 'Europe/London')), '2025-10-26T01:30:00.000Z');
+    assert.equal(wallClockDate(null), null);
+});
+
+test('timezones are checked against the IANA names', () => {
+    assert.equal(isValidTimeZone('Africa/Douala'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
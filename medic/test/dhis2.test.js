@@ -0,0 +1,104 @@
+// DHIS2 periods and data value sets (lib/dhis2.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { periodDays, countCells, mappedCount, buildDataValueSet, dataValueSetCsv } = require('../lib/dhis2');
+
+test('ISO weeks start on the Monday of the week holding the Thursday', () => {
+    assert.deepEqual(periodDays('2024W1'), { type: 'Weekly', dateFrom: '2024-01-01', dateTo: '2024-01-07' });
+    assert.deepEqual(periodDays('2025W01'), { type: 'Weekly', dateFrom: '2024-12-30', dateTo: '2025-01-05' });
+});
+
+test('week 53 exists only in long years', () => {
+    assert.deepEqual(periodDays('2020W53'), { type: 'Weekly', dateFrom: '2020-12-28', dateTo: '2021-01-03' });
+    assert.equal(periodDays('2021W53'), null);
+    assert.equal(periodDays('2024W0'), null);
+});
+
+test('months, quarters and years cover their whole calendar', () => {
+    assert.deepEqual(periodDays('202402'), { type: 'Monthly', dateFrom: '2024-02-01', dateTo: '2024-02-29' });
+    assert.deepEqual(periodDays('2024Q4'), { type: 'Quarterly', dateFrom: '2024-10-01', dateTo: '2024-12-31' });
+    assert.deepEqual(periodDays('2024'), { type: 'Yearly', dateFrom: '2024-01-01', dateTo: '2024-12-31' });
+});
+
+test('a month or day that does not exist is not a period', () => {
+    assert.equal(periodDays('202413'), null);
+    assert.equal(periodDays('202400'), null);
+    assert.equal(periodDays('20240230'), null);
+    assert.deepEqual(periodDays('20240229'), { type: 'Daily', dateFrom: '2024-02-29', dateTo: '2024-02-29' });
+    assert.equal(periodDays('2024-03'), null);
+    assert.equal(periodDays(undefined), null);
+});
+
+const facet = {
+    services: [
+        { _id: { item: 'General Consultation', sex: 'Male', ageBand: '0-4' }, services: 3 },
+        { _id: { item: 'General Consultation', sex: 'Female', ageBand: '15-24' }, services: 5 },
+        { _id: { item: 'Dental', sex: 'Female', ageBand: '15-24' }, services: 2 }
+    ],
+    labTests: [
+        { _id: { item: 'Malaria', sex: 'Male', ageBand: '0-4' }, labTestsPerformed: 4, labTestsPositive: 3 },
+        { _id: { item: 'Malaria', sex: 'Female', ageBand: '15-24' }, labTestsPerformed: 2, labTestsPositive: 0 }
+    ],
+    referrals: [
+        { _id: { item: null, sex: 'Male', ageBand: '0-4' }, referrals: 1 },
+        { _id: { item: null, sex: null, ageBand: 'Unknown' }, referrals: 2 }
+    ]
+};
+const cells = countCells(facet);
+
+test('grouped counts become one cell per count', () => {
+    assert.equal(cells.length, 9);
+    assert.deepEqual(cells.filter(cell => cell.aggregate === 'labTestsPositive').map(cell => cell.count), [3, 0]);
+});
+
+test('a mapping row adds up the cells it covers', () => {
+    assert.equal(mappedCount({ aggregate: 'services', service: 'General Consultation' }, cells), 8);
+    assert.equal(mappedCount({ aggregate: 'services', service: 'General Consultation', sex: 'Female' }, cells), 5);
+    assert.equal(mappedCount({ aggregate: 'services' }, cells), 10);
+    assert.equal(mappedCount({ aggregate: 'labTestsPerformed', test: 'Malaria', ageBand: '0-4' }, cells), 4);
+    assert.equal(mappedCount({ aggregate: 'labTestsPositive', test: 'Malaria' }, cells), 3);
+    assert.equal(mappedCount({ aggregate: 'referrals' }, cells), 3);
+    assert.equal(mappedCount({ aggregate: 'referrals', sex: 'Male' }, cells), 1);
+    assert.equal(mappedCount({ aggregate: 'services', service: 'Eye care' }, cells), 0);
+});
+
+test('the data value set has a value for every row, zeros included', () => {
+    const mapping = {
+        dataSet: 'DSaaaaaaaa1',
+        attributeOptionCombo: 'AOCaaaaaaa1',
+        rows: [
+            { aggregate: 'services', service: 'General Consultation', dataElement: 'DEaaaaaaaa1', categoryOptionCombo: 'COCaaaaaaa1' },
+            { aggregate: 'referrals', dataElement: 'DEaaaaaaaa2', attributeOptionCombo: 'AOCaaaaaaa2' },
+            { aggregate: 'labTestsPositive', test: 'HIV', dataElement: 'DEaaaaaaaa3' }
+        ]
+    };
+
+    const payload = buildDataValueSet(mapping, cells, { period: '202410', orgUnit: 'OUaaaaaaaa1' });
+
+    assert.deepEqual(payload, {
+        dataSet: 'DSaaaaaaaa1',
+        period: '202410',
+        orgUnit: 'OUaaaaaaaa1',
+        dataValues: [
+            { dataElement: 'DEaaaaaaaa1', period: '202410', orgUnit: 'OUaaaaaaaa1', categoryOptionCombo: 'COCaaaaaaa1', attributeOptionCombo: 'AOCaaaaaaa1', value: '8' },
+            { dataElement: 'DEaaaaaaaa2', period: '202410', orgUnit: 'OUaaaaaaaa1', attributeOptionCombo: 'AOCaaaaaaa2', value: '3' },
+            { dataElement: 'DEaaaaaaaa3', period: '202410', orgUnit: 'OUaaaaaaaa1', attributeOptionCombo: 'AOCaaaaaaa1', value: '0' }
+        ]
+    });
+    assert.equal(dataValueSetCsv(payload), [
+        'dataelement,period,orgunit,catoptcombo,attroptcombo,value',
+        'DEaaaaaaaa1,202410,OUaaaaaaaa1,COCaaaaaaa1,AOCaaaaaaa1,8',
+        'DEaaaaaaaa2,202410,OUaaaaaaaa1,,AOCaaaaaaa2,3',
+        'DEaaaaaaaa3,202410,OUaaaaaaaa1,,AOCaaaaaaa1,0',
+        ''
+    ].join('\n'));
+});
+
+test('a mapping without a data set or rows gives an empty set', () => {
+    assert.deepEqual(buildDataValueSet({ rows: [] }, [], { period: '2024', orgUnit: 'OUaaaaaaaa1' }), {
+        period: '2024',
+        orgUnit: 'OUaaaaaaaa1',
+        dataValues: []
+    });
+});
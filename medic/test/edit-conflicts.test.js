@@ -0,0 +1,73 @@
+// Optimistic concurrency for patient edits (lib/edit-conflicts.js), with the record kept in memory and
+// updated by the same rule as the Patient update hook in server.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writesOnlyHistory, diffChanges, staleEdit } = require('../lib/edit-conflicts');
+
+// A patient record written like the database would: updates move lastModified unless they only add history
+const createRecord = (fields) => {
+    let clock = Date.parse('2025-03-01T08:00:00Z');
+    const record = { ...fields, lastModified: new Date(clock), modificationHistory: [] };
+
+    const update = (change) => {
+        clock += 1000;
+        if (!writesOnlyHistory(change)) record.lastModified = new Date(clock);
+        Object.assign(record, change.$set || {});
+        if (change.$push) record.modificationHistory.push({ ...change.$push.modificationHistory, timestamp: new Date(clock) });
+    };
+
+    // The update route: refuse conflicting stale edits, else save the fields and then the history entry
+    const edit = (baseLastModified, fields, user) => {
+        const conflict = staleEdit(record, record, new Date(baseLastModified).getTime(), fields);
+        if (conflict && conflict.conflicts.length > 0) return { status: 409, conflicts: conflict.conflicts };
+
+        const changes = diffChanges(record, fields);
+        update({ $set: fields });
+        const saved = { ...record };
+        update({ $push: { modificationHistory: { action: 'updated', changes, user: { username: user } } } });
+        return { status: 200, data: saved };
+    };
+
+    return { record, edit };
+};
+
+test('only history updates leave lastModified alone', () => {
+    assert.equal(writesOnlyHistory({ $push: { modificationHistory: {} } }), true);
+    assert.equal(writesOnlyHistory({ $push: { modificationHistory: {} }, $set: { updatedAt: new Date() } }), true);
+    assert.equal(writesOnlyHistory({ $set: { name: 'Ngwa Paul' } }), false);
+    assert.equal(writesOnlyHistory({ name: 'Ngwa Paul', $push: { modificationHistory: {} } }), false);
+});
+
+test('an edit made on the version the previous edit returned is accepted', () => {
+    const { record, edit } = createRecord({ name: 'Ngwa Paul', occupation: 'Farmer' });
+
+    const first = edit(record.lastModified, { occupation: 'Teacher' }, 'nurse1');
+    assert.equal(first.status, 200);
+    assert.equal(first.data.lastModified.getTime(), record.lastModified.getTime(), 'the returned version is the stored one');
+
+    const second = edit(first.data.lastModified, { occupation: 'Trader' }, 'nurse1');
+    assert.equal(second.status, 200);
+    assert.equal(record.occupation, 'Trader');
+});
+
+test('a stale edit of other fields is applied on top of the newer version', () => {
+    const { record, edit } = createRecord({ name: 'Ngwa Paul', occupation: 'Farmer', age: 40 });
+    const loaded = record.lastModified;
+
+    assert.equal(edit(loaded, { age: 41 }, 'clerk1').status, 200);
+    assert.equal(edit(loaded, { occupation: 'Teacher' }, 'nurse1').status, 200);
+    assert.deepEqual([record.age, record.occupation], [41, 'Teacher']);
+});
+
+test('a stale edit of a field someone else changed is refused', () => {
+    const { record, edit } = createRecord({ name: 'Ngwa Paul', occupation: 'Farmer' });
+    const loaded = record.lastModified;
+
+    assert.equal(edit(loaded, { occupation: 'Teacher' }, 'clerk1').status, 200);
+    const refused = edit(loaded, { occupation: 'Trader' }, 'nurse1');
+
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.conflicts.map(conflict => [conflict.field, conflict.yours, conflict.current]), [['occupation', 'Trader', 'Teacher']]);
+    assert.equal(record.occupation, 'Teacher');
+});
@@ -0,0 +1,134 @@
+// FHIR export read back by the import (lib/fhir.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SYSTEMS, patientResource, visitResources, bundleEntry, readBundle } = require('../lib/fhir');
+
+const BASE_URL = 'https://camp.example/api/fhir';
+
+const visit = {
+    _id: '64b000000000000000000001',
+    patientId: '64b000000000000000000001',
+    encounterId: '64b000000000000000000002',
+    name: 'Ngwa Paul',
+    age: 40,
+    sex: 'Male',
+    tel: '+237 677 12 34 56',
+    familyGroup: 'Ngwa',
+    occupation: 'Farmer',
+    camp: { _id: '64b000000000000000000003', name: 'Bafut' },
+    services: ['General Consultation', 'Laboratory'],
+    status: 'completed',
+    registrationDate: new Date('2025-10-19T08:30:00Z'),
+    completionDate: new Date('2025-10-19T11:00:00Z'),
+    vitalSigns: { height: 172, weight: 70, bloodPressure: '150/95', systolic: 150, diastolic: 95, pulse: 88, temperature: 38.5, bmi: 23.7 },
+    labOrders: [
+        {
+            _id: '64b000000000000000000010',
+            test: 'Malaria',
+            status: 'resulted',
+            resultType: 'qualitative',
+            orderedAt: new Date('2025-10-19T09:00:00Z'),
+            resultedAt: new Date('2025-10-19T10:00:00Z'),
+            result: { qualitative: 'positive' }
+        },
+        {
+            _id: '64b000000000000000000011',
+            test: 'Blood glucose',
+            status: 'resulted',
+            resultType: 'numeric',
+            orderedAt: new Date('2025-10-19T09:00:00Z'),
+            resultedAt: new Date('2025-10-19T10:15:00Z'),
+            result: { value: 182, unit: 'mg/dL', flag: 'high' }
+        },
+        {
+            _id: '64b000000000000000000012',
+            test: 'HIV',
+            status: 'ordered',
+            resultType: 'qualitative',
+            orderedAt: new Date('2025-10-19T09:00:00Z')
+        }
+    ],
+    diagnosis: 'Uncomplicated malaria'
+};
+
+const exportBundle = (record) => JSON.parse(JSON.stringify({
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: [patientResource(record), ...visitResources(record)].map(resource => bundleEntry(resource, BASE_URL))
+}));
+
+test('an exported visit reads back with its patient, vital signs, lab results and diagnosis', () => {
+    const { problems, patients, visits } = readBundle(exportBundle(visit));
+    assert.deepEqual(problems, []);
+
+    assert.equal(patients.length, 1);
+    assert.equal(patients[0].ownId, visit.patientId);
+    assert.deepEqual(patients[0].data, {
+        name: 'Ngwa Paul', age: 40, sex: 'Male', tel: '+237 677 12 34 56', occupation: 'Farmer', familyGroup: 'Ngwa'
+    });
+
+    assert.equal(visits.length, 1);
+    const [read] = visits;
+    assert.equal(read.ownId, visit.encounterId);
+    assert.equal(read.patient, 0);
+    assert.deepEqual(read.camp, { id: visit.camp._id, name: 'Bafut' });
+
+    const { services, status, registrationDate, completionDate, vitalSigns, labOrders, diagnoses } = read.data;
+    assert.deepEqual(services, visit.services);
+    assert.equal(status, 'completed');
+    assert.equal(registrationDate, '2025-10-19T08:30:00.000Z');
+    assert.equal(completionDate, '2025-10-19T11:00:00.000Z');
+    // BMI is left out - it is worked out again from height and weight
+    assert.deepEqual(vitalSigns, { height: 172, weight: 70, pulse: 88, temperature: 38.5, bloodPressure: '150/95' });
+    assert.deepEqual(diagnoses, ['Uncomplicated malaria']);
+
+    assert.deepEqual(labOrders, [
+        {
+            test: 'Malaria',
+            status: 'resulted',
+            resultType: 'qualitative',
+            orderedAt: '2025-10-19T09:00:00.000Z',
+            resultedAt: '2025-10-19T10:00:00.000Z',
+            result: { qualitative: 'positive' }
+        },
+        {
+            test: 'Blood glucose',
+            status: 'resulted',
+            resultType: 'numeric',
+            orderedAt: '2025-10-19T09:00:00.000Z',
+            resultedAt: '2025-10-19T10:15:00.000Z',
+            result: { value: 182, unit: 'mg/dL', flag: 'high' }
+        },
+        {
+            test: 'HIV',
+            status: 'ordered',
+            resultType: 'qualitative',
+            orderedAt: '2025-10-19T09:00:00.000Z'
+        }
+    ]);
+});
+
+test('a visit without readings or a diagnosis reads back empty', () => {
+    const { problems, visits } = readBundle(exportBundle({
+        ...visit, status: 'registered', completionDate: undefined, vitalSigns: {}, labOrders: [], diagnosis: ''
+    }));
+    assert.deepEqual(problems, []);
+    assert.equal(visits[0].data.status, 'registered');
+    assert.deepEqual(visits[0].data.vitalSigns, {});
+    assert.deepEqual(visits[0].data.labOrders, []);
+    assert.deepEqual(visits[0].data.diagnoses, []);
+});
+
+test('resources keep this system\'s identifiers so a re-import finds the same records', () => {
+    const [patient, encounter] = exportBundle(visit).entry.map(entry => entry.resource);
+    assert.deepEqual(patient.identifier, [{ system: SYSTEMS.patient, value: visit.patientId }]);
+    assert.deepEqual(encounter.identifier, [{ system: SYSTEMS.encounter, value: visit.encounterId }]);
+});
+
+test('problems name the entry they were found in', () => {
+    const bundle = exportBundle(visit);
+    bundle.entry[0].resource.gender = 'other';
+    const { problems } = readBundle(bundle);
+    assert.ok(problems.some(problem => problem.field === 'entry.0.resource.gender'), JSON.stringify(problems));
+});
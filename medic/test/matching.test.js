@@ -0,0 +1,60 @@
+// Phone normalization and duplicate scoring (lib/matching.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DUPLICATE_THRESHOLD, normalizePhone, normalizeName, nameSimilarity, scoreDuplicate } = require('../lib/matching');
+
+test('a phone number compares the same however it was typed', () => {
+    ['+237 677 12 34 56', '00237677123456', '237677123456', '0677123456', '677-123-456', '677 12 34 56'].forEach(tel => {
+        assert.equal(normalizePhone(tel), '677123456', tel);
+    });
+});
+
+test('a short number is not mistaken for one with the country code', () => {
+    assert.equal(normalizePhone('2371234'), '2371234');
+    assert.equal(normalizePhone(''), '');
+    assert.equal(normalizePhone(undefined), '');
+});
+
+test('names compare without case, accents, punctuation or word order', () => {
+    assert.equal(normalizeName('  Ngwa   PAUL '), 'ngwa paul');
+    assert.equal(normalizeName('Paul Ngwa'), normalizeName('ngwa, paul'));
+    assert.equal(normalizeName('Éloïse Mbarga'), 'eloise mbarga');
+    assert.equal(nameSimilarity('Paul Ngwa', 'NGWA Paul'), 1);
+    assert.equal(nameSimilarity('', 'Paul'), 0);
+});
+
+test('the same person registered twice scores above the threshold', () => {
+    const result = scoreDuplicate(
+        { name: 'Ngwa Paul', age: 40, sex: 'Male', tel: '+237 677 12 34 56', familyGroup: 'Ngwa' },
+        { name: 'Paul Ngwa', age: 41, sex: 'Male', telNormalized: '677123456', familyGroup: 'Ngwa' }
+    );
+    assert.equal(result.score, 1);
+    assert.deepEqual(result.reasons, ['name', 'phone', 'age', 'familyGroup']);
+    assert.ok(result.score >= DUPLICATE_THRESHOLD);
+});
+
+test('relatives sharing the family phone are not duplicates', () => {
+    const { score, reasons } = scoreDuplicate(
+        { name: 'Ngwa Paul', age: 40, sex: 'Male', tel: '677123456', familyGroup: 'Ngwa' },
+        { name: 'Ngwa Marie', age: 12, sex: 'Female', tel: '0677 12 34 56', familyGroup: 'Ngwa' }
+    );
+    assert.ok(reasons.includes('phone'));
+    assert.ok(score < DUPLICATE_THRESHOLD, `scored ${score}`);
+});
+
+test('a different sex takes 0.3 off the score', () => {
+    const man = { name: 'Ngwa Paul', age: 40, sex: 'Male', tel: '677123456' };
+    const same = scoreDuplicate(man, { ...man });
+    const otherSex = scoreDuplicate(man, { ...man, sex: 'Female' });
+    const unknownSex = scoreDuplicate(man, { ...man, sex: undefined });
+
+    assert.equal(same.score, 0.95);
+    assert.equal(otherSex.score, 0.65);
+    assert.equal(unknownSex.score, same.score, 'no penalty when one sex is missing');
+});
+
+test('the score never drops below zero', () => {
+    const { score } = scoreDuplicate({ name: 'Ngwa Paul', age: 40, sex: 'Male' }, { name: 'Zz', age: 80, sex: 'Female' });
+    assert.equal(score, 0);
+});
@@ -0,0 +1,57 @@
+// Migration runner (lib/migrations.js) against an in-memory stand-in for the migrations collection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { migrateUp, getPendingMigrations } = require('../lib/migrations');
+
+const createDb = (applied = []) => {
+    const records = applied.map(_id => ({ _id }));
+    const collection = {
+        find: () => ({ project: () => ({ toArray: async () => records }) }),
+        insertOne: async (record) => { records.push(record); }
+    };
+    return { records, collection: () => collection };
+};
+
+const migration = (version, ran) => ({
+    version,
+    name: `step-${version}`,
+    description: `Step ${version}`,
+    up: async ({ dryRun }) => {
+        ran.push(version);
+        return { updated: dryRun ? 0 : 1 };
+    }
+});
+
+const silent = () => {};
+
+test('pending migrations run in version order and are recorded', async () => {
+    const ran = [];
+    const db = createDb([1]);
+    const migrations = [migration(1, ran), migration(2, ran), migration(3, ran)];
+
+    const results = await migrateUp(db, { migrations, log: silent });
+
+    assert.deepEqual(ran, [2, 3]);
+    assert.deepEqual(results.map(result => result.version), [2, 3]);
+    assert.deepEqual(db.records.map(record => record._id), [1, 2, 3]);
+    assert.deepEqual(await getPendingMigrations(db, migrations), []);
+});
+
+test('--to stops at the given version', async () => {
+    const ran = [];
+    await migrateUp(createDb(), { to: 2, migrations: [migration(1, ran), migration(2, ran), migration(3, ran)], log: silent });
+    assert.deepEqual(ran, [1, 2]);
+});
+
+test('a dry run checks only the next migration and records nothing', async () => {
+    const ran = [];
+    const lines = [];
+    const db = createDb();
+
+    await migrateUp(db, { dryRun: true, migrations: [migration(1, ran), migration(2, ran)], log: line => lines.push(line) });
+
+    assert.deepEqual(ran, [1]);
+    assert.deepEqual(db.records, []);
+    assert.match(lines[0], /Checking 1 step-1 only - the 1 after it depend on what it writes/);
+});
@@ -0,0 +1,92 @@
+// Reading pre-registration lists (lib/patient-import.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, readSpreadsheet, mapHeaders, rowToPatient, formatFromName } = require('../lib/patient-import');
+
+test('the separator is whichever the header line uses most', () => {
+    assert.deepEqual(parseCsv('Name,Age\nNgwa Paul,40'), [['Name', 'Age'], ['Ngwa Paul', '40']]);
+    assert.deepEqual(parseCsv('Nom;Age;Notes\nNgoua, Paul;40;a,b'), [['Nom', 'Age', 'Notes'], ['Ngoua, Paul', '40', 'a,b']]);
+    assert.deepEqual(parseCsv('Name\tAge\nNgwa;Paul\t40'), [['Name', 'Age'], ['Ngwa;Paul', '40']]);
+});
+
+test('quoted cells keep separators, doubled quotes and line breaks', () => {
+    const rows = parseCsv('Name,Allergies\r\n"Ngwa, Paul","Penicillin\r\nsaid ""severe"""\r\nMarie,\r\n');
+    assert.deepEqual(rows, [
+        ['Name', 'Allergies'],
+        ['Ngwa, Paul', 'Penicillin\r\nsaid "severe"'],
+        ['Marie', '']
+    ]);
+});
+
+test('a byte order mark does not become part of the first header', () => {
+    assert.deepEqual(parseCsv('\ufeffName;Age\nNgwa;40')[0], ['Name', 'Age']);
+});
+
+test('blank lines are left out and every row keeps its line number', async () => {
+    const rows = await readSpreadsheet(Buffer.from('Name,Age\n\n , \nNgwa Paul , 40\n'), 'csv');
+    assert.deepEqual(rows, [
+        { line: 1, cells: ['Name', 'Age'] },
+        { line: 4, cells: ['Ngwa Paul', '40'] }
+    ]);
+});
+
+test('the format comes from the file extension', () => {
+    assert.equal(formatFromName('list.XLSX'), 'xlsx');
+    assert.equal(formatFromName('list.csv'), 'csv');
+    assert.equal(formatFromName('list.ods'), null);
+});
+
+test('headers are matched to the export columns by header or key', () => {
+    const { headers, missing } = mapHeaders(['Name', 'AGE', 'sex', 'Phone', 'family_group', 'Height (cm)', 'Diagnosis', 'Notes']);
+    assert.deepEqual(headers.map(header => header.key), ['name', 'age', 'sex', 'tel', 'familyGroup', 'height', null, null]);
+    assert.deepEqual(headers.slice(6).map(header => header.known), [true, false]);
+    assert.deepEqual(missing, []);
+});
+
+test('missing required columns are named', () => {
+    const { missing } = mapHeaders(['Name', 'Age']);
+    assert.deepEqual(missing.map(column => column.key), ['sex', 'tel', 'familyGroup']);
+});
+
+test('a mapping names a header\'s column or ignores it', () => {
+    const { headers, missing } = mapHeaders(['Nom', 'Age', 'Sexe', 'Téléphone', 'Famille', 'Name'], {
+        Nom: 'name',
+        Sexe: 'sex',
+        'Téléphone': 'tel',
+        Famille: 'familyGroup',
+        Name: ''
+    });
+    assert.deepEqual(headers.map(header => header.key), ['name', 'age', 'sex', 'tel', 'familyGroup', null]);
+    assert.deepEqual(missing, []);
+});
+
+test('the first of two headers for the same column wins', () => {
+    const { headers } = mapHeaders(['Phone', 'tel']);
+    assert.deepEqual(headers.map(header => header.key), ['tel', null]);
+});
+
+test('a row becomes a registration request', () => {
+    const { headers } = mapHeaders(['Name', 'Age', 'Sex', 'Phone', 'Family Group', 'Services', 'Height (cm)', 'Weight (kg)', 'Allergies', 'Diagnosis']);
+    const patient = rowToPatient(
+        ['Ngwa Paul', '40', 'm', '677123456', 'Ngwa', 'General Consultation; Dental;', '172', '', 'Penicillin', 'Malaria'],
+        headers
+    );
+    assert.deepEqual(patient, {
+        name: 'Ngwa Paul',
+        age: '40',
+        sex: 'Male',
+        tel: '677123456',
+        familyGroup: 'Ngwa',
+        services: ['General Consultation', 'Dental'],
+        vitalSigns: { height: '172' },
+        pastHistory: { allergies: 'Penicillin' }
+    });
+});
+
+test('sexes are read however the spreadsheet spells them', () => {
+    const { headers } = mapHeaders(['Sex']);
+    assert.equal(rowToPatient(['FEMALE'], headers).sex, 'Female');
+    assert.equal(rowToPatient(['f'], headers).sex, 'Female');
+    assert.equal(rowToPatient(['unknown'], headers).sex, 'unknown');
+});
@@ -0,0 +1,95 @@
+// Age bands and cross-tab shaping (lib/reports.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AGE_BAND_PRESETS, parseAgeBands, ageBandLabels, shapeCrossTab } = require('../lib/reports');
+
+test('age bands are parsed with an open last band', () => {
+    assert.deepEqual(parseAgeBands('0-4, 5-14,15,65+'), [
+        { label: '0-4', min: 0, max: 4 },
+        { label: '5-14', min: 5, max: 14 },
+        { label: '15', min: 15, max: 15 },
+        { label: '65+', min: 65, max: null }
+    ]);
+});
+
+test('a preset name gives its bands', () => {
+    assert.deepEqual(parseAgeBands().map(band => band.label), AGE_BAND_PRESETS.standard.split(','));
+    assert.equal(parseAgeBands('who').length, 17);
+    assert.deepEqual(parseAgeBands('under5')[0], { label: '0-4', min: 0, max: 4 });
+});
+
+test('overlapping bands are refused', () => {
+    assert.equal(parseAgeBands('0-10,10-20'), null);
+    assert.equal(parseAgeBands('0-18,5-9'), null);
+});
+
+test('bands out of order or after an open band are refused', () => {
+    assert.equal(parseAgeBands('19-30,0-18'), null);
+    assert.equal(parseAgeBands('65+,70-80'), null);
+    assert.equal(parseAgeBands('10-5'), null);
+});
+
+test('text that is not a band is refused', () => {
+    assert.equal(parseAgeBands('children'), null);
+    assert.equal(parseAgeBands('0-4,,5-9'), null);
+    assert.equal(parseAgeBands('-5-4'), null);
+});
+
+test('ages outside every band and missing ages have their own values', () => {
+    assert.deepEqual(ageBandLabels(parseAgeBands('0-4,5-9')), ['0-4', '5-9', 'Other', 'Unknown']);
+});
+
+test('grouped counts become rows, margins and totals', () => {
+    const ageBands = parseAgeBands('0-17,18+');
+    const facet = {
+        cells: [
+            { _id: { sex: 'Female', ageBand: '18+' }, visits: 3, completed: 2, cancelled: 1 },
+            { _id: { sex: 'Male', ageBand: '0-17' }, visits: 1, completed: 0, cancelled: 0 },
+            { _id: { sex: null, ageBand: 'Unknown' }, visits: 1, completed: 1, cancelled: 0 }
+        ],
+        by_sex: [
+            { _id: { sex: null }, visits: 1, completed: 1, cancelled: 0 },
+            { _id: { sex: 'Male' }, visits: 1, completed: 0, cancelled: 0 },
+            { _id: { sex: 'Female' }, visits: 3, completed: 2, cancelled: 1 }
+        ],
+        by_ageBand: [
+            { _id: { ageBand: 'Unknown' }, visits: 1, completed: 1, cancelled: 0 },
+            { _id: { ageBand: '18+' }, visits: 3, completed: 2, cancelled: 1 },
+            { _id: { ageBand: '0-17' }, visits: 1, completed: 0, cancelled: 0 }
+        ],
+        total: [{ _id: null, visits: 5, completed: 3, cancelled: 1 }]
+    };
+
+    const report = shapeCrossTab(facet, ['sex', 'ageBand'], ['visits', 'completionRate'], { ageBands });
+
+    assert.deepEqual(report.dimensions, [
+        { name: 'sex', label: 'Sex', values: ['Male', 'Female', 'Unknown'] },
+        { name: 'ageBand', label: 'Age band', values: ['0-17', '18+', 'Unknown'] }
+    ]);
+    assert.deepEqual(report.measures.map(measure => measure.name), ['visits', 'completionRate']);
+    assert.deepEqual(report.rows, [
+        { sex: 'Female', ageBand: '18+', visits: 3, completionRate: 100 },
+        { sex: 'Male', ageBand: '0-17', visits: 1, completionRate: 0 },
+        { sex: 'Unknown', ageBand: 'Unknown', visits: 1, completionRate: 100 }
+    ]);
+    assert.deepEqual(report.margins.sex[2], { sex: 'Female', visits: 3, completionRate: 100 });
+    assert.deepEqual(report.totals, { visits: 5, completionRate: 75 });
+});
+
+test('other dimensions are ordered largest first and camps shown by name', () => {
+    const facet = {
+        cells: [],
+        by_camp: [
+            { _id: { camp: 'c1' }, visits: 2 },
+            { _id: { camp: 'c2' }, visits: 5 },
+            { _id: { camp: 'Unknown' }, visits: 1 }
+        ],
+        total: []
+    };
+
+    const report = shapeCrossTab(facet, ['camp'], ['visits', 'completionRate'], { campNames: new Map([['c1', 'Bafut'], ['c2', 'Bali']]) });
+
+    assert.deepEqual(report.dimensions[0].values, ['Bali', 'Bafut', 'Unknown']);
+    assert.deepEqual(report.totals, { visits: 0, completionRate: null });
+});
@@ -0,0 +1,58 @@
+// Search words and phonetic name keys (lib/search.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { foldText, searchWords, escapeRegExp, phoneticKey, phoneticKeys, nameSearchKeys } = require('../lib/search');
+
+test('English and French spellings of the same name share a key', () => {
+    assert.equal(phoneticKey('Ngwa'), phoneticKey('Ngoua'));
+    assert.equal(phoneticKey('NGWA'), phoneticKey('ngoua'));
+    assert.equal(phoneticKey('Tchoupo'), phoneticKey('Choupo'));
+    assert.equal(phoneticKey('Djoumessi'), phoneticKey('Joumessi'));
+});
+
+test('Mohammed and Muhamad both give mt', () => {
+    assert.equal(phoneticKey('Mohammed'), 'mt');
+    assert.equal(phoneticKey('Muhamad'), 'mt');
+    assert.equal(phoneticKey('Mouhamadou'), 'mt');
+});
+
+test('a leading vowel keeps Emmanuel apart from Manuel', () => {
+    assert.equal(phoneticKey('Emmanuel'), 'amnl');
+    assert.equal(phoneticKey('Manuel'), 'mnl');
+    assert.notEqual(phoneticKey('Emmanuel'), phoneticKey('Manuel'));
+});
+
+test('accents and punctuation do not change the key', () => {
+    assert.equal(phoneticKey('Émilie'), phoneticKey('emilie'));
+    assert.equal(phoneticKey("N'gwa"), phoneticKey('Ngwa'));
+    assert.equal(phoneticKey('123'), '');
+});
+
+test('keys are at most six letters', () => {
+    assert.equal(phoneticKey('Nkongsamba-Bafoussam').length, 6);
+});
+
+test('search words are folded and distinct', () => {
+    assert.equal(foldText('Émilie-Ngo'), 'emilie ngo');
+    assert.deepEqual(searchWords('  Paul  NGWA paul '), ['paul', 'ngwa']);
+    assert.deepEqual(searchWords(undefined), []);
+});
+
+test('single letters get no phonetic key', () => {
+    assert.deepEqual(phoneticKeys('Ngwa J. Paul'), ['nk', 'pl']);
+});
+
+test('a patient is stored with every name word and its sound', () => {
+    assert.deepEqual(nameSearchKeys('Emmanuel Ngoua'), {
+        searchTerms: ['emmanuel', 'ngoua'],
+        searchPhonetic: ['amnl', 'nk']
+    });
+    assert.deepEqual(nameSearchKeys(''), { searchTerms: [], searchPhonetic: [] });
+});
+
+test('search input is matched literally inside a regular expression', () => {
+    const pattern = new RegExp(escapeRegExp('(+237) 677.12'));
+    assert.ok(pattern.test('(+237) 677.12 34'));
+    assert.ok(!pattern.test('(+237) 677-12'));
+});